@@ -23,6 +23,19 @@ const clientRoutes = require('./routes/api/client.routes');
 const orderRoutes = require('./routes/api/order.routes');
 const invoiceRoutes = require('./routes/api/invoice.routes');
 const deliveryRoutes = require('./routes/api/delivery.routes');
+const supplierRoutes = require('./routes/api/supplier.routes');
+const purchaseOrderRoutes = require('./routes/api/purchase-order.routes');
+const stockTakeRoutes = require('./routes/api/stock-take.routes');
+const locationRoutes = require('./routes/api/location.routes');
+const priceListRoutes = require('./routes/api/price-list.routes');
+const promotionRoutes = require('./routes/api/promotion.routes');
+const taxRateRoutes = require('./routes/api/tax-rate.routes');
+const reviewRoutes = require('./routes/api/review.routes');
+const returnRoutes = require('./routes/api/return.routes');
+const subscriptionRoutes = require('./routes/api/subscription.routes');
+
+// File storage
+const fileStorage = require('./infrastructure/storage/file-storage');
 
 // Database connection
 const { connectToDatabase } = require('./infrastructure/database/connection');
@@ -56,6 +69,7 @@ const initializeApp = async () => {
 	// Serve static files (if any)
 	if (appConfig.serveStaticFiles) {
 		app.use('/static', express.static(path.join(__dirname, '../public')));
+		app.use(fileStorage.publicPath, express.static(fileStorage.basePath));
 	}
 
 	// API Routes
@@ -66,6 +80,16 @@ const initializeApp = async () => {
 	app.use('/api/orders', orderRoutes);
 	app.use('/api/invoices', invoiceRoutes);
 	app.use('/api/deliveries', deliveryRoutes);
+	app.use('/api/suppliers', supplierRoutes);
+	app.use('/api/purchase-orders', purchaseOrderRoutes);
+	app.use('/api/stock-takes', stockTakeRoutes);
+	app.use('/api/locations', locationRoutes);
+	app.use('/api/price-lists', priceListRoutes);
+	app.use('/api/promotions', promotionRoutes);
+	app.use('/api/tax-rates', taxRateRoutes);
+	app.use('/api/reviews', reviewRoutes);
+	app.use('/api/returns', returnRoutes);
+	app.use('/api/subscriptions', subscriptionRoutes);
 
 	// Health check endpoint
 	app.get('/health', (req, res) => {
@@ -32,6 +32,64 @@ const appConfig = {
 			email: process.env.DEFAULT_ADMIN_EMAIL,
 			password: process.env.DEFAULT_ADMIN_PASSWORD
 		},
+		inventory: {
+			// Days ahead an expiring batch is reported and warned about
+			expiryWarningDays: parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 3,
+			// How often expired batches are written off (0 disables the job)
+			expiryCheckIntervalMinutes: parseInt(process.env.EXPIRY_CHECK_INTERVAL_MINUTES ?? '60', 10),
+			reorder: {
+				// Days of sales the velocity is averaged over
+				salesWindowDays: parseInt(process.env.REORDER_SALES_WINDOW_DAYS, 10) || 28,
+				// Extra days of sales kept on hand against late deliveries and demand spikes
+				safetyStockDays: parseInt(process.env.REORDER_SAFETY_STOCK_DAYS ?? '3', 10),
+				// Days of sales a reorder should cover once it arrives
+				coverDays: parseInt(process.env.REORDER_COVER_DAYS, 10) || 14,
+				// Lead time used when no supplier lead time is known
+				defaultLeadTimeDays: parseInt(process.env.REORDER_DEFAULT_LEAD_TIME_DAYS ?? '2', 10)
+			}
+		},
+		images: {
+			// How often product image files no product refers to are deleted (0 disables the job)
+			orphanCleanupIntervalMinutes: parseInt(process.env.IMAGE_CLEANUP_INTERVAL_MINUTES ?? '1440', 10),
+			// Files younger than this are left alone, so uploads still being saved are not removed
+			orphanGraceMinutes: parseInt(process.env.IMAGE_CLEANUP_GRACE_MINUTES, 10) || 60
+		},
+		pricing: {
+			// How often scheduled price changes that have fallen due are applied (0 disables the job)
+			scheduledChangeIntervalMinutes: parseInt(process.env.PRICE_CHANGE_INTERVAL_MINUTES ?? '5', 10)
+		},
+		tax: {
+			// Whether catalogue prices already include tax; otherwise tax is added on top
+			pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true'
+		},
+		recommendations: {
+			// How often co-purchase counts are recalculated from orders (0 disables the job)
+			refreshIntervalMinutes: parseInt(process.env.RECOMMENDATION_REFRESH_MINUTES ?? '60', 10),
+			// Orders older than this no longer count towards "frequently bought together"
+			lookbackDays: parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS, 10) || 180,
+			// Kept longer than the refresh interval so the cache is replaced before it runs out
+			cacheTtlMinutes: 120
+		},
+		search: {
+			// Lower bounds of the price range facets (in Naira); prices past the last one are grouped together
+			priceRanges: [0, 1000, 2500, 5000, 10000, 25000, 50000],
+			// How long the words used for typo-tolerant matching are kept before re-reading products
+			vocabularyTtlMinutes: 10
+		},
+		reviews: {
+			// Reviews rated at or below this raise an event so staff can follow up with the client
+			lowRatingThreshold: parseInt(process.env.REVIEW_LOW_RATING_THRESHOLD, 10) || 2
+		},
+		returns: {
+			// Days after delivery a client can ask to return items
+			returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 14
+		},
+		subscriptions: {
+			// Days before a delivery its subscription order is placed
+			leadDays: parseInt(process.env.SUBSCRIPTION_LEAD_DAYS ?? '2', 10),
+			// How often due subscription orders are placed (0 disables the job)
+			generateIntervalMinutes: parseInt(process.env.SUBSCRIPTION_ORDER_INTERVAL_MINUTES ?? '60', 10)
+		},
 		businessName: 'She Cares',
 		businessAddress: {
 			street: "H91, Ikota Shopping Complex, VGC",
@@ -66,6 +124,45 @@ const appConfig = {
 		defaultAdminUser: {
 			email: 'test@shecaresmarket.com',
 			password: 'testPassword123!'
+		},
+		inventory: {
+			expiryWarningDays: 3,
+			expiryCheckIntervalMinutes: 0,
+			reorder: {
+				salesWindowDays: 28,
+				safetyStockDays: 3,
+				coverDays: 14,
+				defaultLeadTimeDays: 2
+			}
+		},
+		images: {
+			orphanCleanupIntervalMinutes: 0,
+			orphanGraceMinutes: 60
+		},
+		pricing: {
+			scheduledChangeIntervalMinutes: 0
+		},
+		tax: {
+			pricesIncludeTax: false
+		},
+		recommendations: {
+			refreshIntervalMinutes: 0,
+			lookbackDays: 180,
+			cacheTtlMinutes: 5
+		},
+		search: {
+			priceRanges: [0, 1000, 2500, 5000, 10000, 25000, 50000],
+			vocabularyTtlMinutes: 1
+		},
+		reviews: {
+			lowRatingThreshold: 2
+		},
+		returns: {
+			returnWindowDays: 14
+		},
+		subscriptions: {
+			leadDays: 2,
+			generateIntervalMinutes: 0
 		}
 	},
 	production: {
@@ -87,6 +184,64 @@ const appConfig = {
 		defaultAdminUser: {
 			email: process.env.DEFAULT_ADMIN_EMAIL,
 			password: process.env.DEFAULT_ADMIN_PASSWORD
+		},
+		inventory: {
+			// Days ahead an expiring batch is reported and warned about
+			expiryWarningDays: parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 3,
+			// How often expired batches are written off (0 disables the job)
+			expiryCheckIntervalMinutes: parseInt(process.env.EXPIRY_CHECK_INTERVAL_MINUTES ?? '60', 10),
+			reorder: {
+				// Days of sales the velocity is averaged over
+				salesWindowDays: parseInt(process.env.REORDER_SALES_WINDOW_DAYS, 10) || 28,
+				// Extra days of sales kept on hand against late deliveries and demand spikes
+				safetyStockDays: parseInt(process.env.REORDER_SAFETY_STOCK_DAYS ?? '3', 10),
+				// Days of sales a reorder should cover once it arrives
+				coverDays: parseInt(process.env.REORDER_COVER_DAYS, 10) || 14,
+				// Lead time used when no supplier lead time is known
+				defaultLeadTimeDays: parseInt(process.env.REORDER_DEFAULT_LEAD_TIME_DAYS ?? '2', 10)
+			}
+		},
+		images: {
+			// How often product image files no product refers to are deleted (0 disables the job)
+			orphanCleanupIntervalMinutes: parseInt(process.env.IMAGE_CLEANUP_INTERVAL_MINUTES ?? '1440', 10),
+			// Files younger than this are left alone, so uploads still being saved are not removed
+			orphanGraceMinutes: parseInt(process.env.IMAGE_CLEANUP_GRACE_MINUTES, 10) || 60
+		},
+		pricing: {
+			// How often scheduled price changes that have fallen due are applied (0 disables the job)
+			scheduledChangeIntervalMinutes: parseInt(process.env.PRICE_CHANGE_INTERVAL_MINUTES ?? '5', 10)
+		},
+		tax: {
+			// Whether catalogue prices already include tax; otherwise tax is added on top
+			pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true'
+		},
+		recommendations: {
+			// How often co-purchase counts are recalculated from orders (0 disables the job)
+			refreshIntervalMinutes: parseInt(process.env.RECOMMENDATION_REFRESH_MINUTES ?? '60', 10),
+			// Orders older than this no longer count towards "frequently bought together"
+			lookbackDays: parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS, 10) || 180,
+			// Kept longer than the refresh interval so the cache is replaced before it runs out
+			cacheTtlMinutes: 120
+		},
+		search: {
+			// Lower bounds of the price range facets (in Naira); prices past the last one are grouped together
+			priceRanges: [0, 1000, 2500, 5000, 10000, 25000, 50000],
+			// How long the words used for typo-tolerant matching are kept before re-reading products
+			vocabularyTtlMinutes: 10
+		},
+		reviews: {
+			// Reviews rated at or below this raise an event so staff can follow up with the client
+			lowRatingThreshold: parseInt(process.env.REVIEW_LOW_RATING_THRESHOLD, 10) || 2
+		},
+		returns: {
+			// Days after delivery a client can ask to return items
+			returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 14
+		},
+		subscriptions: {
+			// Days before a delivery its subscription order is placed
+			leadDays: parseInt(process.env.SUBSCRIPTION_LEAD_DAYS ?? '2', 10),
+			// How often due subscription orders are placed (0 disables the job)
+			generateIntervalMinutes: parseInt(process.env.SUBSCRIPTION_ORDER_INTERVAL_MINUTES ?? '60', 10)
 		}
 	}
 };
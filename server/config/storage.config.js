@@ -65,9 +65,9 @@ const fileTypesConfig = {
 			quality: 80,
 			formats: ['webp', 'jpeg'],
 			dimensions: [
-				{ width: 800, height: 800, suffix: 'large' },
-				{ width: 400, height: 400, suffix: 'medium' },
-				{ width: 200, height: 200, suffix: 'thumbnail' }
+				{ width: 1600, height: 1600, suffix: 'full' },
+				{ width: 600, height: 600, suffix: 'card' },
+				{ width: 200, height: 200, suffix: 'thumb' }
 			]
 		}
 	},
@@ -115,6 +115,8 @@ const fileTypesConfig = {
 
 module.exports = {
 	localStorage: localStorageConfig[env],
+	// URL path uploaded files are served under
+	publicPath: process.env.UPLOADS_PUBLIC_PATH || '/uploads',
 	cloudStorage: cloudStorageConfig,
 	fileTypes: fileTypesConfig,
 	// Determine which storage to use (local or cloud)
@@ -1,6 +1,6 @@
 // src/data/repositories/base.repository.js
 
-const { DatabaseError } = require('../../utils/error-handler');
+const { AppError, DatabaseError } = require('../../utils/error-handler');
 
 /**
  * @class BaseRepository
@@ -33,14 +33,18 @@ class BaseRepository {
 	/**
 	 * Create a new document
 	 * @param {Object} data - Document data
+	 * @param {Object} options - Create options (session)
 	 * @returns {Promise<Object>} Created document
 	 * @throws {DatabaseError} Database error
 	 */
-	async create(data) {
+	async create(data, options = {}) {
 		this._checkConnectionStatus();
 
 		try {
-			const result = await this.model.create(data);
+			// Model.create only accepts a session when given an array of documents
+			const result = options.session
+				? (await this.model.create([data], { session: options.session }))[0]
+				: await this.model.create(data);
 			this.logger.info(`Created ${this.model.modelName} with ID: ${result._id}`);
 			return result.toObject ? result.toObject() : result;
 		} catch (error) {
@@ -62,6 +66,10 @@ class BaseRepository {
 		try {
 			let query = this.model.findById(id);
 
+			if (options.session) {
+				query = query.session(options.session);
+			}
+
 			if (options.select) {
 				query = query.select(options.select);
 			}
@@ -105,6 +113,10 @@ class BaseRepository {
 				query = query.lean();
 			}
 
+			if (options.session) {
+				query = query.session(options.session);
+			}
+
 			if (options.select) {
 				query = query.select(options.select);
 			}
@@ -151,6 +163,10 @@ class BaseRepository {
 		try {
 			let query = this.model.findOne(filter);
 
+			if (options.session) {
+				query = query.session(options.session);
+			}
+
 			if (options.select) {
 				query = query.select(options.select);
 			}
@@ -200,14 +216,15 @@ class BaseRepository {
 	/**
 	 * Delete document by ID
 	 * @param {string} id - Document ID
+	 * @param {Object} options - Delete options (session)
 	 * @returns {Promise<boolean>} Whether document was deleted
 	 * @throws {DatabaseError} Database error
 	 */
-	async delete(id) {
+	async delete(id, options = {}) {
 		this._checkConnectionStatus();
 
 		try {
-			const result = await this.model.findByIdAndDelete(id);
+			const result = await this.model.findByIdAndDelete(id, { session: options.session });
 			const success = !!result;
 
 			if (success) {
@@ -338,6 +355,12 @@ class BaseRepository {
 		} catch (error) {
 			await session.abortTransaction();
 			this.logger.error(`Transaction error in ${this.model.modelName} repository: ${error.message}`);
+
+			// Let operational errors (validation, not found, etc.) reach the caller untouched
+			if (error instanceof AppError) {
+				throw error;
+			}
+
 			throw new DatabaseError(`Transaction error: ${error.message}`);
 		} finally {
 			session.endSession();
@@ -201,6 +201,76 @@ class ClientRepository extends BaseRepository {
 		}
 	}
 
+	/**
+	 * Replace a client's order statistics with freshly counted ones
+	 * @param {string} clientId - Client ID
+	 * @param {Object} stats - Order statistics ({ totalOrders, totalSpent, lastOrderDate })
+	 * @returns {Promise<Client>} Updated client
+	 */
+	async setOrderStats(clientId, { totalOrders, totalSpent, lastOrderDate }) {
+		try {
+			const result = await this.model.findByIdAndUpdate(
+				clientId,
+				{ $set: { totalOrders, totalSpent, lastOrderDate, updatedAt: new Date() } },
+				{ new: true }
+			).lean();
+
+			if (!result) {
+				throw new Error('Client not found');
+			}
+
+			return this._toModel(result);
+		} catch (error) {
+			throw new DatabaseError(`Error setting client order stats: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Add to a client's store credit
+	 * @param {string} clientId - Client ID
+	 * @param {number} amount - Credit to add
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Client>} Updated client
+	 */
+	async addStoreCredit(clientId, amount, options = {}) {
+		try {
+			const result = await this.model.findByIdAndUpdate(
+				clientId,
+				{ $inc: { storeCredit: amount }, $set: { updatedAt: new Date() } },
+				{ new: true, session: options.session }
+			).lean();
+
+			if (!result) {
+				throw new Error('Client not found');
+			}
+
+			return this._toModel(result);
+		} catch (error) {
+			throw new DatabaseError(`Error adding store credit: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Spend part of a client's store credit, only if they have enough of it
+	 * @param {string} clientId - Client ID
+	 * @param {number} amount - Credit to spend
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Client|null>} Updated client, or null if the client does not hold that much credit
+	 */
+	async useStoreCredit(clientId, amount, options = {}) {
+		try {
+			const result = await this.model.findOneAndUpdate(
+				{ _id: clientId, storeCredit: { $gte: amount } },
+				{ $inc: { storeCredit: -amount }, $set: { updatedAt: new Date() } },
+				{ new: true, session: options.session }
+			).lean();
+
+			return result ? this._toModel(result) : null;
+		} catch (error) {
+			throw new DatabaseError(`Error using store credit: ${error.message}`);
+		}
+	}
+
 	/**
 	 * Update client order statistics
 	 * @param {string} clientId - Client ID
@@ -254,6 +324,7 @@ class ClientRepository extends BaseRepository {
 			lastOrderDate: dbObject.lastOrderDate,
 			totalOrders: dbObject.totalOrders || 0,
 			totalSpent: dbObject.totalSpent || 0,
+			storeCredit: dbObject.storeCredit || 0,
 			createdAt: dbObject.createdAt,
 			updatedAt: dbObject.updatedAt
 		});
@@ -0,0 +1,42 @@
+// src/data/repositories/credit-note.repository.js
+
+const BaseRepository = require('./base.repository');
+const CreditNoteSchema = require('../schemas/credit-note.schema');
+
+/**
+ * @class CreditNoteRepository
+ * @extends BaseRepository
+ * @description Repository for credit notes issued against invoices
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class CreditNoteRepository extends BaseRepository {
+	/**
+	 * Initialize credit note repository
+	 */
+	constructor() {
+		super(CreditNoteSchema);
+	}
+
+	/**
+	 * Generate the next credit note number for the current month (CN-YY-MM-0001)
+	 * @returns {Promise<string>} Credit note number
+	 */
+	async generateCreditNoteNumber() {
+		const date = new Date();
+		const year = date.getFullYear().toString().slice(-2);
+		const month = (date.getMonth() + 1).toString().padStart(2, '0');
+		const prefix = `CN-${year}-${month}-`;
+
+		const latest = await this.find(
+			{ creditNoteNumber: { $regex: `^${prefix}` } },
+			{ sort: { creditNoteNumber: -1 }, limit: 1, select: 'creditNoteNumber' }
+		);
+
+		const lastSequence = latest.length ? parseInt(latest[0].creditNoteNumber.slice(prefix.length), 10) || 0 : 0;
+
+		return `${prefix}${(lastSequence + 1).toString().padStart(4, '0')}`;
+	}
+}
+
+module.exports = new CreditNoteRepository();
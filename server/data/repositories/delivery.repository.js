@@ -16,19 +16,14 @@ class DeliveryRepository extends BaseRepository {
 	}
 
 	/**
-	 * Find deliveries by order ID
+	 * Find deliveries by order ID, oldest first (an order split into shipments has one per shipment)
 	 * @param {string} orderId - Order ID
+	 * @param {Object} options - Query options (session)
 	 * @returns {Promise<Array>} List of deliveries
 	 */
-	async findByOrderId(orderId) {
+	async findByOrderId(orderId, options = {}) {
 		try {
-			const db = await mongodb.getDb();
-			const collection = db.collection(this.collectionName);
-
-			const query = { orderId };
-			const deliveries = await collection.find(query).toArray();
-
-			return deliveries.map(delivery => this._toModel(delivery));
+			return await this.find({ orderId }, { sort: { createdAt: 1 }, session: options.session });
 		} catch (error) {
 			throw new DatabaseError(`Error finding deliveries by order ID: ${error.message}`);
 		}
@@ -0,0 +1,118 @@
+// src/data/repositories/location.repository.js
+
+const BaseRepository = require('./base.repository');
+const LocationSchema = require('../schemas/location.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class LocationRepository
+ * @extends BaseRepository
+ * @description Repository for stock locations
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class LocationRepository extends BaseRepository {
+	/**
+	 * Initialize location repository
+	 */
+	constructor() {
+		super(LocationSchema);
+	}
+
+	/**
+	 * Find location by code
+	 * @param {string} code - Location code
+	 * @returns {Promise<Object|null>} Location or null if not found
+	 */
+	async findByCode(code) {
+		return this.findOne({ code: code.toUpperCase() });
+	}
+
+	/**
+	 * Get active locations in fulfilment order
+	 * @param {Object} options - Query options (session)
+	 * @returns {Promise<Array<Object>>} Active locations, lowest fulfilment priority first
+	 */
+	async getActiveLocations(options = {}) {
+		return this.find({ isActive: true }, {
+			session: options.session,
+			sort: { fulfilmentPriority: 1, createdAt: 1 }
+		});
+	}
+
+	/**
+	 * Get locations with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, type, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated locations
+	 * @throws {DatabaseError} Database error
+	 */
+	async getLocations(options = {}) {
+		try {
+			const { page = 1, limit = 50, search, type, isActive } = options;
+
+			const filter = {};
+
+			if (type) {
+				filter.type = type;
+			}
+
+			if (isActive !== undefined) {
+				filter.isActive = isActive === true || isActive === 'true';
+			}
+
+			if (search) {
+				filter.$or = [
+					{ name: { $regex: search, $options: 'i' } },
+					{ code: { $regex: search, $options: 'i' } }
+				];
+			}
+
+			const [locations, total] = await Promise.all([
+				this.find(filter, {
+					sort: { fulfilmentPriority: 1, name: 1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10)
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: locations,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching locations: ${error.message}`);
+			throw new DatabaseError(`Error fetching locations: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Make one location the default, clearing the flag on every other
+	 * @param {string} locationId - Location ID
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<void>}
+	 * @throws {DatabaseError} Database error
+	 */
+	async setDefault(locationId, options = {}) {
+		try {
+			await this.model.updateMany(
+				{ _id: { $ne: locationId }, isDefault: true },
+				{ $set: { isDefault: false } },
+				{ session: options.session }
+			);
+			await this.model.updateOne({ _id: locationId }, { $set: { isDefault: true } }, { session: options.session });
+		} catch (error) {
+			this.logger.error(`Error setting default location ${locationId}: ${error.message}`);
+			throw new DatabaseError(`Error setting default location: ${error.message}`);
+		}
+	}
+}
+
+module.exports = new LocationRepository();
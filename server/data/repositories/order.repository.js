@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const BaseRepository = require('./base.repository');
 const orderSchema = require('../schemas/order.schema');
 const Order = require('../../domain/models/order.model');
@@ -738,6 +739,137 @@ class OrderRepository extends BaseRepository {
 			throw new DatabaseError(`Error fetching orders with pending delivery fee: ${error.message}`);
 		}
 	}
+
+	/**
+	 * Add a return to an order's items and totals, unless those items were returned in the meantime
+	 * @param {string} orderId - Order ID
+	 * @param {Object} returned - Return ({ items: [{ itemId, quantity, maxReturnedBefore }], creditedAmount, refundedAmount }),
+	 * where maxReturnedBefore is the most of an item that may already be returned for this one to fit
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Updated order, or null if an item no longer has room for the return
+	 * @throws {DatabaseError} Database error
+	 */
+	async recordReturn(orderId, returned, options = {}) {
+		try {
+			const increments = { creditedAmount: returned.creditedAmount, refundedAmount: returned.refundedAmount };
+			const arrayFilters = [];
+
+			returned.items.forEach((item, index) => {
+				increments[`items.$[item${index}].returnedQuantity`] = item.quantity;
+				arrayFilters.push({ [`item${index}._id`]: item.itemId });
+			});
+
+			const result = await this.model.findOneAndUpdate(
+				{
+					_id: orderId,
+					// Older items have no returnedQuantity, which $not still matches; allow for rounding noise
+					$and: returned.items.map(item => ({
+						items: { $elemMatch: { _id: item.itemId, returnedQuantity: { $not: { $gt: item.maxReturnedBefore + 1e-6 } } } }
+					}))
+				},
+				{ $inc: increments },
+				{ new: true, runValidators: true, arrayFilters, session: options.session }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error recording return on order ${orderId}: ${error.message}`);
+			throw new DatabaseError(`Error recording return: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Work out what a client has spent: their orders that were not cancelled, less credit notes for returns
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<Object>} Spend ({ totalOrders, totalSpent, lastOrderDate })
+	 * @throws {DatabaseError} Database error
+	 */
+	async getClientSpend(clientId) {
+		try {
+			const [spend] = await this.aggregate([
+				{ $match: { clientId: new mongoose.Types.ObjectId(clientId), status: { $ne: 'cancelled' } } },
+				{
+					$group: {
+						_id: null,
+						totalOrders: { $sum: 1 },
+						// Orders still waiting on a delivery fee have no numeric total yet
+						totalSpent: {
+							$sum: {
+								$subtract: [
+									{ $cond: [{ $isNumber: '$totalAmount' }, '$totalAmount', 0] },
+									{ $ifNull: ['$creditedAmount', 0] }
+								]
+							}
+						},
+						lastOrderDate: { $max: '$createdAt' }
+					}
+				}
+			]);
+
+			return {
+				totalOrders: spend?.totalOrders || 0,
+				totalSpent: Math.round((spend?.totalSpent || 0) * 100) / 100,
+				lastOrderDate: spend?.lastOrderDate || null
+			};
+		} catch (error) {
+			this.logger.error(`Error working out client spend: ${error.message}`);
+			throw new DatabaseError(`Error working out client spend: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Count how often each pair of products was bought in the same order
+	 * @param {Object} options - Options (since, excludeStatuses)
+	 * @returns {Promise<Array<Object>>} Pairs ({ productId, relatedProductId, orderCount }), both ways round
+	 * @throws {DatabaseError} Database error
+	 */
+	async getCoPurchaseCounts(options = {}) {
+		try {
+			const { since, excludeStatuses = ['cancelled'] } = options;
+
+			const matchStage = { status: { $nin: excludeStatuses } };
+			if (since) {
+				matchStage.createdAt = { $gte: new Date(since) };
+			}
+
+			return await this.aggregate([
+				{ $match: matchStage },
+				// One entry per product per order, however many lines it has
+				{ $project: { productIds: { $setUnion: ['$items.productId', []] } } },
+				{ $match: { 'productIds.1': { $exists: true } } },
+				{
+					$project: {
+						pairs: {
+							$map: {
+								input: '$productIds',
+								as: 'productId',
+								in: { productId: '$$productId', others: { $setDifference: ['$productIds', ['$$productId']] } }
+							}
+						}
+					}
+				},
+				{ $unwind: '$pairs' },
+				{ $unwind: '$pairs.others' },
+				{
+					$group: {
+						_id: { productId: '$pairs.productId', relatedProductId: '$pairs.others' },
+						orderCount: { $sum: 1 }
+					}
+				},
+				{
+					$project: {
+						_id: 0,
+						productId: '$_id.productId',
+						relatedProductId: '$_id.relatedProductId',
+						orderCount: 1
+					}
+				}
+			]);
+		} catch (error) {
+			this.logger.error(`Error counting co-purchased products: ${error.message}`);
+			throw new DatabaseError(`Error counting co-purchased products: ${error.message}`);
+		}
+	}
 }
 
 module.exports = new OrderRepository();
\ No newline at end of file
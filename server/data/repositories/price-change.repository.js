@@ -0,0 +1,179 @@
+// src/data/repositories/price-change.repository.js
+
+const mongoose = require('mongoose');
+const BaseRepository = require('./base.repository');
+const PriceChangeSchema = require('../schemas/price-change.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class PriceChangeRepository
+ * @extends BaseRepository
+ * @description Repository for price history and scheduled price changes
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceChangeRepository extends BaseRepository {
+	/**
+	 * Initialize price change repository
+	 */
+	constructor() {
+		super(PriceChangeSchema);
+	}
+
+	/**
+	 * Get price changes with filtering and pagination
+	 * @param {Object} options - Filters and pagination (productId, variantId, status, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated price changes, latest effective date first for history
+	 * and soonest first for scheduled changes
+	 * @throws {DatabaseError} Database error
+	 */
+	async getPriceChanges(options = {}) {
+		try {
+			const { page = 1, limit = 20, productId, variantId, status = 'applied', fromDate, toDate } = options;
+
+			const filter = { status: { $in: Array.isArray(status) ? status : status.split(',') } };
+
+			if (productId) {
+				filter.productId = productId;
+			}
+
+			// An explicit null asks for the product's own price, leaving out its variants
+			if (variantId !== undefined) {
+				filter.variantId = variantId || null;
+			}
+
+			if (fromDate || toDate) {
+				filter.effectiveFrom = {};
+
+				if (fromDate) {
+					filter.effectiveFrom.$gte = new Date(fromDate);
+				}
+
+				if (toDate) {
+					filter.effectiveFrom.$lte = new Date(toDate);
+				}
+			}
+
+			const [changes, total] = await Promise.all([
+				this.find(filter, {
+					sort: { effectiveFrom: filter.status.$in.includes('scheduled') ? 1 : -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: [
+						{ path: 'productId', select: 'name sku pricingUnit' },
+						{ path: 'changedBy', select: 'name email' }
+					]
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: changes,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching price changes: ${error.message}`);
+			throw new DatabaseError(`Error fetching price changes: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get scheduled changes that are due
+	 * @param {Date} now - Current time
+	 * @returns {Promise<Array<Object>>} Due changes, earliest first
+	 */
+	async findDue(now = new Date()) {
+		return this.find(
+			{ status: 'scheduled', effectiveFrom: { $lte: now } },
+			{ sort: { effectiveFrom: 1, createdAt: 1 } }
+		);
+	}
+
+	/**
+	 * Mark a scheduled change applied, unless another run got there first
+	 * @param {string} changeId - Price change ID
+	 * @param {Object} details - Details of the application (previousPrice, appliedAt)
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Applied change, or null if it was no longer scheduled
+	 * @throws {DatabaseError} Database error
+	 */
+	async markApplied(changeId, details, options = {}) {
+		try {
+			const result = await this.model.findOneAndUpdate(
+				{ _id: changeId, status: 'scheduled' },
+				{ $set: { status: 'applied', previousPrice: details.previousPrice, appliedAt: details.appliedAt } },
+				{ new: true, session: options.session }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error applying price change ${changeId}: ${error.message}`);
+			throw new DatabaseError(`Error applying price change: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get the applied changes around a date for several products, to work out the price in force then
+	 * @param {Array<string>} productIds - Product IDs
+	 * @param {Date} date - Date of interest
+	 * @returns {Promise<Array<Object>>} Per product and variant: the last change on or before the date
+	 * (`before`) and the first one after it (`after`)
+	 * @throws {DatabaseError} Database error
+	 */
+	async getChangesAround(productIds, date) {
+		try {
+			const ids = [...new Set(productIds.map(String))].map(id => new mongoose.Types.ObjectId(id));
+
+			const latestPer = (direction, fields) => [
+				{ $sort: { effectiveFrom: direction, createdAt: direction } },
+				{ $group: { _id: { productId: '$productId', variantId: '$variantId' }, ...fields } }
+			];
+
+			const [result] = await this.aggregate([
+				{ $match: { productId: { $in: ids }, status: 'applied' } },
+				{
+					$facet: {
+						before: [
+							{ $match: { effectiveFrom: { $lte: date } } },
+							...latestPer(-1, { price: { $first: '$price' }, effectiveFrom: { $first: '$effectiveFrom' } })
+						],
+						after: [
+							{ $match: { effectiveFrom: { $gt: date } } },
+							...latestPer(1, { previousPrice: { $first: '$previousPrice' }, effectiveFrom: { $first: '$effectiveFrom' } })
+						]
+					}
+				}
+			]);
+
+			const changes = new Map();
+			const entry = id => {
+				const key = `${id.productId}:${id.variantId || ''}`;
+				if (!changes.has(key)) {
+					changes.set(key, { productId: id.productId, variantId: id.variantId || null, before: null, after: null });
+				}
+				return changes.get(key);
+			};
+
+			result.before.forEach(({ _id, ...change }) => {
+				entry(_id).before = change;
+			});
+			result.after.forEach(({ _id, ...change }) => {
+				entry(_id).after = change;
+			});
+
+			return [...changes.values()];
+		} catch (error) {
+			this.logger.error(`Error fetching prices at ${date}: ${error.message}`);
+			throw new DatabaseError(`Error fetching prices at date: ${error.message}`);
+		}
+	}
+}
+
+module.exports = new PriceChangeRepository();
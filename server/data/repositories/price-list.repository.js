@@ -0,0 +1,100 @@
+// src/data/repositories/price-list.repository.js
+
+const BaseRepository = require('./base.repository');
+const PriceListSchema = require('../schemas/price-list.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class PriceListRepository
+ * @extends BaseRepository
+ * @description Repository for customer price lists
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceListRepository extends BaseRepository {
+	/**
+	 * Initialize price list repository
+	 */
+	constructor() {
+		super(PriceListSchema);
+	}
+
+	/**
+	 * Get price lists with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, clientId, clientTag, productId, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated price lists
+	 * @throws {DatabaseError} Database error
+	 */
+	async getPriceLists(options = {}) {
+		try {
+			const { page = 1, limit = 20, search, clientId, clientTag, productId, isActive } = options;
+
+			const filter = {};
+
+			if (isActive !== undefined) {
+				filter.isActive = isActive === true || isActive === 'true';
+			}
+
+			if (clientId) {
+				filter.clientIds = clientId;
+			}
+
+			if (clientTag) {
+				filter.clientTags = clientTag;
+			}
+
+			if (productId) {
+				filter['rules.productId'] = productId;
+			}
+
+			if (search) {
+				filter.name = { $regex: search, $options: 'i' };
+			}
+
+			const [priceLists, total] = await Promise.all([
+				this.find(filter, {
+					sort: { priority: -1, name: 1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10)
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: priceLists,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching price lists: ${error.message}`);
+			throw new DatabaseError(`Error fetching price lists: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get the active price lists assigned to a client, directly or through its tags
+	 * @param {string} clientId - Client ID
+	 * @param {Array<string>} tags - Client tags
+	 * @returns {Promise<Array<Object>>} Price lists, highest priority first
+	 */
+	async findForClient(clientId, tags = []) {
+		const assignment = [{ clientIds: clientId }];
+
+		if (tags.length) {
+			assignment.push({ clientTags: { $in: tags } });
+		}
+
+		return this.find(
+			{ isActive: true, $or: assignment },
+			{ sort: { priority: -1, createdAt: 1 } }
+		);
+	}
+}
+
+module.exports = new PriceListRepository();
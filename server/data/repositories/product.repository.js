@@ -2,6 +2,8 @@
 
 const BaseRepository = require('./base.repository');
 const ProductSchema = require('../schemas/product.schema'); // This should be a Mongoose model, not schema
+const stockMovementRepository = require('./stock-movement.repository');
+const stockLevelRepository = require('./stock-level.repository');
 const { DatabaseError } = require('../../utils/error-handler');
 
 /**
@@ -136,6 +138,41 @@ class ProductRepository extends BaseRepository {
 		}
 	}
 
+	/**
+	 * Get the distinct words used in product names and tags, for typo-tolerant search
+	 * @returns {Promise<Object>} Lowercase names and tags ({ names, tags })
+	 */
+	async getSearchTerms() {
+		try {
+			const [terms] = await this.aggregate([
+				{
+					$group: {
+						_id: null,
+						names: { $addToSet: { $toLower: '$name' } },
+						tags: { $addToSet: '$tags' }
+					}
+				},
+				{
+					$project: {
+						_id: 0,
+						names: 1,
+						tags: {
+							$reduce: {
+								input: '$tags',
+								initialValue: [],
+								in: { $setUnion: ['$$value', { $map: { input: { $ifNull: ['$$this', []] }, as: 'tag', in: { $toLower: '$$tag' } } }] }
+							}
+						}
+					}
+				}
+			]);
+
+			return terms || { names: [], tags: [] };
+		} catch (error) {
+			throw new DatabaseError(`Error getting product search terms: ${error.message}`);
+		}
+	}
+
 	/**
 	 * Find products by IDs
 	 * @param {Array<string>} ids - Product IDs
@@ -154,32 +191,348 @@ class ProductRepository extends BaseRepository {
 	 * Update product stock quantity
 	 * @param {string} id - Product ID
 	 * @param {number} quantity - Quantity change (positive or negative)
+	 * @param {Object} options - Update options (session, variantId, locationId, reason, orderId, userId, note)
 	 * @returns {Promise<Object>} Updated product
 	 */
-	async updateStock(id, quantity) {
+	async updateStock(id, quantity, options = {}) {
 		try {
+			const { filter, path } = this._getStockTarget(id, options.variantId);
+
 			// Use atomic increment operation
 			const updateData = {
-				$inc: { stockQuantity: quantity },
+				$inc: { [`${path}stockQuantity`]: quantity },
 				$set: { updatedAt: new Date() }
 			};
 
-			const result = await this.model.findByIdAndUpdate(
-				id,
+			const result = await this.model.findOneAndUpdate(
+				filter,
 				updateData,
-				{ new: true, runValidators: true }
+				{ new: true, runValidators: true, session: options.session }
 			);
 
 			if (!result) {
-				throw new Error('Product not found');
+				throw new Error(options.variantId ? 'Product variant not found' : 'Product not found');
 			}
 
+			await this.recordStockMovement(result, quantity, options);
+
 			return result.toObject ? result.toObject() : result;
 		} catch (error) {
 			throw new DatabaseError(`Error updating product stock: ${error.message}`);
 		}
 	}
 
+	/**
+	 * Append a stock change to the movement ledger, moving the stock at its locations along with it
+	 * @param {Object} product - Product after the change
+	 * @param {number} delta - Signed change to stock on hand
+	 * @param {Object} options - Movement details (variantId, locationId, reason, orderId, userId, note) and session
+	 * @returns {Promise<Object|null>} Recorded movement (the last one when the change spans locations), or null when nothing changed
+	 */
+	async recordStockMovement(product, delta, options = {}) {
+		if (!delta) {
+			return null;
+		}
+
+		// Variant movements track the variant's own balance
+		const variant = options.variantId
+			? (product.variants || []).find(v => v._id.toString() === options.variantId.toString())
+			: null;
+
+		const allocations = await stockLevelRepository.applyMovement(product, delta, {
+			variantId: variant ? variant._id : null,
+			locationId: options.locationId,
+			session: options.session
+		});
+
+		// One ledger entry per location touched, each carrying the running total
+		const balanceAfter = variant ? variant.stockQuantity : product.stockQuantity;
+		let balance = Math.round((balanceAfter - delta) * 1e6) / 1e6;
+		let movement = null;
+
+		for (const allocation of allocations) {
+			balance = Math.round((balance + allocation.delta) * 1e6) / 1e6;
+
+			movement = await stockMovementRepository.record({
+				productId: product._id,
+				variantId: variant ? variant._id : null,
+				locationId: allocation.locationId,
+				delta: allocation.delta,
+				reason: options.reason || 'adjustment',
+				balanceAfter: balance,
+				orderId: options.orderId || null,
+				userId: options.userId || null,
+				note: options.note
+			}, { session: options.session });
+		}
+
+		return movement;
+	}
+
+	/**
+	 * Reserve stock for an order, failing if not enough unreserved stock is left
+	 * @param {string} id - Product ID
+	 * @param {number} quantity - Quantity to reserve
+	 * @param {Object} options - Update options (session, variantId)
+	 * @returns {Promise<Object|null>} Updated product, or null if stock is insufficient
+	 */
+	async reserveStock(id, quantity, options = {}) {
+		try {
+			if (options.variantId) {
+				return await this._reserveVariantStock(id, options.variantId, quantity, options);
+			}
+
+			const result = await this.model.findOneAndUpdate(
+				{
+					_id: id,
+					$expr: {
+						$gte: [
+							{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] },
+							quantity
+						]
+					}
+				},
+				{
+					$inc: { reservedQuantity: quantity },
+					$set: { updatedAt: new Date() }
+				},
+				{ new: true, session: options.session }
+			);
+
+			return result ? (result.toObject ? result.toObject() : result) : null;
+		} catch (error) {
+			throw new DatabaseError(`Error reserving product stock: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Reserve stock of a single variant
+	 * @param {string} id - Product ID
+	 * @param {string} variantId - Variant ID
+	 * @param {number} quantity - Quantity to reserve
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Updated product, or null if stock is insufficient
+	 * @private
+	 */
+	async _reserveVariantStock(id, variantId, quantity, options = {}) {
+		// $expr cannot look inside array elements, so compare-and-set against the values just read
+		for (let attempt = 0; attempt < 3; attempt++) {
+			const product = await this.model
+				.findOne({ _id: id, 'variants._id': variantId }, { 'variants.$': 1 })
+				.session(options.session || null)
+				.lean();
+
+			if (!product) {
+				return null;
+			}
+
+			const { stockQuantity = 0, reservedQuantity = 0 } = product.variants[0];
+			if (stockQuantity - reservedQuantity < quantity) {
+				return null;
+			}
+
+			const result = await this.model.findOneAndUpdate(
+				{ _id: id, variants: { $elemMatch: { _id: variantId, stockQuantity, reservedQuantity } } },
+				{
+					$inc: { 'variants.$.reservedQuantity': quantity },
+					$set: { updatedAt: new Date() }
+				},
+				{ new: true, session: options.session }
+			);
+
+			if (result) {
+				return result.toObject ? result.toObject() : result;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Release a previously made reservation without touching stock on hand
+	 * @param {string} id - Product ID
+	 * @param {number} quantity - Quantity to release
+	 * @param {Object} options - Update options (session, variantId)
+	 * @returns {Promise<Object>} Updated product
+	 */
+	async releaseReservedStock(id, quantity, options = {}) {
+		try {
+			const { filter, path } = this._getStockTarget(id, options.variantId, {
+				reservedQuantity: { $gte: quantity }
+			});
+
+			const result = await this.model.findOneAndUpdate(
+				filter,
+				{
+					$inc: { [`${path}reservedQuantity`]: -quantity },
+					$set: { updatedAt: new Date() }
+				},
+				{ new: true, session: options.session }
+			);
+
+			if (!result) {
+				throw new Error('Product not found or reservation already released');
+			}
+
+			return result.toObject ? result.toObject() : result;
+		} catch (error) {
+			throw new DatabaseError(`Error releasing reserved stock: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Turn a reservation into an actual stock deduction
+	 * @param {string} id - Product ID
+	 * @param {number} quantity - Quantity to commit
+	 * @param {Object} options - Update options (session, variantId, locationId, orderId, userId)
+	 * @returns {Promise<Object>} Updated product
+	 */
+	async commitReservedStock(id, quantity, options = {}) {
+		try {
+			const { filter, path } = this._getStockTarget(id, options.variantId, {
+				reservedQuantity: { $gte: quantity },
+				stockQuantity: { $gte: quantity }
+			});
+
+			const result = await this.model.findOneAndUpdate(
+				filter,
+				{
+					$inc: { [`${path}reservedQuantity`]: -quantity, [`${path}stockQuantity`]: -quantity },
+					$set: { updatedAt: new Date() }
+				},
+				{ new: true, session: options.session }
+			);
+
+			if (!result) {
+				throw new Error('Product not found or reservation missing');
+			}
+
+			await this.recordStockMovement(result, -quantity, { ...options, reason: 'sale' });
+
+			return result.toObject ? result.toObject() : result;
+		} catch (error) {
+			throw new DatabaseError(`Error committing reserved stock: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Build the filter and field path for a stock update on a product or one of its variants
+	 * @param {string} id - Product ID
+	 * @param {string} variantId - Variant ID (optional)
+	 * @param {Object} conditions - Extra conditions on the stock fields
+	 * @returns {Object} Query filter and field prefix for the update
+	 * @private
+	 */
+	_getStockTarget(id, variantId, conditions = {}) {
+		if (!variantId) {
+			return { filter: { _id: id, ...conditions }, path: '' };
+		}
+
+		return {
+			filter: { _id: id, variants: { $elemMatch: { _id: variantId, ...conditions } } },
+			path: 'variants.$.'
+		};
+	}
+
+	/**
+	 * Add a variant to a product
+	 * @param {string} id - Product ID
+	 * @param {Object} variantData - Variant data
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Updated product
+	 */
+	async addVariant(id, variantData, options = {}) {
+		try {
+			const result = await this.model.findByIdAndUpdate(
+				id,
+				{
+					$push: { variants: variantData },
+					$set: { updatedAt: new Date() }
+				},
+				{ new: true, runValidators: true, session: options.session }
+			);
+
+			return result ? (result.toObject ? result.toObject() : result) : null;
+		} catch (error) {
+			throw new DatabaseError(`Error adding product variant: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Update fields of a single variant, leaving its stock counters alone
+	 * @param {string} id - Product ID
+	 * @param {string} variantId - Variant ID
+	 * @param {Object} updateData - Fields to update
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Updated product
+	 */
+	async updateVariant(id, variantId, updateData, options = {}) {
+		try {
+			const setData = { updatedAt: new Date() };
+			Object.keys(updateData).forEach(key => {
+				setData[`variants.$.${key}`] = updateData[key];
+			});
+
+			const result = await this.model.findOneAndUpdate(
+				{ _id: id, 'variants._id': variantId },
+				{ $set: setData },
+				{ new: true, runValidators: true, session: options.session }
+			);
+
+			return result ? (result.toObject ? result.toObject() : result) : null;
+		} catch (error) {
+			throw new DatabaseError(`Error updating product variant: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Remove a variant from a product
+	 * @param {string} id - Product ID
+	 * @param {string} variantId - Variant ID
+	 * @returns {Promise<Object|null>} Updated product
+	 */
+	async removeVariant(id, variantId) {
+		try {
+			const result = await this.model.findByIdAndUpdate(
+				id,
+				{
+					$pull: { variants: { _id: variantId } },
+					$set: { updatedAt: new Date() }
+				},
+				{ new: true }
+			);
+
+			return result ? (result.toObject ? result.toObject() : result) : null;
+		} catch (error) {
+			throw new DatabaseError(`Error removing product variant: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Check whether a SKU is already used by a product or any variant
+	 * @param {string} sku - SKU to check
+	 * @param {string} excludeVariantId - Variant allowed to keep the SKU (optional)
+	 * @returns {Promise<boolean>} True if the SKU is taken
+	 */
+	async isSkuTaken(sku, excludeVariantId = null) {
+		try {
+			const [productMatch, variantMatch] = await Promise.all([
+				this.model.exists({ sku }),
+				this.model.exists({
+					variants: {
+						$elemMatch: excludeVariantId
+							? { sku, _id: { $ne: excludeVariantId } }
+							: { sku }
+					}
+				})
+			]);
+
+			return !!(productMatch || variantMatch);
+		} catch (error) {
+			throw new DatabaseError(`Error checking SKU: ${error.message}`);
+		}
+	}
+
 	/**
 	 * Get product stats using aggregation
 	 * @returns {Promise<Object>} Product statistics
@@ -195,9 +548,16 @@ class ProductRepository extends BaseRepository {
 							$sum: { $cond: [{ $eq: ["$isAvailable", true] }, 1, 0] }
 						},
 						lowStockProducts: {
-							$sum: { $cond: [{ $lte: ["$stockQuantity", 10] }, 1, 0] }
+							$sum: {
+								$cond: [
+									{ $lte: [{ $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }] }, 10] },
+									1,
+									0
+								]
+							}
 						},
-						totalStock: { $sum: "$stockQuantity" }
+						totalStock: { $sum: "$stockQuantity" },
+						totalReserved: { $sum: { $ifNull: ["$reservedQuantity", 0] } }
 					}
 				}
 			]);
@@ -206,7 +566,8 @@ class ProductRepository extends BaseRepository {
 				totalProducts: 0,
 				availableProducts: 0,
 				lowStockProducts: 0,
-				totalStock: 0
+				totalStock: 0,
+				totalReserved: 0
 			};
 		} catch (error) {
 			throw new DatabaseError(`Error getting product stats: ${error.message}`);
@@ -0,0 +1,176 @@
+// src/data/repositories/promotion-redemption.repository.js
+
+const mongoose = require('mongoose');
+const BaseRepository = require('./base.repository');
+const PromotionRedemptionSchema = require('../schemas/promotion-redemption.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class PromotionRedemptionRepository
+ * @extends BaseRepository
+ * @description Repository for promotion redemptions
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PromotionRedemptionRepository extends BaseRepository {
+	/**
+	 * Initialize promotion redemption repository
+	 */
+	constructor() {
+		super(PromotionRedemptionSchema);
+	}
+
+	/**
+	 * Count a client's redemptions of a promotion that still stand
+	 * @param {string} promotionId - Promotion ID
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<number>} Number of redemptions
+	 */
+	async countForClient(promotionId, clientId) {
+		return this.count({ promotionId, clientId, status: 'redeemed' });
+	}
+
+	/**
+	 * Get the redemptions of an order that still stand
+	 * @param {string} orderId - Order ID
+	 * @param {Object} options - Query options (session)
+	 * @returns {Promise<Array<Object>>} Redemptions
+	 */
+	async findForOrder(orderId, options = {}) {
+		return this.find({ orderId, status: 'redeemed' }, { session: options.session });
+	}
+
+	/**
+	 * Get redemptions with filtering and pagination
+	 * @param {Object} options - Filters and pagination (promotionId, clientId, status, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated redemptions, latest first
+	 * @throws {DatabaseError} Database error
+	 */
+	async getRedemptions(options = {}) {
+		try {
+			const { page = 1, limit = 20, promotionId, clientId, status, fromDate, toDate } = options;
+
+			const filter = this._buildFilter({ promotionId, clientId, status, fromDate, toDate });
+
+			const [redemptions, total] = await Promise.all([
+				this.find(filter, {
+					sort: { redeemedAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: [
+						{ path: 'promotionId', select: 'name code type' },
+						{ path: 'orderId', select: 'orderNumber status totalAmount' },
+						{ path: 'clientId', select: 'name email phone' }
+					]
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: redemptions,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching promotion redemptions: ${error.message}`);
+			throw new DatabaseError(`Error fetching promotion redemptions: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Sum up redemptions per promotion
+	 * @param {Object} options - Filters (promotionId, fromDate, toDate)
+	 * @returns {Promise<Array<Object>>} Per promotion: redemptions, clients, discount given and order value
+	 * @throws {DatabaseError} Database error
+	 */
+	async getSummary(options = {}) {
+		try {
+			const filter = this._buildFilter({ ...options, status: 'redeemed' });
+			if (filter.promotionId) {
+				filter.promotionId = new mongoose.Types.ObjectId(String(filter.promotionId));
+			}
+
+			return await this.aggregate([
+				{ $match: filter },
+				{
+					$group: {
+						_id: '$promotionId',
+						redemptions: { $sum: 1 },
+						clients: { $addToSet: '$clientId' },
+						totalDiscount: { $sum: '$discountAmount' },
+						totalOrderValue: { $sum: '$orderSubtotal' },
+						freeDeliveries: { $sum: { $cond: ['$freeDelivery', 1, 0] } },
+						firstRedeemedAt: { $min: '$redeemedAt' },
+						lastRedeemedAt: { $max: '$redeemedAt' }
+					}
+				},
+				{ $lookup: { from: 'promotions', localField: '_id', foreignField: '_id', as: 'promotion' } },
+				{ $unwind: { path: '$promotion', preserveNullAndEmptyArrays: true } },
+				{
+					$project: {
+						_id: 0,
+						promotionId: '$_id',
+						name: '$promotion.name',
+						code: '$promotion.code',
+						type: '$promotion.type',
+						redemptions: 1,
+						clients: { $size: '$clients' },
+						totalDiscount: { $round: ['$totalDiscount', 2] },
+						totalOrderValue: { $round: ['$totalOrderValue', 2] },
+						freeDeliveries: 1,
+						firstRedeemedAt: 1,
+						lastRedeemedAt: 1
+					}
+				},
+				{ $sort: { totalDiscount: -1 } }
+			]);
+		} catch (error) {
+			this.logger.error(`Error summarising promotion redemptions: ${error.message}`);
+			throw new DatabaseError(`Error summarising promotion redemptions: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Build a redemption filter
+	 * @param {Object} options - Filters (promotionId, clientId, status, fromDate, toDate)
+	 * @returns {Object} MongoDB filter
+	 * @private
+	 */
+	_buildFilter({ promotionId, clientId, status, fromDate, toDate }) {
+		const filter = {};
+
+		if (promotionId) {
+			filter.promotionId = promotionId;
+		}
+
+		if (clientId) {
+			filter.clientId = clientId;
+		}
+
+		if (status) {
+			filter.status = status;
+		}
+
+		if (fromDate || toDate) {
+			filter.redeemedAt = {};
+
+			if (fromDate) {
+				filter.redeemedAt.$gte = new Date(fromDate);
+			}
+
+			if (toDate) {
+				filter.redeemedAt.$lte = new Date(toDate);
+			}
+		}
+
+		return filter;
+	}
+}
+
+module.exports = new PromotionRedemptionRepository();
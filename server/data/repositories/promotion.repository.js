@@ -0,0 +1,146 @@
+// src/data/repositories/promotion.repository.js
+
+const BaseRepository = require('./base.repository');
+const PromotionSchema = require('../schemas/promotion.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class PromotionRepository
+ * @extends BaseRepository
+ * @description Repository for promotions and coupon codes
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PromotionRepository extends BaseRepository {
+	/**
+	 * Initialize promotion repository
+	 */
+	constructor() {
+		super(PromotionSchema);
+	}
+
+	/**
+	 * Find promotion by coupon code
+	 * @param {string} code - Coupon code
+	 * @returns {Promise<Object|null>} Promotion or null if not found
+	 */
+	async findByCode(code) {
+		return this.findOne({ code: String(code).trim().toUpperCase() });
+	}
+
+	/**
+	 * Get the active promotions without a code that are running at a date
+	 * @param {Date} date - Date of the order
+	 * @returns {Promise<Array<Object>>} Automatic promotions
+	 */
+	async findAutomatic(date = new Date()) {
+		return this.find({
+			isActive: true,
+			code: null,
+			$and: [
+				{ $or: [{ startsAt: null }, { startsAt: { $lte: date } }] },
+				{ $or: [{ endsAt: null }, { endsAt: { $gte: date } }] }
+			]
+		}, { sort: { createdAt: 1 } });
+	}
+
+	/**
+	 * Get promotions with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, type, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated promotions
+	 * @throws {DatabaseError} Database error
+	 */
+	async getPromotions(options = {}) {
+		try {
+			const { page = 1, limit = 20, search, type, isActive } = options;
+
+			const filter = {};
+
+			if (type) {
+				filter.type = type;
+			}
+
+			if (isActive !== undefined) {
+				filter.isActive = isActive === true || isActive === 'true';
+			}
+
+			if (search) {
+				filter.$or = [
+					{ name: { $regex: search, $options: 'i' } },
+					{ code: { $regex: search, $options: 'i' } }
+				];
+			}
+
+			const [promotions, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10)
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: promotions,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching promotions: ${error.message}`);
+			throw new DatabaseError(`Error fetching promotions: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Count a redemption, unless the promotion has reached its usage limit
+	 * @param {string} promotionId - Promotion ID
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Updated promotion, or null if the limit was reached
+	 * @throws {DatabaseError} Database error
+	 */
+	async incrementUsage(promotionId, options = {}) {
+		try {
+			const result = await this.model.findOneAndUpdate(
+				{
+					_id: promotionId,
+					$or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+				},
+				{ $inc: { usageCount: 1 } },
+				{ new: true, session: options.session }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error counting redemption of promotion ${promotionId}: ${error.message}`);
+			throw new DatabaseError(`Error counting promotion redemption: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Give back a redemption of a promotion
+	 * @param {string} promotionId - Promotion ID
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<void>}
+	 * @throws {DatabaseError} Database error
+	 */
+	async decrementUsage(promotionId, options = {}) {
+		try {
+			await this.model.updateOne(
+				{ _id: promotionId, usageCount: { $gt: 0 } },
+				{ $inc: { usageCount: -1 } },
+				{ session: options.session }
+			);
+		} catch (error) {
+			this.logger.error(`Error giving back redemption of promotion ${promotionId}: ${error.message}`);
+			throw new DatabaseError(`Error giving back promotion redemption: ${error.message}`);
+		}
+	}
+}
+
+module.exports = new PromotionRepository();
@@ -0,0 +1,168 @@
+// src/data/repositories/purchase-order.repository.js
+
+const BaseRepository = require('./base.repository');
+const PurchaseOrderSchema = require('../schemas/purchase-order.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class PurchaseOrderRepository
+ * @extends BaseRepository
+ * @description Repository for purchase orders raised with suppliers
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PurchaseOrderRepository extends BaseRepository {
+	/**
+	 * Initialize purchase order repository
+	 */
+	constructor() {
+		super(PurchaseOrderSchema);
+	}
+
+	/**
+	 * Find purchase order by number
+	 * @param {string} poNumber - Purchase order number
+	 * @returns {Promise<Object|null>} Purchase order or null if not found
+	 */
+	async findByPoNumber(poNumber) {
+		return this.findOne({ poNumber });
+	}
+
+	/**
+	 * Get purchase orders with filtering and pagination
+	 * @param {Object} options - Filters and pagination (supplierId, status, productId, search, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated purchase orders
+	 * @throws {DatabaseError} Database error
+	 */
+	async getPurchaseOrders(options = {}) {
+		try {
+			const { page = 1, limit = 20, supplierId, status, productId, search, fromDate, toDate } = options;
+
+			const filter = {};
+
+			if (supplierId) {
+				filter.supplierId = supplierId;
+			}
+
+			if (status) {
+				filter.status = Array.isArray(status) ? { $in: status } : { $in: status.split(',') };
+			}
+
+			if (productId) {
+				filter['items.productId'] = productId;
+			}
+
+			if (search) {
+				filter.$or = [
+					{ poNumber: { $regex: search, $options: 'i' } },
+					{ 'items.name': { $regex: search, $options: 'i' } },
+					{ notes: { $regex: search, $options: 'i' } }
+				];
+			}
+
+			if (fromDate || toDate) {
+				filter.createdAt = {};
+
+				if (fromDate) {
+					filter.createdAt.$gte = new Date(fromDate);
+				}
+
+				if (toDate) {
+					filter.createdAt.$lte = new Date(toDate);
+				}
+			}
+
+			const [purchaseOrders, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: { path: 'supplierId', select: 'name code email' }
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: purchaseOrders,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching purchase orders: ${error.message}`);
+			throw new DatabaseError(`Error fetching purchase orders: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get quantities still to arrive on open purchase orders
+	 * @returns {Promise<Array<Object>>} Outstanding lines ({ productId, variantId, unit, quantity, purchaseOrders })
+	 * @throws {DatabaseError} Database error
+	 */
+	async getOutstandingQuantities() {
+		try {
+			return await this.aggregate([
+				{ $match: { status: { $in: ['draft', 'sent', 'partially_received'] } } },
+				{ $unwind: '$items' },
+				{
+					$project: {
+						poNumber: 1,
+						productId: '$items.productId',
+						variantId: '$items.variantId',
+						unit: '$items.unit',
+						outstanding: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] }
+					}
+				},
+				{ $match: { outstanding: { $gt: 0 } } },
+				{
+					$group: {
+						_id: { productId: '$productId', variantId: '$variantId', unit: '$unit' },
+						quantity: { $sum: '$outstanding' },
+						purchaseOrders: { $addToSet: '$poNumber' }
+					}
+				},
+				{
+					$project: {
+						_id: 0,
+						productId: '$_id.productId',
+						variantId: '$_id.variantId',
+						unit: '$_id.unit',
+						quantity: 1,
+						purchaseOrders: 1
+					}
+				}
+			]);
+		} catch (error) {
+			this.logger.error(`Error fetching outstanding purchase order quantities: ${error.message}`);
+			throw new DatabaseError(`Error fetching outstanding purchase order quantities: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Generate the next purchase order number for the current month
+	 * @returns {Promise<string>} Purchase order number (PO-YY-MM-0001)
+	 */
+	async generatePoNumber() {
+		const date = new Date();
+		const year = date.getFullYear().toString().slice(-2);
+		const month = (date.getMonth() + 1).toString().padStart(2, '0');
+		const prefix = `PO-${year}-${month}-`;
+
+		// Follow the highest number rather than a count so deleted drafts never cause a duplicate
+		const latest = await this.find(
+			{ poNumber: { $regex: `^${prefix}` } },
+			{ sort: { poNumber: -1 }, limit: 1, select: 'poNumber' }
+		);
+
+		const lastSequence = latest.length ? parseInt(latest[0].poNumber.slice(prefix.length), 10) || 0 : 0;
+
+		return `${prefix}${(lastSequence + 1).toString().padStart(4, '0')}`;
+	}
+}
+
+module.exports = new PurchaseOrderRepository();
@@ -0,0 +1,122 @@
+// src/data/repositories/return-request.repository.js
+
+const BaseRepository = require('./base.repository');
+const ReturnRequestSchema = require('../schemas/return-request.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class ReturnRequestRepository
+ * @extends BaseRepository
+ * @description Repository for return requests (RMAs)
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReturnRequestRepository extends BaseRepository {
+	/**
+	 * Initialize return request repository
+	 */
+	constructor() {
+		super(ReturnRequestSchema);
+	}
+
+	/**
+	 * Get return requests with filtering and pagination
+	 * @param {Object} options - Filters and pagination (orderId, clientId, status, page, limit)
+	 * @returns {Promise<Object>} Paginated return requests, latest first
+	 * @throws {DatabaseError} Database error
+	 */
+	async getReturnRequests(options = {}) {
+		try {
+			const { page = 1, limit = 20, orderId, clientId, status } = options;
+
+			const filter = {};
+
+			if (orderId) filter.orderId = orderId;
+			if (clientId) filter.clientId = clientId;
+			if (status) filter.status = status;
+
+			const [returnRequests, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: [
+						{ path: 'orderId', select: 'orderNumber' },
+						{ path: 'clientId', select: 'name' },
+						{ path: 'creditNoteId', select: 'creditNoteNumber totalAmount' }
+					]
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: returnRequests,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching return requests: ${error.message}`);
+			throw new DatabaseError(`Error fetching return requests: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Find the return requests of an order still waiting for a decision
+	 * @param {string} orderId - Order ID
+	 * @returns {Promise<Array>} Open return requests
+	 */
+	async findOpenForOrder(orderId) {
+		return this.find({ orderId, status: 'requested' });
+	}
+
+	/**
+	 * Record the decision on a return request, unless it has already been decided
+	 * @param {string} returnRequestId - Return request ID
+	 * @param {Object} decision - Fields to set (status, reviewedBy, reviewedAt, ...)
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Decided return request, or null if it was no longer requested
+	 * @throws {DatabaseError} Database error
+	 */
+	async decide(returnRequestId, decision, options = {}) {
+		try {
+			const result = await this.model.findOneAndUpdate(
+				{ _id: returnRequestId, status: 'requested' },
+				{ $set: decision },
+				{ new: true, runValidators: true, session: options.session }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error deciding return request ${returnRequestId}: ${error.message}`);
+			throw new DatabaseError(`Error deciding return request: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Generate the next return number for the current month (RMA-YY-MM-0001)
+	 * @returns {Promise<string>} Return number
+	 */
+	async generateReturnNumber() {
+		const date = new Date();
+		const year = date.getFullYear().toString().slice(-2);
+		const month = (date.getMonth() + 1).toString().padStart(2, '0');
+		const prefix = `RMA-${year}-${month}-`;
+
+		const latest = await this.find(
+			{ returnNumber: { $regex: `^${prefix}` } },
+			{ sort: { returnNumber: -1 }, limit: 1, select: 'returnNumber' }
+		);
+
+		const lastSequence = latest.length ? parseInt(latest[0].returnNumber.slice(prefix.length), 10) || 0 : 0;
+
+		return `${prefix}${(lastSequence + 1).toString().padStart(4, '0')}`;
+	}
+}
+
+module.exports = new ReturnRequestRepository();
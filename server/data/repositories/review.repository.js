@@ -0,0 +1,121 @@
+// src/data/repositories/review.repository.js
+
+const mongoose = require('mongoose');
+const BaseRepository = require('./base.repository');
+const ReviewSchema = require('../schemas/review.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class ReviewRepository
+ * @extends BaseRepository
+ * @description Repository for product reviews
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReviewRepository extends BaseRepository {
+	/**
+	 * Initialize review repository
+	 */
+	constructor() {
+		super(ReviewSchema);
+	}
+
+	/**
+	 * Find the review of a product from an order
+	 * @param {string} orderId - Order ID
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Object|null>} Review or null if not found
+	 */
+	async findForOrderProduct(orderId, productId) {
+		return this.findOne({ orderId, productId });
+	}
+
+	/**
+	 * Get reviews with filtering and pagination
+	 * @param {Object} options - Filters and pagination (productId, clientId, orderId, status, minRating, maxRating, page, limit)
+	 * @returns {Promise<Object>} Paginated reviews, latest first
+	 * @throws {DatabaseError} Database error
+	 */
+	async getReviews(options = {}) {
+		try {
+			const { page = 1, limit = 20, productId, clientId, orderId, status, minRating, maxRating } = options;
+
+			const filter = {};
+
+			if (productId) filter.productId = productId;
+			if (clientId) filter.clientId = clientId;
+			if (orderId) filter.orderId = orderId;
+			if (status) filter.status = status;
+
+			if (minRating !== undefined || maxRating !== undefined) {
+				filter.rating = {};
+				if (minRating !== undefined) filter.rating.$gte = parseInt(minRating, 10);
+				if (maxRating !== undefined) filter.rating.$lte = parseInt(maxRating, 10);
+			}
+
+			const [reviews, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: [
+						{ path: 'productId', select: 'name sku images' },
+						{ path: 'clientId', select: 'name' },
+						{ path: 'orderId', select: 'orderNumber' }
+					]
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: reviews,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching reviews: ${error.message}`);
+			throw new DatabaseError(`Error fetching reviews: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get the average rating, count and spread of stars of a product's approved reviews
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Object>} Rating summary ({ average, count, distribution })
+	 * @throws {DatabaseError} Database error
+	 */
+	async getRatingSummary(productId) {
+		try {
+			const stars = await this.aggregate([
+				{ $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+				{ $group: { _id: '$rating', count: { $sum: 1 } } }
+			]);
+
+			const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+			let count = 0;
+			let total = 0;
+
+			stars.forEach(star => {
+				distribution[star._id] = star.count;
+				count += star.count;
+				total += star._id * star.count;
+			});
+
+			return {
+				average: count ? Math.round((total / count) * 10) / 10 : 0,
+				count,
+				distribution
+			};
+		} catch (error) {
+			throw new DatabaseError(`Error getting rating summary: ${error.message}`);
+		}
+	}
+}
+
+module.exports = new ReviewRepository();
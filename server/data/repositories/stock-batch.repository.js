@@ -0,0 +1,247 @@
+// src/data/repositories/stock-batch.repository.js
+
+const mongoose = require('mongoose');
+const BaseRepository = require('./base.repository');
+const StockBatchSchema = require('../schemas/stock-batch.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class StockBatchRepository
+ * @extends BaseRepository
+ * @description Repository for stock batches and their first-expiry-first-out allocation
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockBatchRepository extends BaseRepository {
+	/**
+	 * Initialize stock batch repository
+	 */
+	constructor() {
+		super(StockBatchSchema);
+	}
+
+	/**
+	 * Get unexpired batches with stock left, in the order they should be used
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Query options (variantId, session)
+	 * @returns {Promise<Array<Object>>} Batches, earliest expiry first and undated batches last
+	 * @throws {DatabaseError} Database error
+	 */
+	async getAllocatableBatches(productId, options = {}) {
+		try {
+			const batches = await this.find({
+				productId,
+				variantId: options.variantId || null,
+				status: 'active',
+				quantityRemaining: { $gt: 0 },
+				$or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }]
+			}, { session: options.session });
+
+			// MongoDB sorts missing dates first, so order in memory
+			return batches.sort((a, b) => {
+				const aExpiry = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+				const bExpiry = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+				return aExpiry - bExpiry || new Date(a.receivedAt) - new Date(b.receivedAt);
+			});
+		} catch (error) {
+			this.logger.error(`Error fetching batches for product ${productId}: ${error.message}`);
+			throw new DatabaseError(`Error fetching stock batches: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Take stock out of batches, first expiry first out
+	 * @param {string} productId - Product ID
+	 * @param {number} quantity - Quantity to take, in stock units
+	 * @param {Object} options - Options (variantId, batchId to take from one batch only, session)
+	 * @returns {Promise<Array<Object>>} Allocations ({ batchId, batchNumber, expiryDate, quantity }); any
+	 * quantity beyond the tracked batches comes from untracked stock and is not listed
+	 * @throws {DatabaseError} Database error
+	 */
+	async allocate(productId, quantity, options = {}) {
+		try {
+			const batches = options.batchId
+				? (await this.getAllocatableBatches(productId, options)).filter(b => b._id.toString() === options.batchId.toString())
+				: await this.getAllocatableBatches(productId, options);
+
+			const allocations = [];
+			let remaining = quantity;
+
+			for (const batch of batches) {
+				if (remaining <= 0) break;
+
+				const take = Math.min(batch.quantityRemaining, remaining);
+				const updated = await this.model.findOneAndUpdate(
+					{ _id: batch._id, quantityRemaining: { $gte: take } },
+					{ $inc: { quantityRemaining: -take } },
+					{ new: true, session: options.session }
+				);
+
+				// Another allocation got there first; leave this batch for the next one
+				if (!updated) continue;
+
+				if (updated.quantityRemaining === 0) {
+					await this.model.updateOne({ _id: batch._id }, { status: 'depleted' }, { session: options.session });
+				}
+
+				allocations.push({
+					batchId: batch._id,
+					batchNumber: batch.batchNumber,
+					expiryDate: batch.expiryDate,
+					quantity: take
+				});
+				remaining = Math.round((remaining - take) * 1e6) / 1e6;
+			}
+
+			return allocations;
+		} catch (error) {
+			this.logger.error(`Error allocating batches for product ${productId}: ${error.message}`);
+			throw new DatabaseError(`Error allocating stock batches: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Put stock back into the batches it was allocated from
+	 * @param {Array<Object>} allocations - Allocations ({ batchId, quantity })
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<void>}
+	 * @throws {DatabaseError} Database error
+	 */
+	async restore(allocations, options = {}) {
+		try {
+			for (const allocation of allocations) {
+				// Reactivated even if past expiry, so the next write-off run picks it up
+				await this.model.updateOne(
+					{ _id: allocation.batchId },
+					{ $inc: { quantityRemaining: allocation.quantity }, $set: { status: 'active' } },
+					{ session: options.session }
+				);
+			}
+		} catch (error) {
+			this.logger.error(`Error restoring stock batches: ${error.message}`);
+			throw new DatabaseError(`Error restoring stock batches: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get batches with stock left whose expiry date has passed
+	 * @param {Date} asOf - Reference date (defaults to now)
+	 * @returns {Promise<Array<Object>>} Expired batches
+	 * @throws {DatabaseError} Database error
+	 */
+	async getExpiredBatches(asOf = new Date()) {
+		try {
+			return await this.find({
+				status: 'active',
+				quantityRemaining: { $gt: 0 },
+				expiryDate: { $ne: null, $lte: asOf }
+			}, { sort: { expiryDate: 1 } });
+		} catch (error) {
+			this.logger.error(`Error fetching expired batches: ${error.message}`);
+			throw new DatabaseError(`Error fetching expired batches: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get batches with stock left that expire within a number of days, with their product
+	 * @param {number} days - Days ahead to look
+	 * @param {Object} options - Filters (productId, onlyUnnotified to skip batches already warned about)
+	 * @returns {Promise<Array<Object>>} Batches, soonest expiry first
+	 * @throws {DatabaseError} Database error
+	 */
+	async getExpiringBatches(days, options = {}) {
+		try {
+			const now = new Date();
+			const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+			const match = {
+				status: 'active',
+				quantityRemaining: { $gt: 0 },
+				expiryDate: { $gt: now, $lte: until }
+			};
+
+			if (options.productId) {
+				match.productId = new mongoose.Types.ObjectId(options.productId);
+			}
+
+			if (options.onlyUnnotified) {
+				match.expiryNotifiedAt = null;
+			}
+
+			return await this.aggregate([
+				{ $match: match },
+				{ $sort: { expiryDate: 1 } },
+				{
+					$lookup: {
+						from: 'products',
+						localField: 'productId',
+						foreignField: '_id',
+						as: 'product'
+					}
+				},
+				{ $unwind: '$product' },
+				{
+					$project: {
+						productId: 1,
+						variantId: 1,
+						batchNumber: 1,
+						quantityRemaining: 1,
+						expiryDate: 1,
+						supplierReference: 1,
+						costPrice: 1,
+						productName: '$product.name',
+						stockUnit: '$product.stockUnit',
+						daysUntilExpiry: {
+							$ceil: { $divide: [{ $subtract: ['$expiryDate', now] }, 24 * 60 * 60 * 1000] }
+						},
+						valueAtRisk: {
+							$multiply: ['$quantityRemaining', { $ifNull: ['$costPrice', { $ifNull: ['$product.costPrice', 0] }] }]
+						}
+					}
+				}
+			]);
+		} catch (error) {
+			this.logger.error(`Error fetching expiring batches: ${error.message}`);
+			throw new DatabaseError(`Error fetching expiring batches: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Mark a batch as expired and written off
+	 * @param {string} batchId - Batch ID
+	 * @param {number} quantity - Quantity written off
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object>} Updated batch
+	 */
+	async markExpired(batchId, quantity, options = {}) {
+		try {
+			return await this.model.findByIdAndUpdate(
+				batchId,
+				{
+					$set: { status: 'expired', quantityRemaining: 0 },
+					$inc: { quantityWrittenOff: quantity }
+				},
+				{ new: true, session: options.session }
+			).lean();
+		} catch (error) {
+			this.logger.error(`Error marking batch ${batchId} expired: ${error.message}`);
+			throw new DatabaseError(`Error marking batch expired: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Record that an expiring-soon warning went out for batches
+	 * @param {Array<string>} batchIds - Batch IDs
+	 * @returns {Promise<void>}
+	 */
+	async markExpiryNotified(batchIds) {
+		try {
+			await this.model.updateMany({ _id: { $in: batchIds } }, { $set: { expiryNotifiedAt: new Date() } });
+		} catch (error) {
+			this.logger.error(`Error marking batches notified: ${error.message}`);
+			throw new DatabaseError(`Error marking batches notified: ${error.message}`);
+		}
+	}
+}
+
+module.exports = new StockBatchRepository();
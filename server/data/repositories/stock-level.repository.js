@@ -0,0 +1,322 @@
+// src/data/repositories/stock-level.repository.js
+
+const mongoose = require('mongoose');
+const BaseRepository = require('./base.repository');
+const StockLevelSchema = require('../schemas/stock-level.schema');
+const locationRepository = require('./location.repository');
+const { DatabaseError, ValidationError } = require('../../utils/error-handler');
+
+/**
+ * @class StockLevelRepository
+ * @extends BaseRepository
+ * @description Repository for stock held at each location
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockLevelRepository extends BaseRepository {
+	/**
+	 * Initialize stock level repository
+	 */
+	constructor() {
+		super(StockLevelSchema);
+	}
+
+	/**
+	 * Spread a change to a product's total stock over its locations. Stock arriving goes to the
+	 * given location (or the default one); stock leaving comes from the given location, or from
+	 * each location in fulfilment order.
+	 * @param {Object} product - Product after the change to its total stock
+	 * @param {number} delta - Signed change to total stock
+	 * @param {Object} options - Options (variantId, locationId, session)
+	 * @returns {Promise<Array<Object>>} Allocations ({ locationId, delta, quantityAfter }); a single
+	 * allocation with no location when no locations are set up
+	 * @throws {ValidationError} Not enough stock at the given location
+	 */
+	async applyMovement(product, delta, options = {}) {
+		const { session } = options;
+		const locations = await locationRepository.getActiveLocations({ session });
+
+		if (!locations.length) {
+			return [{ locationId: null, delta, quantityAfter: null }];
+		}
+
+		const variantId = options.variantId || null;
+		const holder = variantId
+			? (product.variants || []).find(v => v._id.toString() === variantId.toString())
+			: product;
+
+		const levels = await this.find({ productId: product._id, variantId }, { session });
+		const quantities = new Map(levels.map(level => [level.locationId.toString(), level.quantity]));
+		const defaultLocation = locations.find(location => location.isDefault) || locations[0];
+
+		// Stock from before locations existed, or rebuilt from the ledger, sits at the default location
+		const totalBefore = this._round(((holder && holder.stockQuantity) || 0) - delta);
+		const assigned = [...quantities.values()].reduce((sum, quantity) => sum + quantity, 0);
+		const unassigned = this._round(totalBefore - assigned);
+
+		if (unassigned > 0) {
+			await this.increment(product._id, variantId, defaultLocation._id, unassigned, { session });
+			quantities.set(defaultLocation._id.toString(), this._round((quantities.get(defaultLocation._id.toString()) || 0) + unassigned));
+		} else if (unassigned < 0) {
+			await this._drain(product._id, variantId, -unassigned, locations, quantities, session);
+		}
+
+		if (delta > 0) {
+			const locationId = options.locationId || defaultLocation._id;
+			const level = await this.increment(product._id, variantId, locationId, delta, { session });
+			return [{ locationId: level.locationId, delta, quantityAfter: level.quantity }];
+		}
+
+		if (options.locationId) {
+			const available = quantities.get(options.locationId.toString()) || 0;
+			const level = available >= -delta
+				? await this.increment(product._id, variantId, options.locationId, delta, { session })
+				: null;
+
+			if (!level) {
+				const location = locations.find(l => l._id.toString() === options.locationId.toString());
+				throw new ValidationError(
+					`Insufficient stock at ${location ? location.name : `location ${options.locationId}`}: ${available} available, ${-delta} requested`
+				);
+			}
+
+			return [{ locationId: level.locationId, delta, quantityAfter: level.quantity }];
+		}
+
+		return this._drain(product._id, variantId, -delta, locations, quantities, session);
+	}
+
+	/**
+	 * Put stock not yet held at any location (the product's and each variant's) at a location
+	 * @param {Object} product - Product with its variants
+	 * @param {string} locationId - Location ID
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<number>} Number of levels created or topped up
+	 */
+	async assignUnlocatedStock(product, locationId, options = {}) {
+		const levels = await this.find({ productId: product._id }, { session: options.session });
+		const holders = [{ variantId: null, stockQuantity: product.stockQuantity }]
+			.concat((product.variants || []).map(v => ({ variantId: v._id, stockQuantity: v.stockQuantity })));
+
+		let assigned = 0;
+
+		for (const holder of holders) {
+			const located = levels
+				.filter(level => (level.variantId ? level.variantId.toString() : null) === (holder.variantId ? holder.variantId.toString() : null))
+				.reduce((sum, level) => sum + level.quantity, 0);
+			const unlocated = this._round((holder.stockQuantity || 0) - located);
+
+			if (unlocated > 0) {
+				await this.increment(product._id, holder.variantId, locationId, unlocated, options);
+				assigned++;
+			}
+		}
+
+		return assigned;
+	}
+
+	/**
+	 * Add to (or take from) the stock at one location
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (null for the product itself)
+	 * @param {string} locationId - Location ID
+	 * @param {number} delta - Signed change
+	 * @param {Object} options - Update options (session)
+	 * @returns {Promise<Object|null>} Updated level, or null if the location holds too little
+	 * @throws {DatabaseError} Database error
+	 */
+	async increment(productId, variantId, locationId, delta, options = {}) {
+		try {
+			const filter = { productId, variantId: variantId || null, locationId };
+
+			if (delta < 0) {
+				filter.quantity = { $gte: -delta };
+			}
+
+			const result = await this.model.findOneAndUpdate(
+				filter,
+				{ $inc: { quantity: delta } },
+				{ new: true, upsert: delta > 0, setDefaultsOnInsert: true, session: options.session }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error updating stock level of product ${productId}: ${error.message}`);
+			throw new DatabaseError(`Error updating stock level: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get a product's stock at every location
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Array<Object>>} Levels with their location
+	 */
+	async getProductLevels(productId) {
+		return this.find({ productId }, {
+			sort: { variantId: 1, quantity: -1 },
+			populate: { path: 'locationId', select: 'name code type isDefault isActive' }
+		});
+	}
+
+	/**
+	 * Get the stock held at a location
+	 * @param {string} locationId - Location ID
+	 * @param {Object} options - Filters and pagination (inStockOnly, page, limit)
+	 * @returns {Promise<Object>} Paginated levels with their product
+	 * @throws {DatabaseError} Database error
+	 */
+	async getLocationStock(locationId, options = {}) {
+		try {
+			const { page = 1, limit = 50, inStockOnly } = options;
+
+			const filter = { locationId };
+
+			if (inStockOnly === true || inStockOnly === 'true') {
+				filter.quantity = { $gt: 0 };
+			}
+
+			const [levels, total] = await Promise.all([
+				this.find(filter, {
+					sort: { quantity: 1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: { path: 'productId', select: 'name sku stockUnit isAvailable variants._id variants.key variants.name' }
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: levels,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching stock at location ${locationId}: ${error.message}`);
+			throw new DatabaseError(`Error fetching location stock: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Remove every level kept for a location
+	 * @param {string} locationId - Location ID
+	 * @returns {Promise<number>} Number of levels removed
+	 * @throws {DatabaseError} Database error
+	 */
+	async deleteByLocation(locationId) {
+		try {
+			const result = await this.model.deleteMany({ locationId });
+			return result.deletedCount;
+		} catch (error) {
+			this.logger.error(`Error removing stock levels of location ${locationId}: ${error.message}`);
+			throw new DatabaseError(`Error removing stock levels: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get levels at or below their low stock threshold, for available products
+	 * @param {number} threshold - Threshold for levels without their own
+	 * @param {Object} options - Filters (locationId)
+	 * @returns {Promise<Array<Object>>} Low levels with product and location details
+	 * @throws {DatabaseError} Database error
+	 */
+	async getLowStockLevels(threshold, options = {}) {
+		try {
+			const match = {
+				$expr: { $lte: ['$quantity', { $ifNull: ['$lowStockThreshold', threshold] }] }
+			};
+
+			if (options.locationId) {
+				match.locationId = new mongoose.Types.ObjectId(options.locationId);
+			}
+
+			return await this.aggregate([
+				{ $match: match },
+				{ $lookup: { from: 'products', localField: 'productId', foreignField: '_id', as: 'product' } },
+				{ $unwind: '$product' },
+				{ $match: { 'product.isAvailable': true } },
+				{ $lookup: { from: 'locations', localField: 'locationId', foreignField: '_id', as: 'location' } },
+				{ $unwind: '$location' },
+				{ $sort: { quantity: 1 } },
+				{
+					$project: {
+						_id: 0,
+						productId: 1,
+						variantId: 1,
+						locationId: 1,
+						quantity: 1,
+						threshold: { $ifNull: ['$lowStockThreshold', threshold] },
+						name: '$product.name',
+						sku: '$product.sku',
+						stockUnit: '$product.stockUnit',
+						totalStockQuantity: '$product.stockQuantity',
+						location: { name: '$location.name', code: '$location.code' }
+					}
+				}
+			]);
+		} catch (error) {
+			this.logger.error(`Error fetching low stock levels: ${error.message}`);
+			throw new DatabaseError(`Error fetching low stock levels: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Take stock from locations in fulfilment order, then from any inactive location still holding some
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID
+	 * @param {number} quantity - Quantity to take
+	 * @param {Array<Object>} locations - Active locations in fulfilment order
+	 * @param {Map} quantities - Current quantity per location ID, kept up to date
+	 * @param {Object} session - Transaction session
+	 * @returns {Promise<Array<Object>>} Allocations ({ locationId, delta, quantityAfter }), ending with
+	 * one without a location for any quantity the locations could not cover
+	 * @private
+	 */
+	async _drain(productId, variantId, quantity, locations, quantities, session) {
+		const order = [
+			...locations.map(location => location._id.toString()),
+			...[...quantities.keys()].filter(id => !locations.some(location => location._id.toString() === id))
+		];
+
+		const allocations = [];
+		let remaining = quantity;
+
+		for (const locationId of order) {
+			if (remaining <= 0) break;
+
+			const take = Math.min(quantities.get(locationId) || 0, remaining);
+			if (take <= 0) continue;
+
+			const level = await this.increment(productId, variantId, locationId, -take, { session });
+			if (!level) continue;
+
+			quantities.set(locationId, level.quantity);
+			allocations.push({ locationId: level.locationId, delta: -take, quantityAfter: level.quantity });
+			remaining = this._round(remaining - take);
+		}
+
+		// Whatever no location could cover still has to reach the ledger
+		if (remaining > 0) {
+			allocations.push({ locationId: null, delta: -remaining, quantityAfter: null });
+		}
+
+		return allocations;
+	}
+
+	/**
+	 * Round away floating point noise
+	 * @param {number} value - Value to round
+	 * @returns {number} Value rounded to 6 decimal places
+	 * @private
+	 */
+	_round(value) {
+		return Math.round(value * 1e6) / 1e6;
+	}
+}
+
+module.exports = new StockLevelRepository();
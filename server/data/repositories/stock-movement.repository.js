@@ -0,0 +1,252 @@
+// src/data/repositories/stock-movement.repository.js
+
+const mongoose = require('mongoose');
+const BaseRepository = require('./base.repository');
+const StockMovementSchema = require('../schemas/stock-movement.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class StockMovementRepository
+ * @extends BaseRepository
+ * @description Repository for the append-only stock movement ledger
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockMovementRepository extends BaseRepository {
+	/**
+	 * Initialize stock movement repository
+	 */
+	constructor() {
+		super(StockMovementSchema);
+	}
+
+	/**
+	 * Append a movement to the ledger
+	 * @param {Object} movement - Movement data (productId, delta, reason, balanceAfter, orderId, userId, note)
+	 * @param {Object} options - Create options (session)
+	 * @returns {Promise<Object>} Recorded movement
+	 */
+	async record(movement, options = {}) {
+		return this.create(movement, options);
+	}
+
+	/**
+	 * Get movements for a product, newest first
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Filters and pagination (variantId, locationId, reason, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated movements
+	 * @throws {DatabaseError} Database error
+	 */
+	async getProductMovements(productId, options = {}) {
+		try {
+			const { page = 1, limit = 20, variantId, locationId, reason, fromDate, toDate } = options;
+
+			const filter = { productId };
+
+			if (variantId) {
+				filter.variantId = variantId;
+			}
+
+			if (locationId) {
+				filter.locationId = locationId;
+			}
+
+			if (reason) {
+				filter.reason = reason;
+			}
+
+			if (fromDate || toDate) {
+				filter.createdAt = {};
+
+				if (fromDate) {
+					filter.createdAt.$gte = new Date(fromDate);
+				}
+
+				if (toDate) {
+					filter.createdAt.$lte = new Date(toDate);
+				}
+			}
+
+			const [movements, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1, _id: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10)
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: movements,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching stock movements for product ${productId}: ${error.message}`);
+			throw new DatabaseError(`Error fetching stock movements: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Sum all movements of a product (or one of its variants) to get the stock the ledger accounts for
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (omit for the product's own stock)
+	 * @returns {Promise<Object>} Ledger balance, movement count and the stock the first movement started from
+	 * (openingStock, 0 when the ledger covers the product's whole history)
+	 * @throws {DatabaseError} Database error
+	 */
+	async getLedgerBalance(productId, variantId = null) {
+		try {
+			const result = await this.aggregate([
+				{
+					$match: {
+						productId: new mongoose.Types.ObjectId(productId),
+						variantId: variantId ? new mongoose.Types.ObjectId(variantId) : null
+					}
+				},
+				{ $sort: { createdAt: 1, _id: 1 } },
+				{
+					$group: {
+						_id: '$productId',
+						balance: { $sum: '$delta' },
+						movementCount: { $sum: 1 },
+						openingStock: { $first: { $subtract: ['$balanceAfter', '$delta'] } },
+						lastMovementAt: { $max: '$createdAt' }
+					}
+				}
+			]);
+
+			return result[0]
+				? {
+					balance: result[0].balance,
+					movementCount: result[0].movementCount,
+					openingStock: Math.round(result[0].openingStock * 1e6) / 1e6,
+					lastMovementAt: result[0].lastMovementAt
+				}
+				: { balance: 0, movementCount: 0, openingStock: 0, lastMovementAt: null };
+		} catch (error) {
+			this.logger.error(`Error computing ledger balance for product ${productId}: ${error.message}`);
+			throw new DatabaseError(`Error computing ledger balance: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Sum net sales per product and variant since a date
+	 * @param {Date} since - Start of the sales window
+	 * @returns {Promise<Array<Object>>} Sales ({ productId, variantId, unitsSold, orderCount, lastSaleAt }), in stock units
+	 * @throws {DatabaseError} Database error
+	 */
+	async getSalesSince(since) {
+		try {
+			return await this.aggregate([
+				{
+					$match: {
+						reason: { $in: ['sale', 'return'] },
+						createdAt: { $gte: since }
+					}
+				},
+				{
+					$group: {
+						_id: { productId: '$productId', variantId: '$variantId' },
+						// Sales are negative movements and returns positive, so the negated sum is net units sold
+						netDelta: { $sum: '$delta' },
+						orders: { $addToSet: '$orderId' },
+						lastSaleAt: { $max: '$createdAt' }
+					}
+				},
+				{
+					$project: {
+						_id: 0,
+						productId: '$_id.productId',
+						variantId: '$_id.variantId',
+						unitsSold: { $max: [0, { $multiply: ['$netDelta', -1] }] },
+						orderCount: { $size: '$orders' },
+						lastSaleAt: 1
+					}
+				}
+			]);
+		} catch (error) {
+			this.logger.error(`Error computing sales since ${since}: ${error.message}`);
+			throw new DatabaseError(`Error computing sales: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get movements made by transfers between locations, newest first
+	 * @param {Object} options - Filters and pagination (transferId, locationId, productId, page, limit)
+	 * @returns {Promise<Object>} Paginated movements, both sides of each transfer
+	 * @throws {DatabaseError} Database error
+	 */
+	async getTransfers(options = {}) {
+		try {
+			const { page = 1, limit = 20, transferId, locationId, productId } = options;
+
+			const filter = { reason: 'transfer' };
+
+			if (transferId) {
+				filter.transferId = transferId;
+			}
+
+			if (productId) {
+				filter.productId = productId;
+			}
+
+			// Both sides of every transfer that touched the location
+			if (locationId) {
+				filter.transferId = { $in: await this.model.distinct('transferId', { reason: 'transfer', locationId }) };
+			}
+
+			const [movements, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1, _id: 1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					populate: [
+						{ path: 'productId', select: 'name sku stockUnit' },
+						{ path: 'locationId', select: 'name code' }
+					]
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: movements,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching stock transfers: ${error.message}`);
+			throw new DatabaseError(`Error fetching stock transfers: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Movements cannot be updated
+	 * @throws {DatabaseError} Always
+	 */
+	async update() {
+		throw new DatabaseError('Stock movements are append-only and cannot be modified');
+	}
+
+	/**
+	 * Movements cannot be deleted
+	 * @throws {DatabaseError} Always
+	 */
+	async delete() {
+		throw new DatabaseError('Stock movements are append-only and cannot be deleted');
+	}
+}
+
+module.exports = new StockMovementRepository();
@@ -0,0 +1,126 @@
+// src/data/repositories/stock-take.repository.js
+
+const BaseRepository = require('./base.repository');
+const StockTakeSchema = require('../schemas/stock-take.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class StockTakeRepository
+ * @extends BaseRepository
+ * @description Repository for stock-take (cycle count) sessions
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockTakeRepository extends BaseRepository {
+	/**
+	 * Initialize stock take repository
+	 */
+	constructor() {
+		super(StockTakeSchema);
+	}
+
+	/**
+	 * Get stock takes with filtering and pagination, without their lines
+	 * @param {Object} options - Filters and pagination (status, categoryId, locationId, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated stock takes
+	 * @throws {DatabaseError} Database error
+	 */
+	async getStockTakes(options = {}) {
+		try {
+			const { page = 1, limit = 20, status, categoryId, locationId, fromDate, toDate } = options;
+
+			const filter = {};
+
+			if (status) {
+				filter.status = { $in: Array.isArray(status) ? status : status.split(',') };
+			}
+
+			if (categoryId) {
+				filter['scope.categoryId'] = categoryId;
+			}
+
+			if (locationId) {
+				filter['scope.locationId'] = locationId;
+			}
+
+			if (fromDate || toDate) {
+				filter.createdAt = {};
+
+				if (fromDate) {
+					filter.createdAt.$gte = new Date(fromDate);
+				}
+
+				if (toDate) {
+					filter.createdAt.$lte = new Date(toDate);
+				}
+			}
+
+			const [stockTakes, total] = await Promise.all([
+				this.find(filter, {
+					sort: { createdAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					select: '-lines.counts'
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: stockTakes,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching stock takes: ${error.message}`);
+			throw new DatabaseError(`Error fetching stock takes: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Find the unfinished stock takes that include any of the given products at the same place:
+	 * the same location, or anywhere when either count is of total stock
+	 * @param {Array<string>} productIds - Product IDs
+	 * @param {string} locationId - Location counted (null for total stock)
+	 * @returns {Promise<Array<Object>>} Open or in-review stock takes
+	 */
+	async findActiveForProducts(productIds, locationId = null) {
+		const filter = { status: { $in: ['open', 'review'] }, 'lines.productId': { $in: productIds } };
+
+		if (locationId) {
+			filter['scope.locationId'] = { $in: [locationId, null] };
+		}
+
+		return this.find(filter, { select: 'reference status' });
+	}
+
+	/**
+	 * Generate the next stock take reference for today
+	 * @returns {Promise<string>} Reference (ST-YYMMDD-01)
+	 */
+	async generateReference() {
+		const date = new Date();
+		const stamp = [
+			date.getFullYear().toString().slice(-2),
+			(date.getMonth() + 1).toString().padStart(2, '0'),
+			date.getDate().toString().padStart(2, '0')
+		].join('');
+		const prefix = `ST-${stamp}-`;
+
+		const latest = await this.find(
+			{ reference: { $regex: `^${prefix}` } },
+			{ sort: { reference: -1 }, limit: 1, select: 'reference' }
+		);
+
+		const lastSequence = latest.length ? parseInt(latest[0].reference.slice(prefix.length), 10) || 0 : 0;
+
+		return `${prefix}${(lastSequence + 1).toString().padStart(2, '0')}`;
+	}
+}
+
+module.exports = new StockTakeRepository();
@@ -0,0 +1,174 @@
+// src/data/repositories/subscription.repository.js
+
+const BaseRepository = require('./base.repository');
+const SubscriptionSchema = require('../schemas/subscription.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class SubscriptionRepository
+ * @extends BaseRepository
+ * @description Repository for recurring subscription orders
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SubscriptionRepository extends BaseRepository {
+	/**
+	 * Initialize subscription repository
+	 */
+	constructor() {
+		super(SubscriptionSchema);
+	}
+
+	/**
+	 * Get subscriptions with filtering and pagination
+	 * @param {Object} options - Filters and pagination (clientId, status, frequency, page, limit)
+	 * @returns {Promise<Object>} Paginated subscriptions, next delivery first
+	 * @throws {DatabaseError} Database error
+	 */
+	async getSubscriptions(options = {}) {
+		try {
+			const { page = 1, limit = 20, clientId, status, frequency } = options;
+
+			const filter = {};
+
+			if (clientId) filter.clientId = clientId;
+			if (status) filter.status = status;
+			if (frequency) filter['schedule.frequency'] = frequency;
+
+			const [subscriptions, total] = await Promise.all([
+				this.find(filter, {
+					sort: { nextDeliveryDate: 1, createdAt: -1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10),
+					select: '-history',
+					populate: [{ path: 'clientId', select: 'name email phone' }]
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: subscriptions,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching subscriptions: ${error.message}`);
+			throw new DatabaseError(`Error fetching subscriptions: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get active subscriptions whose next delivery is due an order
+	 * @param {Date} until - Latest delivery date to place orders for
+	 * @returns {Promise<Array<Object>>} Due subscriptions, earliest delivery first
+	 */
+	async findDue(until) {
+		return this.find(
+			{ status: 'active', nextDeliveryDate: { $lte: until } },
+			{ sort: { nextDeliveryDate: 1 } }
+		);
+	}
+
+	/**
+	 * Get paused subscriptions whose deliveries start again by a date
+	 * @param {Date} until - Latest restart date
+	 * @returns {Promise<Array<Object>>} Subscriptions to resume
+	 */
+	async findResumable(until) {
+		return this.find({ status: 'paused', pausedUntil: { $lte: until } });
+	}
+
+	/**
+	 * Get the subscriptions still delivering, for the upcoming orders view
+	 * @param {Object} filter - Extra filters (clientId)
+	 * @returns {Promise<Array<Object>>} Active and paused subscriptions with their client
+	 */
+	async findScheduled(filter = {}) {
+		return this.find(
+			{ ...filter, status: { $in: ['active', 'paused'] } },
+			{ populate: [{ path: 'clientId', select: 'name email phone' }] }
+		);
+	}
+
+	/**
+	 * Move a subscription past a delivery, unless another run got there first
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Date} deliveryDate - Delivery being placed
+	 * @param {Date} nextDeliveryDate - Delivery after it
+	 * @returns {Promise<Object|null>} Updated subscription, or null if the delivery was already taken
+	 * @throws {DatabaseError} Database error
+	 */
+	async claimDelivery(subscriptionId, deliveryDate, nextDeliveryDate) {
+		try {
+			const result = await this.model.findOneAndUpdate(
+				{ _id: subscriptionId, status: 'active', nextDeliveryDate: deliveryDate },
+				{ $set: { nextDeliveryDate } },
+				{ new: true }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error claiming delivery of subscription ${subscriptionId}: ${error.message}`);
+			throw new DatabaseError(`Error claiming subscription delivery: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Update a delivery in a subscription's history, unless it has already moved on from a status
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Date} deliveryDate - Delivery date
+	 * @param {string} status - Status the delivery must still be in
+	 * @param {Object} changes - Delivery fields to set (status, orderId, reason, ...)
+	 * @param {Object} update - Other subscription fields to set
+	 * @returns {Promise<Object|null>} Updated subscription, or null if the delivery was not in the status
+	 * @throws {DatabaseError} Database error
+	 */
+	async updateDelivery(subscriptionId, deliveryDate, status, changes, update = {}) {
+		try {
+			const $set = { ...update };
+			Object.entries(changes).forEach(([field, value]) => {
+				$set[`history.$.${field}`] = value;
+			});
+
+			const result = await this.model.findOneAndUpdate(
+				{ _id: subscriptionId, history: { $elemMatch: { deliveryDate, status } } },
+				{ $set },
+				{ new: true }
+			);
+
+			return result ? result.toObject() : null;
+		} catch (error) {
+			this.logger.error(`Error updating delivery of subscription ${subscriptionId}: ${error.message}`);
+			throw new DatabaseError(`Error updating subscription delivery: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Generate the next subscription number for the current month (SUB-YY-MM-0001)
+	 * @returns {Promise<string>} Subscription number
+	 * @throws {DatabaseError} Database error
+	 */
+	async generateSubscriptionNumber() {
+		const date = new Date();
+		const year = date.getFullYear().toString().slice(-2);
+		const month = (date.getMonth() + 1).toString().padStart(2, '0');
+		const prefix = `SUB-${year}-${month}-`;
+
+		const latest = await this.find(
+			{ subscriptionNumber: { $regex: `^${prefix}` } },
+			{ sort: { subscriptionNumber: -1 }, limit: 1, select: 'subscriptionNumber' }
+		);
+
+		const lastSequence = latest.length ? parseInt(latest[0].subscriptionNumber.slice(prefix.length), 10) || 0 : 0;
+
+		return `${prefix}${(lastSequence + 1).toString().padStart(4, '0')}`;
+	}
+}
+
+module.exports = new SubscriptionRepository();
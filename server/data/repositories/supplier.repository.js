@@ -0,0 +1,134 @@
+// src/data/repositories/supplier.repository.js
+
+const BaseRepository = require('./base.repository');
+const SupplierSchema = require('../schemas/supplier.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class SupplierRepository
+ * @extends BaseRepository
+ * @description Repository for suppliers and their price lists
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SupplierRepository extends BaseRepository {
+	/**
+	 * Initialize supplier repository
+	 */
+	constructor() {
+		super(SupplierSchema);
+	}
+
+	/**
+	 * Find supplier by code
+	 * @param {string} code - Supplier code
+	 * @returns {Promise<Object|null>} Supplier or null if not found
+	 */
+	async findByCode(code) {
+		if (!code) return null;
+		return this.findOne({ code: code.toUpperCase() });
+	}
+
+	/**
+	 * Get suppliers with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, isActive, productId, page, limit)
+	 * @returns {Promise<Object>} Paginated suppliers
+	 * @throws {DatabaseError} Database error
+	 */
+	async getSuppliers(options = {}) {
+		try {
+			const { page = 1, limit = 20, search, isActive, productId } = options;
+
+			const filter = {};
+
+			if (isActive !== undefined) {
+				filter.isActive = isActive === true || isActive === 'true';
+			}
+
+			if (productId) {
+				filter['priceList.productId'] = productId;
+			}
+
+			if (search) {
+				filter.$or = [
+					{ name: { $regex: search, $options: 'i' } },
+					{ code: { $regex: search, $options: 'i' } },
+					{ email: { $regex: search, $options: 'i' } },
+					{ 'contacts.name': { $regex: search, $options: 'i' } }
+				];
+			}
+
+			const [suppliers, total] = await Promise.all([
+				this.find(filter, {
+					sort: { name: 1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10)
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: suppliers,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching suppliers: ${error.message}`);
+			throw new DatabaseError(`Error fetching suppliers: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Get active suppliers that list a product on their price list
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Array<Object>>} Suppliers
+	 */
+	async findSuppliersForProduct(productId) {
+		return this.find({ isActive: true, 'priceList.productId': productId });
+	}
+
+	/**
+	 * Add a price list entry, or replace the entry for the same product and variant
+	 * @param {string} id - Supplier ID
+	 * @param {Object} entry - Price list entry (productId, variantId, supplierSku, unitCost, unit, ...)
+	 * @returns {Promise<Object|null>} Updated supplier
+	 * @throws {DatabaseError} Database error
+	 */
+	async upsertPrice(id, entry) {
+		try {
+			const variantId = entry.variantId || null;
+
+			const replaced = await this.model.findOneAndUpdate(
+				{ _id: id, priceList: { $elemMatch: { productId: entry.productId, variantId } } },
+				{ $set: { 'priceList.$': { ...entry, variantId } } },
+				{ new: true, runValidators: true }
+			);
+
+			if (replaced) {
+				return replaced.toObject();
+			}
+
+			return this.update(id, { $push: { priceList: { ...entry, variantId } } });
+		} catch (error) {
+			throw new DatabaseError(`Error updating supplier price list: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Remove a price list entry
+	 * @param {string} id - Supplier ID
+	 * @param {string} priceId - Price list entry ID
+	 * @returns {Promise<Object|null>} Updated supplier
+	 */
+	async removePrice(id, priceId) {
+		return this.update(id, { $pull: { priceList: { _id: priceId } } });
+	}
+}
+
+module.exports = new SupplierRepository();
@@ -0,0 +1,104 @@
+// src/data/repositories/tax-rate.repository.js
+
+const BaseRepository = require('./base.repository');
+const TaxRateSchema = require('../schemas/tax-rate.schema');
+const { DatabaseError } = require('../../utils/error-handler');
+
+/**
+ * @class TaxRateRepository
+ * @extends BaseRepository
+ * @description Repository for tax rates and their exemptions
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class TaxRateRepository extends BaseRepository {
+	/**
+	 * Initialize tax rate repository
+	 */
+	constructor() {
+		super(TaxRateSchema);
+	}
+
+	/**
+	 * Find tax rate by code
+	 * @param {string} code - Tax code
+	 * @returns {Promise<Object|null>} Tax rate or null if not found
+	 */
+	async findByCode(code) {
+		return this.findOne({ code: String(code).trim().toUpperCase() });
+	}
+
+	/**
+	 * Get the active tax rates in force at a date
+	 * @param {Date} date - Date of the sale
+	 * @returns {Promise<Array<Object>>} Tax rates
+	 */
+	async findActive(date = new Date()) {
+		return this.find({
+			isActive: true,
+			$and: [
+				{ $or: [{ validFrom: null }, { validFrom: { $lte: date } }] },
+				{ $or: [{ validTo: null }, { validTo: { $gte: date } }] }
+			]
+		}, { sort: { createdAt: 1 } });
+	}
+
+	/**
+	 * Get tax rates with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, productId, categoryId, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated tax rates
+	 * @throws {DatabaseError} Database error
+	 */
+	async getTaxRates(options = {}) {
+		try {
+			const { page = 1, limit = 20, search, productId, categoryId, isActive } = options;
+
+			const filter = {};
+
+			if (isActive !== undefined) {
+				filter.isActive = isActive === true || isActive === 'true';
+			}
+
+			if (productId) {
+				filter.exemptProductIds = productId;
+			}
+
+			if (categoryId) {
+				filter.exemptCategoryIds = categoryId;
+			}
+
+			if (search) {
+				filter.$or = [
+					{ name: { $regex: search, $options: 'i' } },
+					{ code: { $regex: search, $options: 'i' } }
+				];
+			}
+
+			const [taxRates, total] = await Promise.all([
+				this.find(filter, {
+					sort: { name: 1 },
+					skip: (page - 1) * limit,
+					limit: parseInt(limit, 10)
+				}),
+				this.count(filter)
+			]);
+
+			return {
+				data: taxRates,
+				pagination: {
+					total,
+					page: parseInt(page, 10),
+					limit: parseInt(limit, 10),
+					pages: Math.ceil(total / limit),
+					hasNext: parseInt(page, 10) < Math.ceil(total / limit),
+					hasPrev: parseInt(page, 10) > 1
+				}
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching tax rates: ${error.message}`);
+			throw new DatabaseError(`Error fetching tax rates: ${error.message}`);
+		}
+	}
+}
+
+module.exports = new TaxRateRepository();
@@ -111,6 +111,12 @@ const ClientSchema = new mongoose.Schema({
 		type: Number,
 		default: 0
 	},
+	// Balance from returns, to be used against future orders
+	storeCredit: {
+		type: Number,
+		default: 0,
+		min: [0, 'Store credit cannot be negative']
+	},
 	tags: [{
 		type: String,
 		trim: true
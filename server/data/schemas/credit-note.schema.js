@@ -0,0 +1,95 @@
+// src/data/schemas/credit-note.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema CreditNoteSchema
+ * @description Mongoose schema for a credit note: value taken off an invoice for returned goods
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const CreditNoteSchema = new mongoose.Schema({
+	creditNoteNumber: {
+		type: String,
+		required: [true, 'Credit note number is required'],
+		unique: true,
+		trim: true
+	},
+	invoiceId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Invoice'
+	},
+	orderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order',
+		required: [true, 'Order ID is required']
+	},
+	clientId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Client',
+		required: [true, 'Client ID is required']
+	},
+	returnRequestId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'ReturnRequest',
+		required: [true, 'Return request ID is required']
+	},
+	items: [{
+		_id: false,
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product'
+		},
+		variantId: mongoose.Schema.Types.ObjectId,
+		name: String,
+		quantity: {
+			type: Number,
+			min: [0, 'Quantity cannot be negative']
+		},
+		unit: String,
+		// Value credited for the line: its price less its share of the discount, plus its tax
+		amount: {
+			type: Number,
+			min: [0, 'Amount cannot be negative']
+		}
+	}],
+	totalAmount: {
+		type: Number,
+		required: [true, 'Total amount is required'],
+		min: [0, 'Total amount cannot be negative']
+	},
+	// Part of the credit given back to the client; the rest reduced what they still owed
+	refundAmount: {
+		type: Number,
+		default: 0,
+		min: [0, 'Refund amount cannot be negative']
+	},
+	resolution: {
+		type: String,
+		enum: ['refund', 'store_credit'],
+		required: [true, 'Resolution is required']
+	},
+	reason: {
+		type: String,
+		trim: true
+	},
+	issuedAt: {
+		type: Date,
+		default: Date.now
+	},
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+CreditNoteSchema.index({ invoiceId: 1 });
+CreditNoteSchema.index({ orderId: 1 });
+CreditNoteSchema.index({ clientId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('CreditNote', CreditNoteSchema);
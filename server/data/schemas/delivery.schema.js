@@ -63,6 +63,38 @@ const DeliveryStatusHistorySchema = new Schema({
 	}
 });
 
+/**
+ * Shipment Item Schema - An order line, or part of one, sent out in a delivery
+ */
+const ShipmentItemSchema = new Schema({
+	orderItemId: {
+		type: Schema.Types.ObjectId,
+		required: true
+	},
+	productId: {
+		type: Schema.Types.ObjectId,
+		ref: 'Product'
+	},
+	variantId: {
+		type: Schema.Types.ObjectId
+	},
+	name: {
+		type: String
+	},
+	unit: {
+		type: String
+	},
+	// Quantity on the order line, for the delivery note
+	orderedQuantity: {
+		type: Number
+	},
+	quantity: {
+		type: Number,
+		required: true,
+		min: 0
+	}
+}, { _id: false });
+
 /**
  * Delivery Schema
  */
@@ -91,6 +123,14 @@ const DeliverySchema = new Schema({
 		index: true
 	},
 	statusHistory: [DeliveryStatusHistorySchema],
+	// Set when the delivery is one of an order's shipments, e.g. ORD-0001-S2
+	shipmentNumber: {
+		type: String,
+		unique: true,
+		sparse: true
+	},
+	// Order lines in the shipment; empty when the delivery carries the whole order
+	items: [ShipmentItemSchema],
 	trackingNumber: {
 		type: String,
 		unique: true,
@@ -12,7 +12,7 @@ const PaymentSchema = new Schema({
 	},
 	method: {
 		type: String,
-		enum: ['cash', 'bank_transfer', 'mobile_money', 'card', 'check', 'other'],
+		enum: ['cash', 'bank_transfer', 'mobile_money', 'card', 'check', 'store_credit', 'other'],
 		default: 'other'
 	},
 	reference: {
@@ -57,7 +57,33 @@ const InvoiceItemSchema = new Schema({
 		type: Number,
 		required: true,
 		min: 0
-	}
+	},
+	// Combined percentage of the tax rates charged on the line
+	taxRate: {
+		type: Number,
+		default: 0
+	},
+	// Tax on the line; inside totalPrice when prices include tax
+	taxAmount: {
+		type: Number,
+		default: 0,
+		min: 0
+	},
+	taxExempt: {
+		type: Boolean,
+		default: false
+	},
+	// Contents of a bundle, listed when the bundle is itemised
+	components: [{
+		_id: false,
+		productId: {
+			type: Schema.Types.ObjectId,
+			ref: 'Product'
+		},
+		name: String,
+		quantity: Number,
+		unit: String
+	}]
 });
 
 const InvoiceSchema = new Schema({
@@ -104,11 +130,35 @@ const InvoiceSchema = new Schema({
 		required: true,
 		min: 0
 	},
+	// Tax added on top of the items
 	tax: {
 		type: Number,
 		default: 0,
 		min: 0
 	},
+	// Tax already inside the item prices when prices include tax
+	includedTax: {
+		type: Number,
+		default: 0,
+		min: 0
+	},
+	pricesIncludeTax: {
+		type: Boolean,
+		default: false
+	},
+	// Tax per rate, printed under the totals
+	taxBreakdown: [{
+		_id: false,
+		taxRateId: {
+			type: Schema.Types.ObjectId,
+			ref: 'TaxRate'
+		},
+		name: String,
+		code: String,
+		rate: Number,
+		taxableAmount: Number,
+		taxAmount: Number
+	}],
 	discount: {
 		type: Number,
 		default: 0,
@@ -129,6 +179,22 @@ const InvoiceSchema = new Schema({
 		default: 0,
 		min: 0
 	},
+	// Value of credit notes issued against the invoice for returns
+	creditedAmount: {
+		type: Number,
+		default: 0,
+		min: 0
+	},
+	// Payments given back for returns, as a refund or store credit
+	refundedAmount: {
+		type: Number,
+		default: 0,
+		min: 0
+	},
+	creditNotes: [{
+		type: Schema.Types.ObjectId,
+		ref: 'CreditNote'
+	}],
 	issueDate: {
 		type: Date,
 		default: Date.now
@@ -174,11 +240,11 @@ const InvoiceSchema = new Schema({
 
 // Virtuals
 InvoiceSchema.virtual('balance').get(function() {
-	return this.totalAmount - this.paidAmount;
+	return this.totalAmount - (this.creditedAmount || 0) - (this.paidAmount - (this.refundedAmount || 0));
 });
 
 InvoiceSchema.virtual('isPaid').get(function() {
-	return this.paidAmount >= this.totalAmount;
+	return this.balance <= 0;
 });
 
 InvoiceSchema.virtual('isOverdue').get(function() {
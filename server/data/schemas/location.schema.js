@@ -0,0 +1,68 @@
+// src/data/schemas/location.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema LocationSchema
+ * @description Mongoose schema for places stock is kept (shop floor, cold room, warehouse)
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const LocationSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: [true, 'Location name is required'],
+		trim: true,
+		maxlength: [100, 'Location name cannot exceed 100 characters']
+	},
+	code: {
+		type: String,
+		required: [true, 'Location code is required'],
+		trim: true,
+		uppercase: true,
+		unique: true
+	},
+	type: {
+		type: String,
+		enum: ['shop', 'cold_room', 'warehouse', 'other'],
+		default: 'other'
+	},
+	address: {
+		street: String,
+		city: String,
+		state: String,
+		postalCode: String,
+		country: {
+			type: String,
+			default: 'Nigeria'
+		}
+	},
+	// Stock arriving without a location is put here
+	isDefault: {
+		type: Boolean,
+		default: false
+	},
+	// Stock leaving without a location is taken from the lowest priority first
+	fulfilmentPriority: {
+		type: Number,
+		default: 0
+	},
+	notes: {
+		type: String,
+		trim: true
+	},
+	isActive: {
+		type: Boolean,
+		default: true,
+		index: true
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+LocationSchema.index({ isActive: 1, fulfilmentPriority: 1 });
+
+module.exports = mongoose.model('Location', LocationSchema);
@@ -1,6 +1,11 @@
 // src/data/schemas/order.schema.js
 
 const mongoose = require('mongoose');
+const {
+	getStatusTransitionError,
+	assertStatusTransition,
+	assertPaymentStatusTransition
+} = require('../../domain/models/order-workflow');
 
 /**
  * @schema OrderSchema
@@ -31,15 +36,77 @@ const OrderSchema = new mongoose.Schema({
 			type: String,
 			required: true
 		},
+		// Set when a specific product variant was ordered; stock is held against the variant
+		variantId: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null
+		},
+		// Variant label at the time of ordering (e.g. "5kg bag")
+		variant: String,
+		// Bundle contents per bundle ordered; stock is held against these instead of the bundle
+		components: [{
+			_id: false,
+			productId: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Product'
+			},
+			variantId: {
+				type: mongoose.Schema.Types.ObjectId,
+				default: null
+			},
+			name: String,
+			quantity: Number,
+			unit: String,
+			// Stock units of the component used by one bundle
+			stockQuantity: Number
+		}],
+		// List the bundle's components on the invoice
+		itemiseComponents: {
+			type: Boolean,
+			default: false
+		},
+		// Quantity the client ordered
 		quantity: {
 			type: Number,
 			required: true,
 			min: [1, 'Quantity must be at least 1']
 		},
+		// Quantity actually packed, set once a catch-weight item is weighed
+		fulfilledQuantity: {
+			type: Number,
+			min: [0, 'Fulfilled quantity cannot be negative']
+		},
+		// Priced by weight, so the final total is only known after weighing
+		isCatchWeight: {
+			type: Boolean,
+			default: false
+		},
+		weighedAt: Date,
+		weighedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User'
+		},
+		// Quantity sent out so far in shipments, in the item's unit
+		shippedQuantity: {
+			type: Number,
+			default: 0,
+			min: [0, 'Shipped quantity cannot be negative']
+		},
+		// Quantity taken back through approved returns
+		returnedQuantity: {
+			type: Number,
+			default: 0,
+			min: [0, 'Returned quantity cannot be negative']
+		},
 		unit: {
 			type: String,
 			required: true
 		},
+		// Stock units used per ordered unit, fixed when the order is placed
+		stockUnitFactor: {
+			type: Number,
+			min: [0, 'Stock unit factor cannot be negative']
+		},
 		price: {
 			type: Number,
 			required: true,
@@ -50,11 +117,67 @@ const OrderSchema = new mongoose.Schema({
 			required: true,
 			min: [0, 'Total price cannot be negative']
 		},
+		// Catalogue price per ordered unit, before the client's price list
+		listPrice: {
+			type: Number,
+			min: [0, 'List price cannot be negative']
+		},
+		// Client price list the item was priced from (null for the catalogue price)
+		priceList: {
+			type: new mongoose.Schema({
+				priceListId: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: 'PriceList'
+				},
+				name: String
+			}, { _id: false }),
+			default: null
+		},
+		// Combined percentage of the tax rates charged on the line
+		taxRate: {
+			type: Number,
+			default: 0
+		},
+		// Tax on the line after its share of the discount; inside totalPrice when prices include tax
+		taxAmount: {
+			type: Number,
+			default: 0,
+			min: [0, 'Tax amount cannot be negative']
+		},
+		taxExempt: {
+			type: Boolean,
+			default: false
+		},
 		notes: String
 	}],
+	// Location the order is picked from; without one stock is taken from locations in fulfilment order
+	fulfilmentLocationId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Location',
+		default: null
+	},
+	// Batches the order's stock was taken from, first expiry first out, set when stock is committed
+	batchAllocations: [{
+		_id: false,
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product'
+		},
+		variantId: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null
+		},
+		batchId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'StockBatch'
+		},
+		batchNumber: String,
+		expiryDate: Date,
+		quantity: Number
+	}],
 	status: {
 		type: String,
-		enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+		enum: ['pending', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'returned'],
 		default: 'pending',
 		index: true
 	},
@@ -66,7 +189,7 @@ const OrderSchema = new mongoose.Schema({
 	},
 	paymentMethod: {
 		type: String,
-		enum: ['bank_transfer', 'cash', 'credit_card', 'online_payment', 'other'],
+		enum: ['bank_transfer', 'cash', 'cash_on_delivery', 'credit_card', 'online_payment', 'other'],
 		default: 'bank_transfer'
 	},
 	shippingMethod: {
@@ -118,16 +241,66 @@ const OrderSchema = new mongoose.Schema({
 			message: 'Shipping cost must be a non-negative number or "TBD"'
 		}
 	},
+	// Tax added on top of the items
 	taxAmount: {
 		type: Number,
 		default: 0,
 		min: [0, 'Tax amount cannot be negative']
 	},
+	// Tax already inside the item prices when prices include tax
+	includedTaxAmount: {
+		type: Number,
+		default: 0,
+		min: [0, 'Included tax cannot be negative']
+	},
+	pricesIncludeTax: {
+		type: Boolean,
+		default: false
+	},
+	// Tax per rate, as worked out when the order was priced
+	taxBreakdown: [{
+		_id: false,
+		taxRateId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'TaxRate'
+		},
+		name: String,
+		code: String,
+		rate: Number,
+		taxableAmount: Number,
+		taxAmount: Number
+	}],
 	discountAmount: {
 		type: Number,
 		default: 0,
 		min: [0, 'Discount amount cannot be negative']
 	},
+	// Coupon code entered with the order
+	couponCode: {
+		type: String,
+		trim: true,
+		uppercase: true
+	},
+	// Promotions behind the discount, as worked out when they were applied
+	appliedPromotions: [{
+		_id: false,
+		promotionId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Promotion'
+		},
+		name: String,
+		code: String,
+		type: {
+			type: String
+		},
+		discountAmount: Number,
+		freeDelivery: Boolean
+	}],
+	// A promotion waived the delivery fee
+	freeDelivery: {
+		type: Boolean,
+		default: false
+	},
 	totalAmount: {
 		type: mongoose.Schema.Types.Mixed, // Allow both Number and String for "TBD"
 		required: true,
@@ -139,6 +312,18 @@ const OrderSchema = new mongoose.Schema({
 			message: 'Total amount must be a non-negative number or "TBD"'
 		}
 	},
+	// Value of credit notes issued for returns
+	creditedAmount: {
+		type: Number,
+		default: 0,
+		min: [0, 'Credited amount cannot be negative']
+	},
+	// Money given back for returns, as a refund or store credit
+	refundedAmount: {
+		type: Number,
+		default: 0,
+		min: [0, 'Refunded amount cannot be negative']
+	},
 	// New field to track if delivery fee is pending calculation
 	deliveryFeePending: {
 		type: Boolean,
@@ -191,6 +376,25 @@ const OrderSchema = new mongoose.Schema({
 	invoiceId: {
 		type: mongoose.Schema.Types.ObjectId,
 		ref: 'Invoice'
+	},
+	// Past order this one was reordered from
+	sourceOrderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order'
+	},
+	// Subscription the order was placed for
+	subscriptionId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Subscription',
+		index: true,
+		sparse: true
+	},
+	// Where the order's items stand against product stock
+	stockStatus: {
+		type: String,
+		enum: ['none', 'reserved', 'committed', 'released'],
+		default: 'none',
+		index: true
 	}
 }, {
 	timestamps: true,
@@ -227,10 +431,11 @@ OrderSchema.pre('save', function(next) {
 			this.orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 		}
 
-		// Calculate item total prices if not set
+		// Calculate item total prices if not set (weighed items bill their actual quantity)
 		this.items.forEach(item => {
 			if (!item.totalPrice) {
-				item.totalPrice = item.price * item.quantity;
+				const quantity = typeof item.fulfilledQuantity === 'number' ? item.fulfilledQuantity : item.quantity;
+				item.totalPrice = item.price * quantity;
 			}
 		});
 
@@ -284,8 +489,12 @@ OrderSchema.pre('save', function(next) {
  * Update order status
  * @param {string} status - New status
  * @param {Object} options - Additional options (note, updatedBy)
+ * @throws {ValidationError} The order cannot move to the status
  */
 OrderSchema.methods.updateStatus = function(status, options = {}) {
+	if (status !== this.status) {
+		assertStatusTransition(this, status);
+	}
 	this.status = status;
 
 	this.statusHistory.push({
@@ -299,8 +508,12 @@ OrderSchema.methods.updateStatus = function(status, options = {}) {
 /**
  * Update payment status
  * @param {string} paymentStatus - New payment status
+ * @throws {ValidationError} The payment cannot move to the status
  */
 OrderSchema.methods.updatePaymentStatus = function(paymentStatus) {
+	if (paymentStatus !== this.paymentStatus) {
+		assertPaymentStatusTransition(this, paymentStatus);
+	}
 	this.paymentStatus = paymentStatus;
 };
 
@@ -311,8 +524,8 @@ OrderSchema.methods.updatePaymentStatus = function(paymentStatus) {
 OrderSchema.methods.addTrackingNumber = function(trackingNumber) {
 	this.trackingNumber = trackingNumber;
 
-	// If order status is pending or processing, update to shipped
-	if (['pending', 'processing'].includes(this.status)) {
+	// Mark the order shipped if it is ready to be
+	if (!getStatusTransitionError(this, 'shipped')) {
 		this.updateStatus('shipped', { note: 'Tracking number added' });
 	}
 };
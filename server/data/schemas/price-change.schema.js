@@ -0,0 +1,74 @@
+// src/data/schemas/price-change.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema PriceChangeSchema
+ * @description Mongoose schema for a change to the price of a product (or variant). Applied changes
+ * make up the price history; scheduled ones take effect automatically on their effective date.
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const PriceChangeSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	price: {
+		type: Number,
+		required: [true, 'Price is required'],
+		min: [0, 'Price cannot be negative']
+	},
+	// Price the change replaced; null for the first price
+	previousPrice: {
+		type: Number,
+		default: null
+	},
+	// When the price applies from: the moment of an edit, or the date a scheduled change is due
+	effectiveFrom: {
+		type: Date,
+		required: true
+	},
+	status: {
+		type: String,
+		enum: ['scheduled', 'applied', 'cancelled', 'failed'],
+		default: 'applied',
+		index: true
+	},
+	source: {
+		type: String,
+		enum: ['initial', 'manual', 'scheduled'],
+		default: 'manual'
+	},
+	note: {
+		type: String,
+		trim: true
+	},
+	changedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	appliedAt: Date,
+	cancelledAt: Date,
+	cancelledBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	// Why a scheduled change could not be applied
+	failureReason: String
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+PriceChangeSchema.index({ productId: 1, variantId: 1, status: 1, effectiveFrom: -1 });
+PriceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+
+module.exports = mongoose.model('PriceChange', PriceChangeSchema);
@@ -0,0 +1,96 @@
+// src/data/schemas/price-list.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema PriceListRuleSchema
+ * @description A price for one product (or variant) on a price list: a fixed price or a percentage off
+ */
+const PriceListRuleSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	// Without a variant a fixed price is for the product itself; a percentage also covers its variants
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	type: {
+		type: String,
+		enum: ['fixed', 'percentage'],
+		required: [true, 'Rule type is required']
+	},
+	// Price per pricing unit (each for variants) for fixed rules, percentage off for percentage rules
+	value: {
+		type: Number,
+		required: [true, 'Rule value is required'],
+		min: [0, 'Rule value cannot be negative']
+	},
+	// Quantity (in the pricing unit) the rule starts at; higher minimums on the same product are quantity breaks
+	minQuantity: {
+		type: Number,
+		default: 0,
+		min: [0, 'Minimum quantity cannot be negative']
+	}
+});
+
+/**
+ * @schema PriceListSchema
+ * @description Mongoose schema for customer price lists (e.g. wholesale prices for restaurants and caterers),
+ * assigned to clients directly or through client tags
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const PriceListSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: [true, 'Price list name is required'],
+		trim: true,
+		maxlength: [100, 'Price list name cannot exceed 100 characters']
+	},
+	description: {
+		type: String,
+		trim: true
+	},
+	clientIds: [{
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Client'
+	}],
+	clientTags: [{
+		type: String,
+		trim: true
+	}],
+	// Percentage off every product the rules do not price
+	discountPercent: {
+		type: Number,
+		default: 0,
+		min: [0, 'Discount cannot be negative'],
+		max: [100, 'Discount cannot exceed 100%']
+	},
+	rules: [PriceListRuleSchema],
+	// When a client has several price lists, the highest priority one that prices an item is used
+	priority: {
+		type: Number,
+		default: 0
+	},
+	validFrom: Date,
+	validTo: Date,
+	isActive: {
+		type: Boolean,
+		default: true,
+		index: true
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+PriceListSchema.index({ clientIds: 1 });
+PriceListSchema.index({ clientTags: 1 });
+PriceListSchema.index({ name: 1 });
+
+module.exports = mongoose.model('PriceList', PriceListSchema);
@@ -1,6 +1,153 @@
 // src/data/schemas/product.schema.js
 
 const mongoose = require('mongoose');
+const { getSupportedUnits } = require('../../utils/unit-converter');
+
+// Units a product can be priced or stocked in
+const MEASUREMENT_UNITS = getSupportedUnits();
+
+/**
+ * @schema ProductVariantSchema
+ * @description Sellable variation of a product (size, weight or packaging) with its own price and stock
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const ProductVariantSchema = new mongoose.Schema({
+	key: {
+		type: String,
+		required: [true, 'Variant key is required'],
+		trim: true
+	},
+	name: {
+		type: String,
+		trim: true
+	},
+	type: {
+		type: String,
+		enum: ['size', 'weight', 'packaging'],
+		default: 'size'
+	},
+	// How much of the product one variant holds (e.g. a 5 kg bag)
+	size: {
+		value: {
+			type: Number,
+			min: [0, 'Variant size cannot be negative']
+		},
+		unit: {
+			type: String,
+			enum: MEASUREMENT_UNITS
+		}
+	},
+	sku: {
+		type: String,
+		trim: true
+	},
+	price: {
+		type: Number,
+		required: [true, 'Variant price is required'],
+		min: [0, 'Price cannot be negative']
+	},
+	costPrice: {
+		type: Number,
+		min: [0, 'Cost price cannot be negative']
+	},
+	stockQuantity: {
+		type: Number,
+		default: 0,
+		min: [0, 'Stock quantity cannot be negative']
+	},
+	reservedQuantity: {
+		type: Number,
+		default: 0,
+		min: [0, 'Reserved quantity cannot be negative']
+	},
+	images: [{
+		url: {
+			type: String,
+			trim: true
+		},
+		alt: {
+			type: String,
+			trim: true
+		},
+		isDefault: {
+			type: Boolean,
+			default: false
+		}
+	}],
+	isAvailable: {
+		type: Boolean,
+		default: true
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Virtual for variant stock that is not held by open orders
+ProductVariantSchema.virtual('availableQuantity').get(function() {
+	return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+});
+
+/**
+ * @schema BundleComponentSchema
+ * @description Product (or variant) and quantity that goes into one bundle
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const BundleComponentSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Component product is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	quantity: {
+		type: Number,
+		required: [true, 'Component quantity is required'],
+		min: [0, 'Component quantity cannot be negative']
+	},
+	// Unit the quantity is given in (defaults to the component's pricing unit)
+	unit: {
+		type: String,
+		enum: MEASUREMENT_UNITS
+	}
+}, { _id: false });
+
+/**
+ * @schema ProductImageSizeSchema
+ * @description One resized copy of a product image
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const ProductImageSizeSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		enum: ['thumb', 'card', 'full'],
+		required: true
+	},
+	format: {
+		type: String,
+		enum: ['webp', 'jpeg'],
+		required: true
+	},
+	url: {
+		type: String,
+		required: true
+	},
+	// Location in file storage, used to delete the file
+	path: {
+		type: String,
+		required: true
+	},
+	width: Number,
+	height: Number,
+	size: Number
+}, { _id: false });
 
 /**
  * @schema ProductSchema
@@ -38,7 +185,7 @@ const ProductSchema = new mongoose.Schema({
 	},
 	pricingUnit: {
 		type: String,
-		enum: ['each', 'kg', 'g', 'lb', 'oz', 'l', 'ml', 'basket', 'portion', 'piece', 'bunch', 'pack', 'paint'],
+		enum: MEASUREMENT_UNITS,
 		default: 'each'
 	},
 	costPrice: {
@@ -50,11 +197,36 @@ const ProductSchema = new mongoose.Schema({
 		default: 0,
 		min: [0, 'Stock quantity cannot be negative']
 	},
+	// Quantity held by open orders that have not shipped yet
+	reservedQuantity: {
+		type: Number,
+		default: 0,
+		min: [0, 'Reserved quantity cannot be negative']
+	},
 	stockUnit: {
 		type: String,
-		enum: ['each', 'kg', 'g', 'lb', 'oz', 'l', 'ml', 'basket', 'portion', 'piece', 'bunch', 'pack', 'paint'],
+		enum: MEASUREMENT_UNITS,
 		default: 'each'
 	},
+	// Product-specific factors for discrete units: 1 `unit` = `factor` `toUnit` (e.g. 1 basket = 3.5 kg)
+	unitConversions: [{
+		_id: false,
+		unit: {
+			type: String,
+			enum: MEASUREMENT_UNITS,
+			required: [true, 'Conversion unit is required']
+		},
+		factor: {
+			type: Number,
+			required: [true, 'Conversion factor is required'],
+			min: [0.000001, 'Conversion factor must be positive']
+		},
+		toUnit: {
+			type: String,
+			enum: MEASUREMENT_UNITS,
+			required: [true, 'Conversion target unit is required']
+		}
+	}],
 	lowStockThreshold: {
 		type: Number,
 		default: 5
@@ -81,8 +253,41 @@ const ProductSchema = new mongoose.Schema({
 		isDefault: {
 			type: Boolean,
 			default: false
-		}
+		},
+		// Dimensions of the uploaded original
+		width: Number,
+		height: Number,
+		// Resized copies; url points at the full-size JPEG for clients that only read it
+		sizes: [ProductImageSizeSchema]
 	}],
+	variants: [ProductVariantSchema],
+	// Bundles (soup packs, food baskets) are sold as one item but stocked as their components
+	productType: {
+		type: String,
+		enum: ['standard', 'bundle'],
+		default: 'standard',
+		index: true
+	},
+	bundle: {
+		components: [BundleComponentSchema],
+		// Fixed uses the bundle's own price; discount prices it from the components
+		pricingMode: {
+			type: String,
+			enum: ['fixed', 'discount'],
+			default: 'fixed'
+		},
+		discountPercent: {
+			type: Number,
+			default: 0,
+			min: [0, 'Discount cannot be negative'],
+			max: [100, 'Discount cannot exceed 100%']
+		},
+		// List the components under the bundle on invoices
+		itemiseOnInvoice: {
+			type: Boolean,
+			default: false
+		}
+	},
 	tags: [{
 		type: String,
 		trim: true
@@ -103,10 +308,30 @@ const ProductSchema = new mongoose.Schema({
 		type: Number,
 		default: 0
 	},
+	// Approved reviews only, recalculated whenever a review is moderated or deleted
+	rating: {
+		average: {
+			type: Number,
+			default: 0,
+			min: 0,
+			max: 5
+		},
+		count: {
+			type: Number,
+			default: 0
+		}
+	},
 	viewCount: {
 		type: Number,
 		default: 0
 	},
+	// Supplier purchase orders default to; prices live on the supplier's price list
+	preferredSupplierId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Supplier',
+		default: null
+	},
+	// Legacy free-text supplier details, superseded by preferredSupplierId
 	supplierInfo: {
 		name: String,
 		contactInfo: String,
@@ -121,15 +346,21 @@ const ProductSchema = new mongoose.Schema({
 // Indexes
 ProductSchema.index({ name: 'text', description: 'text', tags: 'text' });
 ProductSchema.index({ 'attributes.key': 1, 'attributes.value': 1 });
+ProductSchema.index({ 'variants.sku': 1 });
+
+// Virtual for stock that is not held by open orders
+ProductSchema.virtual('availableQuantity').get(function() {
+	return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+});
 
 // Virtual for checking if product is in stock
 ProductSchema.virtual('inStock').get(function() {
-	return this.isAvailable && this.stockQuantity > 0;
+	return this.isAvailable && this.availableQuantity > 0;
 });
 
 // Virtual for checking if product is low on stock
 ProductSchema.virtual('isLowStock').get(function() {
-	return this.stockQuantity > 0 && this.stockQuantity <= this.lowStockThreshold;
+	return this.availableQuantity > 0 && this.availableQuantity <= this.lowStockThreshold;
 });
 
 // Virtual for populating category
@@ -143,9 +374,10 @@ ProductSchema.virtual('category', {
 /**
  * Update stock quantity
  * @param {number} quantity - Quantity to add (positive) or remove (negative)
+ * @param {Object} movement - Ledger details (reason, orderId, userId, note)
  * @returns {Promise<boolean>} Whether update was successful
  */
-ProductSchema.methods.updateStock = async function(quantity) {
+ProductSchema.methods.updateStock = async function(quantity, movement = {}) {
 	const newQuantity = this.stockQuantity + quantity;
 	if (newQuantity < 0) {
 		return false;
@@ -153,6 +385,19 @@ ProductSchema.methods.updateStock = async function(quantity) {
 
 	this.stockQuantity = newQuantity;
 	await this.save();
+
+	if (quantity) {
+		await mongoose.model('StockMovement').create({
+			productId: this._id,
+			delta: quantity,
+			reason: movement.reason || 'adjustment',
+			balanceAfter: newQuantity,
+			orderId: movement.orderId || null,
+			userId: movement.userId || null,
+			note: movement.note
+		});
+	}
+
 	return true;
 };
 
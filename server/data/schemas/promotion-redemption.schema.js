@@ -0,0 +1,64 @@
+// src/data/schemas/promotion-redemption.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema PromotionRedemptionSchema
+ * @description Mongoose schema for a promotion used on an order, kept for usage limits and reporting
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const PromotionRedemptionSchema = new mongoose.Schema({
+	promotionId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Promotion',
+		required: [true, 'Promotion ID is required']
+	},
+	code: String,
+	orderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order',
+		required: [true, 'Order ID is required']
+	},
+	clientId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Client',
+		required: [true, 'Client ID is required']
+	},
+	discountAmount: {
+		type: Number,
+		default: 0,
+		min: [0, 'Discount cannot be negative']
+	},
+	// Value of the order's items when the promotion was redeemed
+	orderSubtotal: {
+		type: Number,
+		default: 0
+	},
+	freeDelivery: {
+		type: Boolean,
+		default: false
+	},
+	// Reversed redemptions (cancelled or deleted orders) no longer count towards usage limits
+	status: {
+		type: String,
+		enum: ['redeemed', 'reversed'],
+		default: 'redeemed'
+	},
+	redeemedAt: {
+		type: Date,
+		default: Date.now
+	},
+	reversedAt: Date
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+PromotionRedemptionSchema.index({ promotionId: 1, clientId: 1, status: 1 });
+PromotionRedemptionSchema.index({ orderId: 1 });
+PromotionRedemptionSchema.index({ redeemedAt: -1 });
+
+module.exports = mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
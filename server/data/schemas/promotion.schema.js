@@ -0,0 +1,110 @@
+// src/data/schemas/promotion.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema PromotionSchema
+ * @description Mongoose schema for promotions. Those with a coupon code apply when the code is entered,
+ * the rest apply automatically to every order that qualifies.
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const PromotionSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: [true, 'Promotion name is required'],
+		trim: true,
+		maxlength: [100, 'Promotion name cannot exceed 100 characters']
+	},
+	description: {
+		type: String,
+		trim: true
+	},
+	code: {
+		type: String,
+		trim: true,
+		uppercase: true,
+		unique: true,
+		sparse: true // promotions without a code apply automatically
+	},
+	type: {
+		type: String,
+		enum: ['percentage', 'fixed', 'buy_x_get_y', 'free_delivery'],
+		required: [true, 'Promotion type is required']
+	},
+	// Percentage off for percentage promotions, amount off for fixed ones
+	value: {
+		type: Number,
+		default: 0,
+		min: [0, 'Value cannot be negative']
+	},
+	// Most a percentage promotion can take off an order
+	maxDiscountAmount: {
+		type: Number,
+		min: [0, 'Maximum discount cannot be negative']
+	},
+	// Buy-X-get-Y: for every buyQuantity bought, getQuantity more of the same item are discounted by getDiscountPercent
+	buyQuantity: {
+		type: Number,
+		min: [1, 'Buy quantity must be at least 1']
+	},
+	getQuantity: {
+		type: Number,
+		min: [1, 'Get quantity must be at least 1']
+	},
+	getDiscountPercent: {
+		type: Number,
+		default: 100,
+		min: [0, 'Discount cannot be negative'],
+		max: [100, 'Discount cannot exceed 100%']
+	},
+	minOrderValue: {
+		type: Number,
+		default: 0,
+		min: [0, 'Minimum order value cannot be negative']
+	},
+	// Products and categories the promotion is limited to; with neither it covers the whole order
+	productIds: [{
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product'
+	}],
+	categoryIds: [{
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Category'
+	}],
+	// Redemptions allowed overall and per client (null for no limit)
+	usageLimit: {
+		type: Number,
+		default: null,
+		min: [1, 'Usage limit must be at least 1']
+	},
+	usageLimitPerClient: {
+		type: Number,
+		default: null,
+		min: [1, 'Usage limit per client must be at least 1']
+	},
+	usageCount: {
+		type: Number,
+		default: 0
+	},
+	startsAt: Date,
+	endsAt: Date,
+	isActive: {
+		type: Boolean,
+		default: true,
+		index: true
+	},
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
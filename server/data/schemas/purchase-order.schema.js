@@ -0,0 +1,197 @@
+// src/data/schemas/purchase-order.schema.js
+
+const mongoose = require('mongoose');
+const { getSupportedUnits } = require('../../utils/unit-converter');
+
+/**
+ * @schema PurchaseOrderItemSchema
+ * @description A product line on a purchase order
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const PurchaseOrderItemSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	name: {
+		type: String,
+		required: [true, 'Item name is required']
+	},
+	supplierSku: String,
+	// Quantities and cost are in the unit the supplier sells in
+	unit: {
+		type: String,
+		enum: getSupportedUnits(),
+		default: 'each'
+	},
+	quantityOrdered: {
+		type: Number,
+		required: [true, 'Ordered quantity is required'],
+		min: [0.01, 'Ordered quantity must be greater than zero']
+	},
+	quantityReceived: {
+		type: Number,
+		default: 0,
+		min: [0, 'Received quantity cannot be negative']
+	},
+	unitCost: {
+		type: Number,
+		required: [true, 'Unit cost is required'],
+		min: [0, 'Unit cost cannot be negative']
+	},
+	totalCost: {
+		type: Number,
+		default: 0
+	}
+});
+
+/**
+ * @schema PurchaseOrderSchema
+ * @description Mongoose schema for stock ordered from a supplier
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const PurchaseOrderSchema = new mongoose.Schema({
+	poNumber: {
+		type: String,
+		required: true,
+		unique: true,
+		trim: true
+	},
+	supplierId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Supplier',
+		required: [true, 'Supplier is required'],
+		index: true
+	},
+	status: {
+		type: String,
+		enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+		default: 'draft',
+		index: true
+	},
+	items: {
+		type: [PurchaseOrderItemSchema],
+		validate: {
+			validator: items => items.length > 0,
+			message: 'Purchase order must have at least one item'
+		}
+	},
+	currency: {
+		type: String,
+		default: 'NGN'
+	},
+	subtotal: {
+		type: Number,
+		default: 0
+	},
+	tax: {
+		type: Number,
+		default: 0,
+		min: [0, 'Tax cannot be negative']
+	},
+	shippingCost: {
+		type: Number,
+		default: 0,
+		min: [0, 'Shipping cost cannot be negative']
+	},
+	totalAmount: {
+		type: Number,
+		default: 0
+	},
+	expectedDeliveryDate: Date,
+	sentAt: Date,
+	receivedAt: Date,
+	closedAt: Date,
+	// Each delivery booked against the order
+	receipts: [{
+		receivedAt: {
+			type: Date,
+			default: Date.now
+		},
+		receivedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User'
+		},
+		// Where the goods were put away (the default location when not given)
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			default: null
+		},
+		items: [{
+			itemId: mongoose.Schema.Types.ObjectId,
+			productId: mongoose.Schema.Types.ObjectId,
+			variantId: mongoose.Schema.Types.ObjectId,
+			quantity: Number,
+			unitCost: Number,
+			batchId: mongoose.Schema.Types.ObjectId
+		}],
+		note: String
+	}],
+	statusHistory: [{
+		status: {
+			type: String,
+			required: true
+		},
+		timestamp: {
+			type: Date,
+			default: Date.now
+		},
+		note: String,
+		updatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User'
+		}
+	}],
+	notes: {
+		type: String,
+		trim: true
+	},
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+PurchaseOrderSchema.index({ supplierId: 1, status: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ 'items.productId': 1, status: 1 });
+
+// Virtual for whether every line has been received in full
+PurchaseOrderSchema.virtual('isFullyReceived').get(function() {
+	return (this.items || []).every(item => item.quantityReceived >= item.quantityOrdered);
+});
+
+// Pre-save hook to keep line and order totals in step with the items
+PurchaseOrderSchema.pre('save', function(next) {
+	this.items.forEach(item => {
+		item.totalCost = item.quantityOrdered * item.unitCost;
+	});
+
+	this.subtotal = this.items.reduce((sum, item) => sum + item.totalCost, 0);
+	this.totalAmount = this.subtotal + (this.tax || 0) + (this.shippingCost || 0);
+
+	if (this.isNew && this.statusHistory.length === 0) {
+		this.statusHistory.push({
+			status: this.status,
+			timestamp: new Date(),
+			note: 'Purchase order created',
+			updatedBy: this.createdBy
+		});
+	}
+
+	next();
+});
+
+module.exports = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
@@ -0,0 +1,140 @@
+// src/data/schemas/return-request.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema ReturnItemSchema
+ * @description An order line the client wants to return
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const ReturnItemSchema = new mongoose.Schema({
+	// Line of the order being returned
+	orderItemId: {
+		type: mongoose.Schema.Types.ObjectId,
+		required: [true, 'Order item ID is required']
+	},
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product'
+	},
+	variantId: mongoose.Schema.Types.ObjectId,
+	name: String,
+	unit: String,
+	quantity: {
+		type: Number,
+		required: [true, 'Quantity is required'],
+		min: [0, 'Quantity cannot be negative']
+	},
+	// Quantity staff accepted back; the rest of the line was refused
+	approvedQuantity: {
+		type: Number,
+		min: [0, 'Approved quantity cannot be negative']
+	},
+	// Value of the requested quantity, as the client paid for it
+	amount: {
+		type: Number,
+		default: 0,
+		min: [0, 'Amount cannot be negative']
+	},
+	reason: {
+		type: String,
+		enum: ['damaged', 'spoiled', 'wrong_item', 'missing', 'poor_quality', 'other'],
+		required: [true, 'Return reason is required']
+	},
+	details: {
+		type: String,
+		trim: true
+	},
+	photos: [{
+		_id: false,
+		url: String,
+		name: String
+	}],
+	// What happens to the goods: back on the shelf or written off
+	disposition: {
+		type: String,
+		enum: ['restock', 'write_off']
+	}
+});
+
+/**
+ * @schema ReturnRequestSchema
+ * @description Mongoose schema for a return request (RMA) against a delivered order
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const ReturnRequestSchema = new mongoose.Schema({
+	returnNumber: {
+		type: String,
+		required: [true, 'Return number is required'],
+		unique: true,
+		trim: true
+	},
+	orderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order',
+		required: [true, 'Order ID is required']
+	},
+	clientId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Client',
+		required: [true, 'Client ID is required']
+	},
+	items: {
+		type: [ReturnItemSchema],
+		validate: [items => items.length > 0, 'At least one item is required']
+	},
+	status: {
+		type: String,
+		enum: ['requested', 'approved', 'rejected'],
+		default: 'requested'
+	},
+	resolution: {
+		type: String,
+		enum: ['refund', 'store_credit']
+	},
+	// Value credited and the part of it given back, set on approval
+	creditAmount: {
+		type: Number,
+		default: 0
+	},
+	refundAmount: {
+		type: Number,
+		default: 0
+	},
+	refundMethod: String,
+	refundReference: String,
+	creditNoteId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'CreditNote'
+	},
+	notes: {
+		type: String,
+		trim: true
+	},
+	rejectionReason: {
+		type: String,
+		trim: true
+	},
+	reviewedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	reviewedAt: Date,
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+ReturnRequestSchema.index({ orderId: 1, status: 1 });
+ReturnRequestSchema.index({ clientId: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
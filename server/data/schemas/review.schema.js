@@ -0,0 +1,76 @@
+// src/data/schemas/review.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema ReviewSchema
+ * @description Mongoose schema for a client's review of a product from one of their delivered orders
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const ReviewSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	clientId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Client',
+		required: [true, 'Client ID is required']
+	},
+	// Delivered order the reviewed product came in
+	orderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order',
+		required: [true, 'Order ID is required']
+	},
+	rating: {
+		type: Number,
+		required: [true, 'Rating is required'],
+		min: [1, 'Rating must be at least 1'],
+		max: [5, 'Rating cannot exceed 5']
+	},
+	title: {
+		type: String,
+		trim: true,
+		maxlength: [100, 'Title cannot exceed 100 characters']
+	},
+	comment: {
+		type: String,
+		trim: true,
+		maxlength: [2000, 'Comment cannot exceed 2000 characters']
+	},
+	// Only approved reviews are shown on the product and count towards its rating
+	status: {
+		type: String,
+		enum: ['pending', 'approved', 'rejected'],
+		default: 'pending'
+	},
+	moderationNote: {
+		type: String,
+		trim: true
+	},
+	moderatedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	moderatedAt: Date,
+	// Staff member who recorded the review, e.g. from feedback sent over WhatsApp
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+ReviewSchema.index({ orderId: 1, productId: 1 }, { unique: true });
+ReviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ clientId: 1 });
+ReviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
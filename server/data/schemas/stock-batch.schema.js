@@ -0,0 +1,95 @@
+// src/data/schemas/stock-batch.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema StockBatchSchema
+ * @description Mongoose schema for stock received in a batch with its own expiry date
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const StockBatchSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required'],
+		index: true
+	},
+	// Set when the batch is of a variant's own stock
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	batchNumber: {
+		type: String,
+		required: [true, 'Batch number is required'],
+		trim: true
+	},
+	// Quantities are in the product's stock unit
+	quantityReceived: {
+		type: Number,
+		required: [true, 'Received quantity is required'],
+		min: [0, 'Received quantity cannot be negative']
+	},
+	quantityRemaining: {
+		type: Number,
+		required: true,
+		min: [0, 'Remaining quantity cannot be negative']
+	},
+	quantityWrittenOff: {
+		type: Number,
+		default: 0,
+		min: [0, 'Written off quantity cannot be negative']
+	},
+	expiryDate: {
+		type: Date,
+		default: null
+	},
+	receivedAt: {
+		type: Date,
+		default: Date.now
+	},
+	supplierReference: {
+		type: String,
+		trim: true
+	},
+	costPrice: {
+		type: Number,
+		min: [0, 'Cost price cannot be negative']
+	},
+	status: {
+		type: String,
+		enum: ['active', 'depleted', 'expired'],
+		default: 'active',
+		index: true
+	},
+	receivedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	// Set once an expiring-soon warning has gone out, so it is only sent once
+	expiryNotifiedAt: {
+		type: Date,
+		default: null
+	},
+	notes: {
+		type: String,
+		trim: true
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+StockBatchSchema.index({ productId: 1, variantId: 1, status: 1, expiryDate: 1 });
+StockBatchSchema.index({ status: 1, expiryDate: 1 });
+StockBatchSchema.index({ productId: 1, batchNumber: 1 });
+
+// Virtual for checking if the batch is past its expiry date
+StockBatchSchema.virtual('isExpired').get(function() {
+	return !!this.expiryDate && this.expiryDate <= new Date();
+});
+
+module.exports = mongoose.model('StockBatch', StockBatchSchema);
@@ -0,0 +1,50 @@
+// src/data/schemas/stock-level.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema StockLevelSchema
+ * @description Mongoose schema for the stock of a product (or variant) held at one location.
+ * The product's own stockQuantity stays the total across every location.
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const StockLevelSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	locationId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Location',
+		required: [true, 'Location ID is required'],
+		index: true
+	},
+	// In the product's stock unit (whole units for variants)
+	quantity: {
+		type: Number,
+		default: 0,
+		min: [0, 'Stock at a location cannot be negative']
+	},
+	// Overrides the global low stock threshold at this location
+	lowStockThreshold: {
+		type: Number,
+		default: null,
+		min: [0, 'Low stock threshold cannot be negative']
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+StockLevelSchema.index({ productId: 1, variantId: 1, locationId: 1 }, { unique: true });
+StockLevelSchema.index({ locationId: 1, quantity: 1 });
+
+module.exports = mongoose.model('StockLevel', StockLevelSchema);
@@ -0,0 +1,96 @@
+// src/data/schemas/stock-movement.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema StockMovementSchema
+ * @description Mongoose schema for the append-only inventory movement ledger
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const StockMovementSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required'],
+		index: true
+	},
+	// Set when the movement is against a variant's own stock
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	// Location the stock moved in or out of (null before locations were set up)
+	locationId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Location',
+		default: null,
+		index: true
+	},
+	// Signed change to stock on hand (negative for stock leaving)
+	delta: {
+		type: Number,
+		required: [true, 'Movement quantity is required'],
+		validate: {
+			validator: value => value !== 0,
+			message: 'Movement quantity cannot be zero'
+		}
+	},
+	reason: {
+		type: String,
+		enum: ['sale', 'restock', 'spoilage', 'adjustment', 'return', 'transfer'],
+		required: [true, 'Movement reason is required'],
+		index: true
+	},
+	balanceAfter: {
+		type: Number,
+		required: [true, 'Balance after movement is required']
+	},
+	// Pairs the two sides of a transfer between locations, which net to zero
+	transferId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null,
+		index: true
+	},
+	orderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order',
+		default: null,
+		index: true
+	},
+	userId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User',
+		default: null
+	},
+	note: {
+		type: String,
+		trim: true,
+		maxlength: [500, 'Note cannot exceed 500 characters']
+	}
+}, {
+	timestamps: { createdAt: true, updatedAt: false },
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+StockMovementSchema.index({ productId: 1, createdAt: -1 });
+StockMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+
+// Movements are never edited once written
+StockMovementSchema.pre('save', function(next) {
+	if (!this.isNew) {
+		return next(new Error('Stock movements are append-only and cannot be modified'));
+	}
+	next();
+});
+
+StockMovementSchema.pre(
+	['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+	function(next) {
+		next(new Error('Stock movements are append-only and cannot be modified'));
+	}
+);
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
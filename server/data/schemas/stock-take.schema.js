@@ -0,0 +1,159 @@
+// src/data/schemas/stock-take.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema StockTakeLineSchema
+ * @description One product (or variant) being counted, with the counts staff have recorded for it
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const StockTakeLineSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	name: {
+		type: String,
+		required: true
+	},
+	sku: String,
+	// Quantities are in the product's stock unit
+	unit: {
+		type: String,
+		default: 'each'
+	},
+	// Stock the system holds, taken when the count opens and refreshed for review
+	systemQuantity: {
+		type: Number,
+		default: 0
+	},
+	// Partial counts add up, so several people can count different shelves
+	counts: [{
+		quantity: {
+			type: Number,
+			required: true,
+			min: [0, 'Counted quantity cannot be negative']
+		},
+		countedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User'
+		},
+		countedAt: {
+			type: Date,
+			default: Date.now
+		},
+		note: String
+	}],
+	// Null until someone counts the line
+	countedQuantity: {
+		type: Number,
+		default: null
+	},
+	// Stock the system held when the line was last counted; variance is measured against it,
+	// so stock that moves between counting and posting is not undone
+	systemQuantityAtCount: {
+		type: Number,
+		default: null
+	},
+	variance: {
+		type: Number,
+		default: null
+	},
+	costPrice: {
+		type: Number,
+		default: 0
+	},
+	varianceValue: {
+		type: Number,
+		default: null
+	},
+	// Stock change actually posted
+	adjustment: {
+		type: Number,
+		default: null
+	},
+	postedAt: Date,
+	postError: String
+});
+
+/**
+ * @schema StockTakeSchema
+ * @description Mongoose schema for a physical stock count and the adjustments it posts
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const StockTakeSchema = new mongoose.Schema({
+	reference: {
+		type: String,
+		required: true,
+		unique: true,
+		trim: true
+	},
+	status: {
+		type: String,
+		enum: ['open', 'review', 'posted', 'cancelled'],
+		default: 'open',
+		index: true
+	},
+	scope: {
+		categoryId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Category',
+			default: null
+		},
+		// Location counted; without one the count is of total stock
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			default: null
+		}
+	},
+	lines: [StockTakeLineSchema],
+	reason: {
+		type: String,
+		trim: true
+	},
+	notes: {
+		type: String,
+		trim: true
+	},
+	openedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	reviewedAt: Date,
+	postedAt: Date,
+	postedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	cancelledAt: Date
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+StockTakeSchema.index({ status: 1, createdAt: -1 });
+StockTakeSchema.index({ 'lines.productId': 1, status: 1 });
+
+// Virtual for how far through the count staff are
+StockTakeSchema.virtual('progress').get(function() {
+	const lines = this.lines || [];
+	const counted = lines.filter(line => line.countedQuantity !== null && line.countedQuantity !== undefined).length;
+
+	return {
+		counted,
+		total: lines.length,
+		percent: lines.length ? Math.round((counted / lines.length) * 100) : 0
+	};
+});
+
+module.exports = mongoose.model('StockTake', StockTakeSchema);
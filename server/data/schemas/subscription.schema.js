@@ -0,0 +1,222 @@
+// src/data/schemas/subscription.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema SubscriptionItemSchema
+ * @description A line of a subscription's template order, priced again for every order
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const SubscriptionItemSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	// Product name when the line was added, for display
+	name: String,
+	quantity: {
+		type: Number,
+		required: [true, 'Quantity is required'],
+		min: [1, 'Quantity must be at least 1']
+	},
+	unit: String
+});
+
+/**
+ * @schema SubscriptionOccurrenceSchema
+ * @description What happened to one scheduled delivery of a subscription
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const SubscriptionOccurrenceSchema = new mongoose.Schema({
+	deliveryDate: {
+		type: Date,
+		required: [true, 'Delivery date is required']
+	},
+	// ordered: order created; skipped: nothing sent; held: waiting for a price increase to be
+	// accepted; failed: the order could not be created
+	status: {
+		type: String,
+		enum: ['ordered', 'skipped', 'held', 'failed'],
+		required: true
+	},
+	orderId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Order'
+	},
+	// Items total at the prices the client last accepted, and at the prices of the day
+	referenceTotal: Number,
+	currentTotal: Number,
+	reason: String,
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+/**
+ * @schema SubscriptionSchema
+ * @description Mongoose schema for a client's recurring order (e.g. a weekly basket): a template
+ * order that is placed again ahead of every delivery date in its schedule
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const SubscriptionSchema = new mongoose.Schema({
+	subscriptionNumber: {
+		type: String,
+		required: true,
+		unique: true
+	},
+	clientId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Client',
+		required: [true, 'Client ID is required']
+	},
+	name: {
+		type: String,
+		trim: true,
+		maxlength: [100, 'Name cannot exceed 100 characters']
+	},
+	items: {
+		type: [SubscriptionItemSchema],
+		validate: {
+			validator: items => items.length > 0,
+			message: 'A subscription needs at least one item'
+		}
+	},
+	// Copied onto every order
+	shippingMethod: {
+		type: String,
+		enum: ['delivery', 'pickup'],
+		default: 'delivery'
+	},
+	shippingAddress: {
+		street: {
+			type: String,
+			trim: true
+		},
+		city: {
+			type: String,
+			trim: true
+		},
+		state: {
+			type: String,
+			trim: true
+		},
+		country: {
+			type: String,
+			trim: true,
+			default: 'Nigeria'
+		},
+		postalCode: {
+			type: String,
+			trim: true
+		}
+	},
+	contactInfo: {
+		name: String,
+		email: String,
+		phone: String
+	},
+	paymentMethod: {
+		type: String,
+		enum: ['bank_transfer', 'cash', 'cash_on_delivery', 'credit_card', 'online_payment', 'other'],
+		default: 'bank_transfer'
+	},
+	notes: {
+		type: String,
+		trim: true
+	},
+	deliveryNotes: {
+		type: String,
+		trim: true
+	},
+	schedule: {
+		frequency: {
+			type: String,
+			enum: ['weekly', 'biweekly', 'monthly'],
+			required: [true, 'Frequency is required']
+		},
+		// Day of the week (0 = Sunday) for weekly and fortnightly deliveries, day of the month for monthly ones
+		deliveryDay: {
+			type: Number,
+			required: [true, 'Delivery day is required'],
+			min: [0, 'Delivery day cannot be negative'],
+			max: [28, 'Delivery day cannot be after the 28th']
+		},
+		timeSlot: {
+			type: String,
+			trim: true
+		}
+	},
+	startDate: {
+		type: Date,
+		default: Date.now
+	},
+	// Next delivery an order has not been placed for yet
+	nextDeliveryDate: {
+		type: Date,
+		required: true
+	},
+	// Deliveries the client does not want; no order is placed for them
+	skippedDates: [Date],
+	status: {
+		type: String,
+		enum: ['active', 'paused', 'cancelled'],
+		default: 'active'
+	},
+	// Deliveries start again from this date; paused until resumed when not set
+	pausedUntil: Date,
+	cancelledAt: Date,
+	cancellationReason: {
+		type: String,
+		trim: true
+	},
+	// current: orders are placed at the prices of the day; capped: an order is held for the
+	// client to accept when prices rose by more than maxIncreasePercent
+	priceRefresh: {
+		policy: {
+			type: String,
+			enum: ['current', 'capped'],
+			default: 'current'
+		},
+		maxIncreasePercent: {
+			type: Number,
+			default: 10,
+			min: [0, 'Maximum increase cannot be negative']
+		}
+	},
+	// Items total at the prices the client subscribed at (or last agreed to in a price review);
+	// a capped price refresh is measured against it so small rises cannot add up unnoticed
+	subscribedTotal: {
+		type: Number,
+		min: [0, 'Subscribed total cannot be negative']
+	},
+	// Items total at the prices the client last accepted
+	referenceTotal: {
+		type: Number,
+		default: 0,
+		min: [0, 'Reference total cannot be negative']
+	},
+	history: [SubscriptionOccurrenceSchema],
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+SubscriptionSchema.index({ status: 1, nextDeliveryDate: 1 });
+SubscriptionSchema.index({ clientId: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', SubscriptionSchema);
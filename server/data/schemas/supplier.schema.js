@@ -0,0 +1,156 @@
+// src/data/schemas/supplier.schema.js
+
+const mongoose = require('mongoose');
+const { getSupportedUnits } = require('../../utils/unit-converter');
+
+/**
+ * @schema SupplierPriceSchema
+ * @description Price a supplier charges for one of our products (or one of its variants)
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const SupplierPriceSchema = new mongoose.Schema({
+	productId: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product',
+		required: [true, 'Product ID is required']
+	},
+	variantId: {
+		type: mongoose.Schema.Types.ObjectId,
+		default: null
+	},
+	supplierSku: {
+		type: String,
+		trim: true
+	},
+	unitCost: {
+		type: Number,
+		required: [true, 'Unit cost is required'],
+		min: [0, 'Unit cost cannot be negative']
+	},
+	// Unit the supplier sells in (defaults to the product's pricing unit)
+	unit: {
+		type: String,
+		enum: getSupportedUnits()
+	},
+	minimumOrderQuantity: {
+		type: Number,
+		default: 1,
+		min: [0, 'Minimum order quantity cannot be negative']
+	},
+	// Overrides the supplier's default lead time for this product
+	leadTimeDays: {
+		type: Number,
+		min: [0, 'Lead time cannot be negative']
+	},
+	validFrom: Date,
+	validTo: Date
+}, {
+	timestamps: true
+});
+
+/**
+ * @schema SupplierSchema
+ * @description Mongoose schema for suppliers we buy stock from
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const SupplierSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: [true, 'Supplier name is required'],
+		trim: true,
+		index: true
+	},
+	code: {
+		type: String,
+		trim: true,
+		uppercase: true,
+		unique: true,
+		sparse: true
+	},
+	email: {
+		type: String,
+		trim: true,
+		lowercase: true,
+		match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email address']
+	},
+	phone: {
+		type: String,
+		trim: true
+	},
+	address: {
+		street: String,
+		city: String,
+		state: String,
+		country: {
+			type: String,
+			default: 'Nigeria'
+		},
+		postalCode: String
+	},
+	contacts: [{
+		name: {
+			type: String,
+			required: [true, 'Contact name is required'],
+			trim: true
+		},
+		role: {
+			type: String,
+			trim: true
+		},
+		email: {
+			type: String,
+			trim: true,
+			lowercase: true
+		},
+		phone: {
+			type: String,
+			trim: true
+		},
+		isPrimary: {
+			type: Boolean,
+			default: false
+		}
+	}],
+	// Days between sending a purchase order and the goods arriving
+	leadTimeDays: {
+		type: Number,
+		default: 0,
+		min: [0, 'Lead time cannot be negative']
+	},
+	paymentTerms: {
+		type: String,
+		trim: true
+	},
+	currency: {
+		type: String,
+		default: 'NGN'
+	},
+	priceList: [SupplierPriceSchema],
+	notes: {
+		type: String,
+		trim: true
+	},
+	isActive: {
+		type: Boolean,
+		default: true,
+		index: true
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+SupplierSchema.index({ name: 'text', code: 'text' });
+SupplierSchema.index({ 'priceList.productId': 1 });
+
+// Virtual for the contact purchase orders are addressed to
+SupplierSchema.virtual('primaryContact').get(function() {
+	const contacts = this.contacts || [];
+	return contacts.find(contact => contact.isPrimary) || contacts[0] || null;
+});
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
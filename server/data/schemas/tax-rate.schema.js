@@ -0,0 +1,67 @@
+// src/data/schemas/tax-rate.schema.js
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema TaxRateSchema
+ * @description Mongoose schema for tax rates such as VAT. Every active rate applies to each
+ * order line apart from the products and categories it exempts.
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+const TaxRateSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: [true, 'Tax rate name is required'],
+		trim: true,
+		maxlength: [100, 'Tax rate name cannot exceed 100 characters']
+	},
+	// Short label printed on invoices, e.g. VAT
+	code: {
+		type: String,
+		required: [true, 'Tax code is required'],
+		trim: true,
+		uppercase: true,
+		unique: true
+	},
+	description: {
+		type: String,
+		trim: true
+	},
+	// Percentage charged, e.g. 7.5 for Nigerian VAT
+	rate: {
+		type: Number,
+		required: [true, 'Rate is required'],
+		min: [0, 'Rate cannot be negative'],
+		max: [100, 'Rate cannot exceed 100%']
+	},
+	// Products and categories the rate is not charged on, such as basic food items
+	exemptProductIds: [{
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Product'
+	}],
+	exemptCategoryIds: [{
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Category'
+	}],
+	validFrom: Date,
+	validTo: Date,
+	isActive: {
+		type: Boolean,
+		default: true,
+		index: true
+	},
+	createdBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}
+}, {
+	timestamps: true,
+	toJSON: { virtuals: true },
+	toObject: { virtuals: true }
+});
+
+// Indexes
+TaxRateSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+
+module.exports = mongoose.model('TaxRate', TaxRateSchema);
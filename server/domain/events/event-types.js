@@ -15,6 +15,41 @@ const EventTypes = {
 	PRODUCT_STOCK_LOW: 'product.stock.low',
 	PRODUCT_OUT_OF_STOCK: 'product.stock.out',
 	PRODUCT_BACK_IN_STOCK: 'product.stock.back',
+	PRODUCT_EXPIRING: 'product.expiring',
+	PRODUCT_BATCH_EXPIRED: 'product.batch.expired',
+	PRODUCT_RESERVED_STOCK_SHORT: 'product.stock.reserved_short',
+	PRODUCTS_IMPORTED: 'product.imported',
+	PRODUCT_PRICE_CHANGED: 'product.price.changed',
+	PRICE_CHANGE_SCHEDULED: 'product.price.scheduled',
+	PRICE_CHANGE_CANCELLED: 'product.price.cancelled',
+
+	// Price list events
+	PRICE_LIST_CREATED: 'price_list.created',
+	PRICE_LIST_UPDATED: 'price_list.updated',
+	PRICE_LIST_DELETED: 'price_list.deleted',
+
+	// Promotion events
+	PROMOTION_CREATED: 'promotion.created',
+	PROMOTION_UPDATED: 'promotion.updated',
+	PROMOTION_DELETED: 'promotion.deleted',
+	PROMOTION_REDEEMED: 'promotion.redeemed',
+
+	// Tax rate events
+	TAX_RATE_CREATED: 'tax_rate.created',
+	TAX_RATE_UPDATED: 'tax_rate.updated',
+	TAX_RATE_DELETED: 'tax_rate.deleted',
+
+	// Review events
+	REVIEW_CREATED: 'review.created',
+	REVIEW_MODERATED: 'review.moderated',
+	REVIEW_DELETED: 'review.deleted',
+	REVIEW_LOW_RATING: 'review.low_rating',
+
+	// Return events
+	RETURN_REQUESTED: 'return.requested',
+	RETURN_APPROVED: 'return.approved',
+	RETURN_REJECTED: 'return.rejected',
+	CREDIT_NOTE_ISSUED: 'credit_note.issued',
 
 	// Category events
 	CATEGORY_CREATED: 'category.created',
@@ -27,6 +62,20 @@ const EventTypes = {
 	ORDER_CANCELLED: 'order.cancelled',
 	ORDER_COMPLETED: 'order.completed',
 	ORDER_STATUS_CHANGED: 'order.status.changed',
+	ORDER_PAYMENT_STATUS_CHANGED: 'order.payment_status.changed',
+	ORDER_SHIPMENT_CREATED: 'order.shipment.created',
+	ORDER_REORDERED: 'order.reordered',
+
+	// Subscription events
+	SUBSCRIPTION_CREATED: 'subscription.created',
+	SUBSCRIPTION_UPDATED: 'subscription.updated',
+	SUBSCRIPTION_PAUSED: 'subscription.paused',
+	SUBSCRIPTION_RESUMED: 'subscription.resumed',
+	SUBSCRIPTION_CANCELLED: 'subscription.cancelled',
+	SUBSCRIPTION_DELIVERY_SKIPPED: 'subscription.delivery_skipped',
+	SUBSCRIPTION_ORDER_CREATED: 'subscription.order.created',
+	SUBSCRIPTION_ORDER_FAILED: 'subscription.order.failed',
+	SUBSCRIPTION_PRICE_REVIEW: 'subscription.price_review',
 
 	// Invoice events
 	INVOICE_CREATED: 'invoice.created',
@@ -48,6 +97,29 @@ const EventTypes = {
 	DELIVERY_FAILED: 'delivery.failed',
 	DELIVERY_CANCELLED: 'delivery.cancelled',
 
+	// Supplier events
+	SUPPLIER_CREATED: 'supplier.created',
+	SUPPLIER_UPDATED: 'supplier.updated',
+	SUPPLIER_DELETED: 'supplier.deleted',
+
+	// Purchase order events
+	PURCHASE_ORDER_CREATED: 'purchase_order.created',
+	PURCHASE_ORDER_SENT: 'purchase_order.sent',
+	PURCHASE_ORDER_RECEIVED: 'purchase_order.received',
+	PURCHASE_ORDER_CLOSED: 'purchase_order.closed',
+	PURCHASE_ORDER_CANCELLED: 'purchase_order.cancelled',
+
+	// Location events
+	LOCATION_CREATED: 'location.created',
+	LOCATION_UPDATED: 'location.updated',
+	LOCATION_DELETED: 'location.deleted',
+	STOCK_TRANSFERRED: 'location.stock_transferred',
+
+	// Stock take events
+	STOCK_TAKE_OPENED: 'stock_take.opened',
+	STOCK_TAKE_POSTED: 'stock_take.posted',
+	STOCK_TAKE_CANCELLED: 'stock_take.cancelled',
+
 	// User events
 	USER_CREATED: 'user.created',
 	USER_UPDATED: 'user.updated',
@@ -100,6 +100,9 @@ function dispatchProductBackInStock(product, newQuantity) {
  * @param {Function} onProductLowStock - Handler for low stock events
  * @param {Function} onProductOutOfStock - Handler for out of stock events
  * @param {Function} onProductBackInStock - Handler for back in stock events
+ * @param {Function} onProductExpiring - Handler for expiring soon events
+ * @param {Function} onProductBatchExpired - Handler for batch expired events
+ * @param {Function} onProductReservedStockShort - Handler for stock falling short of open order reservations
  */
 function registerProductEventHandlers({
 	                                      onProductCreated,
@@ -107,7 +110,10 @@ function registerProductEventHandlers({
 	                                      onProductDeleted,
 	                                      onProductLowStock,
 	                                      onProductOutOfStock,
-	                                      onProductBackInStock
+	                                      onProductBackInStock,
+	                                      onProductExpiring,
+	                                      onProductBatchExpired,
+	                                      onProductReservedStockShort
                                       }) {
 	if (onProductCreated) {
 		dispatcher.on(EventTypes.PRODUCT_CREATED, onProductCreated);
@@ -132,6 +138,18 @@ function registerProductEventHandlers({
 	if (onProductBackInStock) {
 		dispatcher.on(EventTypes.PRODUCT_BACK_IN_STOCK, onProductBackInStock);
 	}
+
+	if (onProductExpiring) {
+		dispatcher.on(EventTypes.PRODUCT_EXPIRING, onProductExpiring);
+	}
+
+	if (onProductBatchExpired) {
+		dispatcher.on(EventTypes.PRODUCT_BATCH_EXPIRED, onProductBatchExpired);
+	}
+
+	if (onProductReservedStockShort) {
+		dispatcher.on(EventTypes.PRODUCT_RESERVED_STOCK_SHORT, onProductReservedStockShort);
+	}
 }
 
 module.exports = {
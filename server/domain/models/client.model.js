@@ -27,6 +27,7 @@ class Client {
 	 * @param {Date} clientData.lastOrderDate - Date of last order
 	 * @param {number} clientData.totalOrders - Count of total orders
 	 * @param {number} clientData.totalSpent - Total amount spent
+	 * @param {number} clientData.storeCredit - Store credit from returns
 	 * @param {Date} clientData.createdAt - Creation timestamp
 	 * @param {Date} clientData.updatedAt - Last update timestamp
 	 */
@@ -49,6 +50,7 @@ class Client {
 		            lastOrderDate = null,
 		            totalOrders = 0,
 		            totalSpent = 0,
+		            storeCredit = 0,
 		            createdAt = new Date(),
 		            updatedAt = new Date()
 	            }) {
@@ -64,6 +66,7 @@ class Client {
 		this.lastOrderDate = lastOrderDate;
 		this.totalOrders = totalOrders;
 		this.totalSpent = totalSpent;
+		this.storeCredit = storeCredit;
 		this.createdAt = createdAt;
 		this.updatedAt = updatedAt;
 	}
@@ -179,6 +182,7 @@ class Client {
 			lastOrderDate: this.lastOrderDate,
 			totalOrders: this.totalOrders,
 			totalSpent: this.totalSpent,
+			storeCredit: this.storeCredit,
 			createdAt: this.createdAt,
 			updatedAt: this.updatedAt
 		};
@@ -0,0 +1,168 @@
+// src/domain/models/order-workflow.js
+
+const { ValidationError } = require('../../utils/error-handler');
+
+/**
+ * @module OrderWorkflow
+ * @description The statuses an order and its payment can move between, and the checks an order
+ * must pass before it moves
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+
+// Statuses each order status can move to
+const ORDER_STATUS_TRANSITIONS = {
+	pending: ['processing', 'cancelled'],
+	processing: ['partially_shipped', 'shipped', 'delivered', 'cancelled'],
+	// Some items have gone out in shipments; the order is shipped once the last of them leaves
+	partially_shipped: ['shipped'],
+	shipped: ['delivered', 'returned'],
+	delivered: ['returned'],
+	// A cancelled order can be reopened
+	cancelled: ['pending'],
+	returned: []
+};
+
+// Statuses each payment status can move to
+const PAYMENT_STATUS_TRANSITIONS = {
+	pending: ['paid', 'partially_paid', 'failed'],
+	partially_paid: ['paid', 'refunded'],
+	paid: ['refunded'],
+	// A failed payment can be retried
+	failed: ['pending', 'partially_paid', 'paid'],
+	refunded: []
+};
+
+// Payment methods where the client pays when the order reaches them
+const PAY_ON_DELIVERY_METHODS = ['cash_on_delivery'];
+
+// Checks shared by every status that sends goods out
+const SHIPPING_GUARDS = [
+	order => (order.shippingMethod === 'pickup'
+		? 'Pickup orders are not shipped; mark them delivered once collected'
+		: null),
+	order => (order.deliveryFeePending
+		? 'Cannot ship an order while its delivery fee is pending'
+		: null)
+];
+
+/**
+ * Checks an order must pass to enter a status; each returns why the order is blocked, or null
+ * @type {Object<string, Array<Function>>}
+ */
+const ORDER_STATUS_GUARDS = {
+	partially_shipped: [
+		...SHIPPING_GUARDS,
+		order => (!(order.items || []).some(item => item.shippedQuantity > 0)
+			? 'Record a shipment to partially ship an order'
+			: null)
+	],
+	shipped: [
+		...SHIPPING_GUARDS,
+		order => ((order.items || []).some(item => item.isCatchWeight && !item.weighedAt)
+			? 'Cannot ship an order until its catch-weight items have been weighed'
+			: null)
+	],
+	delivered: [
+		(order, from) => (from === 'processing' && order.shippingMethod !== 'pickup'
+			? 'Delivery orders must be shipped before they are delivered'
+			: null),
+		order => (order.deliveryFeePending
+			? 'Cannot deliver an order while its delivery fee is pending'
+			: null),
+		order => ((order.items || []).some(item => item.isCatchWeight && !item.weighedAt)
+			? 'Cannot deliver an order until its catch-weight items have been weighed'
+			: null),
+		order => (order.paymentStatus !== 'paid' && !PAY_ON_DELIVERY_METHODS.includes(order.paymentMethod)
+			? 'Cannot deliver an unpaid order unless it is cash on delivery'
+			: null)
+	]
+};
+
+/**
+ * Work out why an order cannot move to a status
+ * @param {Object} order - Order, with any other changes being made alongside the status
+ * @param {string} status - Status being applied
+ * @param {string} [from] - Status the order is moving from (defaults to order.status)
+ * @returns {string|null} Reason the transition is not allowed, or null if it is
+ */
+const getStatusTransitionError = (order, status, from = order.status) => {
+	const allowed = ORDER_STATUS_TRANSITIONS[from];
+
+	if (!allowed) {
+		return `Unknown order status '${from}'`;
+	}
+
+	if (!allowed.includes(status)) {
+		return `Cannot change order status from '${from}' to '${status}'` +
+			(allowed.length ? ` (allowed: ${allowed.join(', ')})` : `; '${from}' orders cannot change status`);
+	}
+
+	for (const guard of ORDER_STATUS_GUARDS[status] || []) {
+		const reason = guard(order, from);
+		if (reason) {
+			return reason;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Work out why an order's payment cannot move to a payment status
+ * @param {Object} order - Order
+ * @param {string} paymentStatus - Payment status being applied
+ * @returns {string|null} Reason the transition is not allowed, or null if it is
+ */
+const getPaymentStatusTransitionError = (order, paymentStatus) => {
+	const from = order.paymentStatus || 'pending';
+	const allowed = PAYMENT_STATUS_TRANSITIONS[from];
+
+	if (!allowed) {
+		return `Unknown payment status '${from}'`;
+	}
+
+	if (!allowed.includes(paymentStatus)) {
+		return `Cannot change payment status from '${from}' to '${paymentStatus}'` +
+			(allowed.length ? ` (allowed: ${allowed.join(', ')})` : `; '${from}' payments cannot change status`);
+	}
+
+	return null;
+};
+
+/**
+ * Check an order can move to a status
+ * @param {Object} order - Order, with any other changes being made alongside the status
+ * @param {string} status - Status being applied
+ * @param {string} [from] - Status the order is moving from (defaults to order.status)
+ * @throws {ValidationError} Transition not allowed
+ */
+const assertStatusTransition = (order, status, from = order.status) => {
+	const reason = getStatusTransitionError(order, status, from);
+	if (reason) {
+		throw new ValidationError(reason);
+	}
+};
+
+/**
+ * Check an order's payment can move to a payment status
+ * @param {Object} order - Order
+ * @param {string} paymentStatus - Payment status being applied
+ * @throws {ValidationError} Transition not allowed
+ */
+const assertPaymentStatusTransition = (order, paymentStatus) => {
+	const reason = getPaymentStatusTransitionError(order, paymentStatus);
+	if (reason) {
+		throw new ValidationError(reason);
+	}
+};
+
+module.exports = {
+	ORDER_STATUS_TRANSITIONS,
+	PAYMENT_STATUS_TRANSITIONS,
+	PAY_ON_DELIVERY_METHODS,
+	getStatusTransitionError,
+	getPaymentStatusTransitionError,
+	assertStatusTransition,
+	assertPaymentStatusTransition
+};
@@ -1,5 +1,7 @@
 // src/domain/models/order.model.js
 
+const { assertStatusTransition, assertPaymentStatusTransition } = require('./order-workflow');
+
 class Order {
 	constructor({
 		            orderNumber,           // Changed from 'id'
@@ -11,7 +13,13 @@ class Order {
 		            subtotal = 0,
 		            shippingCost = 0,            // Changed from 'deliveryFee'
 		            taxAmount = 0,               // Added
+		            includedTaxAmount = 0,
+		            pricesIncludeTax = false,
+		            taxBreakdown = [],
 		            discountAmount = 0,          // Changed from 'discount'
+		            couponCode = null,
+		            appliedPromotions = [],
+		            freeDelivery = false,
 		            totalAmount = 0,             // Changed from 'total'
 		            paymentStatus = 'pending',   // Extracted from paymentDetails
 		            paymentMethod = 'bank_transfer', // Extracted from paymentDetails
@@ -33,7 +41,13 @@ class Order {
 		this.subtotal = subtotal;
 		this.shippingCost = shippingCost;
 		this.taxAmount = taxAmount;
+		this.includedTaxAmount = includedTaxAmount;
+		this.pricesIncludeTax = pricesIncludeTax;
+		this.taxBreakdown = taxBreakdown;
 		this.discountAmount = discountAmount;
+		this.couponCode = couponCode;
+		this.appliedPromotions = appliedPromotions;
+		this.freeDelivery = freeDelivery;
 		this.totalAmount = totalAmount;
 		this.paymentStatus = paymentStatus;
 		this.paymentMethod = paymentMethod;
@@ -87,24 +101,64 @@ class Order {
 		}
 
 		this.shippingAddress = method === 'delivery' ? address : null;
-		this.shippingCost = method === 'delivery' ? cost : 0;
+		this.shippingCost = method === 'delivery' && !this.freeDelivery ? cost : 0;
 		this.recalculateTotals();
 		this.updatedAt = new Date();
 	}
 
 	/**
-	 * Apply discount to the order
+	 * Apply the promotions the order qualifies for; the discount is their total
+	 * @param {Array<Object>} appliedPromotions - Promotions with their discounts ({ promotionId, name, code, type, discountAmount, freeDelivery })
+	 */
+	applyPromotions(appliedPromotions = []) {
+		this.appliedPromotions = appliedPromotions;
+		this.discountAmount = appliedPromotions.reduce((sum, promotion) => sum + (promotion.discountAmount || 0), 0);
+		this.freeDelivery = appliedPromotions.some(promotion => promotion.freeDelivery);
+
+		if (this.freeDelivery && this.shippingMethod === 'delivery') {
+			this.shippingCost = 0;
+		}
+
+		this.recalculateTotals();
+	}
+
+	/**
+	 * Apply the tax worked out for the order's items; tax inside tax-inclusive prices is not added again
+	 * @param {Object} tax - Tax from the tax service ({ items, taxAmount, includedTaxAmount, pricesIncludeTax, taxBreakdown })
 	 */
-	applyDiscount(amount, reason = '') {
-		this.discountAmount = amount;
-		this.addNote(`Discount applied: ${amount}. Reason: ${reason}`);
+	applyTax({ items = [], taxAmount = 0, includedTaxAmount = 0, pricesIncludeTax = false, taxBreakdown = [] }) {
+		this.items.forEach((item, index) => Object.assign(item, items[index]));
+		this.taxAmount = taxAmount;
+		this.includedTaxAmount = includedTaxAmount;
+		this.pricesIncludeTax = pricesIncludeTax;
+		this.taxBreakdown = taxBreakdown;
+
 		this.recalculateTotals();
 	}
 
+	/**
+	 * Move the order to a new status
+	 * @param {string} status - New status
+	 * @param {string} note - Reason for the change
+	 * @throws {ValidationError} The order cannot move to the status
+	 */
+	updateStatus(status, note = '') {
+		if (status !== this.status) {
+			assertStatusTransition(this, status);
+		}
+
+		this.status = status;
+		this.statusHistory = [...(this.statusHistory || []), { status, timestamp: new Date(), note }];
+		this.updatedAt = new Date();
+	}
+
 	/**
 	 * Update payment details
 	 */
 	updatePayment(paymentStatus, paymentMethod = null) {
+		if (paymentStatus !== this.paymentStatus) {
+			assertPaymentStatusTransition(this, paymentStatus);
+		}
 		this.paymentStatus = paymentStatus;
 		if (paymentMethod) {
 			this.paymentMethod = paymentMethod;
@@ -134,7 +188,13 @@ class Order {
 			subtotal: this.subtotal,
 			shippingCost: this.shippingCost,
 			taxAmount: this.taxAmount,
+			includedTaxAmount: this.includedTaxAmount,
+			pricesIncludeTax: this.pricesIncludeTax,
+			taxBreakdown: this.taxBreakdown,
 			discountAmount: this.discountAmount,
+			couponCode: this.couponCode,
+			appliedPromotions: this.appliedPromotions,
+			freeDelivery: this.freeDelivery,
 			totalAmount: this.totalAmount,
 			notes: this.notes,
 			deliveryNotes: this.deliveryNotes,
@@ -0,0 +1,132 @@
+// src/domain/models/price-list.model.js
+
+/**
+ * @class PriceList
+ * @description Price list domain model: customer-specific prices made of fixed prices, percentages off
+ * and quantity breaks
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceList {
+	/**
+	 * Create a new PriceList instance
+	 * @param {Object} priceListData - Price list information
+	 * @param {string} priceListData._id - Unique identifier
+	 * @param {string} priceListData.name - Price list name
+	 * @param {Array<string>} priceListData.clientIds - Clients the list is assigned to
+	 * @param {Array<string>} priceListData.clientTags - Client tags the list is assigned to
+	 * @param {number} priceListData.discountPercent - Percentage off products the rules do not price
+	 * @param {Array<Object>} priceListData.rules - Rules ({ productId, variantId, type, value, minQuantity })
+	 * @param {number} priceListData.priority - Priority over the client's other lists
+	 * @param {Date} priceListData.validFrom - Start of the period the list applies in
+	 * @param {Date} priceListData.validTo - End of the period the list applies in
+	 * @param {boolean} priceListData.isActive - Whether the list is in use
+	 */
+	constructor({
+		            _id,
+		            id,
+		            name,
+		            clientIds = [],
+		            clientTags = [],
+		            discountPercent = 0,
+		            rules = [],
+		            priority = 0,
+		            validFrom = null,
+		            validTo = null,
+		            isActive = true
+	            }) {
+		this.id = _id || id;
+		this.name = name;
+		this.clientIds = clientIds;
+		this.clientTags = clientTags;
+		this.discountPercent = discountPercent;
+		this.rules = rules;
+		this.priority = priority;
+		this.validFrom = validFrom;
+		this.validTo = validTo;
+		this.isActive = isActive;
+	}
+
+	/**
+	 * Check if the list is in use at a date
+	 * @param {Date} date - Date to check
+	 * @returns {boolean} - Whether the list applies at the date
+	 */
+	isValidAt(date = new Date()) {
+		if (!this.isActive) {
+			return false;
+		}
+		if (this.validFrom && new Date(this.validFrom) > date) {
+			return false;
+		}
+		return !(this.validTo && new Date(this.validTo) < date);
+	}
+
+	/**
+	 * Check if the list is assigned to a client, directly or through one of its tags
+	 * @param {Object} client - Client ({ _id, tags })
+	 * @param {Date} date - Date of the sale
+	 * @returns {boolean} - Whether the list applies to the client
+	 */
+	appliesTo(client, date = new Date()) {
+		if (!client || !this.isValidAt(date)) {
+			return false;
+		}
+
+		const clientId = String(client._id || client.id);
+		const tags = client.tags || [];
+
+		return this.clientIds.some(id => String(id) === clientId) ||
+			this.clientTags.some(tag => tags.includes(tag));
+	}
+
+	/**
+	 * Find the rule that prices a quantity of a product or variant: the highest quantity break reached,
+	 * preferring a rule for the variant over one for the whole product
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (null for the product itself)
+	 * @param {number} quantity - Quantity in the pricing unit
+	 * @returns {Object|null} - Matching rule, or null if none
+	 */
+	findRule(productId, variantId, quantity) {
+		const matching = this.rules.filter(rule => {
+			if (String(rule.productId) !== String(productId) || (rule.minQuantity || 0) > quantity) {
+				return false;
+			}
+			if (rule.variantId) {
+				return Boolean(variantId) && String(rule.variantId) === String(variantId);
+			}
+			// A fixed price for the product says nothing about what its variants cost
+			return !variantId || rule.type === 'percentage';
+		});
+
+		matching.sort((a, b) =>
+			(b.minQuantity || 0) - (a.minQuantity || 0) || Number(Boolean(b.variantId)) - Number(Boolean(a.variantId))
+		);
+
+		return matching[0] || null;
+	}
+
+	/**
+	 * Get the list's price for a quantity of a product or variant
+	 * @param {number} basePrice - Catalogue price per pricing unit
+	 * @param {Object} item - Item ({ productId, variantId, quantity })
+	 * @returns {Object|null} - { price, rule }, or null if the list does not price the item
+	 */
+	getPrice(basePrice, { productId, variantId = null, quantity = 1 }) {
+		const rule = this.findRule(productId, variantId, quantity);
+
+		let price;
+		if (rule) {
+			price = rule.type === 'fixed' ? rule.value : basePrice * (1 - rule.value / 100);
+		} else if (this.discountPercent > 0) {
+			price = basePrice * (1 - this.discountPercent / 100);
+		} else {
+			return null;
+		}
+
+		return { price: Math.round(price * 100) / 100, rule };
+	}
+}
+
+module.exports = PriceList;
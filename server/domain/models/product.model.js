@@ -1,5 +1,8 @@
 // src/domain/models/product.model.js
 
+const unitConverter = require('../../utils/unit-converter');
+const PriceList = require('./price-list.model');
+
 /**
  * @class Product
  * @description Product domain model representing various inventory items
@@ -13,12 +16,21 @@ class Product {
 	 * @param {string} productData.id - Unique identifier
 	 * @param {string} productData.name - Product name
 	 * @param {string} productData.description - Product description
+	 * @param {string} productData.sku - Stock keeping unit
 	 * @param {string} productData.categoryId - Reference to category
 	 * @param {Array<string>} productData.images - Array of image URLs
 	 * @param {number} productData.price - Base price of the product
+	 * @param {number} productData.costPrice - What the product costs to buy in
 	 * @param {string} productData.unit - Unit of measurement (e.g., "basket", "kg", "piece")
-	 * @param {Object} productData.variants - Different variants of the product with prices
-	 * @param {number} productData.stockQuantity - Available quantity
+	 * @param {string} productData.pricingUnit - Unit the price is quoted in
+	 * @param {string} productData.stockUnit - Unit stock is counted in
+	 * @param {Array<Object>} productData.unitConversions - Per-product unit factors ({ unit, factor, toUnit })
+	 * @param {Array<Object>} productData.variants - Sellable variants with their own SKU, price and stock
+	 * @param {string} productData.productType - "standard" or "bundle"
+	 * @param {Object} productData.bundle - Bundle components ({ productId, variantId, quantity, unit }), pricing mode and discount
+	 * @param {number} productData.stockQuantity - Quantity on hand
+	 * @param {number} productData.reservedQuantity - Quantity held by open orders
+	 * @param {number} productData.lowStockThreshold - Stock level that counts as low
 	 * @param {boolean} productData.isAvailable - Whether product is available
 	 * @param {Array<string>} productData.tags - Descriptive tags
 	 * @param {Date} productData.createdAt - Creation timestamp
@@ -28,12 +40,21 @@ class Product {
 		            id,
 		            name,
 		            description,
+		            sku,
 		            categoryId,
 		            images = [],
 		            price,
+		            costPrice,
 		            unit,
-		            variants = {},
+		            pricingUnit = 'each',
+		            stockUnit = 'each',
+		            unitConversions = [],
+		            variants = [],
+		            productType = 'standard',
+		            bundle = null,
 		            stockQuantity,
+		            reservedQuantity = 0,
+		            lowStockThreshold,
 		            isAvailable = true,
 		            tags = [],
 		            createdAt = new Date(),
@@ -42,38 +63,204 @@ class Product {
 		this.id = id;
 		this.name = name;
 		this.description = description;
+		this.sku = sku;
 		this.categoryId = categoryId;
 		this.images = images;
 		this.price = price;
+		this.costPrice = costPrice;
 		this.unit = unit;
+		this.pricingUnit = pricingUnit;
+		this.stockUnit = stockUnit;
+		this.unitConversions = unitConversions;
 		this.variants = variants;
+		this.productType = productType;
+		this.bundle = productType === 'bundle'
+			? { components: [], pricingMode: 'fixed', discountPercent: 0, itemiseOnInvoice: false, ...bundle }
+			: null;
 		this.stockQuantity = stockQuantity;
+		this.reservedQuantity = reservedQuantity;
+		this.lowStockThreshold = lowStockThreshold;
 		this.isAvailable = isAvailable;
 		this.tags = tags;
 		this.createdAt = createdAt;
 		this.updatedAt = updatedAt;
 	}
 
+	/**
+	 * Get stock that is not held by open orders
+	 * @returns {number} - Unreserved quantity
+	 */
+	getAvailableQuantity() {
+		return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+	}
+
+	/**
+	 * Convert a quantity into the unit stock is counted in
+	 * @param {number} quantity - Quantity to convert
+	 * @param {string} unit - Unit of the quantity (defaults to the pricing unit)
+	 * @returns {number} - Quantity in stock units
+	 * @throws {Error} If no conversion is configured between the units
+	 */
+	toStockUnits(quantity, unit = this.pricingUnit) {
+		return unitConverter.toStockUnits(this, quantity, unit);
+	}
+
 	/**
 	 * Check if product is in stock
 	 * @param {number} quantity - Quantity to check
 	 * @returns {boolean} - Whether requested quantity is available
 	 */
 	isInStock(quantity = 1) {
-		return this.stockQuantity >= quantity && this.isAvailable;
+		return this.getAvailableQuantity() >= quantity && this.isAvailable;
 	}
 
 	/**
 	 * Calculate price for specific variant and quantity
 	 * @param {string} variantKey - Variant identifier
 	 * @param {number} quantity - Quantity ordered
+	 * @param {Array<Object>} priceLists - Price lists that apply to the client, highest priority first
 	 * @returns {number} - Total price
 	 */
-	calculatePrice(variantKey = null, quantity = 1) {
-		if (variantKey && this.variants[variantKey]) {
-			return this.variants[variantKey] * quantity;
+	calculatePrice(variantKey = null, quantity = 1, priceLists = []) {
+		return this.getUnitPrice(variantKey, quantity, priceLists).price * quantity;
+	}
+
+	/**
+	 * Work out the unit price for a variant and quantity; the first of the client's price lists that
+	 * prices the item replaces the catalogue price
+	 * @param {string} variantKey - Variant identifier
+	 * @param {number} quantity - Quantity ordered (in the pricing unit)
+	 * @param {Array<Object>} priceLists - Price lists that apply to the client, highest priority first
+	 * @returns {Object} - Unit price, catalogue price and the price list used (null for none)
+	 */
+	getUnitPrice(variantKey = null, quantity = 1, priceLists = []) {
+		const variant = variantKey ? this.getVariant(variantKey) : null;
+		const listPrice = variant ? variant.price : this.price;
+
+		for (const list of priceLists) {
+			const priceList = list instanceof PriceList ? list : new PriceList(list);
+			const listed = priceList.getPrice(listPrice, {
+				productId: this.id,
+				variantId: variant ? variant._id : null,
+				quantity
+			});
+
+			if (listed) {
+				return { price: listed.price, listPrice, priceList, rule: listed.rule };
+			}
+		}
+
+		return { price: listPrice, listPrice, priceList: null, rule: null };
+	}
+
+	/**
+	 * Check if product is a bundle of other products
+	 * @returns {boolean} - Whether the product is a bundle
+	 */
+	isBundle() {
+		return this.productType === 'bundle';
+	}
+
+	/**
+	 * Work out the bundle price; discount bundles are priced from their components
+	 * @param {Map<string, Object>} componentProducts - Component products keyed by ID
+	 * @returns {number} - Bundle price
+	 * @throws {Error} If a component product is missing
+	 */
+	getBundlePrice(componentProducts) {
+		if (!this.isBundle() || this.bundle.pricingMode !== 'discount') {
+			return this.price;
 		}
-		return this.price * quantity;
+
+		const componentsTotal = this.bundle.components.reduce((total, component) => {
+			const { product, variant } = this._resolveComponent(component, componentProducts);
+			if (variant) {
+				return total + variant.price * component.quantity;
+			}
+			// Component quantities may be listed in another unit than the one the price is quoted in
+			const quantity = unitConverter.toPricingUnits(product, component.quantity, component.unit || product.pricingUnit);
+			return total + product.price * quantity;
+		}, 0);
+
+		const discounted = componentsTotal * (1 - (this.bundle.discountPercent || 0) / 100);
+		return Math.round(discounted * 100) / 100;
+	}
+
+	/**
+	 * Work out how many bundles the components' unreserved stock can make up
+	 * @param {Map<string, Object>} componentProducts - Component products keyed by ID
+	 * @returns {Object} - Bundles available, whether the bundle can be sold, and per-component figures
+	 */
+	getBundleAvailability(componentProducts) {
+		const components = (this.bundle ? this.bundle.components : []).map(component => {
+			const { product, variant } = this._resolveComponent(component, componentProducts, false);
+			if (!product || (component.variantId && !variant)) {
+				return { productId: component.productId, name: null, isAvailable: false, availableQuantity: 0, maxBundles: 0 };
+			}
+
+			const stockItem = variant || product;
+			const perBundle = variant
+				? component.quantity
+				: unitConverter.toStockUnits(product, component.quantity, component.unit);
+			const availableQuantity = Math.max(0, (stockItem.stockQuantity || 0) - (stockItem.reservedQuantity || 0));
+			const isAvailable = product.isAvailable !== false && stockItem.isAvailable !== false;
+
+			return {
+				productId: component.productId,
+				variantId: component.variantId || null,
+				name: variant ? `${product.name} (${variant.name || variant.key})` : product.name,
+				quantity: component.quantity,
+				unit: variant ? 'each' : (component.unit || product.pricingUnit),
+				isAvailable,
+				availableQuantity,
+				maxBundles: !isAvailable ? 0 : (perBundle > 0 ? Math.floor(availableQuantity / perBundle) : Infinity)
+			};
+		});
+
+		const maxBundles = components.length ? Math.min(...components.map(c => c.maxBundles)) : 0;
+		const availableQuantity = Number.isFinite(maxBundles) ? maxBundles : 0;
+
+		return {
+			availableQuantity,
+			isAvailable: this.isAvailable && availableQuantity > 0,
+			components
+		};
+	}
+
+	/**
+	 * Look up the product and variant a bundle component points at
+	 * @param {Object} component - Bundle component
+	 * @param {Map<string, Object>} componentProducts - Component products keyed by ID
+	 * @param {boolean} required - Throw instead of returning an empty result when missing
+	 * @returns {Object} - Component product and variant (if any)
+	 * @private
+	 */
+	_resolveComponent(component, componentProducts, required = true) {
+		const product = componentProducts.get(component.productId.toString());
+		const variant = product && component.variantId
+			? (product.variants || []).find(v => v._id.toString() === component.variantId.toString())
+			: null;
+
+		if (required && (!product || (component.variantId && !variant))) {
+			throw new Error(`Bundle component ${component.productId} not found`);
+		}
+
+		return { product, variant };
+	}
+
+	/**
+	 * Find a variant by its key or ID
+	 * @param {string} keyOrId - Variant key or ID
+	 * @returns {Object|null} - Variant, or null if not found
+	 */
+	getVariant(keyOrId) {
+		if (!keyOrId) {
+			return null;
+		}
+		const lookup = keyOrId.toString();
+		return this.variants.find(variant =>
+			variant.key === lookup || (variant._id && variant._id.toString() === lookup)
+		) || null;
 	}
 
 	/**
@@ -86,15 +273,19 @@ class Product {
 		if (newQuantity < 0) {
 			throw new Error('Insufficient stock available');
 		}
+		// Stock held by open orders cannot be adjusted away
+		if (newQuantity < this.reservedQuantity) {
+			throw new Error(`Insufficient stock available: ${this.reservedQuantity} reserved by open orders`);
+		}
 		this.stockQuantity = newQuantity;
 		this.updatedAt = new Date();
 
 		// Check if stock is getting low
-		if (this.stockQuantity <= 10) {
+		if (this.getAvailableQuantity() <= 10) {
 			return {
 				event: 'LOW_STOCK',
 				productId: this.id,
-				remainingStock: this.stockQuantity
+				remainingStock: this.getAvailableQuantity()
 			};
 		}
 
@@ -111,24 +302,59 @@ class Product {
 	}
 
 	/**
-	 * Add a product variant with custom price
-	 * @param {string} variantKey - Variant name/key
-	 * @param {number} price - Price for this variant
+	 * Add a product variant
+	 * @param {Object} variantData - Variant data (key, name, type, size, sku, price, costPrice, stockQuantity, images)
+	 * @returns {Object} - Added variant
+	 * @throws {Error} If the key is already used by another variant
 	 */
-	addVariant(variantKey, price) {
-		this.variants[variantKey] = price;
+	addVariant(variantData) {
+		if (this.getVariant(variantData.key)) {
+			throw new Error(`Variant "${variantData.key}" already exists for product "${this.name}"`);
+		}
+		const variant = {
+			isAvailable: true,
+			stockQuantity: 0,
+			reservedQuantity: 0,
+			images: [],
+			...variantData
+		};
+		this.variants.push(variant);
+		this.updatedAt = new Date();
+		return variant;
+	}
+
+	/**
+	 * Update a product variant
+	 * @param {string} keyOrId - Variant key or ID
+	 * @param {Object} updateData - Fields to change
+	 * @returns {Object} - Updated variant
+	 * @throws {Error} If the variant does not exist or the new key is taken
+	 */
+	updateVariant(keyOrId, updateData) {
+		const variant = this.getVariant(keyOrId);
+		if (!variant) {
+			throw new Error(`Variant "${keyOrId}" not found for product "${this.name}"`);
+		}
+		if (updateData.key && updateData.key !== variant.key && this.getVariant(updateData.key)) {
+			throw new Error(`Variant "${updateData.key}" already exists for product "${this.name}"`);
+		}
+		Object.assign(variant, updateData);
 		this.updatedAt = new Date();
+		return variant;
 	}
 
 	/**
 	 * Remove a product variant
-	 * @param {string} variantKey - Variant to remove
+	 * @param {string} keyOrId - Variant key or ID
+	 * @returns {Object|null} - Removed variant, or null if not found
 	 */
-	removeVariant(variantKey) {
-		if (this.variants[variantKey]) {
-			delete this.variants[variantKey];
+	removeVariant(keyOrId) {
+		const variant = this.getVariant(keyOrId);
+		if (variant) {
+			this.variants = this.variants.filter(v => v !== variant);
 			this.updatedAt = new Date();
 		}
+		return variant;
 	}
 
 	/**
@@ -140,12 +366,21 @@ class Product {
 			id: this.id,
 			name: this.name,
 			description: this.description,
+			sku: this.sku,
 			categoryId: this.categoryId,
 			images: this.images,
 			price: this.price,
+			costPrice: this.costPrice,
 			unit: this.unit,
+			pricingUnit: this.pricingUnit,
+			stockUnit: this.stockUnit,
+			unitConversions: this.unitConversions,
 			variants: this.variants,
+			productType: this.productType,
+			bundle: this.bundle,
 			stockQuantity: this.stockQuantity,
+			reservedQuantity: this.reservedQuantity,
+			lowStockThreshold: this.lowStockThreshold,
 			isAvailable: this.isAvailable,
 			tags: this.tags,
 			createdAt: this.createdAt,
@@ -0,0 +1,156 @@
+// src/domain/models/promotion.model.js
+
+/**
+ * @class Promotion
+ * @description Promotion domain model: works out whether an order qualifies and what it takes off
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class Promotion {
+	/**
+	 * Create a new Promotion instance
+	 * @param {Object} promotionData - Promotion information
+	 * @param {string} promotionData._id - Unique identifier
+	 * @param {string} promotionData.name - Promotion name
+	 * @param {string} promotionData.code - Coupon code (none for automatic promotions)
+	 * @param {string} promotionData.type - percentage, fixed, buy_x_get_y or free_delivery
+	 * @param {number} promotionData.value - Percentage or amount off
+	 * @param {number} promotionData.maxDiscountAmount - Cap on a percentage discount
+	 * @param {number} promotionData.buyQuantity - Units to buy for buy-X-get-Y
+	 * @param {number} promotionData.getQuantity - Units discounted for buy-X-get-Y
+	 * @param {number} promotionData.getDiscountPercent - Discount on those units (100 for free)
+	 * @param {number} promotionData.minOrderValue - Order value needed to qualify
+	 * @param {Array<string>} promotionData.productIds - Products the promotion is limited to
+	 * @param {Array<string>} promotionData.categoryIds - Categories the promotion is limited to
+	 * @param {number} promotionData.usageLimit - Redemptions allowed overall
+	 * @param {number} promotionData.usageLimitPerClient - Redemptions allowed per client
+	 * @param {number} promotionData.usageCount - Redemptions so far
+	 * @param {Date} promotionData.startsAt - Start of the promotion
+	 * @param {Date} promotionData.endsAt - End of the promotion
+	 * @param {boolean} promotionData.isActive - Whether the promotion is switched on
+	 */
+	constructor({
+		            _id,
+		            id,
+		            name,
+		            code = null,
+		            type,
+		            value = 0,
+		            maxDiscountAmount = null,
+		            buyQuantity = null,
+		            getQuantity = null,
+		            getDiscountPercent = 100,
+		            minOrderValue = 0,
+		            productIds = [],
+		            categoryIds = [],
+		            usageLimit = null,
+		            usageLimitPerClient = null,
+		            usageCount = 0,
+		            startsAt = null,
+		            endsAt = null,
+		            isActive = true
+	            }) {
+		this.id = _id || id;
+		this.name = name;
+		this.code = code;
+		this.type = type;
+		this.value = value;
+		this.maxDiscountAmount = maxDiscountAmount;
+		this.buyQuantity = buyQuantity;
+		this.getQuantity = getQuantity;
+		this.getDiscountPercent = getDiscountPercent;
+		this.minOrderValue = minOrderValue;
+		this.productIds = productIds.map(String);
+		this.categoryIds = categoryIds.map(String);
+		this.usageLimit = usageLimit;
+		this.usageLimitPerClient = usageLimitPerClient;
+		this.usageCount = usageCount;
+		this.startsAt = startsAt;
+		this.endsAt = endsAt;
+		this.isActive = isActive;
+	}
+
+	/**
+	 * Find why the promotion cannot be used on an order, if anything stops it
+	 * @param {Object} context - Order context ({ items, subtotal, date, clientRedemptions })
+	 * @returns {string|null} - Reason the promotion does not apply, or null if it does
+	 */
+	getIneligibilityReason({ items = [], subtotal = 0, date = new Date(), clientRedemptions = 0 }) {
+		if (!this.isActive) {
+			return `Promotion "${this.name}" is not active`;
+		}
+		if (this.startsAt && new Date(this.startsAt) > date) {
+			return `Promotion "${this.name}" has not started yet`;
+		}
+		if (this.endsAt && new Date(this.endsAt) < date) {
+			return `Promotion "${this.name}" has ended`;
+		}
+		if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
+			return `Promotion "${this.name}" has been fully redeemed`;
+		}
+		if (this.usageLimitPerClient !== null && clientRedemptions >= this.usageLimitPerClient) {
+			return `Promotion "${this.name}" has already been used the maximum number of times`;
+		}
+		if (subtotal < (this.minOrderValue || 0)) {
+			return `Promotion "${this.name}" needs an order of at least ${this.minOrderValue}`;
+		}
+		if (!items.some(item => this.coversItem(item))) {
+			return `Promotion "${this.name}" does not cover any item in the order`;
+		}
+		return null;
+	}
+
+	/**
+	 * Check if an item falls within the promotion's products and categories
+	 * @param {Object} item - Order item ({ productId, categoryId })
+	 * @returns {boolean} - Whether the item is covered
+	 */
+	coversItem(item) {
+		if (!this.productIds.length && !this.categoryIds.length) {
+			return true;
+		}
+
+		return this.productIds.includes(String(item.productId)) ||
+			(item.categoryId !== undefined && item.categoryId !== null && this.categoryIds.includes(String(item.categoryId)));
+	}
+
+	/**
+	 * Work out what the promotion takes off an order
+	 * @param {Array<Object>} items - Order items ({ productId, categoryId, quantity, price, totalPrice })
+	 * @returns {Object} - Discount amount and whether delivery is free
+	 */
+	calculateDiscount(items = []) {
+		const covered = items.filter(item => this.coversItem(item));
+		const coveredTotal = covered.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+
+		let discountAmount = 0;
+
+		switch (this.type) {
+			case 'percentage':
+				discountAmount = coveredTotal * (this.value || 0) / 100;
+				if (this.maxDiscountAmount !== null && this.maxDiscountAmount !== undefined) {
+					discountAmount = Math.min(discountAmount, this.maxDiscountAmount);
+				}
+				break;
+			case 'fixed':
+				discountAmount = Math.min(this.value || 0, coveredTotal);
+				break;
+			case 'buy_x_get_y':
+				// Counted per line, so the discounted units are the same item as the ones bought
+				discountAmount = covered.reduce((sum, item) => {
+					const sets = Math.floor((item.quantity || 0) / (this.buyQuantity + this.getQuantity));
+					return sum + sets * this.getQuantity * item.price * (this.getDiscountPercent ?? 100) / 100;
+				}, 0);
+				break;
+			default:
+				break;
+		}
+
+		return {
+			discountAmount: Math.round(discountAmount * 100) / 100,
+			freeDelivery: this.type === 'free_delivery'
+		};
+	}
+}
+
+module.exports = Promotion;
@@ -0,0 +1,138 @@
+// src/domain/models/subscription-schedule.js
+
+/**
+ * @module SubscriptionSchedule
+ * @description Works out the delivery dates of a recurring subscription from its schedule; weekly and
+ * fortnightly baskets arrive on a weekday, monthly ones on a day of the month
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// Days between deliveries for the frequencies that repeat on a weekday
+const FREQUENCY_DAYS = {
+	weekly: 7,
+	biweekly: 14
+};
+
+// Monthly deliveries stop at the 28th so every month has the day
+const MAX_MONTHLY_DAY = 28;
+
+/**
+ * Midnight at the start of a date
+ * @param {Date|string} date - Date
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (date) => {
+	const day = new Date(date);
+	day.setHours(0, 0, 0, 0);
+	return day;
+};
+
+/**
+ * Add days to a date
+ * @param {Date|string} date - Date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+	const day = new Date(date);
+	day.setDate(day.getDate() + days);
+	return day;
+};
+
+/**
+ * Check two dates fall on the same day
+ * @param {Date|string} a - First date
+ * @param {Date|string} b - Second date
+ * @returns {boolean} Whether the dates are the same day
+ */
+const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+/**
+ * First delivery date on or after a date
+ * @param {Object} schedule - Schedule ({ frequency, deliveryDay })
+ * @param {Date|string} from - Earliest date
+ * @returns {Date} Delivery date
+ */
+const getFirstDeliveryDate = (schedule, from) => {
+	const date = startOfDay(from);
+
+	if (schedule.frequency === 'monthly') {
+		if (date.getDate() > schedule.deliveryDay) {
+			date.setMonth(date.getMonth() + 1, schedule.deliveryDay);
+		} else {
+			date.setDate(schedule.deliveryDay);
+		}
+		return date;
+	}
+
+	return addDays(date, (schedule.deliveryDay - date.getDay() + 7) % 7);
+};
+
+/**
+ * Delivery date after a delivery date
+ * @param {Object} schedule - Schedule ({ frequency, deliveryDay })
+ * @param {Date|string} deliveryDate - Current delivery date
+ * @returns {Date} Following delivery date
+ */
+const getFollowingDeliveryDate = (schedule, deliveryDate) => {
+	const date = startOfDay(deliveryDate);
+
+	if (schedule.frequency === 'monthly') {
+		date.setMonth(date.getMonth() + 1, schedule.deliveryDay);
+		return date;
+	}
+
+	return addDays(date, FREQUENCY_DAYS[schedule.frequency]);
+};
+
+/**
+ * First delivery date on or after a date, keeping to the rhythm of an existing delivery date
+ * (so a fortnightly basket stays on its fortnight after a pause)
+ * @param {Object} schedule - Schedule ({ frequency, deliveryDay })
+ * @param {Date|string} deliveryDate - Delivery date in the schedule
+ * @param {Date|string} from - Earliest date
+ * @returns {Date} Delivery date
+ */
+const getDeliveryDateFrom = (schedule, deliveryDate, from) => {
+	let date = startOfDay(deliveryDate);
+	const earliest = startOfDay(from);
+
+	while (date < earliest) {
+		date = getFollowingDeliveryDate(schedule, date);
+	}
+
+	return date;
+};
+
+/**
+ * Delivery dates from a delivery date up to and including a date
+ * @param {Object} schedule - Schedule ({ frequency, deliveryDay })
+ * @param {Date|string} deliveryDate - First delivery date
+ * @param {Date|string} until - Last date to include
+ * @returns {Array<Date>} Delivery dates
+ */
+const listDeliveryDates = (schedule, deliveryDate, until) => {
+	const dates = [];
+	const last = startOfDay(until);
+
+	for (let date = startOfDay(deliveryDate); date <= last; date = getFollowingDeliveryDate(schedule, date)) {
+		dates.push(date);
+	}
+
+	return dates;
+};
+
+module.exports = {
+	FREQUENCIES,
+	MAX_MONTHLY_DAY,
+	startOfDay,
+	addDays,
+	isSameDay,
+	getFirstDeliveryDate,
+	getFollowingDeliveryDate,
+	getDeliveryDateFrom,
+	listDeliveryDates
+};
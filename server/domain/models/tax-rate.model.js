@@ -0,0 +1,94 @@
+// src/domain/models/tax-rate.model.js
+
+/**
+ * @class TaxRate
+ * @description Tax rate domain model: decides which lines a rate is charged on and how much it comes to
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class TaxRate {
+	/**
+	 * Create a new TaxRate instance
+	 * @param {Object} taxRateData - Tax rate information
+	 * @param {string} taxRateData._id - Unique identifier
+	 * @param {string} taxRateData.name - Tax rate name
+	 * @param {string} taxRateData.code - Short label, e.g. VAT
+	 * @param {number} taxRateData.rate - Percentage charged
+	 * @param {Array<string>} taxRateData.exemptProductIds - Products the rate is not charged on
+	 * @param {Array<string>} taxRateData.exemptCategoryIds - Categories the rate is not charged on
+	 * @param {Date} taxRateData.validFrom - Start of the rate
+	 * @param {Date} taxRateData.validTo - End of the rate
+	 * @param {boolean} taxRateData.isActive - Whether the rate is switched on
+	 */
+	constructor({
+		            _id,
+		            id,
+		            name,
+		            code,
+		            rate = 0,
+		            exemptProductIds = [],
+		            exemptCategoryIds = [],
+		            validFrom = null,
+		            validTo = null,
+		            isActive = true
+	            }) {
+		this.id = _id || id;
+		this.name = name;
+		this.code = code;
+		this.rate = rate;
+		this.exemptProductIds = exemptProductIds.map(String);
+		this.exemptCategoryIds = exemptCategoryIds.map(String);
+		this.validFrom = validFrom;
+		this.validTo = validTo;
+		this.isActive = isActive;
+	}
+
+	/**
+	 * Check if the rate is in force at a date
+	 * @param {Date} date - Date to check
+	 * @returns {boolean} - Whether the rate applies
+	 */
+	isValidAt(date = new Date()) {
+		if (!this.isActive) {
+			return false;
+		}
+		if (this.validFrom && new Date(this.validFrom) > date) {
+			return false;
+		}
+		return !(this.validTo && new Date(this.validTo) < date);
+	}
+
+	/**
+	 * Check if an item is exempt from the rate
+	 * @param {Object} item - Order item ({ productId, categoryId })
+	 * @returns {boolean} - Whether the item is exempt
+	 */
+	exempts(item) {
+		return this.exemptProductIds.includes(String(item.productId)) ||
+			(item.categoryId !== undefined && item.categoryId !== null && this.exemptCategoryIds.includes(String(item.categoryId)));
+	}
+
+	/**
+	 * Work out the tax on an amount before tax
+	 * @param {number} netAmount - Amount the rate is charged on
+	 * @returns {number} - Tax, rounded to kobo
+	 */
+	calculate(netAmount) {
+		return Math.round(netAmount * this.rate) / 100;
+	}
+
+	/**
+	 * Convert to plain object for storing against an order or invoice
+	 * @returns {Object} - Rate details
+	 */
+	toSummary() {
+		return {
+			taxRateId: this.id,
+			name: this.name,
+			code: this.code,
+			rate: this.rate
+		};
+	}
+}
+
+module.exports = TaxRate;
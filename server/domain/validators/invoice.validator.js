@@ -184,10 +184,10 @@ const updateInvoiceStatusBodySchema = Joi.object({
 });
 
 const recordPaymentBodySchema = Joi.object({
-	method: Joi.string().valid('cash', 'bank_transfer', 'mobile_money', 'card', 'check', 'other').required().messages({
+	method: Joi.string().valid('cash', 'bank_transfer', 'mobile_money', 'card', 'check', 'store_credit', 'other').required().messages({
 		'string.empty': 'Payment method cannot be empty',
 		'any.required': 'Payment method is required',
-		'any.only': 'Payment method must be one of: cash, bank_transfer, mobile_money, card, check, other'
+		'any.only': 'Payment method must be one of: cash, bank_transfer, mobile_money, card, check, store_credit, other'
 	}),
 	amount: Joi.number().positive().required().messages({
 		'number.base': 'Amount must be a number',
@@ -0,0 +1,159 @@
+// src/domain/validators/location.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class LocationValidator
+ * @description Validates location, stock threshold and transfer data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class LocationValidator {
+	/**
+	 * Validate location creation data
+	 * @param {Object} locationData - Location data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(locationData = {}) {
+		const errors = {};
+
+		if (!locationData.name || locationData.name.trim() === '') {
+			errors.name = 'Location name is required';
+		} else if (locationData.name.length > 100) {
+			errors.name = 'Location name cannot exceed 100 characters';
+		}
+
+		if (!locationData.code || locationData.code.trim() === '') {
+			errors.code = 'Location code is required';
+		}
+
+		this._validateDetails(locationData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate location update data
+	 * @param {Object} updateData - Location update data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData = {}) {
+		const errors = {};
+
+		if (updateData.name !== undefined) {
+			if (updateData.name.trim() === '') {
+				errors.name = 'Location name cannot be empty';
+			} else if (updateData.name.length > 100) {
+				errors.name = 'Location name cannot exceed 100 characters';
+			}
+		}
+
+		if (updateData.code !== undefined && updateData.code.trim() === '') {
+			errors.code = 'Location code cannot be empty';
+		}
+
+		this._validateDetails(updateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a low stock threshold for a product at a location
+	 * @param {Object} thresholdData - Threshold data ({ productId, variantId, lowStockThreshold })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateThreshold(thresholdData = {}) {
+		const errors = {};
+
+		if (!thresholdData.productId) {
+			errors.productId = 'Product ID is required';
+		} else if (!isValidObjectId(thresholdData.productId)) {
+			errors.productId = 'Invalid product ID format';
+		}
+
+		if (thresholdData.variantId && !isValidObjectId(thresholdData.variantId)) {
+			errors.variantId = 'Invalid variant ID format';
+		}
+
+		// null falls back to the global threshold
+		if (thresholdData.lowStockThreshold !== null &&
+			(isNaN(parseFloat(thresholdData.lowStockThreshold)) || parseFloat(thresholdData.lowStockThreshold) < 0)) {
+			errors.lowStockThreshold = 'Low stock threshold must be a non-negative number or null';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a transfer between locations
+	 * @param {Object} transferData - Transfer data ({ fromLocationId, toLocationId, items, note })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateTransfer(transferData = {}) {
+		const errors = {};
+
+		['fromLocationId', 'toLocationId'].forEach(field => {
+			if (!transferData[field]) {
+				errors[field] = `${field === 'fromLocationId' ? 'Source' : 'Destination'} location is required`;
+			} else if (!isValidObjectId(transferData[field])) {
+				errors[field] = 'Invalid location ID format';
+			}
+		});
+
+		if (transferData.fromLocationId && String(transferData.fromLocationId) === String(transferData.toLocationId)) {
+			errors.toLocationId = 'Destination must differ from the source location';
+		}
+
+		if (!Array.isArray(transferData.items) || transferData.items.length === 0) {
+			errors.items = 'Transfer must have at least one item';
+		} else {
+			transferData.items.forEach((item, index) => {
+				if (!item.productId) {
+					errors[`items[${index}].productId`] = 'Product ID is required';
+				} else if (!isValidObjectId(item.productId)) {
+					errors[`items[${index}].productId`] = 'Invalid product ID format';
+				}
+
+				if (item.variantId && !isValidObjectId(item.variantId)) {
+					errors[`items[${index}].variantId`] = 'Invalid variant ID format';
+				}
+
+				if (isNaN(parseFloat(item.quantity)) || parseFloat(item.quantity) <= 0) {
+					errors[`items[${index}].quantity`] = 'Quantity must be greater than zero';
+				}
+			});
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate fields shared by create and update
+	 * @param {Object} data - Location data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateDetails(data, errors) {
+		if (data.type !== undefined && !['shop', 'cold_room', 'warehouse', 'other'].includes(data.type)) {
+			errors.type = 'Type must be one of shop, cold_room, warehouse or other';
+		}
+
+		if (data.fulfilmentPriority !== undefined && isNaN(parseInt(data.fulfilmentPriority, 10))) {
+			errors.fulfilmentPriority = 'Fulfilment priority must be a number';
+		}
+	}
+}
+
+module.exports = new LocationValidator();
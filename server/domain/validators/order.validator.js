@@ -1,5 +1,8 @@
 // src/domain/validators/order.validator.js
 
+const { ORDER_STATUS_TRANSITIONS, PAYMENT_STATUS_TRANSITIONS } = require('../models/order-workflow');
+const { isValidObjectId } = require('../../utils/validators');
+
 /**
  * @class OrderValidator
  * @description Validates order data
@@ -53,6 +56,17 @@ class OrderValidator {
 			}
 		}
 
+		// Coupon code validation (if present)
+		if (orderData.couponCode !== undefined && orderData.couponCode !== null &&
+			(typeof orderData.couponCode !== 'string' || orderData.couponCode.trim() === '')) {
+			errors.couponCode = 'Coupon code must be a non-empty string';
+		}
+
+		// Fulfilment location validation (if present)
+		if (orderData.fulfilmentLocationId && !isValidObjectId(String(orderData.fulfilmentLocationId))) {
+			errors.fulfilmentLocationId = 'Invalid fulfilment location ID format';
+		}
+
 		// Shipping method validation
 		if (orderData.shippingMethod) {
 			if (!['pickup', 'delivery'].includes(orderData.shippingMethod)) {
@@ -84,12 +98,12 @@ class OrderValidator {
 		}
 
 		// Status validation
-		if (orderData.status && !['pending', 'processing', 'shipped', 'delivered', 'cancelled'].includes(orderData.status)) {
+		if (orderData.status && !Object.keys(ORDER_STATUS_TRANSITIONS).includes(orderData.status)) {
 			errors.status = 'Invalid order status';
 		}
 
 		// Payment status validation
-		if (orderData.paymentStatus && !['pending', 'paid', 'partially_paid', 'refunded', 'failed'].includes(orderData.paymentStatus)) {
+		if (orderData.paymentStatus && !Object.keys(PAYMENT_STATUS_TRANSITIONS).includes(orderData.paymentStatus)) {
 			errors.paymentStatus = 'Invalid payment status';
 		}
 
@@ -130,6 +144,24 @@ class OrderValidator {
 		};
 	}
 
+	/**
+	 * Validate a coupon code applied to an order
+	 * @param {Object} data - Coupon data ({ couponCode })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCoupon(data = {}) {
+		const errors = {};
+
+		if (!data.couponCode || typeof data.couponCode !== 'string' || data.couponCode.trim() === '') {
+			errors.couponCode = 'Coupon code is required';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
 	/**
 	 * Validate order update data
 	 * @param {Object} updateData - Order update data
@@ -174,15 +206,20 @@ class OrderValidator {
 		}
 
 		// Status validation (if present)
-		if (updateData.status && !['pending', 'processing', 'shipped', 'delivered', 'cancelled'].includes(updateData.status)) {
+		if (updateData.status && !Object.keys(ORDER_STATUS_TRANSITIONS).includes(updateData.status)) {
 			errors.status = 'Invalid order status';
 		}
 
 		// Payment status validation (if present)
-		if (updateData.paymentStatus && !['pending', 'paid', 'partially_paid', 'refunded', 'failed'].includes(updateData.paymentStatus)) {
+		if (updateData.paymentStatus && !Object.keys(PAYMENT_STATUS_TRANSITIONS).includes(updateData.paymentStatus)) {
 			errors.paymentStatus = 'Invalid payment status';
 		}
 
+		// Fulfilment location validation (if present)
+		if (updateData.fulfilmentLocationId && !isValidObjectId(String(updateData.fulfilmentLocationId))) {
+			errors.fulfilmentLocationId = 'Invalid fulfilment location ID format';
+		}
+
 		// Shipping method validation (if present)
 		if (updateData.shippingMethod && !['pickup', 'delivery'].includes(updateData.shippingMethod)) {
 			errors.shippingMethod = 'Shipping method must be either "pickup" or "delivery"';
@@ -251,6 +288,159 @@ class OrderValidator {
 		};
 	}
 
+	/**
+	 * Validate weighed quantities recorded during packing
+	 * @param {Object} data - Request data with items ({ itemId, fulfilledQuantity })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateWeighedItems(data) {
+		const errors = {};
+
+		if (!data || !Array.isArray(data.items) || data.items.length === 0) {
+			errors.items = 'At least one weighed item is required';
+		} else {
+			const itemErrors = [];
+
+			data.items.forEach((item, index) => {
+				const itemError = {};
+
+				if (!item.itemId) {
+					itemError.itemId = 'Order item ID is required';
+				}
+
+				if (item.fulfilledQuantity === undefined || item.fulfilledQuantity === null) {
+					itemError.fulfilledQuantity = 'Weighed quantity is required';
+				} else if (isNaN(parseFloat(item.fulfilledQuantity)) || parseFloat(item.fulfilledQuantity) < 0) {
+					itemError.fulfilledQuantity = 'Weighed quantity must be a non-negative number';
+				}
+
+				if (Object.keys(itemError).length > 0) {
+					itemErrors[index] = itemError;
+				}
+			});
+
+			if (itemErrors.length > 0) {
+				errors.items = itemErrors;
+			}
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a shipment of order items
+	 * @param {Object} data - Shipment ({ items: [{ itemId, quantity }], trackingNumber, scheduledDate, notes })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateShipment(data = {}) {
+		const errors = {};
+
+		// Without items, everything still outstanding is shipped
+		if (data.items !== undefined) {
+			if (!Array.isArray(data.items)) {
+				errors.items = 'Items must be an array';
+			} else {
+				const itemErrors = [];
+
+				data.items.forEach((item, index) => {
+					const itemError = {};
+
+					if (!item || !item.itemId) {
+						itemError.itemId = 'Order item ID is required';
+					}
+
+					if (!item || item.quantity === undefined || item.quantity === null) {
+						itemError.quantity = 'Quantity is required';
+					} else if (isNaN(parseFloat(item.quantity)) || parseFloat(item.quantity) <= 0) {
+						itemError.quantity = 'Quantity must be a positive number';
+					}
+
+					if (Object.keys(itemError).length > 0) {
+						itemErrors[index] = itemError;
+					}
+				});
+
+				if (itemErrors.length > 0) {
+					errors.items = itemErrors;
+				}
+			}
+		}
+
+		if (data.trackingNumber !== undefined && (typeof data.trackingNumber !== 'string' || !data.trackingNumber.trim())) {
+			errors.trackingNumber = 'Tracking number must be non-empty text';
+		}
+
+		if (data.scheduledDate !== undefined && isNaN(new Date(data.scheduledDate).getTime())) {
+			errors.scheduledDate = 'Scheduled date must be a valid date';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a reorder of a past order
+	 * @param {Object} data - Reorder ({ items: [{ itemId, quantity }], deliveryDate, deliveryTimeSlot, notes, confirm })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateReorder(data = {}) {
+		const errors = {};
+
+		// Without items, every line of the past order is reordered
+		if (data.items !== undefined) {
+			if (!Array.isArray(data.items)) {
+				errors.items = 'Items must be an array';
+			} else {
+				const itemErrors = [];
+
+				data.items.forEach((item, index) => {
+					const itemError = {};
+
+					if (!item || !item.itemId) {
+						itemError.itemId = 'Order item ID is required';
+					}
+
+					if (!item || item.quantity === undefined || item.quantity === null) {
+						itemError.quantity = 'Quantity is required';
+					} else if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+						// Same rule as a new order, which the reorder is placed as
+						itemError.quantity = 'Quantity must be a positive integer';
+					}
+
+					if (Object.keys(itemError).length > 0) {
+						itemErrors[index] = itemError;
+					}
+				});
+
+				if (itemErrors.length > 0) {
+					errors.items = itemErrors;
+				}
+			}
+		}
+
+		if (data.deliveryDate !== undefined && isNaN(new Date(data.deliveryDate).getTime())) {
+			errors.deliveryDate = 'Delivery date must be a valid date';
+		}
+
+		if (data.deliveryTimeSlot !== undefined && (typeof data.deliveryTimeSlot !== 'string' || !data.deliveryTimeSlot.trim())) {
+			errors.deliveryTimeSlot = 'Delivery time slot must be non-empty text';
+		}
+
+		if (data.confirm !== undefined && typeof data.confirm !== 'boolean') {
+			errors.confirm = 'Confirm must be true or false';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
 	/**
 	 * Validate status update
 	 * @param {string} status - New status
@@ -259,7 +449,7 @@ class OrderValidator {
 	validateStatusUpdate(status) {
 		const errors = {};
 		const statusType = status.status
-		if (!statusType || !['pending', 'processing', 'shipped', 'delivered', 'cancelled'].includes(statusType)) {
+		if (!statusType || !Object.keys(ORDER_STATUS_TRANSITIONS).includes(statusType)) {
 			errors.status = 'Invalid order status';
 		}
 
@@ -277,7 +467,7 @@ class OrderValidator {
 	validatePaymentStatusUpdate(paymentStatus) {
 		const errors = {};
 
-		if (!paymentStatus || !['pending', 'paid', 'partially_paid', 'refunded', 'failed'].includes(paymentStatus)) {
+		if (!paymentStatus || !Object.keys(PAYMENT_STATUS_TRANSITIONS).includes(paymentStatus)) {
 			errors.paymentStatus = 'Invalid payment status';
 		}
 
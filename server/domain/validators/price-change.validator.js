@@ -0,0 +1,46 @@
+// src/domain/validators/price-change.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class PriceChangeValidator
+ * @description Validates scheduled price change data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceChangeValidator {
+	/**
+	 * Validate a price change to schedule
+	 * @param {Object} changeData - Change data ({ price, effectiveFrom, variantId, note })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateSchedule(changeData = {}) {
+		const errors = {};
+
+		if (changeData.price === undefined || changeData.price === null || changeData.price === '') {
+			errors.price = 'Price is required';
+		} else if (isNaN(parseFloat(changeData.price)) || parseFloat(changeData.price) < 0) {
+			errors.price = 'Price must be a valid non-negative number';
+		}
+
+		// Left out, the change applies straight away
+		if (changeData.effectiveFrom !== undefined && isNaN(new Date(changeData.effectiveFrom).getTime())) {
+			errors.effectiveFrom = 'Effective date must be a valid date';
+		}
+
+		if (changeData.variantId && !isValidObjectId(changeData.variantId)) {
+			errors.variantId = 'Invalid variant ID format';
+		}
+
+		if (changeData.note !== undefined && String(changeData.note).length > 500) {
+			errors.note = 'Note cannot exceed 500 characters';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+}
+
+module.exports = new PriceChangeValidator();
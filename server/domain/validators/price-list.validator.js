@@ -0,0 +1,184 @@
+// src/domain/validators/price-list.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class PriceListValidator
+ * @description Validates price list and client price quote data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceListValidator {
+	/**
+	 * Validate price list creation data
+	 * @param {Object} priceListData - Price list data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(priceListData = {}) {
+		const errors = {};
+
+		if (!priceListData.name || priceListData.name.trim() === '') {
+			errors.name = 'Price list name is required';
+		} else if (priceListData.name.length > 100) {
+			errors.name = 'Price list name cannot exceed 100 characters';
+		}
+
+		this._validateDetails(priceListData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate price list update data
+	 * @param {Object} updateData - Price list update data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData = {}) {
+		const errors = {};
+
+		if (updateData.name !== undefined) {
+			if (updateData.name.trim() === '') {
+				errors.name = 'Price list name cannot be empty';
+			} else if (updateData.name.length > 100) {
+				errors.name = 'Price list name cannot exceed 100 characters';
+			}
+		}
+
+		this._validateDetails(updateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a request for a client's prices
+	 * @param {Object} quoteData - Quote data ({ clientId, items })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateQuote(quoteData = {}) {
+		const errors = {};
+
+		if (!quoteData.clientId) {
+			errors.clientId = 'Client ID is required';
+		} else if (!isValidObjectId(quoteData.clientId)) {
+			errors.clientId = 'Invalid client ID format';
+		}
+
+		if (!Array.isArray(quoteData.items) || quoteData.items.length === 0) {
+			errors.items = 'At least one item is required';
+		} else {
+			quoteData.items.forEach((item, index) => {
+				if (!item.productId) {
+					errors[`items[${index}].productId`] = 'Product ID is required';
+				} else if (!isValidObjectId(item.productId)) {
+					errors[`items[${index}].productId`] = 'Invalid product ID format';
+				}
+
+				if (item.variantId && !isValidObjectId(item.variantId)) {
+					errors[`items[${index}].variantId`] = 'Invalid variant ID format';
+				}
+
+				if (item.quantity !== undefined && (isNaN(parseFloat(item.quantity)) || parseFloat(item.quantity) <= 0)) {
+					errors[`items[${index}].quantity`] = 'Quantity must be greater than zero';
+				}
+			});
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate fields shared by create and update
+	 * @param {Object} data - Price list data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateDetails(data, errors) {
+		if (data.clientIds !== undefined) {
+			if (!Array.isArray(data.clientIds)) {
+				errors.clientIds = 'Client IDs must be an array';
+			} else if (data.clientIds.some(id => !isValidObjectId(id))) {
+				errors.clientIds = 'Invalid client ID format';
+			}
+		}
+
+		if (data.clientTags !== undefined &&
+			(!Array.isArray(data.clientTags) || data.clientTags.some(tag => typeof tag !== 'string'))) {
+			errors.clientTags = 'Client tags must be an array of strings';
+		}
+
+		if (data.discountPercent !== undefined) {
+			const discount = parseFloat(data.discountPercent);
+			if (isNaN(discount) || discount < 0 || discount > 100) {
+				errors.discountPercent = 'Discount must be between 0 and 100';
+			}
+		}
+
+		if (data.priority !== undefined && isNaN(parseInt(data.priority, 10))) {
+			errors.priority = 'Priority must be a number';
+		}
+
+		['validFrom', 'validTo'].forEach(field => {
+			if (data[field] && isNaN(new Date(data[field]).getTime())) {
+				errors[field] = `${field === 'validFrom' ? 'Start' : 'End'} date must be a valid date`;
+			}
+		});
+
+		if (data.validFrom && data.validTo && !errors.validFrom && !errors.validTo &&
+			new Date(data.validFrom) > new Date(data.validTo)) {
+			errors.validTo = 'End date must be after the start date';
+		}
+
+		if (data.rules !== undefined) {
+			if (!Array.isArray(data.rules)) {
+				errors.rules = 'Rules must be an array';
+			} else {
+				data.rules.forEach((rule, index) => this._validateRule(rule, index, errors));
+			}
+		}
+	}
+
+	/**
+	 * Validate a price list rule
+	 * @param {Object} rule - Rule ({ productId, variantId, type, value, minQuantity })
+	 * @param {number} index - Position of the rule
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateRule(rule, index, errors) {
+		if (!rule.productId) {
+			errors[`rules[${index}].productId`] = 'Product ID is required';
+		} else if (!isValidObjectId(rule.productId)) {
+			errors[`rules[${index}].productId`] = 'Invalid product ID format';
+		}
+
+		if (rule.variantId && !isValidObjectId(rule.variantId)) {
+			errors[`rules[${index}].variantId`] = 'Invalid variant ID format';
+		}
+
+		if (!['fixed', 'percentage'].includes(rule.type)) {
+			errors[`rules[${index}].type`] = 'Rule type must be fixed or percentage';
+		}
+
+		const value = parseFloat(rule.value);
+		if (isNaN(value) || value < 0) {
+			errors[`rules[${index}].value`] = 'Value must be a non-negative number';
+		} else if (rule.type === 'percentage' && value > 100) {
+			errors[`rules[${index}].value`] = 'Percentage cannot exceed 100';
+		}
+
+		if (rule.minQuantity !== undefined && (isNaN(parseFloat(rule.minQuantity)) || parseFloat(rule.minQuantity) < 0)) {
+			errors[`rules[${index}].minQuantity`] = 'Minimum quantity must be a non-negative number';
+		}
+	}
+}
+
+module.exports = new PriceListValidator();
@@ -1,5 +1,7 @@
 // src/domain/validators/product.validator.js
 
+const unitConverter = require('../../utils/unit-converter');
+
 /**
  * @class ProductValidator
  * @description Validates product data
@@ -27,9 +29,12 @@ class ProductValidator {
 			errors.categoryId = 'Category is required';
 		}
 
-		// Price validation
+		// Price validation (discount bundles are priced from their components)
+		const isPricedFromComponents = productData.productType === 'bundle' && productData.bundle?.pricingMode === 'discount';
 		if (productData.price === undefined || productData.price === null) {
-			errors.price = 'Price is required';
+			if (!isPricedFromComponents) {
+				errors.price = 'Price is required';
+			}
 		} else if (isNaN(parseFloat(productData.price)) || parseFloat(productData.price) < 0) {
 			errors.price = 'Price must be a valid non-negative number';
 		}
@@ -87,6 +92,32 @@ class ProductValidator {
 			}
 		}
 
+		// Unit conversion factors validation (if present)
+		if (productData.unitConversions !== undefined) {
+			const conversionErrors = this._validateUnitConversions(productData.unitConversions);
+			if (conversionErrors) {
+				errors.unitConversions = conversionErrors;
+			}
+		}
+
+		// Variants validation (if present)
+		if (productData.variants !== undefined) {
+			const variantErrors = this._validateVariants(productData.variants);
+			if (variantErrors) {
+				errors.variants = variantErrors;
+			}
+		}
+
+		// Bundle validation
+		if (productData.productType !== undefined && !['standard', 'bundle'].includes(productData.productType)) {
+			errors.productType = 'Product type must be one of: standard, bundle';
+		} else if (productData.productType === 'bundle') {
+			const bundleErrors = this._validateBundle(productData.bundle);
+			if (bundleErrors) {
+				errors.bundle = bundleErrors;
+			}
+		}
+
 		return {
 			isValid: Object.keys(errors).length === 0,
 			errors
@@ -170,11 +201,222 @@ class ProductValidator {
 			}
 		}
 
+		// Unit conversion factors validation (if present)
+		if (updateData.unitConversions !== undefined) {
+			const conversionErrors = this._validateUnitConversions(updateData.unitConversions);
+			if (conversionErrors) {
+				errors.unitConversions = conversionErrors;
+			}
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate product search parameters
+	 * @param {Object} query - Search query parameters
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateSearch(query = {}) {
+		const errors = {};
+		const list = value => (Array.isArray(value) ? value : String(value).split(','))
+			.map(item => String(item).trim())
+			.filter(Boolean);
+
+		if (query.q !== undefined && String(query.q).length > 100) {
+			errors.q = 'Search text cannot exceed 100 characters';
+		}
+
+		if (query.sort !== undefined && !['relevance', 'price_asc', 'price_desc', 'popularity', 'newest'].includes(query.sort)) {
+			errors.sort = 'Sort must be one of: relevance, price_asc, price_desc, popularity, newest';
+		}
+
+		['page', 'limit'].forEach(field => {
+			if (query[field] !== undefined && !/^[1-9]\d*$/.test(String(query[field]))) {
+				errors[field] = `${field} must be a positive integer`;
+			}
+		});
+
+		['minPrice', 'maxPrice'].forEach(field => {
+			if (query[field] !== undefined && (isNaN(parseFloat(query[field])) || parseFloat(query[field]) < 0)) {
+				errors[field] = `${field} must be a valid non-negative number`;
+			}
+		});
+
+		if (!errors.minPrice && !errors.maxPrice && query.minPrice !== undefined && query.maxPrice !== undefined &&
+			parseFloat(query.minPrice) > parseFloat(query.maxPrice)) {
+			errors.maxPrice = 'maxPrice cannot be less than minPrice';
+		}
+
+		if (query.categoryId !== undefined && !list(query.categoryId).every(id => /^[0-9a-fA-F]{24}$/.test(id))) {
+			errors.categoryId = 'Category IDs must be valid IDs';
+		}
+
+		if (query.availability !== undefined &&
+			!list(query.availability).every(value => ['in_stock', 'out_of_stock', 'unavailable'].includes(value))) {
+			errors.availability = 'Availability must be one of: in_stock, out_of_stock, unavailable';
+		}
+
+		// Attribute filters are passed as attr.<name>=value1,value2
+		Object.keys(query)
+			.filter(key => key.startsWith('attr.'))
+			.forEach(key => {
+				if (!/^[\w -]+$/.test(key.slice('attr.'.length))) {
+					errors[key] = 'Attribute names may only contain letters, numbers, spaces, hyphens and underscores';
+				}
+			});
+
 		return {
 			isValid: Object.keys(errors).length === 0,
 			errors
 		};
 	}
+
+	/**
+	 * Validate per-product unit conversion factors
+	 * @param {Array} conversions - Conversions ({ unit, factor, toUnit }: 1 unit = factor toUnit)
+	 * @returns {string|Array|null} Errors, or null if valid
+	 * @private
+	 */
+	_validateUnitConversions(conversions) {
+		if (!Array.isArray(conversions)) {
+			return 'Unit conversions must be an array';
+		}
+
+		const conversionErrors = [];
+
+		conversions.forEach((conversion, index) => {
+			const conversionError = {};
+
+			if (!conversion.unit || !unitConverter.isSupportedUnit(conversion.unit)) {
+				conversionError.unit = `Unit must be one of: ${unitConverter.getSupportedUnits().join(', ')}`;
+			}
+
+			if (!conversion.toUnit || !unitConverter.isSupportedUnit(conversion.toUnit)) {
+				conversionError.toUnit = `Target unit must be one of: ${unitConverter.getSupportedUnits().join(', ')}`;
+			} else if (conversion.toUnit === conversion.unit) {
+				conversionError.toUnit = 'Target unit must differ from the unit';
+			}
+
+			if (isNaN(parseFloat(conversion.factor)) || parseFloat(conversion.factor) <= 0) {
+				conversionError.factor = 'Conversion factor must be a positive number';
+			}
+
+			if (Object.keys(conversionError).length > 0) {
+				conversionErrors[index] = conversionError;
+			}
+		});
+
+		return conversionErrors.length > 0 ? conversionErrors : null;
+	}
+
+	/**
+	 * Validate product variants
+	 * @param {Array} variants - Variants ({ key, type, size, price, costPrice, stockQuantity })
+	 * @returns {string|Array|null} Error message, per-variant errors, or null if valid
+	 * @private
+	 */
+	_validateVariants(variants) {
+		if (!Array.isArray(variants)) {
+			return 'Variants must be an array';
+		}
+
+		const variantErrors = [];
+		const keys = new Set();
+
+		variants.forEach((variant, index) => {
+			const variantError = {};
+
+			if (!variant.key || variant.key.toString().trim() === '') {
+				variantError.key = 'Variant key is required';
+			} else if (keys.has(variant.key)) {
+				variantError.key = `Variant key "${variant.key}" is used more than once`;
+			} else {
+				keys.add(variant.key);
+			}
+
+			if (variant.type !== undefined && !['size', 'weight', 'packaging'].includes(variant.type)) {
+				variantError.type = 'Variant type must be one of: size, weight, packaging';
+			}
+
+			if (variant.size?.unit !== undefined && !unitConverter.isSupportedUnit(variant.size.unit)) {
+				variantError.size = `Size unit must be one of: ${unitConverter.getSupportedUnits().join(', ')}`;
+			}
+
+			if (isNaN(parseFloat(variant.price)) || parseFloat(variant.price) < 0) {
+				variantError.price = 'Variant price must be a non-negative number';
+			}
+
+			if (variant.costPrice !== undefined && (isNaN(parseFloat(variant.costPrice)) || parseFloat(variant.costPrice) < 0)) {
+				variantError.costPrice = 'Variant cost price must be a non-negative number';
+			}
+
+			if (variant.stockQuantity !== undefined && (isNaN(parseFloat(variant.stockQuantity)) || parseFloat(variant.stockQuantity) < 0)) {
+				variantError.stockQuantity = 'Variant stock quantity must be a non-negative number';
+			}
+
+			if (Object.keys(variantError).length > 0) {
+				variantErrors[index] = variantError;
+			}
+		});
+
+		return variantErrors.length > 0 ? variantErrors : null;
+	}
+
+	/**
+	 * Validate a bundle definition
+	 * @param {Object} bundle - Bundle ({ components, pricingMode, discountPercent })
+	 * @returns {string|Object|null} Error message, field errors, or null if valid
+	 * @private
+	 */
+	_validateBundle(bundle) {
+		if (!bundle || !Array.isArray(bundle.components) || bundle.components.length === 0) {
+			return 'A bundle needs at least one component';
+		}
+
+		const bundleErrors = {};
+		const componentErrors = [];
+
+		bundle.components.forEach((component, index) => {
+			const componentError = {};
+
+			if (!component.productId || component.productId.toString().trim() === '') {
+				componentError.productId = 'Component product ID is required';
+			}
+
+			if (isNaN(parseFloat(component.quantity)) || parseFloat(component.quantity) <= 0) {
+				componentError.quantity = 'Component quantity must be a positive number';
+			}
+
+			if (component.unit !== undefined && !unitConverter.isSupportedUnit(component.unit)) {
+				componentError.unit = `Unit must be one of: ${unitConverter.getSupportedUnits().join(', ')}`;
+			}
+
+			if (Object.keys(componentError).length > 0) {
+				componentErrors[index] = componentError;
+			}
+		});
+
+		if (componentErrors.length > 0) {
+			bundleErrors.components = componentErrors;
+		}
+
+		if (bundle.pricingMode !== undefined && !['fixed', 'discount'].includes(bundle.pricingMode)) {
+			bundleErrors.pricingMode = 'Pricing mode must be one of: fixed, discount';
+		}
+
+		if (bundle.discountPercent !== undefined) {
+			const discount = parseFloat(bundle.discountPercent);
+			if (isNaN(discount) || discount < 0 || discount > 100) {
+				bundleErrors.discountPercent = 'Discount must be between 0 and 100';
+			}
+		}
+
+		return Object.keys(bundleErrors).length > 0 ? bundleErrors : null;
+	}
 }
 
 module.exports = new ProductValidator();
\ No newline at end of file
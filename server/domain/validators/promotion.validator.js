@@ -0,0 +1,192 @@
+// src/domain/validators/promotion.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y', 'free_delivery'];
+
+/**
+ * @class PromotionValidator
+ * @description Validates promotion and coupon data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PromotionValidator {
+	/**
+	 * Validate promotion creation data
+	 * @param {Object} promotionData - Promotion data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(promotionData = {}) {
+		const errors = {};
+
+		if (!promotionData.name || promotionData.name.trim() === '') {
+			errors.name = 'Promotion name is required';
+		} else if (promotionData.name.length > 100) {
+			errors.name = 'Promotion name cannot exceed 100 characters';
+		}
+
+		if (!PROMOTION_TYPES.includes(promotionData.type)) {
+			errors.type = `Type must be one of ${PROMOTION_TYPES.join(', ')}`;
+		} else {
+			this._validateTypeSettings(promotionData, errors);
+		}
+
+		this._validateDetails(promotionData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate promotion update data
+	 * @param {Object} updateData - Promotion update data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData = {}) {
+		const errors = {};
+
+		if (updateData.name !== undefined) {
+			if (updateData.name.trim() === '') {
+				errors.name = 'Promotion name cannot be empty';
+			} else if (updateData.name.length > 100) {
+				errors.name = 'Promotion name cannot exceed 100 characters';
+			}
+		}
+
+		if (updateData.type !== undefined) {
+			if (!PROMOTION_TYPES.includes(updateData.type)) {
+				errors.type = `Type must be one of ${PROMOTION_TYPES.join(', ')}`;
+			} else {
+				this._validateTypeSettings(updateData, errors);
+			}
+		}
+
+		this._validateDetails(updateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a request to check a coupon against a cart
+	 * @param {Object} data - Check data ({ clientId, couponCode, items })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCheck(data = {}) {
+		const errors = {};
+
+		if (data.clientId && !isValidObjectId(data.clientId)) {
+			errors.clientId = 'Invalid client ID format';
+		}
+
+		if (data.couponCode !== undefined && (typeof data.couponCode !== 'string' || data.couponCode.trim() === '')) {
+			errors.couponCode = 'Coupon code must be a non-empty string';
+		}
+
+		if (!Array.isArray(data.items) || data.items.length === 0) {
+			errors.items = 'At least one item is required';
+		} else {
+			data.items.forEach((item, index) => {
+				if (!item.productId || !isValidObjectId(item.productId)) {
+					errors[`items[${index}].productId`] = 'A valid product ID is required';
+				}
+
+				if (isNaN(parseFloat(item.quantity)) || parseFloat(item.quantity) <= 0) {
+					errors[`items[${index}].quantity`] = 'Quantity must be greater than zero';
+				}
+
+				if (isNaN(parseFloat(item.price)) || parseFloat(item.price) < 0) {
+					errors[`items[${index}].price`] = 'Price must be a non-negative number';
+				}
+			});
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate the settings each promotion type needs
+	 * @param {Object} data - Promotion data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateTypeSettings(data, errors) {
+		const value = parseFloat(data.value);
+
+		if (data.type === 'percentage' && (isNaN(value) || value <= 0 || value > 100)) {
+			errors.value = 'Percentage must be greater than 0 and at most 100';
+		}
+
+		if (data.type === 'fixed' && (isNaN(value) || value <= 0)) {
+			errors.value = 'Discount amount must be greater than zero';
+		}
+
+		if (data.type === 'buy_x_get_y') {
+			['buyQuantity', 'getQuantity'].forEach(field => {
+				if (!Number.isInteger(Number(data[field])) || Number(data[field]) < 1) {
+					errors[field] = `${field === 'buyQuantity' ? 'Buy' : 'Get'} quantity must be a whole number of at least 1`;
+				}
+			});
+		}
+	}
+
+	/**
+	 * Validate fields shared by create and update
+	 * @param {Object} data - Promotion data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateDetails(data, errors) {
+		if (data.code !== undefined && data.code !== null && data.code !== '' &&
+			(typeof data.code !== 'string' || !/^[A-Za-z0-9_-]{3,30}$/.test(data.code.trim()))) {
+			errors.code = 'Coupon code must be 3 to 30 letters, numbers, dashes or underscores';
+		}
+
+		['maxDiscountAmount', 'minOrderValue'].forEach(field => {
+			if (data[field] !== undefined && data[field] !== null &&
+				(isNaN(parseFloat(data[field])) || parseFloat(data[field]) < 0)) {
+				errors[field] = 'Must be a non-negative number';
+			}
+		});
+
+		if (data.getDiscountPercent !== undefined) {
+			const percent = parseFloat(data.getDiscountPercent);
+			if (isNaN(percent) || percent <= 0 || percent > 100) {
+				errors.getDiscountPercent = 'Discount on the extra items must be greater than 0 and at most 100';
+			}
+		}
+
+		['usageLimit', 'usageLimitPerClient'].forEach(field => {
+			if (data[field] !== undefined && data[field] !== null &&
+				(!Number.isInteger(Number(data[field])) || Number(data[field]) < 1)) {
+				errors[field] = 'Usage limit must be a whole number of at least 1';
+			}
+		});
+
+		['productIds', 'categoryIds'].forEach(field => {
+			if (data[field] !== undefined &&
+				(!Array.isArray(data[field]) || data[field].some(id => !isValidObjectId(id)))) {
+				errors[field] = `${field === 'productIds' ? 'Product' : 'Category'} IDs must be an array of valid IDs`;
+			}
+		});
+
+		['startsAt', 'endsAt'].forEach(field => {
+			if (data[field] && isNaN(new Date(data[field]).getTime())) {
+				errors[field] = `${field === 'startsAt' ? 'Start' : 'End'} date must be a valid date`;
+			}
+		});
+
+		if (data.startsAt && data.endsAt && !errors.startsAt && !errors.endsAt &&
+			new Date(data.startsAt) > new Date(data.endsAt)) {
+			errors.endsAt = 'End date must be after the start date';
+		}
+	}
+}
+
+module.exports = new PromotionValidator();
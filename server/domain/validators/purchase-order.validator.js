@@ -0,0 +1,155 @@
+// src/domain/validators/purchase-order.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class PurchaseOrderValidator
+ * @description Validates purchase order data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PurchaseOrderValidator {
+	/**
+	 * Validate purchase order creation data
+	 * @param {Object} purchaseOrderData - Purchase order data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(purchaseOrderData) {
+		const errors = {};
+
+		if (!purchaseOrderData.supplierId) {
+			errors.supplierId = 'Supplier is required';
+		} else if (!isValidObjectId(purchaseOrderData.supplierId)) {
+			errors.supplierId = 'Invalid supplier ID format';
+		}
+
+		if (!Array.isArray(purchaseOrderData.items) || purchaseOrderData.items.length === 0) {
+			errors.items = 'Purchase order must have at least one item';
+		} else {
+			this._validateItems(purchaseOrderData.items, errors);
+		}
+
+		this._validateCharges(purchaseOrderData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate purchase order update data
+	 * @param {Object} updateData - Purchase order update data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData) {
+		const errors = {};
+
+		if (updateData.supplierId !== undefined) {
+			errors.supplierId = 'Supplier cannot be changed; raise a new purchase order instead';
+		}
+
+		if (updateData.items !== undefined) {
+			if (!Array.isArray(updateData.items) || updateData.items.length === 0) {
+				errors.items = 'Purchase order must have at least one item';
+			} else {
+				this._validateItems(updateData.items, errors);
+			}
+		}
+
+		this._validateCharges(updateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate goods received against a purchase order
+	 * @param {Object} receiptData - Receipt data ({ items, note })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateReceipt(receiptData = {}) {
+		const errors = {};
+
+		if (receiptData.locationId && !isValidObjectId(receiptData.locationId)) {
+			errors.locationId = 'Invalid location ID format';
+		}
+
+		// No items means receive everything outstanding
+		if (receiptData.items !== undefined) {
+			if (!Array.isArray(receiptData.items)) {
+				errors.items = 'Items must be an array';
+			} else {
+				receiptData.items.forEach((item, index) => {
+					if (!item.itemId && !item.productId) {
+						errors[`items[${index}].itemId`] = 'Item ID or product ID is required';
+					}
+
+					if (isNaN(parseFloat(item.quantity)) || parseFloat(item.quantity) <= 0) {
+						errors[`items[${index}].quantity`] = 'Quantity must be greater than zero';
+					}
+
+					if (item.unitCost !== undefined && (isNaN(parseFloat(item.unitCost)) || parseFloat(item.unitCost) < 0)) {
+						errors[`items[${index}].unitCost`] = 'Unit cost must be a non-negative number';
+					}
+
+					if (item.expiryDate && isNaN(new Date(item.expiryDate).getTime())) {
+						errors[`items[${index}].expiryDate`] = 'Invalid expiry date';
+					}
+				});
+			}
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate order lines
+	 * @param {Array<Object>} items - Order lines
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateItems(items, errors) {
+		items.forEach((item, index) => {
+			if (!item.productId) {
+				errors[`items[${index}].productId`] = 'Product ID is required';
+			} else if (!isValidObjectId(item.productId)) {
+				errors[`items[${index}].productId`] = 'Invalid product ID format';
+			}
+
+			const quantity = item.quantityOrdered ?? item.quantity;
+			if (isNaN(parseFloat(quantity)) || parseFloat(quantity) <= 0) {
+				errors[`items[${index}].quantity`] = 'Quantity must be greater than zero';
+			}
+
+			if (item.unitCost !== undefined && (isNaN(parseFloat(item.unitCost)) || parseFloat(item.unitCost) < 0)) {
+				errors[`items[${index}].unitCost`] = 'Unit cost must be a non-negative number';
+			}
+		});
+	}
+
+	/**
+	 * Validate tax, shipping and delivery date
+	 * @param {Object} data - Purchase order data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateCharges(data, errors) {
+		['tax', 'shippingCost'].forEach(field => {
+			if (data[field] !== undefined && (isNaN(parseFloat(data[field])) || parseFloat(data[field]) < 0)) {
+				errors[field] = `${field === 'tax' ? 'Tax' : 'Shipping cost'} must be a non-negative number`;
+			}
+		});
+
+		if (data.expectedDeliveryDate && isNaN(new Date(data.expectedDeliveryDate).getTime())) {
+			errors.expectedDeliveryDate = 'Invalid expected delivery date';
+		}
+	}
+}
+
+module.exports = new PurchaseOrderValidator();
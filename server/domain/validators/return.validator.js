@@ -0,0 +1,148 @@
+// src/domain/validators/return.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+const RETURN_REASONS = ['damaged', 'spoiled', 'wrong_item', 'missing', 'poor_quality', 'other'];
+const DISPOSITIONS = ['restock', 'write_off'];
+const RESOLUTIONS = ['refund', 'store_credit'];
+
+/**
+ * @class ReturnValidator
+ * @description Validates return request data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReturnValidator {
+	/**
+	 * Validate return request creation data (photos arrive as uploaded files, not in the body)
+	 * @param {Object} returnData - Return request data ({ orderId, items: [{ itemId, quantity, reason, details }], notes })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(returnData = {}) {
+		const errors = {};
+
+		if (!returnData.orderId || !isValidObjectId(returnData.orderId)) {
+			errors.orderId = 'A valid order ID is required';
+		}
+
+		if (!Array.isArray(returnData.items) || returnData.items.length === 0) {
+			errors.items = 'At least one item is required';
+		} else {
+			const itemIds = new Set();
+
+			returnData.items.forEach((item, index) => {
+				if (!item || !item.itemId || !isValidObjectId(item.itemId)) {
+					errors[`items[${index}].itemId`] = 'A valid order item ID is required';
+				} else if (itemIds.has(String(item.itemId))) {
+					errors[`items[${index}].itemId`] = 'Each order item can only be listed once';
+				} else {
+					itemIds.add(String(item.itemId));
+				}
+
+				if (!this._isPositiveNumber(item?.quantity)) {
+					errors[`items[${index}].quantity`] = 'Quantity must be a positive number';
+				}
+
+				if (!RETURN_REASONS.includes(item?.reason)) {
+					errors[`items[${index}].reason`] = `Reason must be one of: ${RETURN_REASONS.join(', ')}`;
+				}
+
+				if (item?.details !== undefined && item.details !== null &&
+					(typeof item.details !== 'string' || item.details.length > 1000)) {
+					errors[`items[${index}].details`] = 'Details must be text of at most 1000 characters';
+				}
+			});
+		}
+
+		if (returnData.notes !== undefined && returnData.notes !== null &&
+			(typeof returnData.notes !== 'string' || returnData.notes.length > 1000)) {
+			errors.notes = 'Notes must be text of at most 1000 characters';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a return approval
+	 * @param {Object} data - Approval ({ resolution, disposition, items: [{ itemId, approvedQuantity, disposition }], refundMethod, refundReference, notes })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateApprove(data = {}) {
+		const errors = {};
+
+		if (!RESOLUTIONS.includes(data.resolution)) {
+			errors.resolution = `Resolution must be one of: ${RESOLUTIONS.join(', ')}`;
+		}
+
+		if (!DISPOSITIONS.includes(data.disposition)) {
+			errors.disposition = `Disposition must be one of: ${DISPOSITIONS.join(', ')}`;
+		}
+
+		if (data.items !== undefined) {
+			if (!Array.isArray(data.items)) {
+				errors.items = 'Items must be an array';
+			} else {
+				data.items.forEach((item, index) => {
+					if (!item || !item.itemId || !isValidObjectId(item.itemId)) {
+						errors[`items[${index}].itemId`] = 'A valid return item ID is required';
+					}
+
+					if (item?.approvedQuantity !== undefined &&
+						(isNaN(Number(item.approvedQuantity)) || Number(item.approvedQuantity) < 0)) {
+						errors[`items[${index}].approvedQuantity`] = 'Approved quantity must be a non-negative number';
+					}
+
+					if (item?.disposition !== undefined && !DISPOSITIONS.includes(item.disposition)) {
+						errors[`items[${index}].disposition`] = `Disposition must be one of: ${DISPOSITIONS.join(', ')}`;
+					}
+				});
+			}
+		}
+
+		['refundMethod', 'refundReference', 'notes'].forEach(field => {
+			if (data[field] !== undefined && data[field] !== null &&
+				(typeof data[field] !== 'string' || data[field].length > 500)) {
+				errors[field] = `${field} must be text of at most 500 characters`;
+			}
+		});
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a return rejection
+	 * @param {Object} data - Rejection ({ reason })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateReject(data = {}) {
+		const errors = {};
+
+		if (!data.reason || typeof data.reason !== 'string' || !data.reason.trim()) {
+			errors.reason = 'A reason is required to reject a return';
+		} else if (data.reason.length > 500) {
+			errors.reason = 'Reason must be at most 500 characters';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Check if a value is a number above zero (form fields arrive as strings)
+	 * @param {*} value - Value to check
+	 * @returns {boolean} Whether the value is a positive number
+	 * @private
+	 */
+	_isPositiveNumber(value) {
+		return value !== undefined && value !== null && value !== '' && !isNaN(Number(value)) && Number(value) > 0;
+	}
+}
+
+module.exports = new ReturnValidator();
@@ -0,0 +1,72 @@
+// src/domain/validators/review.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class ReviewValidator
+ * @description Validates product review data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReviewValidator {
+	/**
+	 * Validate review creation data
+	 * @param {Object} reviewData - Review data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(reviewData = {}) {
+		const errors = {};
+
+		['productId', 'clientId', 'orderId'].forEach(field => {
+			if (!reviewData[field] || !isValidObjectId(reviewData[field])) {
+				errors[field] = `A valid ${field.replace('Id', '')} ID is required`;
+			}
+		});
+
+		if (reviewData.rating === undefined || reviewData.rating === null) {
+			errors.rating = 'Rating is required';
+		} else if (!/^[1-5]$/.test(String(reviewData.rating))) {
+			errors.rating = 'Rating must be a whole number from 1 to 5';
+		}
+
+		if (reviewData.title !== undefined && reviewData.title !== null &&
+			(typeof reviewData.title !== 'string' || reviewData.title.length > 100)) {
+			errors.title = 'Title must be text of at most 100 characters';
+		}
+
+		if (reviewData.comment !== undefined && reviewData.comment !== null &&
+			(typeof reviewData.comment !== 'string' || reviewData.comment.length > 2000)) {
+			errors.comment = 'Comment must be text of at most 2000 characters';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a moderation decision
+	 * @param {Object} data - Decision ({ status, note })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateModerate(data = {}) {
+		const errors = {};
+
+		if (!['pending', 'approved', 'rejected'].includes(data.status)) {
+			errors.status = 'Status must be one of: pending, approved, rejected';
+		}
+
+		if (data.note !== undefined && data.note !== null &&
+			(typeof data.note !== 'string' || data.note.length > 500)) {
+			errors.note = 'Note must be text of at most 500 characters';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+}
+
+module.exports = new ReviewValidator();
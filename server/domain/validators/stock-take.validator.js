@@ -0,0 +1,95 @@
+// src/domain/validators/stock-take.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class StockTakeValidator
+ * @description Validates stock take data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockTakeValidator {
+	/**
+	 * Validate the scope of a new stock take
+	 * @param {Object} stockTakeData - Stock take data ({ categoryId, productIds, locationId, notes })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateOpen(stockTakeData = {}) {
+		const errors = {};
+
+		if (stockTakeData.categoryId && !isValidObjectId(stockTakeData.categoryId)) {
+			errors.categoryId = 'Invalid category ID format';
+		}
+
+		if (stockTakeData.productIds !== undefined) {
+			if (!Array.isArray(stockTakeData.productIds)) {
+				errors.productIds = 'Product IDs must be an array';
+			} else if (stockTakeData.productIds.some(id => !isValidObjectId(id))) {
+				errors.productIds = 'Invalid product ID format';
+			}
+		}
+
+		if (stockTakeData.locationId && !isValidObjectId(stockTakeData.locationId)) {
+			errors.locationId = 'Invalid location ID format';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate recorded counts
+	 * @param {Object} countData - Count data ({ counts: [{ productId, variantId, quantity, unit, note, replace }] })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCounts(countData = {}) {
+		const errors = {};
+
+		if (!Array.isArray(countData.counts) || countData.counts.length === 0) {
+			errors.counts = 'At least one count is required';
+		} else {
+			countData.counts.forEach((count, index) => {
+				if (!count.productId) {
+					errors[`counts[${index}].productId`] = 'Product ID is required';
+				} else if (!isValidObjectId(count.productId)) {
+					errors[`counts[${index}].productId`] = 'Invalid product ID format';
+				}
+
+				if (count.variantId && !isValidObjectId(count.variantId)) {
+					errors[`counts[${index}].variantId`] = 'Invalid variant ID format';
+				}
+
+				if (isNaN(parseFloat(count.quantity)) || parseFloat(count.quantity) < 0) {
+					errors[`counts[${index}].quantity`] = 'Quantity must be a non-negative number';
+				}
+			});
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate posting data
+	 * @param {Object} postData - Posting data ({ reason })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validatePost(postData = {}) {
+		const errors = {};
+
+		if (!postData.reason || typeof postData.reason !== 'string' || !postData.reason.trim()) {
+			errors.reason = 'A reason for the adjustments is required';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+}
+
+module.exports = new StockTakeValidator();
@@ -0,0 +1,253 @@
+// src/domain/validators/subscription.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+const { FREQUENCIES, MAX_MONTHLY_DAY } = require('../models/subscription-schedule');
+
+const PRICE_REFRESH_POLICIES = ['current', 'capped'];
+const SHIPPING_METHODS = ['delivery', 'pickup'];
+const PAYMENT_METHODS = ['bank_transfer', 'cash', 'cash_on_delivery', 'credit_card', 'online_payment', 'other'];
+
+/**
+ * @class SubscriptionValidator
+ * @description Validates recurring subscription data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SubscriptionValidator {
+	/**
+	 * Validate subscription creation data
+	 * @param {Object} subscriptionData - Subscription data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(subscriptionData = {}) {
+		const errors = {};
+
+		if (!subscriptionData.clientId || !isValidObjectId(subscriptionData.clientId)) {
+			errors.clientId = 'A valid client ID is required';
+		}
+
+		if (!subscriptionData.items) {
+			errors.items = 'At least one item is required';
+		}
+
+		if (!subscriptionData.schedule) {
+			errors.schedule = 'A schedule is required';
+		}
+
+		if (!subscriptionData.shippingMethod) {
+			errors.shippingMethod = 'Shipping method is required';
+		} else if (subscriptionData.shippingMethod === 'delivery' &&
+			(!subscriptionData.shippingAddress || !subscriptionData.shippingAddress.street || !subscriptionData.shippingAddress.city)) {
+			errors.shippingAddress = 'A street and city are required for delivery subscriptions';
+		}
+
+		if (subscriptionData.startDate !== undefined && isNaN(new Date(subscriptionData.startDate).getTime())) {
+			errors.startDate = 'Start date must be a valid date';
+		}
+
+		this._validateFields(subscriptionData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate subscription update data
+	 * @param {Object} updateData - Fields to change
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData = {}) {
+		const errors = {};
+
+		['clientId', 'startDate', 'status', 'nextDeliveryDate', 'history', 'referenceTotal', 'subscribedTotal'].forEach(field => {
+			if (updateData[field] !== undefined) {
+				errors[field] = `${field} cannot be changed`;
+			}
+		});
+
+		this._validateFields(updateData, errors, true);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a pause
+	 * @param {Object} data - Pause ({ until })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validatePause(data = {}) {
+		const errors = {};
+
+		if (data.until !== undefined && data.until !== null && isNaN(new Date(data.until).getTime())) {
+			errors.until = 'Until must be a valid date';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a skipped (or restored) delivery
+	 * @param {Object} data - Skip ({ deliveryDate })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateSkip(data = {}) {
+		const errors = {};
+
+		if (!data.deliveryDate || isNaN(new Date(data.deliveryDate).getTime())) {
+			errors.deliveryDate = 'A valid delivery date is required';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a price review decision
+	 * @param {Object} data - Decision ({ deliveryDate, decision })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validatePriceReview(data = {}) {
+		const { errors } = this.validateSkip(data);
+
+		if (!['accept', 'decline'].includes(data.decision)) {
+			errors.decision = 'Decision must be one of: accept, decline';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a cancellation
+	 * @param {Object} data - Cancellation ({ reason })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCancel(data = {}) {
+		const errors = {};
+
+		if (data.reason !== undefined && data.reason !== null &&
+			(typeof data.reason !== 'string' || data.reason.length > 500)) {
+			errors.reason = 'Reason must be text of at most 500 characters';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate the fields shared by creation and update
+	 * @param {Object} data - Subscription data
+	 * @param {Object} errors - Errors found so far (modified in place)
+	 * @param {boolean} isUpdate - Whether the schedule may be partial
+	 * @private
+	 */
+	_validateFields(data, errors, isUpdate = false) {
+		if (data.items !== undefined) {
+			if (!Array.isArray(data.items) || data.items.length === 0) {
+				errors.items = 'At least one item is required';
+			} else {
+				data.items.forEach((item, index) => {
+					if (!item || !item.productId || !isValidObjectId(item.productId)) {
+						errors[`items[${index}].productId`] = 'A valid product ID is required';
+					}
+
+					if (item?.variantId !== undefined && item.variantId !== null && !isValidObjectId(item.variantId)) {
+						errors[`items[${index}].variantId`] = 'Variant ID must be a valid ID';
+					}
+
+					if (isNaN(Number(item?.quantity)) || Number(item?.quantity) < 1) {
+						errors[`items[${index}].quantity`] = 'Quantity must be at least 1';
+					}
+				});
+			}
+		}
+
+		if (data.schedule !== undefined) {
+			this._validateSchedule(data.schedule, errors, isUpdate);
+		}
+
+		if (data.priceRefresh !== undefined) {
+			const { policy, maxIncreasePercent } = data.priceRefresh || {};
+
+			if (policy !== undefined && !PRICE_REFRESH_POLICIES.includes(policy)) {
+				errors['priceRefresh.policy'] = `Policy must be one of: ${PRICE_REFRESH_POLICIES.join(', ')}`;
+			}
+
+			if (maxIncreasePercent !== undefined && (isNaN(Number(maxIncreasePercent)) || Number(maxIncreasePercent) < 0)) {
+				errors['priceRefresh.maxIncreasePercent'] = 'Maximum increase must be a non-negative number';
+			}
+		}
+
+		if (data.shippingMethod !== undefined && !SHIPPING_METHODS.includes(data.shippingMethod)) {
+			errors.shippingMethod = `Shipping method must be one of: ${SHIPPING_METHODS.join(', ')}`;
+		}
+
+		if (data.paymentMethod !== undefined && !PAYMENT_METHODS.includes(data.paymentMethod)) {
+			errors.paymentMethod = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+		}
+
+		['name', 'notes', 'deliveryNotes'].forEach(field => {
+			if (data[field] !== undefined && data[field] !== null &&
+				(typeof data[field] !== 'string' || data[field].length > 1000)) {
+				errors[field] = `${field} must be text of at most 1000 characters`;
+			}
+		});
+	}
+
+	/**
+	 * Validate a delivery schedule
+	 * @param {Object} schedule - Schedule ({ frequency, deliveryDay, timeSlot })
+	 * @param {Object} errors - Errors found so far (modified in place)
+	 * @param {boolean} isUpdate - Whether fields may be left out
+	 * @private
+	 */
+	_validateSchedule(schedule, errors, isUpdate) {
+		if (!schedule || typeof schedule !== 'object') {
+			errors.schedule = 'Schedule must be an object';
+			return;
+		}
+
+		const { frequency, deliveryDay, timeSlot } = schedule;
+
+		if ((frequency !== undefined || !isUpdate) && !FREQUENCIES.includes(frequency)) {
+			errors['schedule.frequency'] = `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+		}
+
+		if (deliveryDay !== undefined || !isUpdate) {
+			const day = Number(deliveryDay);
+
+			// Without the frequency, the range is checked against the stored schedule when it is applied
+			if (frequency === undefined) {
+				if (!Number.isInteger(day) || day < 0 || day > MAX_MONTHLY_DAY) {
+					errors['schedule.deliveryDay'] = `Delivery day must be from 0 to ${MAX_MONTHLY_DAY}`;
+				}
+			} else if (frequency === 'monthly') {
+				if (!Number.isInteger(day) || day < 1 || day > MAX_MONTHLY_DAY) {
+					errors['schedule.deliveryDay'] = `Monthly deliveries need a day of the month from 1 to ${MAX_MONTHLY_DAY}`;
+				}
+			} else if (!Number.isInteger(day) || day < 0 || day > 6) {
+				errors['schedule.deliveryDay'] = 'Delivery day must be a day of the week from 0 (Sunday) to 6 (Saturday)';
+			}
+		}
+
+		if (timeSlot !== undefined && timeSlot !== null && (typeof timeSlot !== 'string' || timeSlot.length > 50)) {
+			errors['schedule.timeSlot'] = 'Time slot must be text of at most 50 characters';
+		}
+	}
+}
+
+module.exports = new SubscriptionValidator();
@@ -0,0 +1,134 @@
+// src/domain/validators/supplier.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class SupplierValidator
+ * @description Validates supplier and price list data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SupplierValidator {
+	/**
+	 * Validate supplier creation data
+	 * @param {Object} supplierData - Supplier data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(supplierData) {
+		const errors = {};
+
+		if (!supplierData.name || supplierData.name.trim() === '') {
+			errors.name = 'Supplier name is required';
+		} else if (supplierData.name.length > 100) {
+			errors.name = 'Supplier name cannot exceed 100 characters';
+		}
+
+		this._validateDetails(supplierData, errors);
+
+		if (supplierData.priceList !== undefined) {
+			if (!Array.isArray(supplierData.priceList)) {
+				errors.priceList = 'Price list must be an array';
+			} else {
+				supplierData.priceList.forEach((entry, index) => {
+					const entryErrors = this.validatePrice(entry).errors;
+					if (Object.keys(entryErrors).length) {
+						errors[`priceList[${index}]`] = entryErrors;
+					}
+				});
+			}
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate supplier update data
+	 * @param {Object} updateData - Supplier update data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData) {
+		const errors = {};
+
+		if (updateData.name !== undefined) {
+			if (updateData.name.trim() === '') {
+				errors.name = 'Supplier name cannot be empty';
+			} else if (updateData.name.length > 100) {
+				errors.name = 'Supplier name cannot exceed 100 characters';
+			}
+		}
+
+		this._validateDetails(updateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a price list entry
+	 * @param {Object} priceData - Price list entry
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validatePrice(priceData) {
+		const errors = {};
+
+		if (!priceData || !priceData.productId) {
+			errors.productId = 'Product ID is required';
+		} else if (!isValidObjectId(priceData.productId)) {
+			errors.productId = 'Invalid product ID format';
+		}
+
+		if (priceData && priceData.variantId && !isValidObjectId(priceData.variantId)) {
+			errors.variantId = 'Invalid variant ID format';
+		}
+
+		if (!priceData || priceData.unitCost === undefined || isNaN(parseFloat(priceData.unitCost)) || parseFloat(priceData.unitCost) < 0) {
+			errors.unitCost = 'Unit cost must be a non-negative number';
+		}
+
+		if (priceData && priceData.minimumOrderQuantity !== undefined &&
+			(isNaN(parseFloat(priceData.minimumOrderQuantity)) || parseFloat(priceData.minimumOrderQuantity) < 0)) {
+			errors.minimumOrderQuantity = 'Minimum order quantity must be a non-negative number';
+		}
+
+		if (priceData && priceData.leadTimeDays !== undefined &&
+			(isNaN(parseInt(priceData.leadTimeDays)) || parseInt(priceData.leadTimeDays) < 0)) {
+			errors.leadTimeDays = 'Lead time must be a non-negative number of days';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate contact, email and lead time fields shared by create and update
+	 * @param {Object} data - Supplier data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateDetails(data, errors) {
+		if (data.email && !/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(data.email)) {
+			errors.email = 'Please provide a valid email address';
+		}
+
+		if (data.leadTimeDays !== undefined && (isNaN(parseInt(data.leadTimeDays)) || parseInt(data.leadTimeDays) < 0)) {
+			errors.leadTimeDays = 'Lead time must be a non-negative number of days';
+		}
+
+		if (data.contacts !== undefined) {
+			if (!Array.isArray(data.contacts)) {
+				errors.contacts = 'Contacts must be an array';
+			} else if (data.contacts.some(contact => !contact || !contact.name)) {
+				errors.contacts = 'Every contact needs a name';
+			}
+		}
+	}
+}
+
+module.exports = new SupplierValidator();
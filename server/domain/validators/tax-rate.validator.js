@@ -0,0 +1,142 @@
+// src/domain/validators/tax-rate.validator.js
+
+const { isValidObjectId } = require('../../utils/validators');
+
+/**
+ * @class TaxRateValidator
+ * @description Validates tax rate data
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class TaxRateValidator {
+	/**
+	 * Validate tax rate creation data
+	 * @param {Object} taxRateData - Tax rate data to validate
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCreate(taxRateData = {}) {
+		const errors = {};
+
+		if (!taxRateData.name || taxRateData.name.trim() === '') {
+			errors.name = 'Tax rate name is required';
+		} else if (taxRateData.name.length > 100) {
+			errors.name = 'Tax rate name cannot exceed 100 characters';
+		}
+
+		if (!taxRateData.code) {
+			errors.code = 'Tax code is required';
+		}
+
+		if (taxRateData.rate === undefined || taxRateData.rate === null) {
+			errors.rate = 'Rate is required';
+		}
+
+		this._validateDetails(taxRateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate tax rate update data
+	 * @param {Object} updateData - Tax rate update data
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateUpdate(updateData = {}) {
+		const errors = {};
+
+		if (updateData.name !== undefined) {
+			if (updateData.name.trim() === '') {
+				errors.name = 'Tax rate name cannot be empty';
+			} else if (updateData.name.length > 100) {
+				errors.name = 'Tax rate name cannot exceed 100 characters';
+			}
+		}
+
+		this._validateDetails(updateData, errors);
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate a request to work out the tax on a cart
+	 * @param {Object} data - Calculation data ({ items, discountAmount })
+	 * @returns {Object} Validation result with errors if any
+	 */
+	validateCalculate(data = {}) {
+		const errors = {};
+
+		if (!Array.isArray(data.items) || data.items.length === 0) {
+			errors.items = 'At least one item is required';
+		} else {
+			data.items.forEach((item, index) => {
+				if (!item.productId || !isValidObjectId(item.productId)) {
+					errors[`items[${index}].productId`] = 'A valid product ID is required';
+				}
+
+				if (isNaN(parseFloat(item.quantity)) || parseFloat(item.quantity) <= 0) {
+					errors[`items[${index}].quantity`] = 'Quantity must be greater than zero';
+				}
+
+				if (isNaN(parseFloat(item.price)) || parseFloat(item.price) < 0) {
+					errors[`items[${index}].price`] = 'Price must be a non-negative number';
+				}
+			});
+		}
+
+		if (data.discountAmount !== undefined &&
+			(isNaN(parseFloat(data.discountAmount)) || parseFloat(data.discountAmount) < 0)) {
+			errors.discountAmount = 'Discount must be a non-negative number';
+		}
+
+		return {
+			isValid: Object.keys(errors).length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validate fields shared by create and update
+	 * @param {Object} data - Tax rate data
+	 * @param {Object} errors - Errors collected so far
+	 * @private
+	 */
+	_validateDetails(data, errors) {
+		if (data.code !== undefined && data.code !== null && !errors.code &&
+			(typeof data.code !== 'string' || !/^[A-Za-z0-9_-]{2,20}$/.test(data.code.trim()))) {
+			errors.code = 'Tax code must be 2 to 20 letters, numbers, dashes or underscores';
+		}
+
+		if (data.rate !== undefined && data.rate !== null && !errors.rate) {
+			const rate = parseFloat(data.rate);
+			if (isNaN(rate) || rate < 0 || rate > 100) {
+				errors.rate = 'Rate must be between 0 and 100';
+			}
+		}
+
+		['exemptProductIds', 'exemptCategoryIds'].forEach(field => {
+			if (data[field] !== undefined &&
+				(!Array.isArray(data[field]) || data[field].some(id => !isValidObjectId(id)))) {
+				errors[field] = `${field === 'exemptProductIds' ? 'Product' : 'Category'} IDs must be an array of valid IDs`;
+			}
+		});
+
+		['validFrom', 'validTo'].forEach(field => {
+			if (data[field] && isNaN(new Date(data[field]).getTime())) {
+				errors[field] = `${field === 'validFrom' ? 'Start' : 'End'} date must be a valid date`;
+			}
+		});
+
+		if (data.validFrom && data.validTo && !errors.validFrom && !errors.validTo &&
+			new Date(data.validFrom) > new Date(data.validTo)) {
+			errors.validTo = 'End date must be after the start date';
+		}
+	}
+}
+
+module.exports = new TaxRateValidator();
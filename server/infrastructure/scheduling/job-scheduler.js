@@ -0,0 +1,88 @@
+// src/infrastructure/scheduling/job-scheduler.js
+
+const logger = require('../logging/logger');
+
+/**
+ * Job Scheduler
+ * @description Runs background jobs on a fixed interval within the API process
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class JobScheduler {
+	/**
+	 * Initialize job scheduler
+	 */
+	constructor() {
+		this.jobs = new Map();
+	}
+
+	/**
+	 * Schedule a job to run every interval
+	 * @param {string} name - Unique job name
+	 * @param {number} intervalMs - Milliseconds between runs
+	 * @param {Function} task - Async function to run
+	 * @param {Object} options - Options (runImmediately to also run once right away)
+	 * @returns {boolean} Whether the job was scheduled
+	 */
+	schedule(name, intervalMs, task, options = {}) {
+		if (!(intervalMs > 0)) {
+			logger.info(`Job "${name}" is disabled`);
+			return false;
+		}
+
+		this.cancel(name);
+
+		const job = { running: false, timer: null };
+		const run = async () => {
+			// Skip a tick rather than overlap a run that is still going
+			if (job.running) {
+				return;
+			}
+
+			job.running = true;
+			try {
+				await task();
+			} catch (error) {
+				logger.error(`Job "${name}" failed: ${error.message}`);
+			} finally {
+				job.running = false;
+			}
+		};
+
+		job.timer = setInterval(run, intervalMs);
+		// Do not keep the process alive just for scheduled jobs
+		job.timer.unref();
+		this.jobs.set(name, job);
+
+		if (options.runImmediately) {
+			run();
+		}
+
+		logger.info(`Job "${name}" scheduled every ${Math.round(intervalMs / 1000)}s`);
+		return true;
+	}
+
+	/**
+	 * Stop a scheduled job
+	 * @param {string} name - Job name
+	 */
+	cancel(name) {
+		const job = this.jobs.get(name);
+		if (job) {
+			clearInterval(job.timer);
+			this.jobs.delete(name);
+		}
+	}
+
+	/**
+	 * Stop all scheduled jobs
+	 */
+	cancelAll() {
+		Array.from(this.jobs.keys()).forEach(name => this.cancel(name));
+	}
+}
+
+// Create and export a singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = jobScheduler;
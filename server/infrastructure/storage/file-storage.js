@@ -15,6 +15,7 @@ const { logger } = require('../logging/logger');
 class FileStorage {
 	constructor() {
 		this.basePath = config.storagePath || path.join(process.cwd(), 'uploads');
+		this.publicPath = config.publicPath || '/uploads';
 		this.ensureStorageDirectoryExists();
 	}
 
@@ -135,6 +136,25 @@ class FileStorage {
 		}
 	}
 
+	/**
+	 * Delete several files, carrying on past any that fail
+	 * @param {Array<string>} fileUrls - File URLs or paths
+	 * @returns {number} Number of files deleted
+	 */
+	async deleteFiles(fileUrls = []) {
+		const results = await Promise.allSettled(fileUrls.map(fileUrl => this.deleteFile(fileUrl)));
+		return results.filter(result => result.status === 'fulfilled' && result.value).length;
+	}
+
+	/**
+	 * Get the URL a stored file is served at
+	 * @param {string} fileUrl - File URL as returned by saveFile
+	 * @returns {string} Public URL
+	 */
+	getPublicUrl(fileUrl) {
+		return `${this.publicPath}${fileUrl}`;
+	}
+
 	/**
 	 * List files in a directory
 	 * @param {string} type - Directory/type to list
@@ -0,0 +1,90 @@
+// src/infrastructure/storage/image-processor.js
+
+const config = require('../../config/storage.config');
+const { ValidationError } = require('../../utils/error-handler');
+
+const OUTPUT_OPTIONS = {
+	webp: quality => ({ quality }),
+	jpeg: quality => ({ quality, mozjpeg: true })
+};
+
+/**
+ * @class ImageProcessor
+ * @description Resizes uploaded images into the standard sizes and formats of their file type
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ImageProcessor {
+	/**
+	 * Resize an image into every configured size and format
+	 * @param {Buffer} buffer - Original image
+	 * @param {string} type - File type whose image settings apply (e.g., 'products')
+	 * @returns {Promise<Object>} Original dimensions and outputs ({ name, format, buffer, width, height })
+	 * @throws {ValidationError} Not a readable image
+	 */
+	async process(buffer, type = 'products') {
+		const settings = config.fileTypes[type]?.imageProcessing;
+		if (!settings) {
+			throw new Error(`No image processing settings for ${type}`);
+		}
+
+		const sharp = this._loadSharp();
+
+		let metadata;
+		try {
+			metadata = await sharp(buffer).metadata();
+		} catch (error) {
+			throw new ValidationError('File is not a supported image');
+		}
+
+		// EXIF orientations 5-8 are stored rotated a quarter turn
+		const rotated = metadata.orientation >= 5;
+		const width = rotated ? metadata.height : metadata.width;
+		const height = rotated ? metadata.width : metadata.height;
+
+		const outputs = [];
+
+		for (const size of settings.dimensions) {
+			for (const format of settings.formats) {
+				let pipeline = sharp(buffer)
+					.rotate()
+					.resize({
+						width: size.width,
+						height: size.height,
+						fit: 'inside',
+						withoutEnlargement: true
+					});
+
+				// JPEG has no transparency, so put transparent areas on white rather than black
+				if (format === 'jpeg') {
+					pipeline = pipeline.flatten({ background: '#ffffff' });
+				}
+
+				const { data, info } = await pipeline
+					.toFormat(format, OUTPUT_OPTIONS[format](settings.quality))
+					.toBuffer({ resolveWithObject: true });
+
+				outputs.push({
+					name: size.suffix,
+					format,
+					buffer: data,
+					width: info.width,
+					height: info.height
+				});
+			}
+		}
+
+		return { width, height, outputs };
+	}
+
+	/**
+	 * Load the image library on first use; it is a native module that is slow to load
+	 * @returns {Function} sharp
+	 * @private
+	 */
+	_loadSharp() {
+		return require('sharp');
+	}
+}
+
+module.exports = new ImageProcessor();
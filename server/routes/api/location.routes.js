@@ -0,0 +1,114 @@
+// src/api/routes/location.routes.js
+
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/location.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const locationValidator = require('../../domain/validators/location.validator');
+
+/**
+ * @route GET /api/locations
+ * @desc Get locations with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	locationController.getLocations
+);
+
+/**
+ * @route POST /api/locations
+ * @desc Create a location (the first one takes all stock on hand)
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(locationData => locationValidator.validateCreate(locationData)),
+	locationController.createLocation
+);
+
+/**
+ * @route GET /api/locations/transfers
+ * @desc Get transfers between locations
+ * @access Private
+ */
+router.get('/transfers',
+	verifyToken,
+	locationController.getTransfers
+);
+
+/**
+ * @route POST /api/locations/transfers
+ * @desc Move stock from one location to another
+ * @access Private/Admin
+ */
+router.post('/transfers',
+	verifyToken,
+	requireAdmin,
+	validate(transferData => locationValidator.validateTransfer(transferData)),
+	locationController.transferStock
+);
+
+/**
+ * @route GET /api/locations/:locationId
+ * @desc Get location by ID
+ * @access Private
+ */
+router.get('/:locationId',
+	verifyToken,
+	validateObjectId('locationId'),
+	locationController.getLocationById
+);
+
+/**
+ * @route PUT /api/locations/:locationId
+ * @desc Update a location
+ * @access Private/Admin
+ */
+router.put('/:locationId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('locationId'),
+	validate(updateData => locationValidator.validateUpdate(updateData)),
+	locationController.updateLocation
+);
+
+/**
+ * @route DELETE /api/locations/:locationId
+ * @desc Delete a location that holds no stock and has no history
+ * @access Private/Admin
+ */
+router.delete('/:locationId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('locationId'),
+	locationController.deleteLocation
+);
+
+/**
+ * @route GET /api/locations/:locationId/stock
+ * @desc Get the stock held at a location
+ * @access Private
+ */
+router.get('/:locationId/stock',
+	verifyToken,
+	validateObjectId('locationId'),
+	locationController.getLocationStock
+);
+
+/**
+ * @route PUT /api/locations/:locationId/thresholds
+ * @desc Set the low stock threshold of a product at a location
+ * @access Private/Admin
+ */
+router.put('/:locationId/thresholds',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('locationId'),
+	validate(thresholdData => locationValidator.validateThreshold(thresholdData)),
+	locationController.setLowStockThreshold
+);
+
+module.exports = router;
@@ -3,8 +3,10 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/order.controller');
+const shipmentController = require('../controllers/shipment.controller');
+const reorderController = require('../controllers/reorder.controller');
 const orderValidator = require('../../domain/validators/order.validator');
-const { validate } = require('../middleware/validation.middleware');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
 const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
 
 /**
@@ -121,6 +123,66 @@ router.put('/:id/status',
 	orderController.updateOrderStatus
 );
 
+/**
+ * @route POST /api/orders/:id/shipments
+ * @desc Ship some or all of the outstanding items; the order is partially shipped until everything has gone out
+ * @access Private
+ */
+router.post('/:id/shipments',
+	verifyToken,
+	validateObjectId('id'),
+	validate(orderValidator.validateShipment),
+	shipmentController.createShipment
+);
+
+/**
+ * @route GET /api/orders/:id/shipments
+ * @desc Get the order's shipments with shipped and outstanding quantities per item
+ * @access Private
+ */
+router.get('/:id/shipments',
+	verifyToken,
+	validateObjectId('id'),
+	shipmentController.getOrderShipments
+);
+
+/**
+ * @route GET /api/orders/:id/shipments/:deliveryId/delivery-note
+ * @desc Download a shipment's delivery note as a PDF
+ * @access Private
+ */
+router.get('/:id/shipments/:deliveryId/delivery-note',
+	verifyToken,
+	validateObjectId('id'),
+	validateObjectId('deliveryId'),
+	shipmentController.downloadDeliveryNote
+);
+
+/**
+ * @route POST /api/orders/:id/reorder
+ * @desc Build a new order from a past one at current prices and availability, keeping its delivery
+ * details; previews it (with the lines that cannot be supplied) unless confirm is true, and a placed
+ * order stays pending until staff confirm it
+ * @access Private
+ */
+router.post('/:id/reorder',
+	verifyToken,
+	validateObjectId('id'),
+	validate(orderValidator.validateReorder),
+	reorderController.reorder
+);
+
+/**
+ * @route PUT /api/orders/:id/weights
+ * @desc Record weighed quantities for catch-weight items and re-price the order
+ * @access Private
+ */
+router.put('/:id/weights',
+	verifyToken,
+	validate(orderValidator.validateWeighedItems),
+	orderController.recordWeighedQuantities
+);
+
 /**
  * @route PUT /api/orders/:id/delivery
  * @desc Set delivery method and address
@@ -133,11 +195,12 @@ router.put('/:id/delivery',
 
 /**
  * @route PUT /api/orders/:id/discount
- * @desc Apply discount to order
+ * @desc Apply a coupon code to a pending order
  * @access Private
  */
 router.put('/:id/discount',
 	verifyToken,
+	validate(orderValidator.validateCoupon),
 	orderController.applyDiscount
 );
 
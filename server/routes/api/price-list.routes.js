@@ -0,0 +1,90 @@
+// src/api/routes/price-list.routes.js
+
+const express = require('express');
+const router = express.Router();
+const priceListController = require('../controllers/price-list.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const priceListValidator = require('../../domain/validators/price-list.validator');
+
+/**
+ * @route GET /api/price-lists
+ * @desc Get price lists with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	priceListController.getPriceLists
+);
+
+/**
+ * @route POST /api/price-lists
+ * @desc Create a price list
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(priceListData => priceListValidator.validateCreate(priceListData)),
+	priceListController.createPriceList
+);
+
+/**
+ * @route POST /api/price-lists/quote
+ * @desc Work out what a client pays for some items under its price lists
+ * @access Private
+ */
+router.post('/quote',
+	verifyToken,
+	validate(quoteData => priceListValidator.validateQuote(quoteData)),
+	priceListController.getClientPrices
+);
+
+/**
+ * @route GET /api/price-lists/clients/:clientId
+ * @desc Get the price lists that apply to a client, highest priority first
+ * @access Private
+ */
+router.get('/clients/:clientId',
+	verifyToken,
+	validateObjectId('clientId'),
+	priceListController.getClientPriceLists
+);
+
+/**
+ * @route GET /api/price-lists/:priceListId
+ * @desc Get price list by ID
+ * @access Private
+ */
+router.get('/:priceListId',
+	verifyToken,
+	validateObjectId('priceListId'),
+	priceListController.getPriceListById
+);
+
+/**
+ * @route PUT /api/price-lists/:priceListId
+ * @desc Update a price list
+ * @access Private/Admin
+ */
+router.put('/:priceListId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('priceListId'),
+	validate(updateData => priceListValidator.validateUpdate(updateData)),
+	priceListController.updatePriceList
+);
+
+/**
+ * @route DELETE /api/price-lists/:priceListId
+ * @desc Delete a price list
+ * @access Private/Admin
+ */
+router.delete('/:priceListId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('priceListId'),
+	priceListController.deletePriceList
+);
+
+module.exports = router;
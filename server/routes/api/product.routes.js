@@ -5,41 +5,54 @@
  */
 const express = require('express');
 const router = express.Router();
-const path = require('path');
 const multer = require('multer');
 const productController = require('../controllers/product.controller');
+const replenishmentController = require('../controllers/replenishment.controller');
+const priceChangeController = require('../controllers/price-change.controller');
+const productRecommendationController = require('../controllers/product-recommendation.controller');
+const productSearchController = require('../controllers/product-search.controller');
+const reviewController = require('../controllers/review.controller');
+const productValidator = require('../../domain/validators/product.validator');
+const priceChangeValidator = require('../../domain/validators/price-change.validator');
 
 // Middleware imports
 const authMiddleware = require('../middleware/auth.middleware');
 const validationMiddleware = require('../middleware/validation.middleware');
 
-// Configure file uploads
-const storage = multer.diskStorage({
-	destination: (req, file, cb) => {
-		cb(null, path.join(__dirname, '../../..', 'uploads/products'));
-	},
-	filename: (req, file, cb) => {
-		const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-		const ext = path.extname(file.originalname);
-		cb(null, `product-${uniqueSuffix}${ext}`);
-	}
-});
-
+// Configure file uploads; images are kept in memory until resized into file storage
 const upload = multer({
-	storage,
+	storage: multer.memoryStorage(),
 	limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
 	fileFilter: (req, file, cb) => {
-		if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/)) {
+		if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
 			return cb(new Error('Only image files are allowed!'), false);
 		}
 		cb(null, true);
 	}
 });
 
+// Product import files are read in memory, never stored
+const importUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+	fileFilter: (req, file, cb) => {
+		if (!file.originalname.match(/\.(csv|xlsx)$/i)) {
+			return cb(new Error('Only CSV and XLSX files can be imported!'), false);
+		}
+		cb(null, true);
+	}
+});
+
 // Public Routes
 // Get all products (with filtering and pagination) - MUST be first
 router.get('/', (req, res, next) => productController.getProducts(req, res, next));
 
+// Search products with typo tolerance and facet counts (Public)
+router.get('/search',
+	validationMiddleware.validate(query => productValidator.validateSearch(query), 'query'),
+	(req, res, next) => productSearchController.searchProducts(req, res, next)
+);
+
 // Protected Routes - Analytics/Statistics (BEFORE /:id route)
 // Get product statistics (Protected)
 router.get('/stats',
@@ -59,6 +72,74 @@ router.get('/analytics/low-stock',
 	(req, res, next) => productController.getLowStockProducts(req, res, next)
 );
 
+// Get reorder suggestions from sales velocity and supplier lead times (Protected)
+router.get('/analytics/reorder',
+	authMiddleware.verifyToken,
+	(req, res, next) => replenishmentController.getReorderSuggestions(req, res, next)
+);
+
+// Raise draft purchase orders from reorder suggestions (Admin only)
+router.post('/analytics/reorder/purchase-orders',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	(req, res, next) => replenishmentController.createPurchaseOrders(req, res, next)
+);
+
+// Get stock batches expiring soon (Protected)
+router.get('/analytics/expiring',
+	authMiddleware.verifyToken,
+	(req, res, next) => productController.getExpiringProducts(req, res, next)
+);
+
+// Write off expired batches now (Admin only)
+router.post('/batches/write-off-expired',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	(req, res, next) => productController.writeOffExpiredBatches(req, res, next)
+);
+
+// Export the filtered product list as CSV or XLSX (Protected)
+router.get('/export',
+	authMiddleware.verifyToken,
+	(req, res, next) => productController.exportProducts(req, res, next)
+);
+
+// Import products from CSV or XLSX, upserting by SKU; dryRun=true only validates (Admin only)
+router.post('/import',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	importUpload.single('file'),
+	(req, res, next) => productController.importProducts(req, res, next)
+);
+
+// Get upcoming price changes across products (Protected)
+router.get('/prices/scheduled',
+	authMiddleware.verifyToken,
+	(req, res, next) => priceChangeController.getScheduledChanges(req, res, next)
+);
+
+// Apply scheduled price changes that are due now (Admin only)
+router.post('/prices/scheduled/apply-due',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	(req, res, next) => priceChangeController.applyDueChanges(req, res, next)
+);
+
+// Cancel a scheduled price change (Admin only)
+router.delete('/prices/scheduled/:changeId',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	validationMiddleware.validateObjectId('changeId'),
+	(req, res, next) => priceChangeController.cancelPriceChange(req, res, next)
+);
+
+// Recount which products are bought together now (Admin only)
+router.post('/recommendations/refresh',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	(req, res, next) => productRecommendationController.refreshRecommendations(req, res, next)
+);
+
 // Protected Routes - CRUD Operations
 // Create product (Protected, with images)
 router.post('/',
@@ -85,14 +166,124 @@ router.delete('/:id',
 	(req, res, next) => productController.deleteProduct(req, res, next)
 );
 
+// Get bundle availability from component stock (Public)
+router.get('/:id/bundle/availability',
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.getBundleAvailability(req, res, next)
+);
+
+// Get products frequently bought together with this one, then similar ones (Public)
+router.get('/:id/related',
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productRecommendationController.getRelatedProducts(req, res, next)
+);
+
+// Get a product's approved reviews with its rating summary (Public)
+router.get('/:id/reviews',
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => reviewController.getProductReviews(req, res, next)
+);
+
+// Protected Routes - Prices
+// Get price history (Protected)
+router.get('/:id/prices/history',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => priceChangeController.getPriceHistory(req, res, next)
+);
+
+// Get the price that applied at a date (Protected)
+router.get('/:id/prices/at',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => priceChangeController.getPriceAt(req, res, next)
+);
+
+// Schedule a price change; without an effective date it applies straight away (Admin only)
+router.post('/:id/prices/scheduled',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	validationMiddleware.validateObjectId(),
+	validationMiddleware.validate(changeData => priceChangeValidator.validateSchedule(changeData)),
+	(req, res, next) => priceChangeController.schedulePriceChange(req, res, next)
+);
+
+// Protected Routes - Images
+// Add images to a product (Protected)
+router.post('/:id/images',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	upload.array('images', 5),
+	(req, res, next) => productController.addImages(req, res, next)
+);
+
+// Reorder product images (Protected)
+router.put('/:id/images/order',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.reorderImages(req, res, next)
+);
+
+// Set the default product image (Protected)
+router.put('/:id/images/:imageId/default',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	validationMiddleware.validateObjectId('imageId'),
+	(req, res, next) => productController.setDefaultImage(req, res, next)
+);
+
+// Remove a product image and its files (Protected)
+router.delete('/:id/images/:imageId',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	validationMiddleware.validateObjectId('imageId'),
+	(req, res, next) => productController.removeImage(req, res, next)
+);
+
 // Protected Routes - Stock Management
 // Adjust stock (Protected)
 router.post('/:id/stock',
 	authMiddleware.verifyToken,
-	validationMiddleware.validateObjectId,
+	validationMiddleware.validateObjectId(),
 	(req, res, next) => productController.adjustStock(req, res, next)
 );
 
+// Get stock movement history (Protected)
+router.get('/:id/stock/movements',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.getStockMovements(req, res, next)
+);
+
+// Get stock held at each location (Protected)
+router.get('/:id/stock/locations',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.getStockByLocation(req, res, next)
+);
+
+// Rebuild stock of the product, or the variant given as variantId, from the movement ledger (Admin only)
+router.post('/:id/stock/rebuild',
+	authMiddleware.verifyToken,
+	authMiddleware.requireAdmin,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.rebuildStock(req, res, next)
+);
+
+// Receive stock in a batch (Protected)
+router.post('/:id/batches',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.receiveBatch(req, res, next)
+);
+
+// Get stock batches (Protected)
+router.get('/:id/batches',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.getProductBatches(req, res, next)
+);
+
 // Set availability (Protected)
 router.patch('/:id/availability',
 	authMiddleware.verifyToken,
@@ -104,14 +295,21 @@ router.patch('/:id/availability',
 // Add variant (Protected)
 router.post('/:id/variants',
 	authMiddleware.verifyToken,
-	validationMiddleware.validateObjectId,
+	validationMiddleware.validateObjectId(),
 	(req, res, next) => productController.addVariant(req, res, next)
 );
 
+// Update variant (Protected)
+router.put('/:id/variants/:variantKey',
+	authMiddleware.verifyToken,
+	validationMiddleware.validateObjectId(),
+	(req, res, next) => productController.updateVariant(req, res, next)
+);
+
 // Remove variant (Protected)
 router.delete('/:id/variants/:variantKey',
 	authMiddleware.verifyToken,
-	validationMiddleware.validateObjectId,
+	validationMiddleware.validateObjectId(),
 	(req, res, next) => productController.removeVariant(req, res, next)
 );
 
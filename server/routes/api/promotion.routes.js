@@ -0,0 +1,112 @@
+// src/api/routes/promotion.routes.js
+
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotion.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const promotionValidator = require('../../domain/validators/promotion.validator');
+
+/**
+ * @route POST /api/promotions/check
+ * @desc Work out the promotions a cart would get, including a coupon code
+ * @access Public (clients check coupons before placing orders)
+ */
+router.post('/check',
+	validate(data => promotionValidator.validateCheck(data)),
+	promotionController.checkPromotions
+);
+
+/**
+ * @route GET /api/promotions
+ * @desc Get promotions with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	promotionController.getPromotions
+);
+
+/**
+ * @route POST /api/promotions
+ * @desc Create a promotion
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(promotionData => promotionValidator.validateCreate(promotionData)),
+	promotionController.createPromotion
+);
+
+/**
+ * @route GET /api/promotions/redemptions
+ * @desc Get promotion redemptions with filtering and pagination
+ * @access Private/Admin
+ */
+router.get('/redemptions',
+	verifyToken,
+	requireAdmin,
+	promotionController.getRedemptions
+);
+
+/**
+ * @route GET /api/promotions/report
+ * @desc Get redemption figures per promotion
+ * @access Private/Admin
+ */
+router.get('/report',
+	verifyToken,
+	requireAdmin,
+	promotionController.getRedemptionReport
+);
+
+/**
+ * @route GET /api/promotions/:promotionId
+ * @desc Get promotion by ID
+ * @access Private
+ */
+router.get('/:promotionId',
+	verifyToken,
+	validateObjectId('promotionId'),
+	promotionController.getPromotionById
+);
+
+/**
+ * @route PUT /api/promotions/:promotionId
+ * @desc Update a promotion
+ * @access Private/Admin
+ */
+router.put('/:promotionId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('promotionId'),
+	validate(updateData => promotionValidator.validateUpdate(updateData)),
+	promotionController.updatePromotion
+);
+
+/**
+ * @route DELETE /api/promotions/:promotionId
+ * @desc Delete a promotion that has never been redeemed
+ * @access Private/Admin
+ */
+router.delete('/:promotionId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('promotionId'),
+	promotionController.deletePromotion
+);
+
+/**
+ * @route GET /api/promotions/:promotionId/redemptions
+ * @desc Get the redemptions of one promotion
+ * @access Private/Admin
+ */
+router.get('/:promotionId/redemptions',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('promotionId'),
+	promotionController.getPromotionRedemptions
+);
+
+module.exports = router;
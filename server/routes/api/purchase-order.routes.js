@@ -0,0 +1,116 @@
+// src/api/routes/purchase-order.routes.js
+
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchase-order.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const purchaseOrderValidator = require('../../domain/validators/purchase-order.validator');
+
+/**
+ * @route GET /api/purchase-orders
+ * @desc Get purchase orders with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	purchaseOrderController.getPurchaseOrders
+);
+
+/**
+ * @route POST /api/purchase-orders
+ * @desc Create a draft purchase order
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(purchaseOrderData => purchaseOrderValidator.validateCreate(purchaseOrderData)),
+	purchaseOrderController.createPurchaseOrder
+);
+
+/**
+ * @route GET /api/purchase-orders/:purchaseOrderId
+ * @desc Get purchase order by ID
+ * @access Private
+ */
+router.get('/:purchaseOrderId',
+	verifyToken,
+	validateObjectId('purchaseOrderId'),
+	purchaseOrderController.getPurchaseOrderById
+);
+
+/**
+ * @route PUT /api/purchase-orders/:purchaseOrderId
+ * @desc Update a draft purchase order
+ * @access Private/Admin
+ */
+router.put('/:purchaseOrderId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('purchaseOrderId'),
+	validate(updateData => purchaseOrderValidator.validateUpdate(updateData)),
+	purchaseOrderController.updatePurchaseOrder
+);
+
+/**
+ * @route GET /api/purchase-orders/:purchaseOrderId/pdf
+ * @desc Download the purchase order as a PDF
+ * @access Private
+ */
+router.get('/:purchaseOrderId/pdf',
+	verifyToken,
+	validateObjectId('purchaseOrderId'),
+	purchaseOrderController.downloadPurchaseOrderPDF
+);
+
+/**
+ * @route POST /api/purchase-orders/:purchaseOrderId/send
+ * @desc Email the purchase order PDF to the supplier and mark it as sent
+ * @access Private/Admin
+ */
+router.post('/:purchaseOrderId/send',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('purchaseOrderId'),
+	purchaseOrderController.sendPurchaseOrder
+);
+
+/**
+ * @route POST /api/purchase-orders/:purchaseOrderId/receive
+ * @desc Receive goods: increases stock and updates cost prices
+ * @access Private/Admin
+ */
+router.post('/:purchaseOrderId/receive',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('purchaseOrderId'),
+	validate(receiptData => purchaseOrderValidator.validateReceipt(receiptData)),
+	purchaseOrderController.receivePurchaseOrder
+);
+
+/**
+ * @route POST /api/purchase-orders/:purchaseOrderId/close
+ * @desc Close a purchase order
+ * @access Private/Admin
+ */
+router.post('/:purchaseOrderId/close',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('purchaseOrderId'),
+	purchaseOrderController.closePurchaseOrder
+);
+
+/**
+ * @route POST /api/purchase-orders/:purchaseOrderId/cancel
+ * @desc Cancel a purchase order nothing has been received against
+ * @access Private/Admin
+ */
+router.post('/:purchaseOrderId/cancel',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('purchaseOrderId'),
+	purchaseOrderController.cancelPurchaseOrder
+);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// src/api/routes/return.routes.js
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const returnController = require('../controllers/return.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const returnValidator = require('../../domain/validators/return.validator');
+
+// Photos of returned items are kept in memory until saved to file storage
+const upload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: 5 * 1024 * 1024, files: 10 }, // 5MB, 10 photos
+	fileFilter: (req, file, cb) => {
+		if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
+			return cb(new Error('Only image files are allowed!'), false);
+		}
+		cb(null, true);
+	}
+});
+
+/**
+ * @route POST /api/returns
+ * @desc Ask to return lines of a delivered order; photos go in items[<index>][photos] fields
+ * @access Private
+ */
+router.post('/',
+	verifyToken,
+	upload.any(),
+	validate(returnData => returnValidator.validateCreate(returnData)),
+	returnController.createReturnRequest
+);
+
+/**
+ * @route GET /api/returns
+ * @desc Get return requests with filtering and pagination (e.g. ?status=requested for the queue)
+ * @access Private/Admin
+ */
+router.get('/',
+	verifyToken,
+	requireAdmin,
+	returnController.getReturnRequests
+);
+
+/**
+ * @route GET /api/returns/:returnId
+ * @desc Get return request by ID
+ * @access Private/Admin
+ */
+router.get('/:returnId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('returnId'),
+	returnController.getReturnRequestById
+);
+
+/**
+ * @route POST /api/returns/:returnId/approve
+ * @desc Approve a return: restock or write off the goods, issue a credit note and refund or give store credit
+ * @access Private/Admin
+ */
+router.post('/:returnId/approve',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('returnId'),
+	validate(data => returnValidator.validateApprove(data)),
+	returnController.approveReturn
+);
+
+/**
+ * @route POST /api/returns/:returnId/reject
+ * @desc Reject a return request
+ * @access Private/Admin
+ */
+router.post('/:returnId/reject',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('returnId'),
+	validate(data => returnValidator.validateReject(data)),
+	returnController.rejectReturn
+);
+
+module.exports = router;
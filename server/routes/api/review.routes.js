@@ -0,0 +1,69 @@
+// src/api/routes/review.routes.js
+
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/review.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const reviewValidator = require('../../domain/validators/review.validator');
+
+/**
+ * @route POST /api/reviews
+ * @desc Record a review of a product from a delivered order; it is published once approved
+ * @access Private
+ */
+router.post('/',
+	verifyToken,
+	validate(reviewData => reviewValidator.validateCreate(reviewData)),
+	reviewController.createReview
+);
+
+/**
+ * @route GET /api/reviews
+ * @desc Get reviews with filtering and pagination (e.g. ?status=pending for the moderation queue)
+ * @access Private/Admin
+ */
+router.get('/',
+	verifyToken,
+	requireAdmin,
+	reviewController.getReviews
+);
+
+/**
+ * @route GET /api/reviews/:reviewId
+ * @desc Get review by ID
+ * @access Private/Admin
+ */
+router.get('/:reviewId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('reviewId'),
+	reviewController.getReviewById
+);
+
+/**
+ * @route PATCH /api/reviews/:reviewId/moderation
+ * @desc Approve or reject a review
+ * @access Private/Admin
+ */
+router.patch('/:reviewId/moderation',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('reviewId'),
+	validate(data => reviewValidator.validateModerate(data)),
+	reviewController.moderateReview
+);
+
+/**
+ * @route DELETE /api/reviews/:reviewId
+ * @desc Delete a review
+ * @access Private/Admin
+ */
+router.delete('/:reviewId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('reviewId'),
+	reviewController.deleteReview
+);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// src/api/routes/stock-take.routes.js
+
+const express = require('express');
+const router = express.Router();
+const stockTakeController = require('../controllers/stock-take.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const stockTakeValidator = require('../../domain/validators/stock-take.validator');
+
+/**
+ * @route GET /api/stock-takes
+ * @desc Get stock takes with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	stockTakeController.getStockTakes
+);
+
+/**
+ * @route POST /api/stock-takes
+ * @desc Open a stock take for a category, products or the whole catalogue
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(stockTakeData => stockTakeValidator.validateOpen(stockTakeData)),
+	stockTakeController.openStockTake
+);
+
+/**
+ * @route GET /api/stock-takes/:stockTakeId
+ * @desc Get stock take by ID, with its lines and counts
+ * @access Private
+ */
+router.get('/:stockTakeId',
+	verifyToken,
+	validateObjectId('stockTakeId'),
+	stockTakeController.getStockTakeById
+);
+
+/**
+ * @route POST /api/stock-takes/:stockTakeId/counts
+ * @desc Record counted quantities; staff counting the same product add to each other's counts
+ * @access Private
+ */
+router.post('/:stockTakeId/counts',
+	verifyToken,
+	validateObjectId('stockTakeId'),
+	validate(countData => stockTakeValidator.validateCounts(countData)),
+	stockTakeController.recordCounts
+);
+
+/**
+ * @route POST /api/stock-takes/:stockTakeId/review
+ * @desc Close counting and work out the variance against system stock at the time of counting
+ * @access Private/Admin
+ */
+router.post('/:stockTakeId/review',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('stockTakeId'),
+	stockTakeController.submitForReview
+);
+
+/**
+ * @route POST /api/stock-takes/:stockTakeId/reopen
+ * @desc Send a stock take in review back for more counting
+ * @access Private/Admin
+ */
+router.post('/:stockTakeId/reopen',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('stockTakeId'),
+	stockTakeController.reopenStockTake
+);
+
+/**
+ * @route GET /api/stock-takes/:stockTakeId/variance
+ * @desc Get the variance report of a stock take
+ * @access Private
+ */
+router.get('/:stockTakeId/variance',
+	verifyToken,
+	validateObjectId('stockTakeId'),
+	stockTakeController.getVarianceReport
+);
+
+/**
+ * @route POST /api/stock-takes/:stockTakeId/post
+ * @desc Post the variance found at count time as stock adjustments
+ * @access Private/Admin
+ */
+router.post('/:stockTakeId/post',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('stockTakeId'),
+	validate(postData => stockTakeValidator.validatePost(postData)),
+	stockTakeController.postStockTake
+);
+
+/**
+ * @route POST /api/stock-takes/:stockTakeId/cancel
+ * @desc Cancel a stock take nothing has been posted from
+ * @access Private/Admin
+ */
+router.post('/:stockTakeId/cancel',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('stockTakeId'),
+	stockTakeController.cancelStockTake
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+// src/api/routes/subscription.routes.js
+
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscription.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const subscriptionValidator = require('../../domain/validators/subscription.validator');
+
+/**
+ * @route POST /api/subscriptions
+ * @desc Subscribe a client to a recurring order (weekly, fortnightly or monthly basket)
+ * @access Private
+ */
+router.post('/',
+	verifyToken,
+	validate(subscriptionData => subscriptionValidator.validateCreate(subscriptionData)),
+	subscriptionController.createSubscription
+);
+
+/**
+ * @route GET /api/subscriptions
+ * @desc Get subscriptions with filtering and pagination
+ * @access Private/Admin
+ */
+router.get('/',
+	verifyToken,
+	requireAdmin,
+	subscriptionController.getSubscriptions
+);
+
+/**
+ * @route GET /api/subscriptions/upcoming
+ * @desc Get the subscription deliveries coming up (?days=14) with their orders and when the rest are placed
+ * @access Private/Admin
+ */
+router.get('/upcoming',
+	verifyToken,
+	requireAdmin,
+	subscriptionController.getUpcomingOrders
+);
+
+/**
+ * @route GET /api/subscriptions/:subscriptionId
+ * @desc Get subscription by ID, with its delivery history
+ * @access Private
+ */
+router.get('/:subscriptionId',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	subscriptionController.getSubscriptionById
+);
+
+/**
+ * @route PUT /api/subscriptions/:subscriptionId
+ * @desc Change a subscription's items, schedule, delivery details or price refresh rule
+ * @access Private
+ */
+router.put('/:subscriptionId',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	validate(updateData => subscriptionValidator.validateUpdate(updateData)),
+	subscriptionController.updateSubscription
+);
+
+/**
+ * @route POST /api/subscriptions/:subscriptionId/pause
+ * @desc Pause deliveries, indefinitely or until a date
+ * @access Private
+ */
+router.post('/:subscriptionId/pause',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	validate(data => subscriptionValidator.validatePause(data)),
+	subscriptionController.pauseSubscription
+);
+
+/**
+ * @route POST /api/subscriptions/:subscriptionId/resume
+ * @desc Resume a paused subscription from its next delivery date
+ * @access Private
+ */
+router.post('/:subscriptionId/resume',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	subscriptionController.resumeSubscription
+);
+
+/**
+ * @route POST /api/subscriptions/:subscriptionId/skip
+ * @desc Skip an upcoming delivery
+ * @access Private
+ */
+router.post('/:subscriptionId/skip',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	validate(data => subscriptionValidator.validateSkip(data)),
+	subscriptionController.skipDelivery
+);
+
+/**
+ * @route POST /api/subscriptions/:subscriptionId/unskip
+ * @desc Restore a skipped delivery that has not come round yet
+ * @access Private
+ */
+router.post('/:subscriptionId/unskip',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	validate(data => subscriptionValidator.validateSkip(data)),
+	subscriptionController.unskipDelivery
+);
+
+/**
+ * @route POST /api/subscriptions/:subscriptionId/price-review
+ * @desc Accept or decline the price increase a delivery was held for
+ * @access Private
+ */
+router.post('/:subscriptionId/price-review',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	validate(data => subscriptionValidator.validatePriceReview(data)),
+	subscriptionController.reviewHeldDelivery
+);
+
+/**
+ * @route POST /api/subscriptions/:subscriptionId/cancel
+ * @desc Cancel a subscription; orders already placed are kept
+ * @access Private
+ */
+router.post('/:subscriptionId/cancel',
+	verifyToken,
+	validateObjectId('subscriptionId'),
+	validate(data => subscriptionValidator.validateCancel(data)),
+	subscriptionController.cancelSubscription
+);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+// src/api/routes/supplier.routes.js
+
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplier.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const supplierValidator = require('../../domain/validators/supplier.validator');
+
+/**
+ * @route GET /api/suppliers
+ * @desc Get suppliers with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	supplierController.getSuppliers
+);
+
+/**
+ * @route POST /api/suppliers
+ * @desc Create a new supplier
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(supplierData => supplierValidator.validateCreate(supplierData)),
+	supplierController.createSupplier
+);
+
+/**
+ * @route GET /api/suppliers/product/:productId
+ * @desc Get the suppliers of a product with their current prices, cheapest first
+ * @access Private
+ * @note This route must be BEFORE /:supplierId to avoid conflict
+ */
+router.get('/product/:productId',
+	verifyToken,
+	validateObjectId('productId'),
+	supplierController.getProductSuppliers
+);
+
+/**
+ * @route GET /api/suppliers/:supplierId
+ * @desc Get supplier by ID
+ * @access Private
+ */
+router.get('/:supplierId',
+	verifyToken,
+	validateObjectId('supplierId'),
+	supplierController.getSupplierById
+);
+
+/**
+ * @route PUT /api/suppliers/:supplierId
+ * @desc Update a supplier's details and contacts
+ * @access Private/Admin
+ */
+router.put('/:supplierId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('supplierId'),
+	validate(updateData => supplierValidator.validateUpdate(updateData)),
+	supplierController.updateSupplier
+);
+
+/**
+ * @route DELETE /api/suppliers/:supplierId
+ * @desc Delete a supplier that has no purchase orders
+ * @access Private/Admin
+ */
+router.delete('/:supplierId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('supplierId'),
+	supplierController.deleteSupplier
+);
+
+/**
+ * @route PUT /api/suppliers/:supplierId/prices
+ * @desc Add or replace the supplier's price for a product
+ * @access Private/Admin
+ */
+router.put('/:supplierId/prices',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('supplierId'),
+	validate(priceData => supplierValidator.validatePrice(priceData)),
+	supplierController.setPrice
+);
+
+/**
+ * @route DELETE /api/suppliers/:supplierId/prices/:priceId
+ * @desc Remove a price list entry
+ * @access Private/Admin
+ */
+router.delete('/:supplierId/prices/:priceId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('supplierId'),
+	validateObjectId('priceId'),
+	supplierController.removePrice
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// src/api/routes/tax-rate.routes.js
+
+const express = require('express');
+const router = express.Router();
+const taxRateController = require('../controllers/tax-rate.controller');
+const { validate, validateObjectId } = require('../middleware/validation.middleware');
+const { verifyToken, requireAdmin } = require('../middleware/auth.middleware');
+const taxRateValidator = require('../../domain/validators/tax-rate.validator');
+
+/**
+ * @route POST /api/tax-rates/calculate
+ * @desc Work out the tax a cart would be charged
+ * @access Public (clients see the tax before placing orders)
+ */
+router.post('/calculate',
+	validate(data => taxRateValidator.validateCalculate(data)),
+	taxRateController.calculateTax
+);
+
+/**
+ * @route GET /api/tax-rates
+ * @desc Get tax rates with filtering and pagination
+ * @access Private
+ */
+router.get('/',
+	verifyToken,
+	taxRateController.getTaxRates
+);
+
+/**
+ * @route POST /api/tax-rates
+ * @desc Create a tax rate
+ * @access Private/Admin
+ */
+router.post('/',
+	verifyToken,
+	requireAdmin,
+	validate(taxRateData => taxRateValidator.validateCreate(taxRateData)),
+	taxRateController.createTaxRate
+);
+
+/**
+ * @route GET /api/tax-rates/:taxRateId
+ * @desc Get tax rate by ID
+ * @access Private
+ */
+router.get('/:taxRateId',
+	verifyToken,
+	validateObjectId('taxRateId'),
+	taxRateController.getTaxRateById
+);
+
+/**
+ * @route PUT /api/tax-rates/:taxRateId
+ * @desc Update a tax rate
+ * @access Private/Admin
+ */
+router.put('/:taxRateId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('taxRateId'),
+	validate(updateData => taxRateValidator.validateUpdate(updateData)),
+	taxRateController.updateTaxRate
+);
+
+/**
+ * @route DELETE /api/tax-rates/:taxRateId
+ * @desc Delete a tax rate
+ * @access Private/Admin
+ */
+router.delete('/:taxRateId',
+	verifyToken,
+	requireAdmin,
+	validateObjectId('taxRateId'),
+	taxRateController.deleteTaxRate
+);
+
+module.exports = router;
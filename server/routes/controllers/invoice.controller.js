@@ -1,6 +1,7 @@
 // src/api/controllers/invoice.controller.js
 
 const invoiceService = require('../../services/invoice.service');
+const { priceChangeService } = require('./product.controller');
 const { ValidationError } = require('../../utils/error-handler');
 
 /**
@@ -75,6 +76,12 @@ class InvoiceController {
 		try {
 			const { id } = req.params;
 			const invoice = await invoiceService.getInvoiceById(id);
+
+			// Show the list price of each line at a date (e.g. to compare with what was charged)
+			if (req.query.pricesAt) {
+				invoice.items = await priceChangeService.annotateItems(invoice.items, req.query.pricesAt);
+			}
+
 			res.status(200).json({
 				responseCode: 200,
 				responseMessage: 'Completed Successfully',
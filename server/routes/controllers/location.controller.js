@@ -0,0 +1,208 @@
+// src/api/controllers/location.controller.js
+
+const LocationService = require('../../services/location.service');
+const locationRepository = require('../../data/repositories/location.repository');
+const stockLevelRepository = require('../../data/repositories/stock-level.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const stockMovementRepository = require('../../data/repositories/stock-movement.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+
+const locationService = new LocationService(
+	locationRepository,
+	stockLevelRepository,
+	productRepository,
+	stockMovementRepository,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class LocationController
+ * @description Controller handling location and stock transfer requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class LocationController {
+	/**
+	 * Create a location
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createLocation(req, res, next) {
+		try {
+			const location = await locationService.createLocation(req.body);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: location
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get locations with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getLocations(req, res, next) {
+		try {
+			const locations = await locationService.getLocations(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: locations
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get location by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getLocationById(req, res, next) {
+		try {
+			const location = await locationService.getLocationById(req.params.locationId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: location
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Update a location
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updateLocation(req, res, next) {
+		try {
+			const location = await locationService.updateLocation(req.params.locationId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: location
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Delete a location that holds no stock
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async deleteLocation(req, res, next) {
+		try {
+			await locationService.deleteLocation(req.params.locationId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: null
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the stock held at a location
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getLocationStock(req, res, next) {
+		try {
+			const stock = await locationService.getLocationStock(req.params.locationId, req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stock
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Set the low stock threshold of a product at a location
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async setLowStockThreshold(req, res, next) {
+		try {
+			const level = await locationService.setLowStockThreshold(req.params.locationId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: level
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Transfer stock between locations
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async transferStock(req, res, next) {
+		try {
+			const transfer = await locationService.transferStock(req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: transfer
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get transfers between locations
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getTransfers(req, res, next) {
+		try {
+			const transfers = await locationService.getTransfers(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: transfers
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new LocationController();
@@ -1,23 +1,45 @@
 // src/api/controllers/order.controller.js
 
-const { logger } = require('../../infrastructure/logging/logger');
+const logger = require('../../infrastructure/logging/logger');
 const OrderRepository = require('../../data/repositories/order.repository');
 const ClientRepository = require('../../data/repositories/client.repository');
 const UserRepository = require('../../data/repositories/user.repository');
 const ProductRepository = require('../../data/repositories/product.repository');
+const StockBatchRepository = require('../../data/repositories/stock-batch.repository');
+const LocationRepository = require('../../data/repositories/location.repository');
+const StockLevelRepository = require('../../data/repositories/stock-level.repository');
+const PriceListRepository = require('../../data/repositories/price-list.repository');
+const PromotionRepository = require('../../data/repositories/promotion.repository');
+const PromotionRedemptionRepository = require('../../data/repositories/promotion-redemption.repository');
+const TaxRateRepository = require('../../data/repositories/tax-rate.repository');
 const ProductService = require('../../services/product.service');
 const EventDispatcher = require('../../domain/events/event-dispatcher');
 const OrderService = require("../../services/order.service");
+const PriceListService = require('../../services/price-list.service');
+const PromotionService = require('../../services/promotion.service');
+const TaxService = require('../../services/tax.service');
+const appConfig = require('../../config/app.config');
+const { priceChangeService } = require('./product.controller');
 
 // Import repositories (already instantiated)
 const orderRepository = OrderRepository;
 const clientRepository = ClientRepository;
 const userRepository = UserRepository;
 const productRepository = ProductRepository;
+const stockBatchRepository = StockBatchRepository;
+const locationRepository = LocationRepository;
+const stockLevelRepository = StockLevelRepository;
+const priceListRepository = PriceListRepository;
+const promotionRepository = PromotionRepository;
+const promotionRedemptionRepository = PromotionRedemptionRepository;
+const taxRateRepository = TaxRateRepository;
 const eventDispatcher = EventDispatcher;
 
 // Create services
 const productService = new ProductService(productRepository, logger);
+const priceListService = new PriceListService(priceListRepository, clientRepository, productRepository, eventDispatcher, logger);
+const promotionService = new PromotionService(promotionRepository, promotionRedemptionRepository, productRepository, eventDispatcher, logger);
+const taxService = new TaxService(taxRateRepository, productRepository, eventDispatcher, logger, appConfig.tax);
 const orderService = new OrderService(
 	orderRepository,
 	clientRepository,
@@ -25,7 +47,13 @@ const orderService = new OrderService(
 	productRepository,
 	productService,
 	eventDispatcher,
-	logger
+	logger,
+	stockBatchRepository,
+	locationRepository,
+	stockLevelRepository,
+	priceListService,
+	promotionService,
+	taxService
 );
 
 /**
@@ -105,6 +133,12 @@ class OrderController {
 		try {
 			const { id } = req.params;
 			const order = await orderService.getOrderById(id);
+
+			// Show the list price of each item at a date (e.g. to compare with what was charged)
+			if (req.query.pricesAt) {
+				order.items = await priceChangeService.annotateItems(order.items, req.query.pricesAt);
+			}
+
 			res.status(200).json({
 				responseCode: "00",
 				responseMessage: "Completed Successfully",
@@ -203,6 +237,28 @@ class OrderController {
 		}
 	}
 
+	/**
+	 * Record weighed quantities for catch-weight items
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async recordWeighedQuantities(req, res, next) {
+		try {
+			const { id } = req.params;
+			const { items } = req.body;
+
+			const order = await orderService.recordWeighedQuantities(id, items, req.user?.id);
+			res.status(200).json({
+				responseCode: "00",
+				responseMessage: "Completed Successfully",
+				responseData: order
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
 	/**
 	 * Get order statistics (basic)
 	 * @param {Object} req - Express request object
@@ -351,9 +407,13 @@ class OrderController {
 	async updateOrderStatus(req, res, next) {
 		try {
 			const { id } = req.params;
-			const { status } = req.body;
+			const { status, note } = req.body;
 
-			const order = await orderService.updateOrder(id, { status });
+			const order = await orderService.updateOrder(id, {
+				status,
+				statusNote: note,
+				updatedBy: req.user?.id
+			});
 			res.status(200).json({
 				responseCode: "00",
 				responseMessage: "Completed Successfully",
@@ -392,7 +452,7 @@ class OrderController {
 	}
 
 	/**
-	 * Apply discount to order
+	 * Apply a coupon code to an order
 	 * @param {Object} req - Express request object
 	 * @param {Object} res - Express response object
 	 * @param {Function} next - Express next middleware function
@@ -400,9 +460,9 @@ class OrderController {
 	async applyDiscount(req, res, next) {
 		try {
 			const { id } = req.params;
-			const { discount } = req.body;
+			const { couponCode } = req.body;
 
-			const order = await orderService.updateOrder(id, { discount });
+			const order = await orderService.applyCoupon(id, couponCode, req.user?.id);
 			res.status(200).json({
 				responseCode: "00",
 				responseMessage: "Completed Successfully",
@@ -733,4 +793,9 @@ class OrderController {
 	}
 }
 
-module.exports = new OrderController();
\ No newline at end of file
+const orderController = new OrderController();
+
+// Shared with controllers whose services act on orders
+orderController.orderService = orderService;
+
+module.exports = orderController;
\ No newline at end of file
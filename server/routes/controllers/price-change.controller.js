@@ -0,0 +1,144 @@
+// src/api/controllers/price-change.controller.js
+
+// Shared with the product service, which records the price history of every product edit
+const { priceChangeService } = require('./product.controller');
+
+/**
+ * @class PriceChangeController
+ * @description Controller handling price history and scheduled price change requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceChangeController {
+	/**
+	 * Get upcoming price changes across products
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getScheduledChanges(req, res, next) {
+		try {
+			const changes = await priceChangeService.getScheduledChanges(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: changes
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Schedule a price change for a product or one of its variants
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async schedulePriceChange(req, res, next) {
+		try {
+			const change = await priceChangeService.schedulePriceChange(req.params.id, req.body || {}, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: change
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Cancel a scheduled price change
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async cancelPriceChange(req, res, next) {
+		try {
+			const change = await priceChangeService.cancelPriceChange(req.params.changeId, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: change
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Apply scheduled price changes that are due now
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async applyDueChanges(req, res, next) {
+		try {
+			const result = await priceChangeService.applyDueChanges();
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the price history of a product
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPriceHistory(req, res, next) {
+		try {
+			const history = await priceChangeService.getPriceHistory(req.params.id, req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: history
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the price of a product (or variant) that applied at a date
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPriceAt(req, res, next) {
+		try {
+			if (req.query.date && isNaN(new Date(req.query.date).getTime())) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: 'Date must be a valid date'
+				});
+			}
+
+			const price = await priceChangeService.getPriceAt(req.params.id, {
+				variantId: req.query.variantId,
+				date: req.query.date
+			});
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: price
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new PriceChangeController();
@@ -0,0 +1,166 @@
+// src/api/controllers/price-list.controller.js
+
+const PriceListService = require('../../services/price-list.service');
+const priceListRepository = require('../../data/repositories/price-list.repository');
+const clientRepository = require('../../data/repositories/client.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+
+const priceListService = new PriceListService(
+	priceListRepository,
+	clientRepository,
+	productRepository,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class PriceListController
+ * @description Controller handling customer price list requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceListController {
+	/**
+	 * Create a price list
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createPriceList(req, res, next) {
+		try {
+			const priceList = await priceListService.createPriceList(req.body);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: priceList
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get price lists with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPriceLists(req, res, next) {
+		try {
+			const priceLists = await priceListService.getPriceLists(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: priceLists
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get price list by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPriceListById(req, res, next) {
+		try {
+			const priceList = await priceListService.getPriceListById(req.params.priceListId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: priceList
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Update a price list
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updatePriceList(req, res, next) {
+		try {
+			const priceList = await priceListService.updatePriceList(req.params.priceListId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: priceList
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Delete a price list
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async deletePriceList(req, res, next) {
+		try {
+			await priceListService.deletePriceList(req.params.priceListId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: null
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the price lists that apply to a client
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getClientPriceLists(req, res, next) {
+		try {
+			const priceLists = await priceListService.getClientPriceLists(req.params.clientId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: priceLists
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Work out what a client pays for some items
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getClientPrices(req, res, next) {
+		try {
+			const prices = await priceListService.getClientPrices(req.body.clientId, req.body.items);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: prices
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new PriceListController();
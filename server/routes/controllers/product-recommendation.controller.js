@@ -0,0 +1,54 @@
+// src/api/controllers/product-recommendation.controller.js
+
+// Shared with the background job that refreshes the co-purchase counts
+const { productRecommendationService } = require('./product.controller');
+
+/**
+ * @class ProductRecommendationController
+ * @description Controller handling related product requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ProductRecommendationController {
+	/**
+	 * Get products often bought with a product, topped up with similar ones
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getRelatedProducts(req, res, next) {
+		try {
+			const products = await productRecommendationService.getRelatedProducts(req.params.id, { limit: req.query.limit });
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: products
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Recount co-purchases now instead of waiting for the background job
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async refreshRecommendations(req, res, next) {
+		try {
+			const result = await productRecommendationService.refreshCoPurchases();
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ProductRecommendationController();
@@ -0,0 +1,44 @@
+// src/api/controllers/product-search.controller.js
+
+const ProductSearchService = require('../../services/product-search.service');
+const productRepository = require('../../data/repositories/product.repository');
+const cacheManager = require('../../infrastructure/caching/cache-manager');
+const logger = require('../../infrastructure/logging/logger');
+const appConfig = require('../../config/app.config');
+
+const productSearchService = new ProductSearchService(
+	productRepository,
+	cacheManager,
+	logger,
+	appConfig.search
+);
+
+/**
+ * @class ProductSearchController
+ * @description Controller handling product search requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ProductSearchController {
+	/**
+	 * Search products, with counts per category, price range, tag, availability and attribute
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async searchProducts(req, res, next) {
+		try {
+			const results = await productSearchService.searchProducts(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: results
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ProductSearchController();
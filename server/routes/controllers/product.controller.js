@@ -1,5 +1,10 @@
 // src/api/controllers/product.controller.js
 const ProductService = require('../../services/product.service');
+const ProductImportService = require('../../services/product-import.service');
+const ProductImageService = require('../../services/product-image.service');
+const PriceChangeService = require('../../services/price-change.service');
+const ProductRecommendationService = require('../../services/product-recommendation.service');
+const appConfig = require('../../config/app.config');
 
 /**
  * @class ProductController
@@ -12,10 +17,18 @@ class ProductController {
 	 * Create a new ProductController instance
 	 * @param {ProductService} productService - Product service instance
 	 * @param {Object} logger - Logger instance
+	 * @param {ProductImportService} productImportService - Product import/export service instance
+	 * @param {ProductImageService} productImageService - Product image service instance
+	 * @param {PriceChangeService} priceChangeService - Price change service instance
+	 * @param {ProductRecommendationService} productRecommendationService - Related products service instance
 	 */
-	constructor(productService, logger) {
+	constructor(productService, logger, productImportService, productImageService, priceChangeService, productRecommendationService) {
 		this.productService = productService;
 		this.logger = logger || console;
+		this.productImportService = productImportService;
+		this.productImageService = productImageService;
+		this.priceChangeService = priceChangeService;
+		this.productRecommendationService = productRecommendationService;
 	}
 
 	/**
@@ -29,43 +42,15 @@ class ProductController {
 	 */
 	async getProducts(req, res, next) {
 		try {
-			// Extract query parameters with validation
-			const filters = {
-				categoryId: req.query.categoryId,
-				search: req.query.search?.trim(),
-				isAvailable: req.query.available !== undefined
-					? req.query.available === 'true'
-					: undefined,
-				priceMin: req.query.priceMin !== undefined
-					? Number(req.query.priceMin)
-					: undefined,
-				priceMax: req.query.priceMax !== undefined
-					? Number(req.query.priceMax)
-					: undefined,
-				tags: req.query.tags ? req.query.tags.split(',').map(t => t.trim()) : undefined
-			};
+			const filters = this._parseListFilters(req.query);
 
 			// Parse pagination options with limits
 			const options = {
 				page: Math.max(1, parseInt(req.query.page, 10) || 1),
 				limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10)), // Cap at 100
-				sort: {}
+				sort: this._parseListSort(req.query.sort)
 			};
 
-			// Parse sorting
-			if (req.query.sort) {
-				const sortFields = req.query.sort.split(',');
-				sortFields.forEach(field => {
-					if (field.startsWith('-')) {
-						options.sort[field.substring(1)] = -1;
-					} else {
-						options.sort[field] = 1;
-					}
-				});
-			} else {
-				options.sort = { createdAt: -1 };
-			}
-
 			// Get products from service
 			const result = await this.productService.getProducts(filters, options);
 
@@ -82,6 +67,54 @@ class ProductController {
 		}
 	}
 
+	/**
+	 * Import products from an uploaded CSV or XLSX file, upserting by SKU
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async importProducts(req, res, next) {
+		try {
+			const report = await this.productImportService.importProducts(req.file, req.body || {}, req.user?.id);
+
+			res.status(report.applied ? 201 : 200).json({
+				responseCode: 200,
+				responseData: report,
+				responseMessage: report.applied
+					? 'Products imported successfully.'
+					: (report.dryRun ? 'Import checked, nothing was saved.' : 'Import has invalid rows, nothing was saved.')
+			});
+		} catch (error) {
+			this.logger.error(`Error in importProducts controller: ${error.message}`);
+			next(error);
+		}
+	}
+
+	/**
+	 * Export the filtered product list as CSV or XLSX
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async exportProducts(req, res, next) {
+		try {
+			const file = await this.productImportService.exportProducts(this._parseListFilters(req.query), {
+				format: req.query.format,
+				sort: this._parseListSort(req.query.sort)
+			});
+
+			res.set({
+				'Content-Type': file.contentType,
+				'Content-Disposition': `attachment; filename="${file.filename}"`,
+				'Cache-Control': 'no-store'
+			});
+			res.status(200).send(file.content);
+		} catch (error) {
+			this.logger.error(`Error in exportProducts controller: ${error.message}`);
+			next(error);
+		}
+	}
+
 	/**
 	 * Get product by ID
 	 * @param {Object} req - Express request object
@@ -127,14 +160,27 @@ class ProductController {
 	 */
 	async createProduct(req, res, next) {
 		try {
-			const productData = req.body;
+			const productData = { ...req.body, createdBy: req.user?.id };
 
-			// Add image URLs if files were uploaded
+			// Multipart uploads send the bundle definition as a JSON string
+			if (typeof productData.bundle === 'string') {
+				productData.bundle = JSON.parse(productData.bundle);
+			}
+
+			// Resize uploaded images into their standard sizes
 			if (req.files && req.files.length > 0) {
-				productData.images = req.files.map(file => file.path);
+				productData.images = this.productImageService.withDefault(
+					await this.productImageService.storeImages(req.files, { alt: productData.name })
+				);
 			}
 
-			const createdProduct = await this.productService.createProduct(productData);
+			let createdProduct;
+			try {
+				createdProduct = await this.productService.createProduct(productData);
+			} catch (error) {
+				await this.productImageService.deleteImageFiles(productData.images || []);
+				throw error;
+			}
 
 			res.status(201).json({
 				responseCode: 201,
@@ -145,7 +191,10 @@ class ProductController {
 			this.logger.error(`Error in createProduct controller: ${error.message}`);
 
 			if (error.message.includes('validation failed') ||
-				error.message.includes('does not exist')) {
+				error.message.includes('does not exist') ||
+				error.message.includes('Invalid bundle') ||
+				error.message.includes('Cannot convert') ||
+				error.message.includes('not a supported image')) {
 				return res.status(400).json({
 					responseCode: 400,
 					responseMessage: error.message
@@ -167,7 +216,7 @@ class ProductController {
 
 		try {
 			const productId = req.params.id;
-			const updateData = { ...req.body };
+			const updateData = { ...req.body, updatedBy: req.user?.id };
 
 			// // Parse 'images' field if it's a stringified JSON array
 			// if (typeof updateData.images === 'string') {
@@ -183,11 +232,9 @@ class ProductController {
 
 			// Add image URLs if files were uploaded
 			if (req.files && req.files.length > 0) {
-				const uploadedImages = req.files.map(file => ({
-					url: file.path,
-					alt: updateData.name || 'Product Image',
-					isDefault: false
-				}));
+				const uploadedImages = await this.productImageService.storeImages(req.files, {
+					alt: updateData.name || 'Product Image'
+				});
 				updateData.images = [...(updateData.images || []), ...uploadedImages];
 			}
 			const updatedProduct = await this.productService.updateProduct(productId, updateData);
@@ -209,7 +256,9 @@ class ProductController {
 			}
 
 			if (error.message.includes('validation failed') ||
-				error.message.includes('does not exist')) {
+				error.message.includes('does not exist') ||
+				error.message.includes('Invalid bundle') ||
+				error.message.includes('Cannot convert')) {
 				return res.status(400).json({
 					responseCode: 400,
 					responseMessage: error.message
@@ -256,6 +305,93 @@ class ProductController {
 		}
 	}
 
+	/**
+	 * Add uploaded images to a product
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async addImages(req, res, next) {
+		try {
+			const images = await this.productImageService.addImages(req.params.id, req.files || [], {
+				alt: req.body?.alt,
+				makeDefault: req.body?.makeDefault
+			});
+
+			res.status(201).json({
+				responseCode: 201,
+				responseData: images,
+				responseMessage: 'Product images added successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in addImages controller: ${error.message}`);
+			next(error);
+		}
+	}
+
+	/**
+	 * Put a product's images in a new order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async reorderImages(req, res, next) {
+		try {
+			const images = await this.productImageService.reorderImages(req.params.id, req.body?.imageIds);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: images,
+				responseMessage: 'Product images reordered successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in reorderImages controller: ${error.message}`);
+			next(error);
+		}
+	}
+
+	/**
+	 * Make one of a product's images its default image
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async setDefaultImage(req, res, next) {
+		try {
+			const images = await this.productImageService.setDefaultImage(req.params.id, req.params.imageId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: images,
+				responseMessage: 'Default product image set successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in setDefaultImage controller: ${error.message}`);
+			next(error);
+		}
+	}
+
+	/**
+	 * Remove an image from a product
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async removeImage(req, res, next) {
+		try {
+			const images = await this.productImageService.removeImage(req.params.id, req.params.imageId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: images,
+				responseMessage: 'Product image removed successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in removeImage controller: ${error.message}`);
+			next(error);
+		}
+	}
+
 	/**
 	 * Update product stock
 	 * @param {Object} req - Express request object
@@ -265,7 +401,7 @@ class ProductController {
 	async adjustStock(req, res, next) {
 		try {
 			const productId = req.params.id;
-			const { quantity } = req.body;
+			const { quantity, reason, note, unit, variantId, batchId, locationId } = req.body;
 
 			if (quantity === undefined) {
 				return res.status(400).json({
@@ -276,7 +412,8 @@ class ProductController {
 
 			const updatedProduct = await this.productService.adjustStock(
 				productId,
-				Number(quantity)
+				Number(quantity),
+				{ reason, note, unit, variantId, batchId, locationId, userId: req.user?.id }
 			);
 
 			res.status(200).json({
@@ -294,7 +431,119 @@ class ProductController {
 				});
 			}
 
-			if (error.message.includes('Insufficient stock')) {
+			if (error.message.includes('Insufficient stock') ||
+				error.message.includes('Invalid stock movement') ||
+				error.message.includes('Cannot convert')) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
+	/**
+	 * Get stock movement history for a product
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getStockMovements(req, res, next) {
+		try {
+			const { page = 1, limit = 20, variantId, locationId, reason, fromDate, toDate } = req.query;
+
+			const movements = await this.productService.getStockMovements(req.params.id, {
+				page: parseInt(page, 10),
+				limit: parseInt(limit, 10),
+				variantId,
+				locationId,
+				reason,
+				fromDate,
+				toDate
+			});
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: movements,
+				responseMessage: 'Stock movements retrieved successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in getStockMovements controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
+	/**
+	 * Get a product's stock at each location
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getStockByLocation(req, res, next) {
+		try {
+			const stock = await this.productService.getStockByLocation(req.params.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: stock,
+				responseMessage: 'Stock by location retrieved successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in getStockByLocation controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
+	/**
+	 * Rebuild product stock from its movement ledger
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async rebuildStock(req, res, next) {
+		try {
+			const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+			const variantId = req.body?.variantId || req.query.variantId || null;
+
+			const result = await this.productService.rebuildStockFromLedger(req.params.id, { dryRun, variantId });
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: result,
+				responseMessage: dryRun
+					? 'Stock rebuild preview generated successfully.'
+					: 'Product stock rebuilt successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in rebuildStock controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			if (error.message.includes('No stock movements') ||
+				error.message.includes('Insufficient stock')) {
 				return res.status(400).json({
 					responseCode: 400,
 					responseMessage: error.message
@@ -347,6 +596,42 @@ class ProductController {
 		}
 	}
 
+	/**
+	 * Get bundle availability from component stock
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getBundleAvailability(req, res, next) {
+		try {
+			const availability = await this.productService.getBundleAvailability(req.params.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: availability,
+				responseMessage: 'Bundle availability retrieved successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in getBundleAvailability controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			if (error.message.includes('Invalid bundle')) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
 	/**
 	 * Add product variant
 	 * @param {Object} req - Express request object
@@ -356,9 +641,11 @@ class ProductController {
 	async addVariant(req, res, next) {
 		try {
 			const productId = req.params.id;
-			const { variantKey, price } = req.body;
+			// variantKey is still accepted from older clients
+			const { variantKey, ...variantData } = req.body;
+			const key = variantData.key || variantKey;
 
-			if (!variantKey || price === undefined) {
+			if (!key || variantData.price === undefined) {
 				return res.status(400).json({
 					responseCode: 400,
 					responseMessage: 'Variant key and price are required'
@@ -367,8 +654,13 @@ class ProductController {
 
 			const updatedProduct = await this.productService.addVariant(
 				productId,
-				variantKey,
-				Number(price)
+				{
+					...variantData,
+					key,
+					price: Number(variantData.price),
+					stockQuantity: Number(variantData.stockQuantity) || 0
+				},
+				req.user?.id
 			);
 
 			res.status(200).json({
@@ -386,6 +678,61 @@ class ProductController {
 				});
 			}
 
+			if (error.message.includes('already')) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
+	/**
+	 * Update product variant
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updateVariant(req, res, next) {
+		try {
+			const { id: productId, variantKey } = req.params;
+			const updateData = { ...req.body };
+
+			if (updateData.price !== undefined) {
+				updateData.price = Number(updateData.price);
+			}
+
+			const updatedProduct = await this.productService.updateVariant(
+				productId,
+				variantKey,
+				updateData,
+				req.user?.id
+			);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: updatedProduct,
+				responseMessage: 'Product variant updated successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in updateVariant controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			if (error.message.includes('already')) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: error.message
+				});
+			}
+
 			next(error);
 		}
 	}
@@ -428,6 +775,13 @@ class ProductController {
 				});
 			}
 
+			if (error.message.includes('Cannot remove variant')) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: error.message
+				});
+			}
+
 			next(error);
 		}
 	}
@@ -442,7 +796,7 @@ class ProductController {
 		try {
 			const threshold = req.query.threshold ? parseInt(req.query.threshold, 10) : 10;
 
-			const products = await this.productService.getLowStockProducts(threshold);
+			const products = await this.productService.getLowStockProducts(threshold, req.query.locationId);
 
 			res.status(200).json({
 				responseCode: 200,
@@ -455,6 +809,129 @@ class ProductController {
 		}
 	}
 
+	/**
+	 * Get stock batches expiring soon
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getExpiringProducts(req, res, next) {
+		try {
+			const days = req.query.days
+				? parseInt(req.query.days, 10)
+				: appConfig.inventory.expiryWarningDays;
+
+			const report = await this.productService.getExpiringSoonReport(days);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: report,
+				responseMessage: 'Expiring products retrieved successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in getExpiringProducts controller: ${error.message}`);
+			next(error);
+		}
+	}
+
+	/**
+	 * Write off expired batches now instead of waiting for the scheduled run
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async writeOffExpiredBatches(req, res, next) {
+		try {
+			const result = await this.productService.writeOffExpiredBatches();
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: result,
+				responseMessage: 'Expired batches written off successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in writeOffExpiredBatches controller: ${error.message}`);
+			next(error);
+		}
+	}
+
+	/**
+	 * Receive stock in a batch
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async receiveBatch(req, res, next) {
+		try {
+			const { quantity } = req.body;
+
+			if (quantity === undefined) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: 'Quantity is required'
+				});
+			}
+
+			const result = await this.productService.receiveBatch(req.params.id, req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 201,
+				responseData: result,
+				responseMessage: 'Stock batch received successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in receiveBatch controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			if (error.message.includes('Invalid batch') ||
+				error.message.includes('Cannot convert')) {
+				return res.status(400).json({
+					responseCode: 400,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
+	/**
+	 * Get stock batches of a product
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getProductBatches(req, res, next) {
+		try {
+			const { status, variantId } = req.query;
+
+			const batches = await this.productService.getProductBatches(req.params.id, { status, variantId });
+
+			res.status(200).json({
+				responseCode: 200,
+				responseData: batches,
+				responseMessage: 'Stock batches retrieved successfully.'
+			});
+		} catch (error) {
+			this.logger.error(`Error in getProductBatches controller: ${error.message}`);
+
+			if (error.message.includes('not found')) {
+				return res.status(404).json({
+					responseCode: 404,
+					responseMessage: error.message
+				});
+			}
+
+			next(error);
+		}
+	}
+
 	/**
 	 * Get product statistics for dashboard
 	 * @param {Object} req - Express request object
@@ -467,7 +944,8 @@ class ProductController {
 				categoryId: req.query.categoryId,
 				isAvailable: req.query.available !== undefined
 					? req.query.available === 'true'
-					: undefined
+					: undefined,
+				locationId: req.query.locationId
 			};
 
 			const stats = await this.productService.getStats(filters);
@@ -722,26 +1200,123 @@ class ProductController {
 			});
 		}
 	}
+
+	/**
+	 * Read the product list filters from the query string
+	 * @param {Object} query - Request query
+	 * @returns {Object} Filters for the product service
+	 * @private
+	 */
+	_parseListFilters(query) {
+		return {
+			categoryId: query.categoryId,
+			search: query.search?.trim(),
+			isAvailable: query.available !== undefined
+				? query.available === 'true'
+				: undefined,
+			priceMin: query.priceMin !== undefined
+				? Number(query.priceMin)
+				: undefined,
+			priceMax: query.priceMax !== undefined
+				? Number(query.priceMax)
+				: undefined,
+			tags: query.tags ? query.tags.split(',').map(t => t.trim()) : undefined
+		};
+	}
+
+	/**
+	 * Read the product list sort from the query string (e.g. "-price,name")
+	 * @param {string} sort - Comma-separated fields, descending when prefixed with "-"
+	 * @returns {Object} Sort specification
+	 * @private
+	 */
+	_parseListSort(sort) {
+		if (!sort) {
+			return { createdAt: -1 };
+		}
+
+		const sortSpec = {};
+		sort.split(',').forEach(field => {
+			if (field.startsWith('-')) {
+				sortSpec[field.substring(1)] = -1;
+			} else {
+				sortSpec[field] = 1;
+			}
+		});
+
+		return sortSpec;
+	}
 }
 
 // Create a default export that instantiates the controller with the correct dependencies
 const productRepository = require('../../data/repositories/product.repository');
 const categoryRepository = require('../../data/repositories/category.repository');
 const orderRepository = require('../../data/repositories/order.repository');
+const stockMovementRepository = require('../../data/repositories/stock-movement.repository');
+const stockBatchRepository = require('../../data/repositories/stock-batch.repository');
+const stockLevelRepository = require('../../data/repositories/stock-level.repository');
+const locationRepository = require('../../data/repositories/location.repository');
+const priceChangeRepository = require('../../data/repositories/price-change.repository');
 const eventDispatcher = require('../../domain/events/event-dispatcher');
+const fileStorage = require('../../infrastructure/storage/file-storage');
+const cacheManager = require('../../infrastructure/caching/cache-manager');
+const imageProcessor = require('../../infrastructure/storage/image-processor');
 const logger = console;
 
+const productImageService = new ProductImageService(
+	productRepository,
+	fileStorage,
+	imageProcessor,
+	logger
+);
+
+const priceChangeService = new PriceChangeService(
+	priceChangeRepository,
+	productRepository,
+	eventDispatcher,
+	logger
+);
+
 // Create an instance of the product service
 const productService = new ProductService(
 	productRepository,
 	categoryRepository,
 	eventDispatcher,
 	logger,
-	orderRepository
+	orderRepository,
+	stockMovementRepository,
+	stockBatchRepository,
+	stockLevelRepository,
+	locationRepository,
+	productImageService,
+	priceChangeService
+);
+
+const productRecommendationService = new ProductRecommendationService(
+	productRepository,
+	orderRepository,
+	cacheManager,
+	logger,
+	appConfig.recommendations
+);
+
+const productImportService = new ProductImportService(
+	productService,
+	productRepository,
+	categoryRepository,
+	eventDispatcher,
+	logger
 );
 
 // Create an instance of the product controller with the product service
-const productController = new ProductController(productService, logger);
+const productController = new ProductController(
+	productService,
+	logger,
+	productImportService,
+	productImageService,
+	priceChangeService,
+	productRecommendationService
+);
 
 // Export the controller instance
 module.exports = productController;
\ No newline at end of file
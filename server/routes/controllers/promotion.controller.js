@@ -0,0 +1,207 @@
+// src/api/controllers/promotion.controller.js
+
+const PromotionService = require('../../services/promotion.service');
+const promotionRepository = require('../../data/repositories/promotion.repository');
+const promotionRedemptionRepository = require('../../data/repositories/promotion-redemption.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+
+const promotionService = new PromotionService(
+	promotionRepository,
+	promotionRedemptionRepository,
+	productRepository,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class PromotionController
+ * @description Controller handling promotion, coupon and redemption requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PromotionController {
+	/**
+	 * Create a promotion
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createPromotion(req, res, next) {
+		try {
+			const promotion = await promotionService.createPromotion(req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: promotion
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get promotions with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPromotions(req, res, next) {
+		try {
+			const promotions = await promotionService.getPromotions(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: promotions
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get promotion by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPromotionById(req, res, next) {
+		try {
+			const promotion = await promotionService.getPromotionById(req.params.promotionId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: promotion
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Update a promotion
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updatePromotion(req, res, next) {
+		try {
+			const promotion = await promotionService.updatePromotion(req.params.promotionId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: promotion
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Delete a promotion that has never been redeemed
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async deletePromotion(req, res, next) {
+		try {
+			await promotionService.deletePromotion(req.params.promotionId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: null
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Work out the promotions a cart would get, including a coupon code
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async checkPromotions(req, res, next) {
+		try {
+			const { clientId, items, couponCode } = req.body;
+			const promotions = await promotionService.evaluateOrder({ clientId, items, couponCode });
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: promotions
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get promotion redemptions with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getRedemptions(req, res, next) {
+		try {
+			const redemptions = await promotionService.getRedemptions(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: redemptions
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the redemptions of one promotion
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPromotionRedemptions(req, res, next) {
+		try {
+			const redemptions = await promotionService.getRedemptions({ ...req.query, promotionId: req.params.promotionId });
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: redemptions
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get redemption figures per promotion
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getRedemptionReport(req, res, next) {
+		try {
+			const report = await promotionService.getRedemptionReport(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: report
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new PromotionController();
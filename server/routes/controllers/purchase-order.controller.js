@@ -0,0 +1,233 @@
+// src/api/controllers/purchase-order.controller.js
+
+const SupplierService = require('../../services/supplier.service');
+const PurchaseOrderService = require('../../services/purchase-order.service');
+const supplierRepository = require('../../data/repositories/supplier.repository');
+const purchaseOrderRepository = require('../../data/repositories/purchase-order.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const stockBatchRepository = require('../../data/repositories/stock-batch.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+
+const supplierService = new SupplierService(
+	supplierRepository,
+	productRepository,
+	purchaseOrderRepository,
+	eventDispatcher,
+	logger
+);
+
+const purchaseOrderService = new PurchaseOrderService(
+	purchaseOrderRepository,
+	supplierService,
+	productRepository,
+	stockBatchRepository,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class PurchaseOrderController
+ * @description Controller handling purchase order requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PurchaseOrderController {
+	/**
+	 * Create a draft purchase order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createPurchaseOrder(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get purchase orders with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPurchaseOrders(req, res, next) {
+		try {
+			const purchaseOrders = await purchaseOrderService.getPurchaseOrders(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrders
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get purchase order by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getPurchaseOrderById(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.getPurchaseOrderById(req.params.purchaseOrderId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Update a draft purchase order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updatePurchaseOrder(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(req.params.purchaseOrderId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Email the purchase order to its supplier
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async sendPurchaseOrder(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.sendPurchaseOrder(
+				req.params.purchaseOrderId,
+				req.body,
+				req.user?.id
+			);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Receive goods against a purchase order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async receivePurchaseOrder(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.receivePurchaseOrder(
+				req.params.purchaseOrderId,
+				req.body,
+				req.user?.id
+			);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Close a purchase order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async closePurchaseOrder(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.closePurchaseOrder(
+				req.params.purchaseOrderId,
+				req.body?.note,
+				req.user?.id
+			);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Cancel a purchase order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async cancelPurchaseOrder(req, res, next) {
+		try {
+			const purchaseOrder = await purchaseOrderService.cancelPurchaseOrder(
+				req.params.purchaseOrderId,
+				req.body?.reason,
+				req.user?.id
+			);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: purchaseOrder
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Download the purchase order as a PDF
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async downloadPurchaseOrderPDF(req, res, next) {
+		try {
+			const pdf = await purchaseOrderService.generatePurchaseOrderPDF(req.params.purchaseOrderId);
+
+			res.setHeader('Content-Type', pdf.contentType);
+			res.setHeader('Content-Disposition', `attachment; filename=${pdf.filename}`);
+			res.setHeader('Content-Length', pdf.size);
+
+			res.status(200).send(pdf.buffer);
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new PurchaseOrderController();
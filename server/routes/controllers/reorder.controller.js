@@ -0,0 +1,44 @@
+// src/api/controllers/reorder.controller.js
+
+const ReorderService = require('../../services/reorder.service');
+const orderRepository = require('../../data/repositories/order.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const { orderService } = require('./order.controller');
+
+const reorderService = new ReorderService(
+	orderRepository,
+	orderService,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class ReorderController
+ * @description Controller handling reorders of past orders
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReorderController {
+	/**
+	 * Preview a new order built from a past one, or place it when confirmed
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async reorder(req, res, next) {
+		try {
+			const result = await reorderService.reorder(req.params.id, req.body || {}, req.user?.id);
+
+			res.status(result.confirmed ? 201 : 200).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ReorderController();
@@ -0,0 +1,90 @@
+// src/api/controllers/replenishment.controller.js
+
+const SupplierService = require('../../services/supplier.service');
+const PurchaseOrderService = require('../../services/purchase-order.service');
+const ReplenishmentService = require('../../services/replenishment.service');
+const supplierRepository = require('../../data/repositories/supplier.repository');
+const purchaseOrderRepository = require('../../data/repositories/purchase-order.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const stockMovementRepository = require('../../data/repositories/stock-movement.repository');
+const stockBatchRepository = require('../../data/repositories/stock-batch.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const appConfig = require('../../config/app.config');
+
+const supplierService = new SupplierService(
+	supplierRepository,
+	productRepository,
+	purchaseOrderRepository,
+	eventDispatcher,
+	logger
+);
+
+const purchaseOrderService = new PurchaseOrderService(
+	purchaseOrderRepository,
+	supplierService,
+	productRepository,
+	stockBatchRepository,
+	eventDispatcher,
+	logger
+);
+
+const replenishmentService = new ReplenishmentService(
+	productRepository,
+	stockMovementRepository,
+	purchaseOrderRepository,
+	supplierService,
+	purchaseOrderService,
+	logger,
+	appConfig.inventory.reorder
+);
+
+/**
+ * @class ReplenishmentController
+ * @description Controller handling reorder suggestion requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReplenishmentController {
+	/**
+	 * Get reorder suggestions from sales velocity and supplier lead times
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getReorderSuggestions(req, res, next) {
+		try {
+			const report = await replenishmentService.getReorderSuggestions(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: report
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Raise draft purchase orders from reorder suggestions
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createPurchaseOrders(req, res, next) {
+		try {
+			const result = await replenishmentService.createPurchaseOrdersFromSuggestions(req.body || {}, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ReplenishmentController();
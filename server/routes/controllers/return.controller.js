@@ -0,0 +1,136 @@
+// src/api/controllers/return.controller.js
+
+const ReturnService = require('../../services/return.service');
+const returnRequestRepository = require('../../data/repositories/return-request.repository');
+const creditNoteRepository = require('../../data/repositories/credit-note.repository');
+const orderRepository = require('../../data/repositories/order.repository');
+const clientRepository = require('../../data/repositories/client.repository');
+const invoiceService = require('../../services/invoice.service');
+const fileStorage = require('../../infrastructure/storage/file-storage');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const appConfig = require('../../config/app.config');
+const { orderService } = require('./order.controller');
+
+const returnService = new ReturnService(
+	returnRequestRepository,
+	creditNoteRepository,
+	orderRepository,
+	clientRepository,
+	orderService,
+	invoiceService,
+	fileStorage,
+	eventDispatcher,
+	logger,
+	appConfig.returns
+);
+
+/**
+ * @class ReturnController
+ * @description Controller handling return request (RMA) requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReturnController {
+	/**
+	 * Ask to return lines of a delivered order, with photos
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createReturnRequest(req, res, next) {
+		try {
+			const returnRequest = await returnService.createReturnRequest(req.body, req.files, req.user?.id);
+
+			res.status(201).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: returnRequest
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get return requests with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getReturnRequests(req, res, next) {
+		try {
+			const returnRequests = await returnService.getReturnRequests(req.query);
+
+			res.status(200).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: returnRequests
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get return request by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getReturnRequestById(req, res, next) {
+		try {
+			const returnRequest = await returnService.getReturnRequestById(req.params.returnId);
+
+			res.status(200).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: returnRequest
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Approve a return request, issuing its credit note
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async approveReturn(req, res, next) {
+		try {
+			const result = await returnService.approveReturn(req.params.returnId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Reject a return request
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async rejectReturn(req, res, next) {
+		try {
+			const returnRequest = await returnService.rejectReturn(req.params.returnId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: returnRequest
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ReturnController();
@@ -0,0 +1,148 @@
+// src/api/controllers/review.controller.js
+
+const ReviewService = require('../../services/review.service');
+const reviewRepository = require('../../data/repositories/review.repository');
+const orderRepository = require('../../data/repositories/order.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const appConfig = require('../../config/app.config');
+
+const reviewService = new ReviewService(
+	reviewRepository,
+	orderRepository,
+	productRepository,
+	eventDispatcher,
+	logger,
+	appConfig.reviews
+);
+
+/**
+ * @class ReviewController
+ * @description Controller handling product review requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReviewController {
+	/**
+	 * Record a review of a product from a delivered order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createReview(req, res, next) {
+		try {
+			const review = await reviewService.createReview(req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: review
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get reviews with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getReviews(req, res, next) {
+		try {
+			const reviews = await reviewService.getReviews(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: reviews
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get review by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getReviewById(req, res, next) {
+		try {
+			const review = await reviewService.getReviewById(req.params.reviewId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: review
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the published reviews and rating of a product
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getProductReviews(req, res, next) {
+		try {
+			const reviews = await reviewService.getProductReviews(req.params.id, req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: reviews
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Approve or reject a review
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async moderateReview(req, res, next) {
+		try {
+			const review = await reviewService.moderateReview(req.params.reviewId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: review
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Delete a review
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async deleteReview(req, res, next) {
+		try {
+			await reviewService.deleteReview(req.params.reviewId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: null
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,88 @@
+// src/api/controllers/shipment.controller.js
+
+const ShipmentService = require('../../services/shipment.service');
+const orderRepository = require('../../data/repositories/order.repository');
+const deliveryRepository = require('../../data/repositories/delivery.repository');
+const clientRepository = require('../../data/repositories/client.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const { orderService } = require('./order.controller');
+
+const shipmentService = new ShipmentService(
+	orderRepository,
+	deliveryRepository,
+	clientRepository,
+	orderService,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class ShipmentController
+ * @description Controller handling order shipment requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ShipmentController {
+	/**
+	 * Send out some or all of an order's outstanding items
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createShipment(req, res, next) {
+		try {
+			const result = await shipmentService.createShipment(req.params.id, req.body || {}, req.user?.id);
+
+			res.status(201).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get an order's shipments and how much of each item has gone out
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getOrderShipments(req, res, next) {
+		try {
+			const shipments = await shipmentService.getOrderShipments(req.params.id);
+
+			res.status(200).json({
+				responseCode: "00",
+				responseMessage: 'Completed Successfully',
+				responseData: shipments
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Download a shipment's delivery note as a PDF
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async downloadDeliveryNote(req, res, next) {
+		try {
+			const pdf = await shipmentService.generateDeliveryNotePDF(req.params.id, req.params.deliveryId);
+
+			res.setHeader('Content-Type', pdf.contentType);
+			res.setHeader('Content-Disposition', `attachment; filename=${pdf.filename}`);
+			res.setHeader('Content-Length', pdf.size);
+
+			res.status(200).send(pdf.buffer);
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new ShipmentController();
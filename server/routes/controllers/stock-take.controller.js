@@ -0,0 +1,210 @@
+// src/api/controllers/stock-take.controller.js
+
+const StockTakeService = require('../../services/stock-take.service');
+const stockTakeRepository = require('../../data/repositories/stock-take.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const stockLevelRepository = require('../../data/repositories/stock-level.repository');
+const locationRepository = require('../../data/repositories/location.repository');
+const { productService } = require('./product.controller');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+
+const stockTakeService = new StockTakeService(
+	stockTakeRepository,
+	productRepository,
+	stockLevelRepository,
+	locationRepository,
+	productService,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class StockTakeController
+ * @description Controller handling stock take requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockTakeController {
+	/**
+	 * Open a stock take for a category, products or the whole catalogue
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async openStockTake(req, res, next) {
+		try {
+			const stockTake = await stockTakeService.openStockTake(req.body || {}, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stockTake
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get stock takes with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getStockTakes(req, res, next) {
+		try {
+			const stockTakes = await stockTakeService.getStockTakes(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stockTakes
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get stock take by ID, with its lines and counts
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getStockTakeById(req, res, next) {
+		try {
+			const stockTake = await stockTakeService.getStockTakeById(req.params.stockTakeId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stockTake
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Record counted quantities
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async recordCounts(req, res, next) {
+		try {
+			const stockTake = await stockTakeService.recordCounts(req.params.stockTakeId, req.body?.counts, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stockTake
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Close counting and work out the variance
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async submitForReview(req, res, next) {
+		try {
+			const report = await stockTakeService.submitForReview(req.params.stockTakeId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: report
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Send a stock take back for more counting
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async reopenStockTake(req, res, next) {
+		try {
+			const stockTake = await stockTakeService.reopenStockTake(req.params.stockTakeId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stockTake
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the variance report of a stock take
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getVarianceReport(req, res, next) {
+		try {
+			const report = await stockTakeService.getVarianceReport(req.params.stockTakeId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: report
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Post the counted quantities as stock adjustments
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async postStockTake(req, res, next) {
+		try {
+			const report = await stockTakeService.postStockTake(req.params.stockTakeId, req.body || {}, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: report
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Cancel a stock take
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async cancelStockTake(req, res, next) {
+		try {
+			const stockTake = await stockTakeService.cancelStockTake(req.params.stockTakeId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: stockTake
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new StockTakeController();
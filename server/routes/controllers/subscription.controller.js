@@ -0,0 +1,255 @@
+// src/api/controllers/subscription.controller.js
+
+const SubscriptionService = require('../../services/subscription.service');
+const subscriptionRepository = require('../../data/repositories/subscription.repository');
+const clientRepository = require('../../data/repositories/client.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const appConfig = require('../../config/app.config');
+const { orderService } = require('./order.controller');
+
+const subscriptionService = new SubscriptionService(
+	subscriptionRepository,
+	clientRepository,
+	productRepository,
+	orderService,
+	eventDispatcher,
+	logger,
+	appConfig.subscriptions
+);
+
+/**
+ * @class SubscriptionController
+ * @description Controller handling recurring subscription order requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SubscriptionController {
+	/**
+	 * Subscribe a client to a recurring order
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createSubscription(req, res, next) {
+		try {
+			const subscription = await subscriptionService.createSubscription(req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get subscriptions with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getSubscriptions(req, res, next) {
+		try {
+			const subscriptions = await subscriptionService.getSubscriptions(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscriptions
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get the subscription deliveries coming up and their orders
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getUpcomingOrders(req, res, next) {
+		try {
+			const upcoming = await subscriptionService.getUpcomingOrders(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: upcoming
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get subscription by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getSubscriptionById(req, res, next) {
+		try {
+			const subscription = await subscriptionService.getSubscriptionById(req.params.subscriptionId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Change a subscription's items, schedule or price refresh rule
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updateSubscription(req, res, next) {
+		try {
+			const subscription = await subscriptionService.updateSubscription(req.params.subscriptionId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Pause a subscription's deliveries
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async pauseSubscription(req, res, next) {
+		try {
+			const subscription = await subscriptionService.pauseSubscription(req.params.subscriptionId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Resume a paused subscription
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async resumeSubscription(req, res, next) {
+		try {
+			const subscription = await subscriptionService.resumeSubscription(req.params.subscriptionId, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Skip one of a subscription's deliveries
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async skipDelivery(req, res, next) {
+		try {
+			const subscription = await subscriptionService.skipDelivery(req.params.subscriptionId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Restore a skipped delivery
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async unskipDelivery(req, res, next) {
+		try {
+			const subscription = await subscriptionService.unskipDelivery(req.params.subscriptionId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Accept or decline the price increase a delivery was held for
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async reviewHeldDelivery(req, res, next) {
+		try {
+			const result = await subscriptionService.reviewHeldDelivery(req.params.subscriptionId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: result
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Cancel a subscription
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async cancelSubscription(req, res, next) {
+		try {
+			const subscription = await subscriptionService.cancelSubscription(req.params.subscriptionId, req.body, req.user?.id);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: subscription
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+const subscriptionController = new SubscriptionController();
+
+// Shared with the scheduler, which places the orders of due deliveries
+subscriptionController.subscriptionService = subscriptionService;
+
+module.exports = subscriptionController;
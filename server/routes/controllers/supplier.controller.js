@@ -0,0 +1,186 @@
+// src/api/controllers/supplier.controller.js
+
+const SupplierService = require('../../services/supplier.service');
+const supplierRepository = require('../../data/repositories/supplier.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const purchaseOrderRepository = require('../../data/repositories/purchase-order.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+
+const supplierService = new SupplierService(
+	supplierRepository,
+	productRepository,
+	purchaseOrderRepository,
+	eventDispatcher,
+	logger
+);
+
+/**
+ * @class SupplierController
+ * @description Controller handling supplier and price list requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SupplierController {
+	/**
+	 * Create a new supplier
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createSupplier(req, res, next) {
+		try {
+			const supplier = await supplierService.createSupplier(req.body);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: supplier
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get suppliers with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getSuppliers(req, res, next) {
+		try {
+			const suppliers = await supplierService.getSuppliers(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: suppliers
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get suppliers of a product with their current prices
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getProductSuppliers(req, res, next) {
+		try {
+			const suppliers = await supplierService.getProductSuppliers(req.params.productId, req.query.variantId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: suppliers
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get supplier by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getSupplierById(req, res, next) {
+		try {
+			const supplier = await supplierService.getSupplierById(req.params.supplierId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: supplier
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Update a supplier
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updateSupplier(req, res, next) {
+		try {
+			const supplier = await supplierService.updateSupplier(req.params.supplierId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: supplier
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Delete a supplier
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async deleteSupplier(req, res, next) {
+		try {
+			await supplierService.deleteSupplier(req.params.supplierId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: null
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Add or replace a price list entry
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async setPrice(req, res, next) {
+		try {
+			const supplier = await supplierService.setPrice(req.params.supplierId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: supplier
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Remove a price list entry
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async removePrice(req, res, next) {
+		try {
+			const supplier = await supplierService.removePrice(req.params.supplierId, req.params.priceId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: supplier
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new SupplierController();
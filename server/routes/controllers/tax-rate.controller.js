@@ -0,0 +1,147 @@
+// src/api/controllers/tax-rate.controller.js
+
+const TaxService = require('../../services/tax.service');
+const taxRateRepository = require('../../data/repositories/tax-rate.repository');
+const productRepository = require('../../data/repositories/product.repository');
+const eventDispatcher = require('../../domain/events/event-dispatcher');
+const logger = require('../../infrastructure/logging/logger');
+const appConfig = require('../../config/app.config');
+
+const taxService = new TaxService(
+	taxRateRepository,
+	productRepository,
+	eventDispatcher,
+	logger,
+	appConfig.tax
+);
+
+/**
+ * @class TaxRateController
+ * @description Controller handling tax rate requests
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class TaxRateController {
+	/**
+	 * Create a tax rate
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async createTaxRate(req, res, next) {
+		try {
+			const taxRate = await taxService.createTaxRate(req.body, req.user?.id);
+
+			res.status(201).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: taxRate
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get tax rates with filtering and pagination
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getTaxRates(req, res, next) {
+		try {
+			const taxRates = await taxService.getTaxRates(req.query);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: taxRates
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Get tax rate by ID
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async getTaxRateById(req, res, next) {
+		try {
+			const taxRate = await taxService.getTaxRateById(req.params.taxRateId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: taxRate
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Update a tax rate
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async updateTaxRate(req, res, next) {
+		try {
+			const taxRate = await taxService.updateTaxRate(req.params.taxRateId, req.body);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: taxRate
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Delete a tax rate
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async deleteTaxRate(req, res, next) {
+		try {
+			await taxService.deleteTaxRate(req.params.taxRateId);
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: null
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+
+	/**
+	 * Work out the tax on a cart
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 * @param {Function} next - Express next middleware function
+	 */
+	async calculateTax(req, res, next) {
+		try {
+			const { items, discountAmount } = req.body;
+			const tax = await taxService.calculateTax(items, { discountAmount });
+
+			res.status(200).json({
+				responseCode: 200,
+				responseMessage: 'Completed Successfully',
+				responseData: tax
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
+}
+
+module.exports = new TaxRateController();
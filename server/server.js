@@ -4,6 +4,7 @@ const http = require('http');
 const { initializeApp } = require('./app');
 const appConfig = require('./config/app.config');
 const logger = require('./infrastructure/logging/logger');
+const jobScheduler = require('./infrastructure/scheduling/job-scheduler');
 
 /**
  * Normalize port value
@@ -71,6 +72,8 @@ const onListening = () => {
 const gracefulShutdown = () => {
 	logger.info('🔄 Received termination signal. Shutting down gracefully...');
 
+	jobScheduler.cancelAll();
+
 	server.close(() => {
 		logger.info('✅ HTTP server closed');
 
@@ -87,6 +90,58 @@ const gracefulShutdown = () => {
 	}, 10000);
 };
 
+/**
+ * Schedule background jobs
+ */
+const scheduleJobs = () => {
+	const { productService, productImageService, priceChangeService, productRecommendationService } = require('./routes/controllers/product.controller');
+	const { subscriptionService } = require('./routes/controllers/subscription.controller');
+	const { expiryWarningDays, expiryCheckIntervalMinutes } = appConfig.inventory || {};
+	const { orphanCleanupIntervalMinutes, orphanGraceMinutes } = appConfig.images || {};
+	const { scheduledChangeIntervalMinutes } = appConfig.pricing || {};
+	const { refreshIntervalMinutes } = appConfig.recommendations || {};
+	const { generateIntervalMinutes } = appConfig.subscriptions || {};
+
+	// Write off expired batches and warn about expiring ones
+	jobScheduler.schedule(
+		'stock-expiry-checks',
+		(expiryCheckIntervalMinutes || 0) * 60 * 1000,
+		() => productService.runExpiryChecks(expiryWarningDays),
+		{ runImmediately: true }
+	);
+
+	// Delete product image files left behind by failed or abandoned uploads
+	jobScheduler.schedule(
+		'product-image-cleanup',
+		(orphanCleanupIntervalMinutes || 0) * 60 * 1000,
+		() => productImageService.cleanupOrphanedFiles(orphanGraceMinutes)
+	);
+
+	// Apply scheduled price changes once their effective date arrives
+	jobScheduler.schedule(
+		'scheduled-price-changes',
+		(scheduledChangeIntervalMinutes || 0) * 60 * 1000,
+		() => priceChangeService.applyDueChanges(),
+		{ runImmediately: true }
+	);
+
+	// Recount which products are bought together for related product recommendations
+	jobScheduler.schedule(
+		'related-products-refresh',
+		(refreshIntervalMinutes || 0) * 60 * 1000,
+		() => productRecommendationService.refreshCoPurchases(),
+		{ runImmediately: true }
+	);
+
+	// Place subscription orders ahead of their delivery dates
+	jobScheduler.schedule(
+		'subscription-orders',
+		(generateIntervalMinutes || 0) * 60 * 1000,
+		() => subscriptionService.generateDueOrders(),
+		{ runImmediately: true }
+	);
+};
+
 // Get port from configuration
 const port = normalizePort(appConfig.port || '7009');
 
@@ -109,6 +164,9 @@ const startServer = async () => {
 		server.on('error', onError);
 		server.on('listening', onListening);
 
+		// Start background jobs
+		scheduleJobs();
+
 		// Handle graceful shutdown
 		process.on('SIGTERM', gracefulShutdown);
 		process.on('SIGINT', gracefulShutdown);
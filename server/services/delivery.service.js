@@ -32,10 +32,10 @@ class DeliveryService {
 			throw new NotFoundError('Order not found');
 		}
 
-		// Check if delivery already exists for this order
-		const existingDelivery = await deliveryRepository.findByOrderId(deliveryData.orderId);
-		if (existingDelivery) {
-			throw new ValidationError('Delivery already exists for this order');
+		// Check if delivery already exists for this order; split orders get one per shipment instead
+		const existingDeliveries = await deliveryRepository.findByOrderId(deliveryData.orderId);
+		if (existingDeliveries.length) {
+			throw new ValidationError('Delivery already exists for this order; record a shipment to send the rest');
 		}
 
 		// Create delivery
@@ -75,16 +75,25 @@ class DeliveryService {
 	}
 
 	/**
-	 * Get delivery by order ID
+	 * Get delivery by order ID (the latest shipment when the order was split)
 	 * @param {string} orderId - Order ID
 	 * @returns {Object} Delivery
 	 */
 	async getDeliveryByOrderId(orderId) {
-		const delivery = await deliveryRepository.findByOrderId(orderId);
-		if (!delivery) {
+		const deliveries = await deliveryRepository.findByOrderId(orderId);
+		if (!deliveries.length) {
 			throw new NotFoundError('Delivery not found for this order');
 		}
-		return delivery;
+		return deliveries[deliveries.length - 1];
+	}
+
+	/**
+	 * Get all deliveries of an order, one per shipment, oldest first
+	 * @param {string} orderId - Order ID
+	 * @returns {Array} Deliveries
+	 */
+	async getDeliveriesByOrderId(orderId) {
+		return deliveryRepository.findByOrderId(orderId);
 	}
 
 	/**
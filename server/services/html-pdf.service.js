@@ -159,12 +159,17 @@ class HTMLPDFService {
 				quantity: item.quantity || 1,
 				unitPrice: item.unitPrice || item.price || 0,
 				price: item.unitPrice || item.price || 0,
-				totalPrice: (item.unitPrice || item.price || 0) * (item.quantity || 1)
+				totalPrice: (item.unitPrice || item.price || 0) * (item.quantity || 1),
+				taxRate: item.taxRate || 0,
+				taxAmount: item.taxAmount || 0,
+				taxExempt: Boolean(item.taxExempt)
 			})),
 
 			// Financial details
 			subtotal,
 			tax,
+			pricesIncludeTax: Boolean(invoiceData.pricesIncludeTax),
+			taxBreakdown: invoiceData.taxBreakdown || [],
 			deliveryFee,
 			discount,
 			totalAmount,
@@ -441,6 +446,12 @@ class HTMLPDFService {
             color: #333;
         }
 
+        .items-table .item-tax {
+            margin-top: 6px;
+            font-size: 13px;
+            color: #666;
+        }
+
         .items-table td:nth-child(2) { text-align: center; }
         .items-table td:nth-child(3) { text-align: center; }
         .items-table td:nth-child(4) { 
@@ -628,7 +639,14 @@ class HTMLPDFService {
                 <tbody>
                     <% (items || []).forEach(item => { %>
                         <tr>
-                            <td><%= item.name || item.description %></td>
+                            <td>
+                                <%= item.name || item.description %>
+                                <% if (item.taxExempt) { %>
+                                    <div class="item-tax">Tax exempt</div>
+                                <% } else if (item.taxAmount > 0) { %>
+                                    <div class="item-tax">Tax <%= item.taxRate %>%: <span class="currency">₦</span> <%= item.taxAmount.toLocaleString('en-NG', {minimumFractionDigits: 2}) %><%= pricesIncludeTax ? ' (included)' : '' %></div>
+                                <% } %>
+                            </td>
                             <td><span class="currency">₦</span> <%= (item.unitPrice || item.price || 0).toLocaleString('en-NG', {minimumFractionDigits: 2}) %></td>
                             <td><%= item.quantity || 1 %></td>
                             <td><span class="currency">₦</span> <%= ((item.unitPrice || item.price || 0) * (item.quantity || 1)).toLocaleString('en-NG', {minimumFractionDigits: 2}) %></td>
@@ -645,7 +663,14 @@ class HTMLPDFService {
                     </div>
                 <% } %>
                 
-                <% if (tax && tax > 0) { %>
+                <% if (taxBreakdown && taxBreakdown.length) { %>
+                    <% taxBreakdown.forEach(entry => { %>
+                        <div class="total-row">
+                            <div class="total-label"><%= entry.code || entry.name %> (<%= entry.rate %>%)<%= pricesIncludeTax ? ' incl.' : '' %>:</div>
+                            <div class="total-amount"><span class="currency">₦</span> <%= (entry.taxAmount || 0).toLocaleString('en-NG', {minimumFractionDigits: 2}) %></div>
+                        </div>
+                    <% }); %>
+                <% } else if (tax && tax > 0) { %>
                     <div class="total-row">
                         <div class="total-label">Tax:</div>
                         <div class="total-amount"><span class="currency">₦</span> <%= tax.toLocaleString('en-NG', {minimumFractionDigits: 2}) %></div>
@@ -6,6 +6,16 @@ const Product = require('../data/schemas/product.schema');
 const PDFService = require('./pdf.service');
 const EmailService = require('./email.service');
 const htmlPDFService = require('./html-pdf.service');
+const TaxService = require('./tax.service');
+const taxRateRepository = require('../data/repositories/tax-rate.repository');
+const productRepository = require('../data/repositories/product.repository');
+const clientRepository = require('../data/repositories/client.repository');
+const eventDispatcher = require('../domain/events/event-dispatcher');
+const logger = require('../infrastructure/logging/logger');
+const appConfig = require('../config/app.config');
+const { ValidationError } = require('../utils/error-handler');
+
+const taxService = new TaxService(taxRateRepository, productRepository, eventDispatcher, logger, appConfig.tax);
 
 class InvoiceService {
 	// Updated createInvoice method for InvoiceService
@@ -56,13 +66,17 @@ class InvoiceService {
 				quantity: parseFloat(item.quantity),
 				unit: item.unit || 'piece',
 				unitPrice: parseFloat(item.unitPrice),
-				totalPrice: parseFloat(item.quantity) * parseFloat(item.unitPrice)
+				totalPrice: parseFloat(item.quantity) * parseFloat(item.unitPrice),
+				taxRate: item.taxRate,
+				taxAmount: item.taxAmount,
+				taxExempt: item.taxExempt
 			}));
 
 			// Calculate totals (use frontend values if provided, otherwise calculate)
 			const subtotal = invoiceData.subtotal || processedItems.reduce((sum, item) => sum + item.totalPrice, 0);
-			const tax = parseFloat(invoiceData.tax) || 0;
 			const discount = parseFloat(invoiceData.discount) || 0;
+			const taxes = await this._applyTax(processedItems, invoiceData, discount);
+			const tax = taxes.tax;
 			const deliveryFee = parseFloat(invoiceData.deliveryFee) || 0;
 			const totalAmount = invoiceData.totalAmount || (subtotal + tax + deliveryFee - discount);
 
@@ -81,6 +95,9 @@ class InvoiceService {
 				items: processedItems,
 				subtotal,
 				tax,
+				includedTax: taxes.includedTax,
+				pricesIncludeTax: taxes.pricesIncludeTax,
+				taxBreakdown: taxes.taxBreakdown,
 				discount,
 				deliveryFee,
 				totalAmount,
@@ -165,6 +182,8 @@ class InvoiceService {
 			// Recalculate totals if items are updated
 			if (updateData.items) {
 				const processedItems = await this.processInvoiceItems(updateData.items);
+				const discount = updateData.discount !== undefined ? parseFloat(updateData.discount) || 0 : invoice.discount || 0;
+				Object.assign(updateData, await this._applyTax(processedItems, updateData, discount));
 				const calculations = this.calculateTotals(processedItems, updateData);
 				updateData.items = processedItems;
 				Object.assign(updateData, calculations);
@@ -320,10 +339,16 @@ class InvoiceService {
 			// Financial totals
 			subtotal: invoice.subtotal || 0,
 			tax: invoice.tax || 0,
+			includedTax: invoice.includedTax || 0,
+			pricesIncludeTax: Boolean(invoice.pricesIncludeTax),
+			taxBreakdown: invoice.taxBreakdown || [],
 			discount: invoice.discount || 0,
 			deliveryFee: invoice.deliveryFee || 0,
 			totalAmount: invoice.totalAmount || 0,
 			paidAmount: invoice.paidAmount || 0,
+			creditedAmount: invoice.creditedAmount || 0,
+			refundedAmount: invoice.refundedAmount || 0,
+			creditNotes: invoice.creditNotes || [],
 
 			// Payment details
 			paymentDetails: invoice.paymentDetails || {
@@ -353,11 +378,15 @@ class InvoiceService {
 		}
 
 		return items.map(item => ({
+			productId: item.productId?._id || item.productId,
 			name: item.name || item.productId?.name || 'Unknown Product',
 			quantity: item.quantity || 0,
 			unit: item.unit || 'piece',
 			unitPrice: item.unitPrice || item.price || 0,
 			totalPrice: item.totalPrice || (item.quantity * (item.unitPrice || item.price)) || 0,
+			taxRate: item.taxRate || 0,
+			taxAmount: item.taxAmount || 0,
+			taxExempt: Boolean(item.taxExempt),
 			sku: item.productId?.sku || item.sku || ''
 		}));
 	}
@@ -568,9 +597,8 @@ class InvoiceService {
 				throw new Error('Invalid payment amount');
 			}
 
-			// Check if payment would exceed invoice total
-			const newPaidAmount = invoice.paidAmount + paymentAmount;
-			if (newPaidAmount > invoice.totalAmount) {
+			// Check if payment would exceed what is still owed after credit notes
+			if (paymentAmount > Math.round(invoice.balance * 100) / 100) {
 				throw new Error('Payment amount exceeds invoice balance');
 			}
 
@@ -587,6 +615,24 @@ class InvoiceService {
 			invoice.payments.push(payment);
 			invoice.paidAmount += paymentAmount;
 
+			if (payment.method === 'store_credit') {
+				if (!invoice.clientId) {
+					throw new Error('Store credit can only pay an invoice raised for a client');
+				}
+
+				// Take the credit off the client and record the payment together
+				await clientRepository.withTransaction(async (session) => {
+					const client = await clientRepository.useStoreCredit(invoice.clientId, paymentAmount, { session });
+					if (!client) {
+						throw new ValidationError('Insufficient store credit');
+					}
+
+					await invoice.save({ session });
+				});
+
+				return invoice;
+			}
+
 			await invoice.save();
 			return invoice;
 		} catch (error) {
@@ -594,6 +640,30 @@ class InvoiceService {
 		}
 	}
 
+	/**
+	 * Take a credit note off an invoice, along with any part of it given back to the client
+	 * @param {string} invoiceId - Invoice ID
+	 * @param {Object} creditNote - Credit note ({ _id, totalAmount, refundAmount })
+	 * @returns {Promise<Object>} Updated invoice
+	 */
+	async applyCreditNote(invoiceId, creditNote) {
+		try {
+			const invoice = await Invoice.findById(invoiceId);
+			if (!invoice) {
+				throw new Error('Invoice not found');
+			}
+
+			invoice.creditedAmount = Math.round(((invoice.creditedAmount || 0) + creditNote.totalAmount) * 100) / 100;
+			invoice.refundedAmount = Math.round(((invoice.refundedAmount || 0) + (creditNote.refundAmount || 0)) * 100) / 100;
+			invoice.creditNotes.push(creditNote._id);
+
+			await invoice.save();
+			return invoice;
+		} catch (error) {
+			throw new Error(`Failed to apply credit note: ${error.message}`);
+		}
+	}
+
 	async getInvoicesByClient(clientId, options = {}) {
 		try {
 			const { page = 1, limit = 10, status, sort = '-createdAt' } = options;
@@ -651,7 +721,14 @@ class InvoiceService {
 						_id: null,
 						totalRevenue: { $sum: '$totalAmount' },
 						paidRevenue: { $sum: '$paidAmount' },
-						pendingRevenue: { $sum: { $subtract: ['$totalAmount', '$paidAmount'] } }
+						pendingRevenue: {
+							$sum: {
+								$subtract: [
+									{ $subtract: ['$totalAmount', { $ifNull: ['$creditedAmount', 0] }] },
+									{ $subtract: ['$paidAmount', { $ifNull: ['$refundedAmount', 0] }] }
+								]
+							}
+						}
 					}
 				}
 			]);
@@ -706,7 +783,10 @@ class InvoiceService {
 				quantity: parseFloat(item.quantity),
 				stockUnit: item.stockUnit || 'piece',
 				unitPrice: parseFloat(item.unitPrice),
-				totalPrice: parseFloat(item.quantity) * parseFloat(item.unitPrice)
+				totalPrice: parseFloat(item.quantity) * parseFloat(item.unitPrice),
+				taxRate: item.taxRate,
+				taxAmount: item.taxAmount,
+				taxExempt: item.taxExempt
 			};
 
 			processedItems.push(processedItem);
@@ -715,6 +795,40 @@ class InvoiceService {
 		return processedItems;
 	}
 
+	/**
+	 * Work out the tax on invoice items. Order invoices carry the tax worked out for the order;
+	 * standalone invoices are taxed at the current rates.
+	 * @param {Array} items - Processed invoice items (tax fields are set in place)
+	 * @param {Object} invoiceData - Invoice data, with taxBreakdown when it comes from an order
+	 * @param {number} discount - Invoice discount
+	 * @returns {Promise<Object>} Tax added, tax included, pricing mode and breakdown per rate
+	 * @private
+	 */
+	async _applyTax(items, invoiceData, discount) {
+		if (invoiceData.taxBreakdown) {
+			return {
+				tax: parseFloat(invoiceData.tax) || 0,
+				includedTax: parseFloat(invoiceData.includedTax) || 0,
+				pricesIncludeTax: Boolean(invoiceData.pricesIncludeTax),
+				taxBreakdown: invoiceData.taxBreakdown
+			};
+		}
+
+		const taxes = await taxService.calculateTax(
+			items.map(item => ({ productId: item.productId, totalPrice: item.totalPrice })),
+			{ discountAmount: discount }
+		);
+
+		items.forEach((item, index) => Object.assign(item, taxes.items[index]));
+
+		return {
+			tax: taxes.taxAmount,
+			includedTax: taxes.includedTaxAmount,
+			pricesIncludeTax: taxes.pricesIncludeTax,
+			taxBreakdown: taxes.taxBreakdown
+		};
+	}
+
 	calculateTotals(items, invoiceData) {
 		const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
 		const tax = parseFloat(invoiceData.tax) || 0;
@@ -0,0 +1,407 @@
+// src/services/location.service.js
+
+const mongoose = require('mongoose');
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const unitConverter = require('../utils/unit-converter');
+
+/**
+ * @class LocationService
+ * @description Service layer for stock locations, the stock held at each and transfers between them
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class LocationService {
+	/**
+	 * Create a new LocationService instance
+	 * @param {Object} locationRepository - Location repository instance
+	 * @param {Object} stockLevelRepository - Stock level repository
+	 * @param {Object} productRepository - Product repository
+	 * @param {Object} stockMovementRepository - Stock movement ledger repository
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(locationRepository, stockLevelRepository, productRepository, stockMovementRepository, eventDispatcher, logger) {
+		this.locationRepository = locationRepository;
+		this.stockLevelRepository = stockLevelRepository;
+		this.productRepository = productRepository;
+		this.stockMovementRepository = stockMovementRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Create a location. The first location becomes the default and takes all stock on hand.
+	 * @param {Object} locationData - Location data (name, code, type, address, isDefault, fulfilmentPriority, notes)
+	 * @returns {Promise<Object>} Created location
+	 * @throws {ValidationError} Duplicate code
+	 */
+	async createLocation(locationData) {
+		try {
+			if (await this.locationRepository.findByCode(locationData.code)) {
+				throw new ValidationError(`Location with code ${locationData.code.toUpperCase()} already exists`);
+			}
+
+			const isFirst = (await this.locationRepository.count({})) === 0;
+
+			const location = await this.locationRepository.create({
+				...locationData,
+				isDefault: isFirst || Boolean(locationData.isDefault),
+				isActive: true
+			});
+
+			if (location.isDefault && !isFirst) {
+				await this.locationRepository.setDefault(location._id);
+			}
+
+			// Until now stock had no location, so it is all where the first location is
+			if (isFirst) {
+				const assigned = await this._assignUnlocatedStock(location._id);
+				this.logger.info(`Placed stock of ${assigned} products and variants at first location ${location.code}`);
+			}
+
+			this.eventDispatcher.dispatch(eventTypes.LOCATION_CREATED, {
+				locationId: location._id,
+				name: location.name,
+				timestamp: new Date()
+			});
+
+			return location;
+		} catch (error) {
+			this.logger.error(`Error creating location: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get locations with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, type, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated locations
+	 */
+	async getLocations(options = {}) {
+		return this.locationRepository.getLocations(options);
+	}
+
+	/**
+	 * Get location by ID
+	 * @param {string} locationId - Location ID
+	 * @returns {Promise<Object>} Location
+	 * @throws {NotFoundError} Location not found
+	 */
+	async getLocationById(locationId) {
+		const location = await this.locationRepository.findById(locationId);
+
+		if (!location) {
+			throw new NotFoundError(`Location with ID ${locationId} not found`);
+		}
+
+		return location;
+	}
+
+	/**
+	 * Get an active location, for stock to move in or out of
+	 * @param {string} locationId - Location ID
+	 * @returns {Promise<Object>} Location
+	 * @throws {NotFoundError|ValidationError} Location not found or inactive
+	 */
+	async getActiveLocation(locationId) {
+		const location = await this.getLocationById(locationId);
+
+		if (!location.isActive) {
+			throw new ValidationError(`Location ${location.name} is inactive`);
+		}
+
+		return location;
+	}
+
+	/**
+	 * Update a location
+	 * @param {string} locationId - Location ID
+	 * @param {Object} updateData - Fields to update
+	 * @returns {Promise<Object>} Updated location
+	 * @throws {NotFoundError|ValidationError} Not found, duplicate code, or the default location being deactivated
+	 */
+	async updateLocation(locationId, updateData) {
+		try {
+			const location = await this.getLocationById(locationId);
+			const { isDefault, ...changes } = updateData;
+
+			if (changes.code && changes.code.toUpperCase() !== location.code) {
+				const existing = await this.locationRepository.findByCode(changes.code);
+				if (existing && existing._id.toString() !== locationId.toString()) {
+					throw new ValidationError(`Location with code ${changes.code.toUpperCase()} already exists`);
+				}
+			}
+
+			if (isDefault === false && location.isDefault) {
+				throw new ValidationError('Make another location the default instead');
+			}
+
+			if (changes.isActive === false && (location.isDefault || isDefault)) {
+				throw new ValidationError('Cannot deactivate the default location');
+			}
+
+			const updatedLocation = await this.locationRepository.update(locationId, changes);
+
+			if (isDefault && !location.isDefault) {
+				await this.locationRepository.setDefault(locationId);
+				updatedLocation.isDefault = true;
+			}
+
+			this.eventDispatcher.dispatch(eventTypes.LOCATION_UPDATED, {
+				locationId,
+				updatedFields: Object.keys(updateData),
+				timestamp: new Date()
+			});
+
+			return updatedLocation;
+		} catch (error) {
+			this.logger.error(`Error updating location ${locationId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a location that holds no stock and has no history
+	 * @param {string} locationId - Location ID
+	 * @returns {Promise<boolean>} Whether the location was deleted
+	 * @throws {NotFoundError|ValidationError} Not found, default, holding stock or with history
+	 */
+	async deleteLocation(locationId) {
+		try {
+			const location = await this.getLocationById(locationId);
+
+			if (location.isDefault) {
+				throw new ValidationError('Cannot delete the default location');
+			}
+
+			if (await this.stockLevelRepository.exists({ locationId, quantity: { $gt: 0 } })) {
+				throw new ValidationError(`Cannot delete location ${location.name} while it holds stock; transfer it first`);
+			}
+
+			if (await this.stockMovementRepository.exists({ locationId })) {
+				throw new ValidationError(`Cannot delete location ${location.name} with stock history; deactivate it instead`);
+			}
+
+			await this.stockLevelRepository.deleteByLocation(locationId);
+			const result = await this.locationRepository.delete(locationId);
+
+			if (result) {
+				this.eventDispatcher.dispatch(eventTypes.LOCATION_DELETED, {
+					locationId,
+					name: location.name,
+					timestamp: new Date()
+				});
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error deleting location ${locationId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the stock held at a location
+	 * @param {string} locationId - Location ID
+	 * @param {Object} options - Filters and pagination (inStockOnly, page, limit)
+	 * @returns {Promise<Object>} Paginated stock levels with their products
+	 * @throws {NotFoundError} Location not found
+	 */
+	async getLocationStock(locationId, options = {}) {
+		await this.getLocationById(locationId);
+		return this.stockLevelRepository.getLocationStock(locationId, options);
+	}
+
+	/**
+	 * Set the low stock threshold of a product at a location
+	 * @param {string} locationId - Location ID
+	 * @param {Object} thresholdData - Threshold data (productId, variantId, lowStockThreshold; null to use the global threshold)
+	 * @returns {Promise<Object>} Updated stock level
+	 * @throws {NotFoundError} Location or product not found
+	 */
+	async setLowStockThreshold(locationId, thresholdData) {
+		await this.getLocationById(locationId);
+		const { product } = await this._getStockHolder(thresholdData.productId, thresholdData.variantId);
+
+		const existing = await this.stockLevelRepository.findOne({
+			productId: product._id,
+			variantId: thresholdData.variantId || null,
+			locationId
+		});
+
+		const lowStockThreshold = thresholdData.lowStockThreshold === null ? null : Number(thresholdData.lowStockThreshold);
+
+		return existing
+			? this.stockLevelRepository.update(existing._id, { lowStockThreshold })
+			: this.stockLevelRepository.create({
+				productId: product._id,
+				variantId: thresholdData.variantId || null,
+				locationId,
+				quantity: 0,
+				lowStockThreshold
+			});
+	}
+
+	/**
+	 * Move stock from one location to another. Total stock is unchanged; the ledger gets a
+	 * movement out of one location and a matching one into the other.
+	 * @param {Object} transferData - Transfer data (fromLocationId, toLocationId, items: [{ productId, variantId, quantity, unit }], note)
+	 * @param {string} userId - User making the transfer
+	 * @returns {Promise<Object>} Transfer summary ({ transferId, fromLocation, toLocation, items })
+	 * @throws {NotFoundError|ValidationError} Location or product not found, or not enough stock
+	 */
+	async transferStock(transferData, userId = null) {
+		try {
+			const { fromLocationId, toLocationId, items = [], note } = transferData;
+
+			if (String(fromLocationId) === String(toLocationId)) {
+				throw new ValidationError('Cannot transfer stock to the location it is already at');
+			}
+
+			const fromLocation = await this.getLocationById(fromLocationId);
+			const toLocation = await this.getActiveLocation(toLocationId);
+
+			if (!items.length) {
+				throw new ValidationError('A transfer needs at least one item');
+			}
+
+			const transferId = new mongoose.Types.ObjectId();
+			const defaultLocation = (await this.locationRepository.getActiveLocations()).find(location => location.isDefault);
+
+			const transferred = await this.productRepository.withTransaction(async (session) => {
+				const lines = [];
+
+				for (const item of items) {
+					const { product, holder } = await this._getStockHolder(item.productId, item.variantId, { session });
+					const variantId = item.variantId || null;
+
+					// Variants move in whole units; products in any unit that converts to their stock unit
+					const quantity = variantId || !item.unit
+						? Number(item.quantity)
+						: unitConverter.toStockUnits(product, Number(item.quantity), item.unit);
+
+					if (!(quantity > 0)) {
+						throw new ValidationError(`Transfer quantity for "${product.name}" must be greater than zero`);
+					}
+
+					if (defaultLocation) {
+						await this.stockLevelRepository.assignUnlocatedStock(product, defaultLocation._id, { session });
+					}
+
+					const from = await this.stockLevelRepository.increment(product._id, variantId, fromLocation._id, -quantity, { session });
+					if (!from) {
+						throw new ValidationError(`Insufficient stock of "${product.name}" at ${fromLocation.name} to transfer ${quantity}`);
+					}
+
+					const to = await this.stockLevelRepository.increment(product._id, variantId, toLocation._id, quantity, { session });
+
+					const movement = {
+						productId: product._id,
+						variantId,
+						reason: 'transfer',
+						transferId,
+						balanceAfter: holder.stockQuantity || 0,
+						userId,
+						note: [`Transfer ${fromLocation.code} -> ${toLocation.code}`, note].filter(Boolean).join(' - ')
+					};
+
+					await this.stockMovementRepository.record({ ...movement, locationId: fromLocation._id, delta: -quantity }, { session });
+					await this.stockMovementRepository.record({ ...movement, locationId: toLocation._id, delta: quantity }, { session });
+
+					lines.push({
+						productId: product._id,
+						variantId,
+						name: product.name,
+						quantity,
+						unit: variantId ? 'each' : (product.stockUnit || 'each'),
+						fromQuantityAfter: from.quantity,
+						toQuantityAfter: to.quantity
+					});
+				}
+
+				return lines;
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.STOCK_TRANSFERRED, {
+				transferId,
+				fromLocationId: fromLocation._id,
+				toLocationId: toLocation._id,
+				itemCount: transferred.length,
+				timestamp: new Date()
+			});
+
+			return {
+				transferId,
+				fromLocation: { _id: fromLocation._id, name: fromLocation.name, code: fromLocation.code },
+				toLocation: { _id: toLocation._id, name: toLocation.name, code: toLocation.code },
+				items: transferred
+			};
+		} catch (error) {
+			this.logger.error(`Error transferring stock: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get transfers between locations from the ledger, newest first
+	 * @param {Object} options - Filters and pagination (locationId, productId, page, limit)
+	 * @returns {Promise<Object>} Paginated transfer movements
+	 */
+	async getTransfers(options = {}) {
+		return this.stockMovementRepository.getTransfers(options);
+	}
+
+	/**
+	 * Load a product (or variant) that holds stock of its own
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (optional)
+	 * @param {Object} options - Query options (session)
+	 * @returns {Promise<Object>} Product and the product or variant holding the stock
+	 * @throws {NotFoundError|ValidationError} Not found or a bundle
+	 * @private
+	 */
+	async _getStockHolder(productId, variantId, options = {}) {
+		const product = await this.productRepository.findById(productId, { session: options.session });
+
+		if (!product) {
+			throw new NotFoundError(`Product with ID ${productId} not found`);
+		}
+
+		if (product.productType === 'bundle') {
+			throw new ValidationError(`Bundle "${product.name}" holds no stock of its own`);
+		}
+
+		const holder = variantId
+			? (product.variants || []).find(v => v._id.toString() === variantId.toString())
+			: product;
+
+		if (!holder) {
+			throw new NotFoundError(`Variant "${variantId}" not found for product ${productId}`);
+		}
+
+		return { product, holder };
+	}
+
+	/**
+	 * Place all stock not yet at a location at the given one
+	 * @param {string} locationId - Location ID
+	 * @returns {Promise<number>} Number of products and variants whose stock was placed
+	 * @private
+	 */
+	async _assignUnlocatedStock(locationId) {
+		const products = await this.productRepository.find(
+			{ productType: { $ne: 'bundle' } },
+			{ select: 'stockQuantity variants._id variants.stockQuantity' }
+		);
+
+		let assigned = 0;
+		for (const product of products) {
+			assigned += await this.stockLevelRepository.assignUnlocatedStock(product, locationId);
+		}
+
+		return assigned;
+	}
+}
+
+module.exports = LocationService;
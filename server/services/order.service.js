@@ -2,6 +2,31 @@
 const { logger } = require('../infrastructure/logging/logger');
 const EmailService = require('./email.service');
 const InvoiceService = require('./invoice.service');
+const { ValidationError } = require('../utils/error-handler');
+const unitConverter = require('../utils/unit-converter');
+const Product = require('../domain/models/product.model');
+const eventTypes = require('../domain/events/event-types');
+const { assertStatusTransition, assertPaymentStatusTransition } = require('../domain/models/order-workflow');
+
+// Pricing units whose final quantity is only known once the item is weighed
+const CATCH_WEIGHT_UNITS = ['kg', 'g', 'lb', 'oz'];
+
+// Order item fields a client may send; everything else on an item is worked out from the catalogue
+const ORDER_ITEM_FIELDS = ['productId', 'variantId', 'variant', 'quantity', 'unit', 'name', 'notes'];
+
+// Order fields the workflow, stock, returns and invoicing set, never whoever places the order
+const SERVER_ORDER_FIELDS = [
+	'status', 'paymentStatus', 'statusHistory', 'stockStatus', 'batchAllocations',
+	'creditedAmount', 'refundedAmount', 'invoiceId', 'finalTotalAmount'
+];
+
+// Invoice payment method recorded when an order is marked paid
+const INVOICE_PAYMENT_METHODS = {
+	bank_transfer: 'bank_transfer',
+	cash: 'cash',
+	cash_on_delivery: 'cash',
+	credit_card: 'card'
+};
 
 /**
  * @class OrderService
@@ -19,6 +44,12 @@ class OrderService {
 	 * @param {Object} productService - Product service for inventory adjustments
 	 * @param {Object} eventDispatcher - Event dispatcher for domain events
 	 * @param {Object} logger - Logger instance
+	 * @param {Object} stockBatchRepository - Stock batch repository for expiry-ordered allocation
+	 * @param {Object} locationRepository - Location repository for fulfilment locations
+	 * @param {Object} stockLevelRepository - Stock level repository for stock at the fulfilment location
+	 * @param {Object} priceListService - Price list service for client-specific prices
+	 * @param {Object} promotionService - Promotion service for order discounts and coupons
+	 * @param {Object} taxService - Tax service for the tax on order lines
 	 */
 	constructor(
 		orderRepository,
@@ -27,7 +58,13 @@ class OrderService {
 		productRepository,
 		productService,
 		eventDispatcher,
-		logger
+		logger,
+		stockBatchRepository,
+		locationRepository,
+		stockLevelRepository,
+		priceListService,
+		promotionService,
+		taxService
 	) {
 		this.orderRepository = orderRepository;
 		this.clientRepository = clientRepository;
@@ -36,6 +73,12 @@ class OrderService {
 		this.productService = productService;
 		this.eventDispatcher = eventDispatcher;
 		this.logger = logger;
+		this.stockBatchRepository = stockBatchRepository;
+		this.locationRepository = locationRepository;
+		this.stockLevelRepository = stockLevelRepository;
+		this.priceListService = priceListService;
+		this.promotionService = promotionService;
+		this.taxService = taxService;
 	}
 
 	/**
@@ -130,14 +173,50 @@ class OrderService {
 				orderData.orderNumber = await this.generateOrderNumber();
 			}
 
-			// Validate products and calculate initial totals
-			await this.validateOrderItems(orderData.items);
+			// Only what the client chooses is taken from the request, the rest is set from the catalogue
+			orderData.items = this._pickOrderItemFields(orderData.items);
+
+			// Every order starts pending and moves on through the workflow
+			SERVER_ORDER_FIELDS.forEach(field => delete orderData[field]);
+			orderData.status = 'pending';
+			orderData.paymentStatus = 'pending';
+
+			// Validate products and price them for the client
+			await this.validateOrderItems(orderData.items, orderData.clientId);
+
+			// Items were priced above, so the subtotal is worked out from them
+			delete orderData.subtotal;
+
+			// Discounts only come from promotions the order qualifies for
+			await this._applyOrderPromotions(orderData);
+
+			// Tax is charged on what is left after the discount
+			await this._applyOrderTax(orderData);
+
+			if (orderData.fulfilmentLocationId) {
+				await this._validateFulfilmentLocation(orderData.fulfilmentLocationId, orderData.items);
+			}
 
 			// Process order data for delivery fee logic
 			const processedOrderData = this.processOrderDataForDelivery(orderData);
 
-			// Create order using repository (let schema handle the pre-save logic)
-			const savedOrder = await this.orderRepository.create(processedOrderData);
+			// Reserve stock and create the order in one transaction so concurrent orders cannot oversell
+			const savedOrder = await this.orderRepository.withTransaction(async (session) => {
+				await this._reserveOrderStock(processedOrderData.items, session);
+
+				// Let schema handle the pre-save logic
+				const order = await this.orderRepository.create(
+					{ ...processedOrderData, stockStatus: 'reserved' },
+					{ session }
+				);
+
+				// Counted with the order so a promotion cannot be redeemed past its limit
+				if (this.promotionService) {
+					await this.promotionService.redeemPromotions(order, { session });
+				}
+
+				return order;
+			});
 
 			// Get client information for emails
 			const clientInfo = await this.getClientInfo(savedOrder.clientId);
@@ -173,6 +252,63 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Work out the promotions an order gets and set its discount from them
+	 * @param {Object} orderData - Order data with priced items (modified in place)
+	 * @throws {ValidationError} Unknown coupon code or one the order does not qualify for
+	 * @private
+	 */
+	async _applyOrderPromotions(orderData) {
+		if (!this.promotionService) {
+			return;
+		}
+
+		const couponCode = orderData.couponCode ? String(orderData.couponCode).trim() : null;
+		const promotions = await this.promotionService.evaluateOrder({
+			clientId: orderData.clientId,
+			items: orderData.items,
+			couponCode
+		});
+
+		orderData.couponCode = couponCode || undefined;
+		orderData.discountAmount = promotions.discountAmount;
+		orderData.appliedPromotions = promotions.appliedPromotions;
+		orderData.freeDelivery = promotions.freeDelivery;
+	}
+
+	/**
+	 * Work out the tax on an order's items and set its tax totals
+	 * @param {Object} orderData - Order data with priced items and discount (modified in place)
+	 * @private
+	 */
+	async _applyOrderTax(orderData) {
+		if (!this.taxService) {
+			return;
+		}
+
+		Object.assign(orderData, await this._calculateOrderTax(orderData.items, orderData.discountAmount));
+	}
+
+	/**
+	 * Work out the tax on order items, setting each item's tax in place
+	 * @param {Array} items - Order items
+	 * @param {number} discountAmount - Order discount
+	 * @returns {Promise<Object>} Order tax fields (taxAmount, includedTaxAmount, pricesIncludeTax, taxBreakdown)
+	 * @private
+	 */
+	async _calculateOrderTax(items, discountAmount = 0) {
+		const taxes = await this.taxService.calculateTax(items, { discountAmount });
+
+		items.forEach((item, index) => Object.assign(item, taxes.items[index]));
+
+		return {
+			taxAmount: taxes.taxAmount,
+			includedTaxAmount: taxes.includedTaxAmount,
+			pricesIncludeTax: taxes.pricesIncludeTax,
+			taxBreakdown: taxes.taxBreakdown
+		};
+	}
+
 	/**
 	 * Process order data for delivery fee logic
 	 * @param {Object} orderData - Raw order data
@@ -189,8 +325,8 @@ class OrderService {
 			}, 0);
 		}
 
-		// Handle delivery fee logic
-		if (processedData.shippingMethod === 'delivery') {
+		// Handle delivery fee logic (a free delivery promotion leaves no fee to work out)
+		if (processedData.shippingMethod === 'delivery' && !processedData.freeDelivery) {
 			// For all delivery orders, set delivery fee as pending
 			processedData.shippingCost = 'TBD';
 			processedData.totalAmount = 'TBD';
@@ -211,7 +347,7 @@ class OrderService {
 				note: 'Order created - delivery fee pending location calculation'
 			});
 		} else {
-			// For pickup orders
+			// For pickup and free delivery orders
 			processedData.shippingCost = 0;
 			processedData.deliveryFeePending = false;
 			processedData.totalAmount = processedData.subtotal +
@@ -315,6 +451,210 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Record the weighed quantities of catch-weight items and re-price the order
+	 * @param {string} orderId - Order ID
+	 * @param {Array} weighedItems - Items weighed during packing ({ itemId, fulfilledQuantity })
+	 * @param {string} userId - User who weighed the items
+	 * @returns {Promise<Object>} Updated order
+	 * @throws {Error} Not found, validation or database error
+	 */
+	async recordWeighedQuantities(orderId, weighedItems, userId = null) {
+		try {
+			if (!Array.isArray(weighedItems) || !weighedItems.length) {
+				throw new ValidationError('At least one weighed item is required');
+			}
+
+			// Get existing order
+			const existingOrder = await this.orderRepository.findById(orderId);
+			if (!existingOrder) {
+				throw new Error(`Order with ID ${orderId} not found`);
+			}
+
+			// Weighing happens while packing, before the order leaves
+			if (!['pending', 'processing'].includes(existingOrder.status)) {
+				throw new ValidationError(`Cannot record weights for an order that is ${existingOrder.status}`);
+			}
+
+			const previousTotal = existingOrder.totalAmount;
+			const weighedAt = new Date();
+			const adjustments = [];
+
+			const items = existingOrder.items.map(item => ({ ...item }));
+
+			for (const weighed of weighedItems) {
+				const item = items.find(orderItem => orderItem._id.toString() === String(weighed.itemId));
+				if (!item) {
+					throw new Error(`Order item ${weighed.itemId} not found`);
+				}
+
+				if (!item.isCatchWeight) {
+					throw new ValidationError(`Order item "${item.name}" is not sold by weight`);
+				}
+
+				const fulfilledQuantity = Number(weighed.fulfilledQuantity);
+				if (isNaN(fulfilledQuantity) || fulfilledQuantity < 0) {
+					throw new ValidationError(`Weighed quantity for "${item.name}" must be a non-negative number`);
+				}
+
+				const totalPrice = Math.round(item.price * fulfilledQuantity * 100) / 100;
+
+				adjustments.push({
+					itemId: item._id,
+					name: item.name,
+					unit: item.unit,
+					orderedQuantity: item.quantity,
+					previousQuantity: this._getItemBilledQuantity(item),
+					previousStockQuantity: this._getItemStockQuantity(item),
+					fulfilledQuantity,
+					previousTotal: item.totalPrice,
+					newTotal: totalPrice
+				});
+
+				item.fulfilledQuantity = fulfilledQuantity;
+				item.totalPrice = totalPrice;
+				item.weighedAt = weighedAt;
+				item.weighedBy = userId;
+			}
+
+			// Recalculate totals from the re-priced items
+			const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+			const updateData = {
+				items,
+				subtotal,
+				updatedAt: new Date()
+			};
+
+			// Promotion discounts follow the weighed amounts
+			let discountAmount = existingOrder.discountAmount || 0;
+			if (this.promotionService && (existingOrder.appliedPromotions || []).length) {
+				const promotions = await this.promotionService.recalculateDiscounts(existingOrder.appliedPromotions, items);
+				discountAmount = promotions.discountAmount;
+				updateData.discountAmount = discountAmount;
+				updateData.appliedPromotions = promotions.appliedPromotions;
+			}
+
+			// So does the tax
+			let taxAmount = existingOrder.taxAmount || 0;
+			if (this.taxService) {
+				Object.assign(updateData, await this._calculateOrderTax(items, discountAmount));
+				taxAmount = updateData.taxAmount;
+			}
+
+			if (!existingOrder.deliveryFeePending && existingOrder.totalAmount !== 'TBD') {
+				const shippingCost = typeof existingOrder.shippingCost === 'number' ? existingOrder.shippingCost : 0;
+				updateData.totalAmount = subtotal +
+					shippingCost +
+					taxAmount -
+					discountAmount;
+				updateData.finalTotalAmount = updateData.totalAmount;
+			}
+
+			updateData['$push'] = {
+				statusHistory: {
+					status: existingOrder.status,
+					timestamp: new Date(),
+					note: `Weighed quantities recorded for ${adjustments.map(a => `${a.name} (${a.fulfilledQuantity}${a.unit})`).join(', ')}`,
+					updatedBy: userId
+				}
+			};
+
+			// Move any stock reservation to the weighed quantities along with the order
+			const updatedOrder = await this.orderRepository.withTransaction(async (session) => {
+				if (existingOrder.stockStatus === 'reserved') {
+					await this._adjustWeighedReservations(adjustments, items, session);
+				}
+
+				return this.orderRepository.update(orderId, updateData, { session });
+			});
+
+			// Regenerate the invoice with the actual amounts
+			const clientInfo = await this.getClientInfo(updatedOrder.clientId);
+			const invoice = await this._regenerateOrderInvoice(updatedOrder, clientInfo);
+
+			// Let the customer know the final amount
+			if (updatedOrder.subtotal !== existingOrder.subtotal) {
+				await this.sendWeightAdjustmentEmails(updatedOrder, clientInfo, invoice, adjustments, previousTotal);
+			}
+
+			// Dispatch event
+			this.eventDispatcher.dispatch('order:items_weighed', {
+				orderId: updatedOrder._id,
+				adjustments,
+				previousTotal,
+				newTotal: updatedOrder.totalAmount,
+				weighedBy: userId,
+				timestamp: new Date()
+			});
+
+			return updatedOrder;
+		} catch (error) {
+			this.logger.error(`Error recording weighed quantities for order ${orderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Resize stock reservations to match newly weighed quantities
+	 * @param {Array} adjustments - Weight adjustments (itemId, previousStockQuantity, fulfilledQuantity)
+	 * @param {Array} items - Order items after weighing
+	 * @param {Object} session - Mongoose session
+	 * @throws {ValidationError} Insufficient stock error
+	 * @private
+	 */
+	async _adjustWeighedReservations(adjustments, items, session) {
+		for (const adjustment of adjustments) {
+			const item = items.find(orderItem => orderItem._id.toString() === adjustment.itemId.toString());
+			// Round so float noise does not leave stray reservations behind
+			const difference = Math.round((this._getItemStockQuantity(item) - adjustment.previousStockQuantity) * 1e6) / 1e6;
+
+			if (difference > 0) {
+				const product = await this.productRepository.reserveStock(item.productId, difference, { session, variantId: item.variantId });
+				if (!product) {
+					throw new ValidationError(`Insufficient stock for product "${item.name}": weighed ${adjustment.fulfilledQuantity}, ordered ${adjustment.orderedQuantity}`);
+				}
+			} else if (difference < 0) {
+				await this.productRepository.releaseReservedStock(item.productId, -difference, { session, variantId: item.variantId });
+			}
+		}
+	}
+
+	/**
+	 * Bring the order's invoice in line with its current items and totals
+	 * @param {Object} order - Order object
+	 * @param {Object} clientInfo - Client information
+	 * @returns {Promise<Object|null>} Updated or newly created invoice
+	 * @private
+	 */
+	async _regenerateOrderInvoice(order, clientInfo) {
+		try {
+			if (!order.invoiceId) {
+				// Orders still waiting on a delivery fee get their invoice once it is set
+				if (order.totalAmount === 'TBD') {
+					return null;
+				}
+
+				const invoice = await this.createOrderInvoice(order, clientInfo);
+				if (invoice) {
+					await this.orderRepository.update(order._id, { invoiceId: invoice._id });
+					order.invoiceId = invoice._id;
+				}
+				return invoice;
+			}
+
+			return await InvoiceService.updateInvoice(order.invoiceId, {
+				items: this._buildInvoiceItems(order.items),
+				...this._buildInvoiceTax(order),
+				discount: order.discountAmount || 0,
+				deliveryFee: typeof order.shippingCost === 'number' ? order.shippingCost : 0
+			});
+		} catch (error) {
+			this.logger.error(`Error regenerating invoice for order ${order._id}: ${error.message}`);
+			// Return null instead of throwing so the recorded weights are kept
+			return null;
+		}
+	}
+
 	/**
 	 * Get orders with pending delivery fee calculation
 	 * @param {Object} options - Query options
@@ -520,8 +860,40 @@ class OrderService {
 				throw new Error('Cannot change order client');
 			}
 
-			// Handle status changes
-			if (updateData.status && updateData.status !== existingOrder.status) {
+			// Stock already picked has left its location
+			if (updateData.fulfilmentLocationId !== undefined &&
+				String(updateData.fulfilmentLocationId) !== String(existingOrder.fulfilmentLocationId)) {
+				if (existingOrder.stockStatus === 'committed') {
+					throw new ValidationError('Cannot change the fulfilment location of an order whose stock has been picked');
+				}
+
+				if (updateData.fulfilmentLocationId) {
+					await this._validateFulfilmentLocation(updateData.fulfilmentLocationId, existingOrder.items);
+				}
+			}
+
+			// Stock status and batches only move with the order's stock
+			delete updateData.stockStatus;
+			delete updateData.batchAllocations;
+
+			// Item edits are checked and priced, and their reservations follow them
+			const itemsChanged = Array.isArray(updateData.items);
+			if (itemsChanged) {
+				updateData.items = await this._prepareItemChanges(existingOrder, updateData.items);
+			}
+
+			// Status and payment changes must follow the order workflow
+			const statusChanged = Boolean(updateData.status) && updateData.status !== existingOrder.status;
+			const paymentStatusChanged = Boolean(updateData.paymentStatus) && updateData.paymentStatus !== existingOrder.paymentStatus;
+
+			if (paymentStatusChanged) {
+				assertPaymentStatusTransition(existingOrder, updateData.paymentStatus);
+			}
+
+			if (statusChanged) {
+				// Guards see the order as it will be, e.g. marked paid in the same update
+				assertStatusTransition({ ...existingOrder, ...updateData }, updateData.status, existingOrder.status);
+
 				updateData['$push'] = {
 					statusHistory: {
 						status: updateData.status,
@@ -536,8 +908,43 @@ class OrderService {
 			// Update timestamp
 			updateData.updatedAt = new Date();
 
-			// Update order
-			const updatedOrder = await this.orderRepository.update(orderId, updateData);
+			// Update order, moving reserved stock along with the items and status when needed
+			const stockTransition = statusChanged && this._getStockTransition(existingOrder, updateData.status);
+			const rebalanceStock = itemsChanged && existingOrder.stockStatus === 'reserved';
+
+			let updatedOrder;
+			if (stockTransition || rebalanceStock) {
+				updatedOrder = await this.orderRepository.withTransaction(async (session) => {
+					if (rebalanceStock) {
+						await this._rebalanceOrderStock(existingOrder.items, updateData.items, session);
+					}
+
+					if (stockTransition) {
+						const fulfilmentLocationId = updateData.fulfilmentLocationId !== undefined
+							? updateData.fulfilmentLocationId
+							: existingOrder.fulfilmentLocationId;
+
+						updateData.stockStatus = await this._applyStockTransition(
+							{ ...existingOrder, items: updateData.items || existingOrder.items, fulfilmentLocationId },
+							updateData.status,
+							session,
+							updateData.updatedBy
+						);
+					}
+
+					return this.orderRepository.update(orderId, updateData, { session });
+				});
+			} else {
+				updatedOrder = await this.orderRepository.update(orderId, updateData);
+			}
+
+			if (paymentStatusChanged) {
+				await this._onPaymentStatusChanged(existingOrder, updatedOrder, updateData.updatedBy);
+			}
+
+			if (statusChanged) {
+				await this._onStatusChanged(existingOrder, updatedOrder, updateData.updatedBy);
+			}
 
 			// Dispatch event
 			this.eventDispatcher.dispatch('order:updated', {
@@ -729,8 +1136,19 @@ class OrderService {
 				throw new Error('Only pending orders can be deleted');
 			}
 
-			// Delete order
-			await this.orderRepository.delete(orderId);
+			// Delete order, giving back any stock it was holding
+			if (existingOrder.stockStatus === 'reserved') {
+				await this.orderRepository.withTransaction(async (session) => {
+					await this._releaseOrderStock(existingOrder.items, session);
+					await this.orderRepository.delete(orderId, { session });
+				});
+			} else {
+				await this.orderRepository.delete(orderId);
+			}
+
+			if (this.promotionService) {
+				await this.promotionService.reverseRedemptions(orderId);
+			}
 
 			// Dispatch event
 			this.eventDispatcher.dispatch('order:deleted', {
@@ -776,96 +1194,675 @@ class OrderService {
 	}
 
 	/**
-	 * Create invoice for order
-	 * @param {Object} order - Order object
-	 * @param {Object} clientInfo - Client information
-	 * @returns {Promise<Object>} Created invoice
-	 * @private
+	 * Apply a coupon code to an order that is still pending
+	 * @param {string} orderId - Order ID
+	 * @param {string} couponCode - Coupon code
+	 * @param {string} userId - User applying the coupon (optional)
+	 * @returns {Promise<Object>} Updated order
+	 * @throws {Error} Not found, not pending, already has a coupon, or the coupon does not apply
 	 */
-	async createOrderInvoice(order, clientInfo) {
+	async applyCoupon(orderId, couponCode, userId = null) {
 		try {
-			// // Don't create invoice for orders with TBD amounts
-			// if (order.totalAmount === 'TBD' || order.deliveryFeePending) {
-			// 	this.logger.info(`Skipping invoice creation for order ${order.orderNumber} - delivery fee pending`);
-			// 	return null;
-			// }
-			const invoiceData = {
-				orderId: order._id,
-				clientId: order.clientId,
-				clientInfo: {
-					name: clientInfo.name,
-					email: clientInfo.email,
-					phone: clientInfo.phone,
-					address: clientInfo.address
-				},
-				items: order.items.map(item => ({
-					productId: item.productId,
-					name: item.name,
-					quantity: item.quantity,
-					stockUnit: item.unit || 'piece',
-					unitPrice: item.price,
-					totalPrice: item.totalPrice || (item.quantity * item.price)
-				})),
-				subtotal: order.subtotal,
-				tax: order.taxAmount || 0,
-				discount: order.discountAmount || 0,
-				deliveryFee: 0,
-				totalAmount: order.subtotal,
-				paymentTerms: order.paymentTerms || 'Payment due within 7 days',
-				notes: order.notes || `Order #${order.orderNumber}`,
-				status: 'pending'
-			};
+			const existingOrder = await this.orderRepository.findById(orderId);
+			if (!existingOrder) {
+				throw new Error(`Order with ID ${orderId} not found`);
+			}
 
-			return await InvoiceService.createInvoice(invoiceData);
-		} catch (error) {
-			this.logger.error(`Error creating invoice for order ${order._id}: ${error.message}`);
-			// Return null instead of throwing to not break order creation
-			return null;
-		}
-	}
+			if (existingOrder.status !== 'pending') {
+				throw new ValidationError(`Cannot apply a coupon to an order that is ${existingOrder.status}`);
+			}
 
-	/**
-	 * Send order created email notifications
-	 * @param {Object} order - Order object
-	 * @param {Object} clientInfo - Client information
-	 * @param {Object} invoice - Invoice object (can be null for TBD orders)
-	 * @private
-	 */
-	async sendOrderCreatedEmails(order, clientInfo, invoice) {
-		try {
-			let invoicePdf = null;
+			if (existingOrder.couponCode) {
+				throw new ValidationError(`Order already has coupon ${existingOrder.couponCode}`);
+			}
 
-			// Generate invoice PDF only if invoice exists
-			if (invoice) {
-				invoicePdf = await InvoiceService.generateInvoicePDF(invoice._id);
+			// Automatic promotions were applied when the order was placed
+			const coupon = await this.promotionService.evaluateOrder({
+				clientId: existingOrder.clientId,
+				items: existingOrder.items,
+				couponCode,
+				includeAutomatic: false
+			});
+
+			// Keep the total discount within the value of the items
+			const previousDiscount = existingOrder.discountAmount || 0;
+			const [applied] = coupon.appliedPromotions;
+			applied.discountAmount = Math.round(Math.min(applied.discountAmount, Math.max(0, existingOrder.subtotal - previousDiscount)) * 100) / 100;
+			const discountAmount = Math.round((previousDiscount + applied.discountAmount) * 100) / 100;
+
+			const updateData = {
+				couponCode: couponCode.trim(),
+				discountAmount,
+				appliedPromotions: [...(existingOrder.appliedPromotions || []), applied],
+				updatedAt: new Date()
+			};
+
+			// The tax follows the lower amount the client pays
+			let taxAmount = existingOrder.taxAmount || 0;
+			if (this.taxService) {
+				const items = existingOrder.items.map(item => ({ ...item }));
+				Object.assign(updateData, { items }, await this._calculateOrderTax(items, discountAmount));
+				taxAmount = updateData.taxAmount;
 			}
 
-			// Send email to customer
-			if (clientInfo.email) {
-				await this.sendOrderEmailToCustomer(order, clientInfo, invoice, invoicePdf);
+			// Free delivery settles a pending delivery fee at nothing
+			let shippingCost = existingOrder.shippingCost;
+			if (applied.freeDelivery && existingOrder.shippingMethod === 'delivery') {
+				updateData.freeDelivery = true;
+				updateData.shippingCost = shippingCost = 0;
+				updateData.deliveryFeePending = false;
 			}
 
-			// Send email to admins
-			await this.sendOrderEmailToAdmins(order, clientInfo, invoice, invoicePdf);
+			if (typeof shippingCost === 'number') {
+				updateData.totalAmount = existingOrder.subtotal +
+					shippingCost +
+					taxAmount -
+					discountAmount;
+				updateData.finalTotalAmount = updateData.totalAmount;
+			}
+
+			updateData['$push'] = {
+				statusHistory: {
+					status: existingOrder.status,
+					timestamp: new Date(),
+					note: applied.freeDelivery
+						? `Coupon ${updateData.couponCode.toUpperCase()} applied: free delivery`
+						: `Coupon ${updateData.couponCode.toUpperCase()} applied: -₦${applied.discountAmount.toLocaleString()}`,
+					updatedBy: userId
+				}
+			};
+
+			const updatedOrder = await this.orderRepository.withTransaction(async (session) => {
+				const order = await this.orderRepository.update(orderId, updateData, { session });
+				await this.promotionService.redeemPromotions({ ...order, appliedPromotions: [applied] }, { session });
+				return order;
+			});
+
+			// Bring the invoice in line with the new total
+			const clientInfo = await this.getClientInfo(updatedOrder.clientId);
+			await this._regenerateOrderInvoice(updatedOrder, clientInfo);
+
+			this.eventDispatcher.dispatch('order:coupon_applied', {
+				orderId: updatedOrder._id,
+				couponCode: updatedOrder.couponCode,
+				discountAmount: applied.discountAmount,
+				newTotal: updatedOrder.totalAmount,
+				timestamp: new Date()
+			});
 
+			return updatedOrder;
 		} catch (error) {
-			this.logger.error(`Error sending order emails: ${error.message}`);
-			// Don't throw error here as order creation should succeed even if email fails
+			this.logger.error(`Error applying coupon to order ${orderId}: ${error.message}`);
+			throw error;
 		}
 	}
 
 	/**
-	 * Send delivery fee updated email notifications
-	 * @param {Object} order - Order object
-	 * @param {Object} clientInfo - Client information
-	 * @param {Object} invoice - Invoice object
-	 * @param {number} deliveryFee - Updated delivery fee
-	 * @param {string} deliveryService - Delivery service name
+	 * Quantity of an item the client pays for (the weighed amount once known), in the item's unit
+	 * @param {Object} item - Order item
+	 * @returns {number} Billed quantity
 	 * @private
 	 */
-	async sendDeliveryFeeUpdatedEmails(order, clientInfo, invoice, deliveryFee, deliveryService) {
-		try {
-			let invoicePdf = null;
+	_getItemBilledQuantity(item) {
+		return typeof item.fulfilledQuantity === 'number' ? item.fulfilledQuantity : item.quantity;
+	}
+
+	/**
+	 * Quantity of an item that counts against stock, in the product's stock unit
+	 * @param {Object} item - Order item
+	 * @returns {number} Stock quantity
+	 * @private
+	 */
+	_getItemStockQuantity(item) {
+		// Items created before unit conversion carry no factor and share the stock unit
+		const factor = typeof item.stockUnitFactor === 'number' ? item.stockUnitFactor : 1;
+		return Math.round(this._getItemBilledQuantity(item) * factor * 1e6) / 1e6;
+	}
+
+	/**
+	 * Check an order can be picked from a location: it must be active and hold enough of every item
+	 * @param {string} locationId - Location ID
+	 * @param {Array} items - Order items
+	 * @throws {ValidationError} Location not found, inactive, or short of stock
+	 * @private
+	 */
+	async _validateFulfilmentLocation(locationId, items) {
+		const location = await this.locationRepository.findById(locationId);
+
+		if (!location || !location.isActive) {
+			throw new ValidationError(`Fulfilment location ${locationId} not found or inactive`);
+		}
+
+		// Reservations are held against total stock, so this only catches a location that is plainly short
+		for (const line of this._getOrderStockLines(items)) {
+			const level = await this.stockLevelRepository.findOne({
+				productId: line.productId,
+				variantId: line.variantId || null,
+				locationId
+			});
+
+			const available = level ? level.quantity : 0;
+			if (available < line.quantity) {
+				throw new ValidationError(
+					`Insufficient stock for product "${line.name || line.productId}" at ${location.name}: ${available} available, ${line.quantity} requested`
+				);
+			}
+		}
+	}
+
+	/**
+	 * Reserve stock for each order item
+	 * @param {Array} items - Order items
+	 * @param {Object} session - Mongoose session
+	 * @throws {ValidationError} Insufficient stock error
+	 * @private
+	 */
+	async _reserveOrderStock(items, session) {
+		for (const line of this._getOrderStockLines(items)) {
+			const product = await this.productRepository.reserveStock(line.productId, line.quantity, { session, variantId: line.variantId });
+
+			if (!product) {
+				throw new ValidationError(`Insufficient stock for product "${line.name || line.productId}": requested ${line.quantity}`);
+			}
+		}
+	}
+
+	/**
+	 * Reserve or release the difference in stock between an order's items before and after an edit
+	 * @param {Array} previousItems - Items holding the current reservation
+	 * @param {Array} items - Items after the edit
+	 * @param {Object} session - Mongoose session
+	 * @throws {ValidationError} Insufficient stock for an increase
+	 * @private
+	 */
+	async _rebalanceOrderStock(previousItems, items, session) {
+		const totals = lines => lines.reduce((map, line) => {
+			const key = `${line.productId}:${line.variantId || ''}`;
+			const total = map.get(key) || { ...line, quantity: 0 };
+			total.quantity = Math.round((total.quantity + line.quantity) * 1e6) / 1e6;
+			return map.set(key, total);
+		}, new Map());
+
+		const before = totals(this._getOrderStockLines(previousItems));
+		const after = totals(this._getOrderStockLines(items));
+
+		// Release first so stock moving between lines of the same product is available again
+		for (const [key, line] of before) {
+			const quantity = Math.round((line.quantity - (after.get(key)?.quantity || 0)) * 1e6) / 1e6;
+			if (quantity > 0) {
+				await this.productRepository.releaseReservedStock(line.productId, quantity, { session, variantId: line.variantId });
+			}
+		}
+
+		for (const [key, line] of after) {
+			const quantity = Math.round((line.quantity - (before.get(key)?.quantity || 0)) * 1e6) / 1e6;
+			if (quantity > 0) {
+				const product = await this.productRepository.reserveStock(line.productId, quantity, { session, variantId: line.variantId });
+
+				if (!product) {
+					throw new ValidationError(`Insufficient stock for product "${line.name || line.productId}": requested ${quantity} more`);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Release stock reserved for each order item
+	 * @param {Array} items - Order items
+	 * @param {Object} session - Mongoose session
+	 * @private
+	 */
+	async _releaseOrderStock(items, session) {
+		for (const line of this._getOrderStockLines(items)) {
+			await this.productRepository.releaseReservedStock(line.productId, line.quantity, {
+				session,
+				variantId: line.variantId
+			});
+		}
+	}
+
+	/**
+	 * Deduct reserved stock for each order item from stock on hand, taking it from the
+	 * batches that expire first; items already sent out in shipments were deducted then
+	 * @param {Object} order - Order object
+	 * @param {Object} session - Mongoose session
+	 * @param {string} userId - User making the change
+	 * @private
+	 */
+	async _commitOrderStock(order, session, userId) {
+		const outstanding = order.items
+			.map(item => ({ item, quantity: this._getItemBilledQuantity(item) - (item.shippedQuantity || 0) }))
+			.filter(line => line.quantity > 0);
+
+		await this.commitShippedItems(order, outstanding, { session, userId });
+	}
+
+	/**
+	 * Deduct the reserved stock of part of an order's items from stock on hand, e.g. the goods
+	 * sent out in one shipment, taking it from the batches that expire first
+	 * @param {Object} order - Order the items belong to
+	 * @param {Array} lines - Lines leaving stock ({ item, quantity } with quantity in the item's unit)
+	 * @param {Object} options - Options (session, userId)
+	 */
+	async commitShippedItems(order, lines, options = {}) {
+		const { session, userId } = options;
+		const batchAllocations = [];
+
+		// Override the billed quantity so stock and bundle components follow the shipped quantity
+		const items = lines.map(line => ({ ...line.item, fulfilledQuantity: line.quantity }));
+
+		for (const line of this._getOrderStockLines(items)) {
+			const allocations = this.stockBatchRepository
+				? await this.stockBatchRepository.allocate(line.productId, line.quantity, { session, variantId: line.variantId })
+				: [];
+
+			await this.productRepository.commitReservedStock(line.productId, line.quantity, {
+				session,
+				variantId: line.variantId,
+				locationId: order.fulfilmentLocationId || undefined,
+				orderId: order._id,
+				userId,
+				note: allocations.length
+					? `Batches: ${allocations.map(a => `${a.batchNumber} x ${a.quantity}`).join(', ')}`
+					: undefined
+			});
+
+			allocations.forEach(allocation => batchAllocations.push({
+				productId: line.productId,
+				variantId: line.variantId || null,
+				...allocation
+			}));
+		}
+
+		if (batchAllocations.length) {
+			await this.orderRepository.update(order._id, { $push: { batchAllocations: { $each: batchAllocations } } }, { session });
+		}
+	}
+
+	/**
+	 * Put stock that already left with an order back on hand
+	 * @param {Object} order - Order object
+	 * @param {Object} session - Mongoose session
+	 * @param {string} userId - User making the change
+	 * @private
+	 */
+	async _restockOrderItems(order, session, userId) {
+		// Items already taken back through return requests were restocked or written off then
+		const outstanding = order.items
+			.map(item => ({ item, quantity: this._getItemBilledQuantity(item) - (item.returnedQuantity || 0) }))
+			.filter(line => line.quantity > 0);
+
+		await this.restockReturnedItems(order, outstanding, { session, userId });
+
+		// Returned stock goes back into the batches it came from, unless some of it already went back
+		const partlyReturned = order.items.some(item => item.returnedQuantity > 0);
+		if (this.stockBatchRepository && !partlyReturned && order.batchAllocations && order.batchAllocations.length) {
+			await this.stockBatchRepository.restore(order.batchAllocations, { session });
+			await this.orderRepository.update(order._id, { batchAllocations: [] }, { session });
+		}
+	}
+
+	/**
+	 * Put part of an order's items back on hand, e.g. goods accepted back through a return request
+	 * @param {Object} order - Order the items left with
+	 * @param {Array} lines - Lines to restock ({ item, quantity } with quantity in the item's unit)
+	 * @param {Object} options - Options (session, userId, note)
+	 */
+	async restockReturnedItems(order, lines, options = {}) {
+		const { session, userId, note = `Returned from order ${order.orderNumber}` } = options;
+
+		// Override the billed quantity so stock and bundle components follow the returned quantity
+		const items = lines.map(line => ({ ...line.item, fulfilledQuantity: line.quantity }));
+
+		for (const line of this._getOrderStockLines(items)) {
+			await this.productRepository.updateStock(line.productId, line.quantity, {
+				session,
+				variantId: line.variantId,
+				locationId: order.fulfilmentLocationId || undefined,
+				reason: 'return',
+				orderId: order._id,
+				userId,
+				note
+			});
+		}
+	}
+
+	/**
+	 * Break order items down into the stock they hold, expanding bundles into their components
+	 * @param {Array} items - Order items
+	 * @returns {Array<Object>} Stock lines ({ productId, variantId, name, quantity } in stock units)
+	 * @private
+	 */
+	_getOrderStockLines(items) {
+		return items.flatMap(item => {
+			if (!item.components || !item.components.length) {
+				return [{
+					productId: item.productId,
+					variantId: item.variantId,
+					name: item.name,
+					quantity: this._getItemStockQuantity(item)
+				}];
+			}
+
+			const bundles = this._getItemBilledQuantity(item);
+			return item.components.map(component => ({
+				productId: component.productId,
+				variantId: component.variantId,
+				name: `${component.name} (${item.name})`,
+				quantity: Math.round(bundles * component.stockQuantity * 1e6) / 1e6
+			}));
+		});
+	}
+
+	/**
+	 * Follow up a status change another service saved as part of its own transaction
+	 * (e.g. a shipment going out): promotions, invoice and events
+	 * @param {Object} previousOrder - Order before the change
+	 * @param {Object} order - Updated order
+	 * @param {string} userId - User making the change
+	 */
+	async afterStatusChange(previousOrder, order, userId = null) {
+		await this._onStatusChanged(previousOrder, order, userId);
+	}
+
+	/**
+	 * Follow up an order moving to a new status: promotions, invoice and events
+	 * (stock moves inside the status update itself)
+	 * @param {Object} previousOrder - Order before the change
+	 * @param {Object} order - Updated order
+	 * @param {string} userId - User making the change
+	 * @private
+	 */
+	async _onStatusChanged(previousOrder, order, userId = null) {
+		const from = previousOrder.status;
+		const to = order.status;
+
+		// A cancelled order no longer counts towards its promotions' usage limits
+		if (to === 'cancelled' && this.promotionService) {
+			await this.promotionService.reverseRedemptions(order._id);
+		}
+
+		// The invoice is void while the order is cancelled
+		if (to === 'cancelled') {
+			await this._syncInvoiceStatus(order, 'cancelled');
+		} else if (from === 'cancelled') {
+			await this._syncInvoiceStatus(order, 'pending');
+		}
+
+		this.eventDispatcher.dispatch(eventTypes.ORDER_STATUS_CHANGED, {
+			orderId: order._id,
+			orderNumber: order.orderNumber,
+			clientId: order.clientId,
+			previousStatus: from,
+			status: to,
+			updatedBy: userId,
+			timestamp: new Date()
+		});
+
+		if (to === 'delivered') {
+			this.eventDispatcher.dispatch(eventTypes.ORDER_COMPLETED, {
+				orderId: order._id,
+				orderNumber: order.orderNumber,
+				clientId: order.clientId,
+				totalAmount: order.totalAmount,
+				timestamp: new Date()
+			});
+		}
+	}
+
+	/**
+	 * Follow up an order's payment moving to a new status: settle the invoice and raise an event
+	 * @param {Object} previousOrder - Order before the change
+	 * @param {Object} order - Updated order
+	 * @param {string} userId - User making the change
+	 * @private
+	 */
+	async _onPaymentStatusChanged(previousOrder, order, userId = null) {
+		if (order.paymentStatus === 'paid' && order.invoiceId) {
+			try {
+				const invoice = await InvoiceService.getInvoiceById(order.invoiceId);
+				const balance = Math.round(((invoice.totalAmount || 0) - (invoice.paidAmount || 0)) * 100) / 100;
+
+				if (balance > 0) {
+					await InvoiceService.recordPayment(order.invoiceId, {
+						amount: balance,
+						method: INVOICE_PAYMENT_METHODS[order.paymentMethod] || 'other',
+						reference: order.paymentReference || '',
+						notes: `Order ${order.orderNumber} marked as paid`
+					});
+				}
+			} catch (error) {
+				// The payment status stands; the invoice can be settled by hand
+				this.logger.error(`Error settling invoice for order ${order._id}: ${error.message}`);
+			}
+		}
+
+		this.eventDispatcher.dispatch(eventTypes.ORDER_PAYMENT_STATUS_CHANGED, {
+			orderId: order._id,
+			orderNumber: order.orderNumber,
+			previousPaymentStatus: previousOrder.paymentStatus,
+			paymentStatus: order.paymentStatus,
+			updatedBy: userId,
+			timestamp: new Date()
+		});
+	}
+
+	/**
+	 * Move an order's invoice to a status, leaving paid invoices alone
+	 * @param {Object} order - Order
+	 * @param {string} status - Invoice status ('cancelled' or 'pending')
+	 * @private
+	 */
+	async _syncInvoiceStatus(order, status) {
+		if (!order.invoiceId) {
+			return;
+		}
+
+		try {
+			const invoice = await InvoiceService.getInvoiceById(order.invoiceId);
+
+			// Only reopen invoices the cancellation voided
+			const shouldUpdate = status === 'cancelled'
+				? !['paid', 'cancelled'].includes(invoice.status)
+				: invoice.status === 'cancelled';
+
+			if (shouldUpdate) {
+				await InvoiceService.updateInvoiceStatus(order.invoiceId, status);
+			}
+		} catch (error) {
+			// The order status stands; the invoice can be corrected by hand
+			this.logger.error(`Error updating invoice for order ${order._id}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Work out what a status change means for the order's stock
+	 * @param {Object} order - Order before the change
+	 * @param {string} newStatus - Status being applied
+	 * @returns {string|null} Stock action ('commit', 'release', 'restock', 'reserve') or null
+	 * @private
+	 */
+	_getStockTransition(order, newStatus) {
+		const stockStatus = order.stockStatus || 'none';
+
+		if (stockStatus === 'reserved') {
+			if (['shipped', 'delivered'].includes(newStatus)) return 'commit';
+			if (['cancelled', 'returned'].includes(newStatus)) return 'release';
+		}
+
+		if (stockStatus === 'committed' && newStatus === 'returned') {
+			return 'restock';
+		}
+
+		// A cancelled order being reopened needs its stock held again
+		if (stockStatus === 'released' && ['pending', 'processing'].includes(newStatus)) {
+			return 'reserve';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Apply the stock side of a status change
+	 * @param {Object} order - Order before the change
+	 * @param {string} newStatus - Status being applied
+	 * @param {Object} session - Mongoose session
+	 * @param {string} userId - User making the change
+	 * @returns {Promise<string>} New stock status of the order
+	 * @private
+	 */
+	async _applyStockTransition(order, newStatus, session, userId) {
+		switch (this._getStockTransition(order, newStatus)) {
+			case 'commit':
+				await this._commitOrderStock(order, session, userId);
+				return 'committed';
+			case 'release':
+				await this._releaseOrderStock(order.items, session);
+				return 'released';
+			case 'restock':
+				await this._restockOrderItems(order, session, userId);
+				return 'released';
+			case 'reserve':
+				await this._reserveOrderStock(order.items, session);
+				return 'reserved';
+			default:
+				return order.stockStatus;
+		}
+	}
+
+	/**
+	 * Create invoice for order
+	 * @param {Object} order - Order object
+	 * @param {Object} clientInfo - Client information
+	 * @returns {Promise<Object>} Created invoice
+	 * @private
+	 */
+	async createOrderInvoice(order, clientInfo) {
+		try {
+			// // Don't create invoice for orders with TBD amounts
+			// if (order.totalAmount === 'TBD' || order.deliveryFeePending) {
+			// 	this.logger.info(`Skipping invoice creation for order ${order.orderNumber} - delivery fee pending`);
+			// 	return null;
+			// }
+			const invoiceData = {
+				orderId: order._id,
+				clientId: order.clientId,
+				clientInfo: {
+					name: clientInfo.name,
+					email: clientInfo.email,
+					phone: clientInfo.phone,
+					address: clientInfo.address
+				},
+				items: this._buildInvoiceItems(order.items),
+				subtotal: order.subtotal,
+				...this._buildInvoiceTax(order),
+				discount: order.discountAmount || 0,
+				deliveryFee: typeof order.shippingCost === 'number' ? order.shippingCost : 0,
+				paymentTerms: order.paymentTerms || 'Payment due within 7 days',
+				notes: order.notes || `Order #${order.orderNumber}`,
+				status: 'pending'
+			};
+
+			return await InvoiceService.createInvoice(invoiceData);
+		} catch (error) {
+			this.logger.error(`Error creating invoice for order ${order._id}: ${error.message}`);
+			// Return null instead of throwing to not break order creation
+			return null;
+		}
+	}
+
+	/**
+	 * Map order items to invoice items, billing weighed items at their actual quantity
+	 * @param {Array} items - Order items
+	 * @returns {Array} Invoice items
+	 * @private
+	 */
+	_buildInvoiceItems(items) {
+		return items.map(item => {
+			const quantity = this._getItemBilledQuantity(item);
+
+			const invoiceItem = {
+				productId: item.productId,
+				name: item.variant ? `${item.name} (${item.variant})` : item.name,
+				quantity,
+				stockUnit: item.unit || 'piece',
+				unitPrice: item.price,
+				totalPrice: item.totalPrice || (quantity * item.price),
+				taxRate: item.taxRate || 0,
+				taxAmount: item.taxAmount || 0,
+				taxExempt: Boolean(item.taxExempt)
+			};
+
+			if (item.itemiseComponents && item.components && item.components.length) {
+				invoiceItem.components = item.components.map(component => ({
+					productId: component.productId,
+					name: component.name,
+					quantity: Math.round(quantity * component.quantity * 1000) / 1000,
+					unit: component.unit
+				}));
+			}
+
+			return invoiceItem;
+		});
+	}
+
+	/**
+	 * Get the tax fields an order's invoice carries
+	 * @param {Object} order - Order object
+	 * @returns {Object} Invoice tax fields
+	 * @private
+	 */
+	_buildInvoiceTax(order) {
+		return {
+			tax: order.taxAmount || 0,
+			includedTax: order.includedTaxAmount || 0,
+			pricesIncludeTax: Boolean(order.pricesIncludeTax),
+			taxBreakdown: order.taxBreakdown || []
+		};
+	}
+
+	/**
+	 * Send order created email notifications
+	 * @param {Object} order - Order object
+	 * @param {Object} clientInfo - Client information
+	 * @param {Object} invoice - Invoice object (can be null for TBD orders)
+	 * @private
+	 */
+	async sendOrderCreatedEmails(order, clientInfo, invoice) {
+		try {
+			let invoicePdf = null;
+
+			// Generate invoice PDF only if invoice exists
+			if (invoice) {
+				invoicePdf = await InvoiceService.generateInvoicePDF(invoice._id);
+			}
+
+			// Send email to customer
+			if (clientInfo.email) {
+				await this.sendOrderEmailToCustomer(order, clientInfo, invoice, invoicePdf);
+			}
+
+			// Send email to admins
+			await this.sendOrderEmailToAdmins(order, clientInfo, invoice, invoicePdf);
+
+		} catch (error) {
+			this.logger.error(`Error sending order emails: ${error.message}`);
+			// Don't throw error here as order creation should succeed even if email fails
+		}
+	}
+
+	/**
+	 * Send delivery fee updated email notifications
+	 * @param {Object} order - Order object
+	 * @param {Object} clientInfo - Client information
+	 * @param {Object} invoice - Invoice object
+	 * @param {number} deliveryFee - Updated delivery fee
+	 * @param {string} deliveryService - Delivery service name
+	 * @private
+	 */
+	async sendDeliveryFeeUpdatedEmails(order, clientInfo, invoice, deliveryFee, deliveryService) {
+		try {
+			let invoicePdf = null;
 
 			if (invoice) {
 				invoicePdf = await InvoiceService.generateInvoicePDF(invoice._id);
@@ -884,6 +1881,138 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Send the customer their adjusted total after weighing
+	 * @param {Object} order - Order object
+	 * @param {Object} clientInfo - Client information
+	 * @param {Object} invoice - Invoice object (can be null while delivery fee is pending)
+	 * @param {Array} adjustments - Weighed item adjustments
+	 * @param {number|string} previousTotal - Order total before weighing
+	 * @private
+	 */
+	async sendWeightAdjustmentEmails(order, clientInfo, invoice, adjustments, previousTotal) {
+		try {
+			if (!clientInfo.email) {
+				return;
+			}
+
+			let invoicePdf = null;
+
+			if (invoice) {
+				invoicePdf = await InvoiceService.generateInvoicePDF(invoice._id);
+			}
+
+			const attachments = [];
+			if (invoicePdf) {
+				attachments.push({
+					filename: `Updated-Invoice-${invoice.invoiceNumber}.pdf`,
+					content: invoicePdf,
+					contentType: 'application/pdf'
+				});
+			}
+
+			await EmailService.sendEmail({
+				to: clientInfo.email,
+				subject: `Final Amount for Order #${order.orderNumber} - SheCares`,
+				html: this.generateWeightAdjustmentEmailTemplate(order, clientInfo, invoice, adjustments, previousTotal),
+				attachments
+			});
+
+			this.logger.info(`Weight adjustment email sent to customer: ${clientInfo.email}`);
+		} catch (error) {
+			this.logger.error(`Error sending weight adjustment email: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Generate weight adjustment email template
+	 * @param {Object} order - Order object
+	 * @param {Object} clientInfo - Client information
+	 * @param {Object} invoice - Invoice object (can be null)
+	 * @param {Array} adjustments - Weighed item adjustments
+	 * @param {number|string} previousTotal - Order total before weighing
+	 * @returns {string} HTML email template
+	 * @private
+	 */
+	generateWeightAdjustmentEmailTemplate(order, clientInfo, invoice, adjustments, previousTotal) {
+		const formatAmount = amount => typeof amount === 'number' ? `₦${amount.toLocaleString()}` : amount;
+
+		const itemsHtml = adjustments.map(adjustment => `
+			<tr>
+				<td style="padding: 10px; border-bottom: 1px solid #eee;">${adjustment.name}</td>
+				<td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${adjustment.orderedQuantity}${adjustment.unit}</td>
+				<td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${adjustment.fulfilledQuantity}${adjustment.unit}</td>
+				<td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">₦${adjustment.newTotal.toLocaleString()}</td>
+			</tr>
+		`).join('');
+
+		return `
+			<!DOCTYPE html>
+			<html>
+			<head>
+				<meta charset="utf-8">
+				<title>Final Order Amount</title>
+			</head>
+			<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+				<div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+					<div style="text-align: center; margin-bottom: 30px;">
+						<h1 style="color: #e91e63; margin-bottom: 10px;">SheCares</h1>
+						<h2 style="color: #666; margin-top: 0;">Your Items Have Been Weighed</h2>
+					</div>
+
+					<div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin-bottom: 20px; border-left: 4px solid #4caf50;">
+						<h3 style="margin-top: 0; color: #333;">Hello ${clientInfo.name},</h3>
+						<p>We've packed your order <strong>#${order.orderNumber}</strong>. Some items are sold by weight, so your total has been updated to match what was packed.</p>
+					</div>
+
+					<div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+						<h3 style="margin-top: 0; color: #333;">Weighed Items</h3>
+						<table style="width: 100%; border-collapse: collapse;">
+							<thead>
+								<tr style="background: #e91e63; color: white;">
+									<th style="padding: 10px; text-align: left;">Item</th>
+									<th style="padding: 10px; text-align: center;">Ordered</th>
+									<th style="padding: 10px; text-align: center;">Packed</th>
+									<th style="padding: 10px; text-align: right;">Amount</th>
+								</tr>
+							</thead>
+							<tbody>
+								${itemsHtml}
+							</tbody>
+						</table>
+					</div>
+
+					<div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+						<h3 style="margin-top: 0; color: #333;">Updated Order Summary</h3>
+						<div style="text-align: right;">
+							<p>Previous Total: ${formatAmount(previousTotal)}</p>
+							<p>Subtotal: ₦${order.subtotal.toLocaleString()}</p>
+							${order.deliveryFeePending ? '<p>Delivery Fee: To be confirmed</p>' : ''}
+							<p style="font-size: 20px; color: #e91e63; border-top: 2px solid #ddd; padding-top: 10px; margin-top: 15px;">
+								<strong>Final Total: ${order.deliveryFeePending ? `₦${order.subtotal.toLocaleString()} + delivery fee` : formatAmount(order.totalAmount)}</strong>
+							</p>
+						</div>
+					</div>
+
+					${invoice ? `
+					<div style="background: #fff3cd; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+						<h3 style="margin-top: 0; color: #333;">Payment Information</h3>
+						<p>Your updated invoice is attached to this email.</p>
+						<p><strong>Invoice Number:</strong> ${invoice.invoiceNumber}</p>
+						<p><strong>Payment Terms:</strong> ${invoice.paymentTerms}</p>
+					</div>
+					` : ''}
+
+					<div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+						<p style="color: #666;">Thank you for shopping with SheCares!</p>
+						<p style="color: #666;">For any questions, please contact us at support@shecares.com</p>
+					</div>
+				</div>
+			</body>
+			</html>
+		`;
+	}
+
 	/**
 	 * Send order email to customer
 	 * @param {Object} order - Order object
@@ -1369,18 +2498,93 @@ class OrderService {
 	 * @private
 	 */
 	/**
-	 * Validate order items and check stock availability
-	 * @param {Array} items - Order items
+	 * Work out an order's items after an edit: existing lines only take a new quantity or notes,
+	 * new lines are checked and priced like those of a new order
+	 * @param {Object} order - Order before the edit
+	 * @param {Array} items - Items as requested (existing lines by _id)
+	 * @returns {Promise<Array>} Items to save
+	 * @throws {ValidationError} Stock already picked or shipped, or an invalid item
+	 * @private
+	 */
+	async _prepareItemChanges(order, items) {
+		if (order.stockStatus === 'committed' || (order.items || []).some(item => item.shippedQuantity || item.returnedQuantity)) {
+			throw new ValidationError('Cannot change the items of an order whose stock has been picked or shipped');
+		}
+
+		const existing = new Map((order.items || []).map(item => [String(item._id), item]));
+		const added = this._pickOrderItemFields(items.filter(item => !item || !existing.has(String(item._id || item.id))));
+
+		if (added.length) {
+			await this.validateOrderItems(added, order.clientId?._id || order.clientId);
+		}
+
+		return items.map(item => {
+			const stored = item && existing.get(String(item._id || item.id));
+			if (!stored) {
+				return added.shift();
+			}
+
+			const quantity = item.quantity !== undefined ? Number(item.quantity) : stored.quantity;
+			if (!(quantity >= 1)) {
+				throw new ValidationError(`Quantity of "${stored.name}" must be at least 1`);
+			}
+
+			const edited = { ...stored, quantity, notes: item.notes !== undefined ? item.notes : stored.notes };
+			edited.totalPrice = Math.round(stored.price * this._getItemBilledQuantity(edited) * 100) / 100;
+			return edited;
+		});
+	}
+
+	/**
+	 * Pick the fields a client may set from each requested order item
+	 * @param {Array} items - Requested order items
+	 * @returns {Array} Order items holding only the allowed fields
+	 * @private
+	 */
+	_pickOrderItemFields(items) {
+		if (!Array.isArray(items)) {
+			return items;
+		}
+
+		return items.map(item => {
+			const fields = {};
+
+			ORDER_ITEM_FIELDS.forEach(field => {
+				if (item && item[field] !== undefined) {
+					fields[field] = item[field];
+				}
+			});
+
+			return fields;
+		});
+	}
+
+	/**
+	 * Validate order items, check stock availability and price them for the client
+	 * @param {Array} items - Order items (modified in place)
+	 * @param {string} clientId - Client the order is for, whose price lists apply (optional)
 	 * @throws {Error} Validation error
 	 * @private
 	 */
-	async validateOrderItems(items) {
+	async validateOrderItems(items, clientId = null) {
 		if (!items || !items.length) {
 			throw new Error('Order must contain at least one item');
 		}
 
+		const priceLists = clientId && this.priceListService
+			? await this.priceListService.getClientPriceLists(clientId)
+			: [];
+
 		// Check each product
 		for (const item of items) {
+			// New items are reserved and priced on the quantity ordered; packed weights come from the packing endpoint
+			delete item.fulfilledQuantity;
+			delete item.weighedAt;
+			delete item.weighedBy;
+			// Nothing has been shipped or returned on an order not yet placed
+			item.shippedQuantity = 0;
+			item.returnedQuantity = 0;
+
 			const product = await this.productRepository.findById(item.productId);
 
 			if (!product) {
@@ -1391,16 +2595,173 @@ class OrderService {
 				throw new Error(`Product "${product.name}" is not available`);
 			}
 
-			// Check stock
-			if (product.stockQuantity < item.quantity) {
-				throw new Error(`Insufficient stock for product "${product.name}": requested ${item.quantity}, available ${product.stockQuantity}`);
+			// Bundles hold their components' stock rather than their own
+			if (product.productType === 'bundle') {
+				const componentProducts = await this._prepareBundleOrderItem(item, product);
+				const bundlePrice = new Product(product).getBundlePrice(componentProducts);
+				this._priceOrderItem(item, { ...product, price: bundlePrice }, priceLists);
+				continue;
+			}
+
+			// Only bundles hold other products' stock
+			item.components = [];
+			item.itemiseComponents = false;
+
+			// Variants are sold and stocked as whole units with their own stock
+			const variant = this._resolveOrderItemVariant(item, product);
+			if (variant) {
+				item.isCatchWeight = false;
+				item.unit = item.unit || 'each';
+				item.stockUnitFactor = 1;
+
+				const requestedQuantity = this._getItemStockQuantity(item);
+				const availableQuantity = (variant.stockQuantity || 0) - (variant.reservedQuantity || 0);
+				if (availableQuantity < requestedQuantity) {
+					throw new Error(`Insufficient stock for product "${product.name}" (${variant.name || variant.key}): requested ${requestedQuantity}, available ${availableQuantity}`);
+				}
+
+				this._priceOrderItem(item, product, priceLists);
+				continue;
+			}
+
+			// Weight-priced items are re-priced once weighed during packing
+			item.isCatchWeight = CATCH_WEIGHT_UNITS.includes(product.pricingUnit);
+
+			// Work out how much stock one ordered unit uses (e.g. 500 g against stock counted in kg)
+			item.unit = item.unit || product.pricingUnit;
+			item.stockUnitFactor = unitConverter.getConversionFactor(item.unit, product.stockUnit || item.unit, product.unitConversions);
+			if (item.stockUnitFactor === null) {
+				throw new ValidationError(`Cannot convert ${item.unit} to ${product.stockUnit} for product "${product.name}": no conversion configured`);
+			}
+
+			// Check stock not already held by other orders
+			const requestedQuantity = this._getItemStockQuantity(item);
+			const availableQuantity = product.stockQuantity - (product.reservedQuantity || 0);
+			if (availableQuantity < requestedQuantity) {
+				throw new Error(`Insufficient stock for product "${product.name}": requested ${requestedQuantity}${product.stockUnit || ''}, available ${availableQuantity}${product.stockUnit || ''}`);
+			}
+
+			this._priceOrderItem(item, product, priceLists);
+		}
+	}
+
+	/**
+	 * Set an order item's price from the catalogue or the client's price lists, recording the list used
+	 * @param {Object} item - Order item with its unit and variant resolved (modified in place)
+	 * @param {Object} product - Product the item is for
+	 * @param {Array<Object>} priceLists - Price lists that apply to the client, highest priority first
+	 * @private
+	 */
+	_priceOrderItem(item, product, priceLists) {
+		// Prices are quoted per pricing unit (each for variants and bundles), items may be ordered in another
+		const pricingQuantity = item.variantId || product.productType === 'bundle'
+			? item.quantity
+			: unitConverter.toPricingUnits(product, item.quantity, item.unit);
+		const unitsPerItem = item.quantity ? pricingQuantity / item.quantity : 1;
+
+		const { price, listPrice, priceList } = new Product(product).getUnitPrice(item.variantId, pricingQuantity, priceLists);
+
+		item.price = Math.round(price * unitsPerItem * 100) / 100;
+		item.listPrice = Math.round(listPrice * unitsPerItem * 100) / 100;
+		item.totalPrice = Math.round(item.price * item.quantity * 100) / 100;
+		item.priceList = priceList ? { priceListId: priceList.id, name: priceList.name } : null;
+	}
+
+	/**
+	 * Copy a bundle's components onto an order item and check their stock
+	 * @param {Object} item - Order item for the bundle (modified in place)
+	 * @param {Object} product - Bundle product
+	 * @returns {Promise<Map<string, Object>>} Component products keyed by ID
+	 * @throws {Error} Missing or unavailable component, or insufficient stock
+	 * @private
+	 */
+	async _prepareBundleOrderItem(item, product) {
+		const components = product.bundle?.components || [];
+		if (!components.length) {
+			throw new Error(`Bundle "${product.name}" has no components`);
+		}
+
+		item.isCatchWeight = false;
+		item.unit = item.unit || 'each';
+		item.stockUnitFactor = 1;
+		item.itemiseComponents = !!product.bundle.itemiseOnInvoice;
+		item.components = [];
+		const componentProducts = new Map();
+
+		for (const component of components) {
+			const componentProduct = await this.productRepository.findById(component.productId);
+			if (!componentProduct) {
+				throw new Error(`Product with ID ${component.productId} in bundle "${product.name}" does not exist`);
+			}
+			componentProducts.set(componentProduct._id.toString(), componentProduct);
+
+			const variant = component.variantId
+				? (componentProduct.variants || []).find(v => v._id.toString() === component.variantId.toString())
+				: null;
+			if (component.variantId && !variant) {
+				throw new Error(`Variant "${component.variantId}" in bundle "${product.name}" does not exist`);
 			}
 
-			// Validate variant if specified
-			if (item.variant && !product.variants[item.variant]) {
-				throw new Error(`Variant "${item.variant}" does not exist for product "${product.name}"`);
+			const stockItem = variant || componentProduct;
+			if (!componentProduct.isAvailable || stockItem.isAvailable === false) {
+				throw new Error(`Product "${componentProduct.name}" in bundle "${product.name}" is not available`);
 			}
+
+			// Variants are stocked as whole units; products convert into their stock unit
+			const unit = variant ? 'each' : (component.unit || componentProduct.pricingUnit);
+			const stockQuantity = variant
+				? component.quantity
+				: unitConverter.toStockUnits(componentProduct, component.quantity, unit);
+
+			const requestedQuantity = Math.round(this._getItemBilledQuantity(item) * stockQuantity * 1e6) / 1e6;
+			const availableQuantity = (stockItem.stockQuantity || 0) - (stockItem.reservedQuantity || 0);
+			if (availableQuantity < requestedQuantity) {
+				throw new Error(`Insufficient stock for product "${componentProduct.name}" in bundle "${product.name}": requested ${requestedQuantity}, available ${availableQuantity}`);
+			}
+
+			item.components.push({
+				productId: componentProduct._id,
+				variantId: variant ? variant._id : null,
+				name: variant ? `${componentProduct.name} (${variant.name || variant.key})` : componentProduct.name,
+				quantity: component.quantity,
+				unit,
+				stockQuantity
+			});
+		}
+
+		return componentProducts;
+	}
+
+	/**
+	 * Find the variant an order item refers to and stamp its ID and label on the item
+	 * @param {Object} item - Order item (variantId, or a variant key in variant)
+	 * @param {Object} product - Product the item belongs to
+	 * @returns {Object|null} Variant, or null when the item is for the base product
+	 * @throws {Error} Unknown or unavailable variant
+	 * @private
+	 */
+	_resolveOrderItemVariant(item, product) {
+		const lookup = item.variantId || item.variant;
+		if (!lookup) {
+			return null;
 		}
+
+		const variant = (product.variants || []).find(v =>
+			v._id.toString() === lookup.toString() || v.key === lookup
+		);
+
+		if (!variant) {
+			throw new Error(`Variant "${lookup}" does not exist for product "${product.name}"`);
+		}
+
+		if (variant.isAvailable === false) {
+			throw new Error(`Variant "${variant.name || variant.key}" of product "${product.name}" is not available`);
+		}
+
+		item.variantId = variant._id;
+		item.variant = variant.name || variant.key;
+
+		return variant;
 	}
 	/**
 	 * Generate delivery fee update admin email template (completion)
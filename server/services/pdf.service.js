@@ -179,6 +179,9 @@ class PDFService {
 			// Financial Information
 			subtotal,
 			tax,
+			includedTax: invoiceData.includedTax || 0,
+			pricesIncludeTax: Boolean(invoiceData.pricesIncludeTax),
+			taxBreakdown: invoiceData.taxBreakdown || [],
 			deliveryFee,
 			discount,
 			totalAmount,
@@ -281,9 +284,58 @@ class PDFService {
 	async generateDeliveryNote(deliveryData) {
 		const templateData = this._prepareTemplateData({
 			...deliveryData,
-			documentType: 'DELIVERY NOTE'
+			documentType: 'DELIVERY NOTE',
+			clientInfo: deliveryData.clientInfo && {
+				...deliveryData.clientInfo,
+				address: this._formatAddress(deliveryData.clientInfo.address)
+			}
+		});
+		return await this._generatePDFFromTemplate('delivery-note', {
+			...templateData,
+			// The default notes are about quoted prices, which a delivery note does not show
+			notes: deliveryData.notes || ''
+		});
+	}
+
+	/**
+	 * Generate purchase order PDF
+	 * @param {Object} purchaseOrderData - Purchase order with its supplier
+	 * @returns {Promise<Buffer>} PDF buffer
+	 */
+	async generatePurchaseOrder(purchaseOrderData) {
+		const supplier = purchaseOrderData.supplier || {};
+		const contact = (supplier.contacts || []).find(c => c.isPrimary) || (supplier.contacts || [])[0];
+
+		const templateData = this._prepareTemplateData({
+			...purchaseOrderData,
+			documentType: 'PURCHASE ORDER',
+			invoiceNumber: purchaseOrderData.poNumber,
+			issueDate: purchaseOrderData.sentAt || purchaseOrderData.createdAt,
+			dueDate: purchaseOrderData.expectedDeliveryDate,
+			deliveryFee: purchaseOrderData.shippingCost,
+			clientInfo: {
+				name: supplier.name,
+				contactName: contact ? contact.name : '',
+				address: this._formatAddress(supplier.address),
+				email: (contact && contact.email) || supplier.email || '',
+				phone: (contact && contact.phone) || supplier.phone || ''
+			},
+			items: (purchaseOrderData.items || []).map(item => ({
+				name: item.name,
+				supplierSku: item.supplierSku,
+				quantity: item.quantityOrdered,
+				unit: item.unit,
+				unitPrice: item.unitCost,
+				totalPrice: item.totalCost
+			}))
+		});
+
+		return await this._generatePDFFromTemplate('purchase-order', {
+			...templateData,
+			notes: purchaseOrderData.notes || '',
+			paymentTerms: supplier.paymentTerms || '',
+			currency: purchaseOrderData.currency || 'NGN'
 		});
-		return await this._generatePDFFromTemplate('delivery-note', templateData);
 	}
 
 	/**
@@ -0,0 +1,461 @@
+// src/services/price-change.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+
+/**
+ * @class PriceChangeService
+ * @description Keeps the price history of products and variants, applies future-dated price changes
+ * when they fall due and answers which price applied at a given date
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceChangeService {
+	/**
+	 * Create a new PriceChangeService instance
+	 * @param {Object} priceChangeRepository - Price change repository instance
+	 * @param {Object} productRepository - Product repository instance
+	 * @param {Object} eventDispatcher - Event dispatcher
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(priceChangeRepository, productRepository, eventDispatcher, logger) {
+		this.priceChangeRepository = priceChangeRepository;
+		this.productRepository = productRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Record the price changes between two versions of a product (its own price and each variant's)
+	 * @param {Object|null} before - Product before the change (null for a new product)
+	 * @param {Object} after - Product after the change
+	 * @param {Object} details - Change details (userId, source, note, session)
+	 * @returns {Promise<Array<Object>>} Recorded changes
+	 */
+	async recordProductChanges(before, after, details = {}) {
+		const now = new Date();
+		const changes = [];
+		const source = details.source || (before ? 'manual' : 'initial');
+
+		const compare = (variantId, previousPrice, price) => {
+			if (price === undefined || price === null || previousPrice === price) {
+				return;
+			}
+
+			changes.push({
+				productId: after._id,
+				variantId,
+				price,
+				previousPrice: previousPrice ?? null,
+				effectiveFrom: now,
+				appliedAt: now,
+				status: 'applied',
+				source: previousPrice === undefined || previousPrice === null ? 'initial' : source,
+				note: details.note,
+				changedBy: details.userId || undefined
+			});
+		};
+
+		compare(null, before ? before.price : null, after.price);
+
+		(after.variants || []).forEach(variant => {
+			const previous = before && (before.variants || []).find(v => v._id.toString() === variant._id.toString());
+			compare(variant._id, previous ? previous.price : null, variant.price);
+		});
+
+		const recorded = [];
+		for (const change of changes) {
+			recorded.push(await this.priceChangeRepository.create(change, { session: details.session }));
+		}
+
+		if (recorded.length) {
+			this.eventDispatcher.dispatch(eventTypes.PRODUCT_PRICE_CHANGED, {
+				productId: after._id,
+				changes: recorded.map(change => ({
+					variantId: change.variantId,
+					previousPrice: change.previousPrice,
+					price: change.price
+				})),
+				timestamp: now
+			});
+		}
+
+		return recorded;
+	}
+
+	/**
+	 * Schedule a price change for a product or variant; one due now is applied straight away
+	 * @param {string} productId - Product ID
+	 * @param {Object} changeData - Change data ({ price, effectiveFrom, variantId, note })
+	 * @param {string} userId - ID of the user scheduling the change
+	 * @returns {Promise<Object>} Scheduled (or applied) change
+	 * @throws {NotFoundError} Product or variant not found
+	 * @throws {ValidationError} Product priced from its components
+	 */
+	async schedulePriceChange(productId, changeData, userId) {
+		try {
+			const product = await this._getProduct(productId);
+			const variantId = changeData.variantId || null;
+
+			this._getPriceHolder(product, variantId);
+
+			const change = await this.priceChangeRepository.create({
+				productId: product._id,
+				variantId,
+				price: parseFloat(changeData.price),
+				effectiveFrom: changeData.effectiveFrom ? new Date(changeData.effectiveFrom) : new Date(),
+				status: 'scheduled',
+				source: 'scheduled',
+				note: changeData.note,
+				changedBy: userId
+			});
+
+			if (change.effectiveFrom <= new Date()) {
+				return await this._applyChange(change);
+			}
+
+			this.eventDispatcher.dispatch(eventTypes.PRICE_CHANGE_SCHEDULED, {
+				priceChangeId: change._id,
+				productId: change.productId,
+				variantId: change.variantId,
+				price: change.price,
+				effectiveFrom: change.effectiveFrom,
+				timestamp: new Date()
+			});
+
+			return change;
+		} catch (error) {
+			this.logger.error(`Error scheduling price change for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Cancel a scheduled price change
+	 * @param {string} changeId - Price change ID
+	 * @param {string} userId - ID of the user cancelling
+	 * @returns {Promise<Object>} Cancelled change
+	 * @throws {NotFoundError} Price change not found
+	 * @throws {ValidationError} Change is no longer scheduled
+	 */
+	async cancelPriceChange(changeId, userId) {
+		try {
+			const change = await this.priceChangeRepository.findById(changeId);
+			if (!change) {
+				throw new NotFoundError(`Price change with ID ${changeId} not found`);
+			}
+
+			if (change.status !== 'scheduled') {
+				throw new ValidationError(`Only scheduled price changes can be cancelled; this one is ${change.status}`);
+			}
+
+			const cancelled = await this.priceChangeRepository.update(changeId, {
+				status: 'cancelled',
+				cancelledAt: new Date(),
+				cancelledBy: userId
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.PRICE_CHANGE_CANCELLED, {
+				priceChangeId: changeId,
+				productId: change.productId,
+				timestamp: new Date()
+			});
+
+			return cancelled;
+		} catch (error) {
+			this.logger.error(`Error cancelling price change ${changeId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get upcoming price changes
+	 * @param {Object} options - Filters and pagination (productId, variantId, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated scheduled changes, soonest first
+	 */
+	async getScheduledChanges(options = {}) {
+		return this.priceChangeRepository.getPriceChanges({ ...options, status: 'scheduled' });
+	}
+
+	/**
+	 * Get the price history of a product
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Filters and pagination (variantId, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated applied changes, latest first
+	 * @throws {NotFoundError} Product not found
+	 */
+	async getPriceHistory(productId, options = {}) {
+		await this._getProduct(productId);
+
+		return this.priceChangeRepository.getPriceChanges({
+			...options,
+			productId,
+			status: 'applied'
+		});
+	}
+
+	/**
+	 * Get the price of a product (or variant) that applied at a date
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Options (variantId, date)
+	 * @returns {Promise<Object>} Price at the date ({ productId, variantId, date, price, effectiveFrom })
+	 * @throws {NotFoundError} Product or variant not found
+	 */
+	async getPriceAt(productId, options = {}) {
+		const product = await this._getProduct(productId);
+		const variantId = options.variantId || null;
+		this._getPriceHolder(product, variantId);
+
+		const date = options.date ? new Date(options.date) : new Date();
+		const [price] = await this.getPricesAt([{ productId: product._id, variantId, product }], date);
+
+		return price;
+	}
+
+	/**
+	 * Get the prices that applied at a date for several products (or variants)
+	 * @param {Array<Object>} items - Items ({ productId, variantId }, optionally with the current product)
+	 * @param {Date} date - Date of interest
+	 * @returns {Promise<Array<Object>>} Per item: { productId, variantId, date, price, effectiveFrom },
+	 * price being null when the product had no price yet
+	 */
+	async getPricesAt(items, date) {
+		const productIds = items.map(item => this._id(item.productId));
+		const changes = await this.priceChangeRepository.getChangesAround(productIds, date);
+		const byKey = new Map(changes.map(change => [this._key(change.productId, change.variantId), change]));
+
+		// Products without any history still carry the price they have always had
+		const missing = items.filter(item => !item.product && !byKey.has(this._key(item.productId, item.variantId)));
+		const products = missing.length
+			? await this.productRepository.find({ _id: { $in: missing.map(item => this._id(item.productId)) } }, { select: 'price variants._id variants.price createdAt' })
+			: [];
+		const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+		return items.map(item => {
+			const productId = this._id(item.productId);
+			const variantId = item.variantId || null;
+			const change = byKey.get(this._key(productId, variantId));
+			const result = { productId, variantId, date, price: null, effectiveFrom: null };
+
+			if (change && change.before) {
+				result.price = change.before.price;
+				result.effectiveFrom = change.before.effectiveFrom;
+			} else if (change && change.after) {
+				// The first change after the date says what the price was before it
+				result.price = change.after.previousPrice;
+			} else {
+				const product = item.product || productsById.get(productId.toString());
+				const holder = product && (variantId
+					? (product.variants || []).find(v => v._id.toString() === variantId.toString())
+					: product);
+				result.price = holder ? holder.price : null;
+			}
+
+			return result;
+		});
+	}
+
+	/**
+	 * Add the price that applied at a date to each line of an order or invoice
+	 * @param {Array<Object>} items - Lines with a productId (populated or not) and optional variantId
+	 * @param {Date|string} date - Date of interest
+	 * @returns {Promise<Array<Object>>} Lines with `priceAtDate` ({ date, price, effectiveFrom })
+	 * @throws {ValidationError} Invalid date
+	 */
+	async annotateItems(items = [], date) {
+		const at = new Date(date);
+		if (isNaN(at.getTime())) {
+			throw new ValidationError('Price date must be a valid date');
+		}
+
+		const priced = items.filter(item => item.productId);
+		if (!priced.length) {
+			return items;
+		}
+
+		const prices = await this.getPricesAt(priced.map(item => ({ productId: item.productId, variantId: item.variantId })), at);
+
+		return items.map(item => {
+			const index = priced.indexOf(item);
+			if (index === -1) {
+				return item;
+			}
+
+			const { price, effectiveFrom } = prices[index];
+			return { ...item, priceAtDate: { date: at, price, effectiveFrom } };
+		});
+	}
+
+	/**
+	 * Apply every scheduled change that has fallen due
+	 * @param {Date} now - Current time
+	 * @returns {Promise<Object>} Counts ({ applied, failed })
+	 */
+	async applyDueChanges(now = new Date()) {
+		try {
+			const due = await this.priceChangeRepository.findDue(now);
+			let applied = 0;
+			let failed = 0;
+
+			for (const change of due) {
+				try {
+					const result = await this._applyChange(change);
+					if (result.status === 'applied') {
+						applied++;
+					} else if (result.status === 'failed') {
+						failed++;
+					}
+				} catch (error) {
+					failed++;
+					this.logger.error(`Error applying price change ${change._id}: ${error.message}`);
+				}
+			}
+
+			if (applied || failed) {
+				this.logger.info(`Scheduled price changes: ${applied} applied, ${failed} failed`);
+			}
+
+			return { applied, failed };
+		} catch (error) {
+			this.logger.error(`Error applying scheduled price changes: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Set the price of a scheduled change on its product or variant
+	 * @param {Object} change - Scheduled change
+	 * @returns {Promise<Object>} Change after applying (status applied, or failed when its target is gone)
+	 * @private
+	 */
+	async _applyChange(change) {
+		const product = await this.productRepository.findById(change.productId);
+		const holder = product && this._findPriceHolder(product, change.variantId);
+
+		if (!holder || this._isPricedFromComponents(product)) {
+			return this.priceChangeRepository.update(change._id, {
+				status: 'failed',
+				failureReason: !product
+					? 'Product no longer exists'
+					: (!holder ? 'Variant no longer exists' : 'Product is priced from its bundle components')
+			});
+		}
+
+		const appliedAt = new Date();
+
+		const applied = await this.productRepository.withTransaction(async (session) => {
+			const marked = await this.priceChangeRepository.markApplied(change._id, {
+				previousPrice: holder.price,
+				appliedAt
+			}, { session });
+
+			// Another run applied (or someone cancelled) it in the meantime
+			if (!marked) {
+				return null;
+			}
+
+			if (change.variantId) {
+				await this.productRepository.updateVariant(product._id, change.variantId, { price: change.price }, { session });
+			} else {
+				await this.productRepository.update(product._id, { price: change.price, updatedAt: appliedAt }, { session });
+			}
+
+			return marked;
+		});
+
+		if (!applied) {
+			return this.priceChangeRepository.findById(change._id);
+		}
+
+		this.eventDispatcher.dispatch(eventTypes.PRODUCT_PRICE_CHANGED, {
+			productId: product._id,
+			changes: [{ variantId: change.variantId, previousPrice: holder.price, price: change.price }],
+			priceChangeId: change._id,
+			timestamp: appliedAt
+		});
+
+		return applied;
+	}
+
+	/**
+	 * Get a product or fail
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Object>} Product
+	 * @throws {NotFoundError} Product not found
+	 * @private
+	 */
+	async _getProduct(productId) {
+		const product = await this.productRepository.findById(productId);
+		if (!product) {
+			throw new NotFoundError(`Product with ID ${productId} not found`);
+		}
+		return product;
+	}
+
+	/**
+	 * Get the product or variant a price belongs to, or fail
+	 * @param {Object} product - Product
+	 * @param {string} variantId - Variant ID (null for the product's own price)
+	 * @returns {Object} Product or variant
+	 * @throws {NotFoundError} Variant not found
+	 * @throws {ValidationError} Product priced from its components
+	 * @private
+	 */
+	_getPriceHolder(product, variantId) {
+		if (!variantId && this._isPricedFromComponents(product)) {
+			throw new ValidationError(`${product.name} is priced from its bundle components and has no price of its own`);
+		}
+
+		const holder = this._findPriceHolder(product, variantId);
+		if (!holder) {
+			throw new NotFoundError(`Variant ${variantId} not found for product ${product._id}`);
+		}
+		return holder;
+	}
+
+	/**
+	 * Find the product or variant a price belongs to
+	 * @param {Object} product - Product
+	 * @param {string} variantId - Variant ID (null for the product's own price)
+	 * @returns {Object|undefined} Product or variant
+	 * @private
+	 */
+	_findPriceHolder(product, variantId) {
+		return variantId
+			? (product.variants || []).find(v => v._id.toString() === variantId.toString())
+			: product;
+	}
+
+	/**
+	 * Whether a product's price is worked out from its bundle components
+	 * @param {Object} product - Product
+	 * @returns {boolean} Whether the product is a discount bundle
+	 * @private
+	 */
+	_isPricedFromComponents(product) {
+		return product.productType === 'bundle' && product.bundle?.pricingMode === 'discount';
+	}
+
+	/**
+	 * Get the ID of a possibly populated reference
+	 * @param {Object|string} ref - ID or populated document
+	 * @returns {string} ID
+	 * @private
+	 */
+	_id(ref) {
+		return ref && ref._id ? ref._id : ref;
+	}
+
+	/**
+	 * Key a product and variant pair
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID
+	 * @returns {string} Key
+	 * @private
+	 */
+	_key(productId, variantId) {
+		return `${productId}:${variantId || ''}`;
+	}
+}
+
+module.exports = PriceChangeService;
@@ -0,0 +1,234 @@
+// src/services/price-list.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const PriceList = require('../domain/models/price-list.model');
+const Product = require('../domain/models/product.model');
+const unitConverter = require('../utils/unit-converter');
+
+/**
+ * @class PriceListService
+ * @description Service layer for customer price lists and the prices they give each client
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PriceListService {
+	/**
+	 * Create a new PriceListService instance
+	 * @param {Object} priceListRepository - Price list repository instance
+	 * @param {Object} clientRepository - Client repository, for the tags lists are assigned through
+	 * @param {Object} productRepository - Product repository
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(priceListRepository, clientRepository, productRepository, eventDispatcher, logger) {
+		this.priceListRepository = priceListRepository;
+		this.clientRepository = clientRepository;
+		this.productRepository = productRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Create a price list
+	 * @param {Object} priceListData - Price list data (name, description, clientIds, clientTags, discountPercent, rules, priority, validFrom, validTo)
+	 * @returns {Promise<Object>} Created price list
+	 * @throws {ValidationError} Rule for a missing product or variant
+	 */
+	async createPriceList(priceListData) {
+		try {
+			await this._checkRules(priceListData.rules || []);
+
+			const priceList = await this.priceListRepository.create({ ...priceListData, isActive: priceListData.isActive !== false });
+
+			this.eventDispatcher.dispatch(eventTypes.PRICE_LIST_CREATED, {
+				priceListId: priceList._id,
+				name: priceList.name,
+				timestamp: new Date()
+			});
+
+			return priceList;
+		} catch (error) {
+			this.logger.error(`Error creating price list: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get price lists with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, clientId, clientTag, productId, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated price lists
+	 */
+	async getPriceLists(options = {}) {
+		return this.priceListRepository.getPriceLists(options);
+	}
+
+	/**
+	 * Get price list by ID
+	 * @param {string} priceListId - Price list ID
+	 * @returns {Promise<Object>} Price list
+	 * @throws {NotFoundError} Price list not found
+	 */
+	async getPriceListById(priceListId) {
+		const priceList = await this.priceListRepository.findById(priceListId, {
+			populate: [
+				{ path: 'clientIds', select: 'name email phone tags' },
+				{ path: 'rules.productId', select: 'name sku price pricingUnit variants' }
+			]
+		});
+
+		if (!priceList) {
+			throw new NotFoundError(`Price list with ID ${priceListId} not found`);
+		}
+
+		return priceList;
+	}
+
+	/**
+	 * Update a price list; rules sent replace the existing ones
+	 * @param {string} priceListId - Price list ID
+	 * @param {Object} updateData - Fields to update
+	 * @returns {Promise<Object>} Updated price list
+	 * @throws {NotFoundError|ValidationError} Not found, or rule for a missing product or variant
+	 */
+	async updatePriceList(priceListId, updateData) {
+		try {
+			const existing = await this.priceListRepository.findById(priceListId);
+			if (!existing) {
+				throw new NotFoundError(`Price list with ID ${priceListId} not found`);
+			}
+
+			if (updateData.rules) {
+				await this._checkRules(updateData.rules);
+			}
+
+			const priceList = await this.priceListRepository.update(priceListId, updateData);
+
+			this.eventDispatcher.dispatch(eventTypes.PRICE_LIST_UPDATED, {
+				priceListId,
+				updatedFields: Object.keys(updateData),
+				timestamp: new Date()
+			});
+
+			return priceList;
+		} catch (error) {
+			this.logger.error(`Error updating price list ${priceListId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a price list; orders keep the prices they were given
+	 * @param {string} priceListId - Price list ID
+	 * @returns {Promise<boolean>} Whether the price list was deleted
+	 * @throws {NotFoundError} Price list not found
+	 */
+	async deletePriceList(priceListId) {
+		try {
+			const priceList = await this.priceListRepository.findById(priceListId);
+			if (!priceList) {
+				throw new NotFoundError(`Price list with ID ${priceListId} not found`);
+			}
+
+			const result = await this.priceListRepository.delete(priceListId);
+
+			if (result) {
+				this.eventDispatcher.dispatch(eventTypes.PRICE_LIST_DELETED, {
+					priceListId,
+					name: priceList.name,
+					timestamp: new Date()
+				});
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error deleting price list ${priceListId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the price lists that apply to a client at a date
+	 * @param {string} clientId - Client ID (clients registered as users have no tags)
+	 * @param {Date} date - Date of the sale
+	 * @returns {Promise<Array<PriceList>>} Price lists, highest priority first
+	 */
+	async getClientPriceLists(clientId, date = new Date()) {
+		const client = await this.clientRepository.findById(clientId);
+		const tags = client ? client.tags || [] : [];
+
+		const priceLists = await this.priceListRepository.findForClient(clientId, tags);
+
+		return priceLists
+			.map(priceList => new PriceList(priceList))
+			.filter(priceList => priceList.appliesTo({ _id: clientId, tags }, date));
+	}
+
+	/**
+	 * Work out what a client pays for some items
+	 * @param {string} clientId - Client ID
+	 * @param {Array<Object>} items - Items ({ productId, variantId, quantity, unit })
+	 * @returns {Promise<Array<Object>>} Per item: unit price, catalogue price and the price list used
+	 * @throws {NotFoundError} Product or variant not found
+	 */
+	async getClientPrices(clientId, items = []) {
+		const priceLists = await this.getClientPriceLists(clientId);
+		const prices = [];
+
+		for (const item of items) {
+			const product = await this.productRepository.findById(item.productId);
+			if (!product) {
+				throw new NotFoundError(`Product with ID ${item.productId} not found`);
+			}
+
+			const productModel = new Product(product);
+			if (item.variantId && !productModel.getVariant(item.variantId)) {
+				throw new NotFoundError(`Variant "${item.variantId}" not found for product "${product.name}"`);
+			}
+
+			const quantity = parseFloat(item.quantity) || 1;
+			const unit = item.variantId ? 'each' : (item.unit || product.pricingUnit);
+			const pricingQuantity = item.variantId ? quantity : unitConverter.toPricingUnits(product, quantity, unit);
+			const { price, listPrice, priceList } = productModel.getUnitPrice(item.variantId, pricingQuantity, priceLists);
+
+			prices.push({
+				productId: product._id,
+				variantId: item.variantId || null,
+				quantity,
+				unit,
+				pricingUnit: item.variantId ? 'each' : product.pricingUnit,
+				listPrice,
+				price,
+				totalPrice: Math.round(price * pricingQuantity * 100) / 100,
+				priceList: priceList ? { priceListId: priceList.id, name: priceList.name } : null
+			});
+		}
+
+		return prices;
+	}
+
+	/**
+	 * Check that every rule points at an existing product and variant
+	 * @param {Array<Object>} rules - Price list rules
+	 * @throws {ValidationError} Rule for a missing product or variant
+	 * @private
+	 */
+	async _checkRules(rules) {
+		const productIds = [...new Set(rules.map(rule => String(rule.productId)))];
+		const products = await this.productRepository.find({ _id: { $in: productIds } }, { select: 'name variants._id' });
+		const productsById = new Map(products.map(product => [String(product._id), product]));
+
+		rules.forEach((rule, index) => {
+			const product = productsById.get(String(rule.productId));
+			if (!product) {
+				throw new ValidationError(`Rule ${index + 1}: product ${rule.productId} does not exist`);
+			}
+
+			if (rule.variantId && !(product.variants || []).some(v => String(v._id) === String(rule.variantId))) {
+				throw new ValidationError(`Rule ${index + 1}: variant ${rule.variantId} does not exist for "${product.name}"`);
+			}
+		});
+	}
+}
+
+module.exports = PriceListService;
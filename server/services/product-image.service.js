@@ -0,0 +1,347 @@
+// src/services/product-image.service.js
+
+const path = require('path');
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+
+const STORAGE_TYPE = 'products';
+
+/**
+ * @class ProductImageService
+ * @description Processes product image uploads into standard sizes, manages their order and default
+ * image, and removes image files no product uses any more
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ProductImageService {
+	/**
+	 * Create a new ProductImageService instance
+	 * @param {Object} productRepository - Product repository instance
+	 * @param {Object} fileStorage - File storage for the resized images
+	 * @param {Object} imageProcessor - Image processor for resizing and converting uploads
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(productRepository, fileStorage, imageProcessor, logger) {
+		this.productRepository = productRepository;
+		this.fileStorage = fileStorage;
+		this.imageProcessor = imageProcessor;
+		this.logger = logger;
+	}
+
+	/**
+	 * Resize and store uploaded images, ready to go on a product. Files stored before a failure are removed.
+	 * @param {Array<Object>} files - Uploaded files ({ originalname, buffer })
+	 * @param {Object} options - Image details (alt)
+	 * @returns {Promise<Array<Object>>} Image entries ({ url, alt, isDefault, width, height, sizes })
+	 * @throws {ValidationError} A file is not a supported image
+	 */
+	async storeImages(files = [], options = {}) {
+		const images = [];
+
+		try {
+			for (const file of files) {
+				images.push(await this._storeImage(file, options.alt));
+			}
+
+			return images;
+		} catch (error) {
+			await this.deleteImageFiles(images);
+			this.logger.error(`Error storing product images: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Add uploaded images to a product
+	 * @param {string} productId - Product ID
+	 * @param {Array<Object>} files - Uploaded files
+	 * @param {Object} options - Image details (alt, makeDefault to make the first new image the default)
+	 * @returns {Promise<Array<Object>>} Product images
+	 * @throws {NotFoundError} Product not found
+	 * @throws {ValidationError} No files or a file is not a supported image
+	 */
+	async addImages(productId, files = [], options = {}) {
+		try {
+			if (!files.length) {
+				throw new ValidationError('At least one image is required');
+			}
+
+			const product = await this._getProduct(productId);
+			const added = await this.storeImages(files, { alt: options.alt || product.name });
+
+			if (options.makeDefault === true || options.makeDefault === 'true') {
+				added[0].isDefault = true;
+			}
+
+			const images = this.withDefault([...(product.images || []).map(image => this._toPlain(image)), ...added], added[0]);
+
+			try {
+				const updated = await this.productRepository.update(productId, { images });
+				return updated.images;
+			} catch (error) {
+				await this.deleteImageFiles(added);
+				throw error;
+			}
+		} catch (error) {
+			this.logger.error(`Error adding images to product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Remove an image from a product and delete its files
+	 * @param {string} productId - Product ID
+	 * @param {string} imageId - Image ID
+	 * @returns {Promise<Array<Object>>} Remaining product images
+	 * @throws {NotFoundError} Product or image not found
+	 */
+	async removeImage(productId, imageId) {
+		try {
+			const product = await this._getProduct(productId);
+			const image = this._getImage(product, imageId);
+
+			const images = this.withDefault(
+				product.images
+					.filter(other => other._id.toString() !== imageId.toString())
+					.map(other => this._toPlain(other))
+			);
+
+			const updated = await this.productRepository.update(productId, { images });
+			await this.deleteImageFiles([image]);
+
+			return updated.images;
+		} catch (error) {
+			this.logger.error(`Error removing image ${imageId} from product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Put a product's images in a new order
+	 * @param {string} productId - Product ID
+	 * @param {Array<string>} imageIds - Every image ID of the product, in the new order
+	 * @returns {Promise<Array<Object>>} Product images in their new order
+	 * @throws {NotFoundError} Product not found
+	 * @throws {ValidationError} The IDs are not exactly the product's images
+	 */
+	async reorderImages(productId, imageIds) {
+		try {
+			const product = await this._getProduct(productId);
+			const images = product.images || [];
+			const ids = (Array.isArray(imageIds) ? imageIds : []).map(String);
+
+			const matches = ids.length === images.length &&
+				new Set(ids).size === ids.length &&
+				ids.every(id => images.some(image => image._id.toString() === id));
+
+			if (!matches) {
+				throw new ValidationError('Image IDs must list every image of the product exactly once');
+			}
+
+			const reordered = ids.map(id => this._toPlain(images.find(image => image._id.toString() === id)));
+			const updated = await this.productRepository.update(productId, { images: reordered });
+
+			return updated.images;
+		} catch (error) {
+			this.logger.error(`Error reordering images of product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Make one of a product's images its default image
+	 * @param {string} productId - Product ID
+	 * @param {string} imageId - Image ID
+	 * @returns {Promise<Array<Object>>} Product images
+	 * @throws {NotFoundError} Product or image not found
+	 */
+	async setDefaultImage(productId, imageId) {
+		try {
+			const product = await this._getProduct(productId);
+			this._getImage(product, imageId);
+
+			const images = product.images.map(image => ({
+				...this._toPlain(image),
+				isDefault: image._id.toString() === imageId.toString()
+			}));
+
+			const updated = await this.productRepository.update(productId, { images });
+			return updated.images;
+		} catch (error) {
+			this.logger.error(`Error setting default image of product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Make sure exactly one image is the default
+	 * @param {Array<Object>} images - Images
+	 * @param {Object} preferred - Image to keep as default when several are marked
+	 * @returns {Array<Object>} Images with a single default (the first one if none was marked)
+	 */
+	withDefault(images, preferred = null) {
+		if (!images.length) {
+			return images;
+		}
+
+		let defaultImage = preferred && preferred.isDefault ? preferred : images.find(image => image.isDefault);
+		defaultImage = defaultImage || images[0];
+
+		return images.map(image => ({ ...image, isDefault: image === defaultImage }));
+	}
+
+	/**
+	 * Delete the stored files of images
+	 * @param {Array<Object>} images - Images
+	 * @returns {Promise<number>} Number of files deleted
+	 */
+	async deleteImageFiles(images = []) {
+		const paths = images.flatMap(image => (image.sizes || []).map(size => size.path));
+		if (!paths.length) {
+			return 0;
+		}
+
+		return this.fileStorage.deleteFiles(paths);
+	}
+
+	/**
+	 * Delete the files of images a product no longer has
+	 * @param {Array<Object>} before - Images before the change
+	 * @param {Array<Object>} after - Images after the change
+	 * @returns {Promise<number>} Number of files deleted
+	 */
+	async releaseRemovedImages(before = [], after = []) {
+		const kept = new Set(after.flatMap(image => (image.sizes || []).map(size => size.path)));
+
+		const removed = before
+			.map(image => ({ sizes: (image.sizes || []).filter(size => !kept.has(size.path)) }))
+			.filter(image => image.sizes.length);
+
+		return this.deleteImageFiles(removed);
+	}
+
+	/**
+	 * Delete product image files no product refers to, such as those of failed or abandoned uploads
+	 * @param {number} graceMinutes - Files younger than this are kept
+	 * @returns {Promise<Object>} Counts ({ scanned, deleted })
+	 */
+	async cleanupOrphanedFiles(graceMinutes = 60) {
+		try {
+			const cutoff = Date.now() - graceMinutes * 60 * 1000;
+			const files = await this.fileStorage.listFiles(STORAGE_TYPE);
+
+			const products = await this.productRepository.find(
+				{ 'images.0': { $exists: true } },
+				{ select: 'images.url images.sizes.path' }
+			);
+			const images = products.flatMap(product => product.images || []);
+			const referenced = new Set(images.flatMap(image => (image.sizes || []).map(size => size.path)));
+			// Images uploaded before resizing was added point straight at the raw file
+			const legacyNames = new Set(images.filter(image => image.url).map(image => path.basename(image.url)));
+
+			const orphans = files.filter(file =>
+				!referenced.has(file.url) &&
+				!legacyNames.has(file.filename) &&
+				new Date(file.modifiedAt).getTime() < cutoff
+			);
+			const deleted = await this.fileStorage.deleteFiles(orphans.map(file => file.url));
+
+			if (deleted) {
+				this.logger.info(`Deleted ${deleted} orphaned product image files`);
+			}
+
+			return { scanned: files.length, deleted };
+		} catch (error) {
+			this.logger.error(`Error cleaning up product image files: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Resize one upload and store every size
+	 * @param {Object} file - Uploaded file
+	 * @param {string} alt - Alternative text
+	 * @returns {Promise<Object>} Image entry
+	 * @private
+	 */
+	async _storeImage(file, alt) {
+		const processed = await this.imageProcessor.process(file.buffer, STORAGE_TYPE);
+		const basename = path.basename(file.originalname || 'image', path.extname(file.originalname || ''));
+		const sizes = [];
+
+		try {
+			for (const output of processed.outputs) {
+				const extension = output.format === 'jpeg' ? 'jpg' : output.format;
+				const saved = await this.fileStorage.saveFile(output.buffer, `${basename}-${output.name}.${extension}`, STORAGE_TYPE);
+
+				sizes.push({
+					name: output.name,
+					format: output.format,
+					url: this.fileStorage.getPublicUrl(saved.url),
+					path: saved.url,
+					width: output.width,
+					height: output.height,
+					size: saved.size
+				});
+			}
+		} catch (error) {
+			await this.deleteImageFiles([{ sizes }]);
+			throw error;
+		}
+
+		const full = sizes.find(size => size.name === 'full' && size.format === 'jpeg') ||
+			sizes.find(size => size.name === 'full') ||
+			sizes[0];
+
+		return {
+			url: full.url,
+			alt,
+			isDefault: false,
+			width: processed.width,
+			height: processed.height,
+			sizes
+		};
+	}
+
+	/**
+	 * Get a product or fail
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Object>} Product
+	 * @throws {NotFoundError} Product not found
+	 * @private
+	 */
+	async _getProduct(productId) {
+		const product = await this.productRepository.findById(productId);
+		if (!product) {
+			throw new NotFoundError(`Product with ID ${productId} not found`);
+		}
+		return product;
+	}
+
+	/**
+	 * Get one of a product's images or fail
+	 * @param {Object} product - Product
+	 * @param {string} imageId - Image ID
+	 * @returns {Object} Image
+	 * @throws {NotFoundError} Image not found
+	 * @private
+	 */
+	_getImage(product, imageId) {
+		const image = (product.images || []).find(other => other._id && other._id.toString() === imageId.toString());
+		if (!image) {
+			throw new NotFoundError(`Image with ID ${imageId} not found on product ${product._id}`);
+		}
+		return image;
+	}
+
+	/**
+	 * Copy an image without Mongoose internals so it can be saved back
+	 * @param {Object} image - Stored image
+	 * @returns {Object} Plain image
+	 * @private
+	 */
+	_toPlain(image) {
+		return typeof image.toObject === 'function' ? image.toObject() : { ...image };
+	}
+}
+
+module.exports = ProductImageService;
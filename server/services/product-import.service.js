@@ -0,0 +1,551 @@
+// src/services/product-import.service.js
+
+const path = require('path');
+const { ValidationError } = require('../utils/error-handler');
+const csv = require('../utils/csv');
+const unitConverter = require('../utils/unit-converter');
+const productValidator = require('../domain/validators/product.validator');
+const eventTypes = require('../domain/events/event-types');
+
+// Columns written on export and recognised on import, in file order
+const COLUMNS = [
+	{ field: 'sku', header: 'SKU' },
+	{ field: 'name', header: 'Name' },
+	{ field: 'category', header: 'Category' },
+	{ field: 'description', header: 'Description' },
+	{ field: 'price', header: 'Price', type: 'number' },
+	{ field: 'pricingUnit', header: 'Pricing Unit', type: 'unit' },
+	{ field: 'costPrice', header: 'Cost Price', type: 'number' },
+	{ field: 'stockUnit', header: 'Stock Unit', type: 'unit' },
+	{ field: 'stockQuantity', header: 'Stock Quantity', type: 'number' },
+	{ field: 'lowStockThreshold', header: 'Low Stock Threshold', type: 'number' },
+	{ field: 'isAvailable', header: 'Available', type: 'boolean' },
+	{ field: 'tags', header: 'Tags', type: 'list' }
+];
+
+const FORMATS = {
+	csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+	xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const EXPORT_PAGE_SIZE = 100;
+
+/**
+ * @class ProductImportService
+ * @description Imports products from CSV/XLSX files (upserting by SKU) and exports the product list
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ProductImportService {
+	/**
+	 * Create a new ProductImportService instance
+	 * @param {Object} productService - Product service for creating, updating and listing products
+	 * @param {Object} productRepository - Product repository for matching SKUs
+	 * @param {Object} categoryRepository - Category repository for resolving category names and slugs
+	 * @param {Object} eventDispatcher - Event dispatcher
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(productService, productRepository, categoryRepository, eventDispatcher, logger) {
+		this.productService = productService;
+		this.productRepository = productRepository;
+		this.categoryRepository = categoryRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Import products from a CSV or XLSX file, creating new SKUs and updating existing ones. Nothing
+	 * is written on a dry run, or when any row is invalid unless invalid rows are skipped.
+	 * @param {Object} file - Uploaded file ({ originalname, mimetype, buffer })
+	 * @param {Object} options - Import options (mapping of field to column header, dryRun, skipInvalid, sheet)
+	 * @param {string} userId - ID of the user importing
+	 * @returns {Promise<Object>} Report with a summary and the outcome of each row
+	 * @throws {ValidationError} Unreadable file or invalid column mapping
+	 */
+	async importProducts(file, options = {}, userId) {
+		try {
+			if (!file || !file.buffer) {
+				throw new ValidationError('A CSV or XLSX file is required');
+			}
+
+			const format = this._detectFormat(file);
+			const [headerRow = [], ...dataRows] = await this._readRows(file.buffer, format, options.sheet);
+
+			if (!dataRows.length) {
+				throw new ValidationError('The file has no product rows');
+			}
+
+			const headers = headerRow.map(header => String(header ?? '').trim());
+			const columns = this._resolveMapping(headers, options.mapping);
+			const categories = await this._loadCategories();
+
+			const skus = dataRows
+				.map(cells => String(cells[columns.sku] ?? '').trim())
+				.filter(Boolean);
+			const existing = await this.productRepository.find({ sku: { $in: skus } }, { select: '_id sku' });
+			const existingBySku = new Map(existing.map(product => [product.sku, product]));
+
+			const seen = new Set();
+			const rows = dataRows.map((cells, index) => {
+				// Spreadsheet row number, the header being row 1
+				const row = this._buildRow(cells, columns, categories, existingBySku, seen);
+				return { row: index + 2, ...row };
+			});
+
+			const summary = {
+				format,
+				totalRows: rows.length,
+				valid: rows.filter(row => !row.errors).length,
+				invalid: rows.filter(row => row.errors).length,
+				toCreate: rows.filter(row => !row.errors && row.action === 'create').length,
+				toUpdate: rows.filter(row => !row.errors && row.action === 'update').length
+			};
+
+			const dryRun = options.dryRun === true || options.dryRun === 'true';
+			const skipInvalid = options.skipInvalid === true || options.skipInvalid === 'true';
+
+			if (dryRun || (summary.invalid && !skipInvalid)) {
+				return {
+					dryRun,
+					applied: false,
+					summary,
+					rows: rows.map(({ data, productId, ...row }) => (dryRun ? { ...row, data } : row))
+				};
+			}
+
+			const results = await this._applyRows(rows, userId);
+
+			summary.created = results.filter(row => row.result === 'created').length;
+			summary.updated = results.filter(row => row.result === 'updated').length;
+			summary.failed = results.filter(row => row.result === 'failed').length;
+			summary.skipped = results.filter(row => row.result === 'skipped').length;
+
+			this.eventDispatcher.dispatch(eventTypes.PRODUCTS_IMPORTED, {
+				format,
+				created: summary.created,
+				updated: summary.updated,
+				failed: summary.failed,
+				userId,
+				timestamp: new Date()
+			});
+
+			return {
+				dryRun: false,
+				applied: true,
+				summary,
+				rows: results
+			};
+		} catch (error) {
+			this.logger.error(`Error importing products: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Export the products matching the product list filters
+	 * @param {Object} filters - Same filters as the product list (categoryId, isAvailable, search, priceMin, priceMax, tags)
+	 * @param {Object} options - Export options (format: csv or xlsx, sort)
+	 * @returns {Promise<Object>} File to send ({ filename, contentType, content, count })
+	 * @throws {ValidationError} Unsupported format
+	 */
+	async exportProducts(filters = {}, options = {}) {
+		try {
+			const format = (options.format || 'csv').toLowerCase();
+			if (!FORMATS[format]) {
+				throw new ValidationError('Export format must be csv or xlsx');
+			}
+
+			const products = [];
+			let page = 1;
+			let pages = 1;
+
+			do {
+				const result = await this.productService.getProducts(filters, {
+					page,
+					limit: EXPORT_PAGE_SIZE,
+					sort: options.sort
+				});
+
+				products.push(...result.data);
+				pages = result.pagination.pages;
+				page++;
+			} while (page <= pages);
+
+			const rows = [
+				COLUMNS.map(column => column.header),
+				...products.map(product => this._toExportRow(product))
+			];
+
+			const content = format === 'xlsx'
+				? await this._writeWorkbook(rows)
+				: Buffer.from(csv.stringify(rows), 'utf8');
+
+			return {
+				filename: `products-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`,
+				contentType: FORMATS[format].contentType,
+				content,
+				count: products.length
+			};
+		} catch (error) {
+			this.logger.error(`Error exporting products: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Turn one file row into product data, validated as a create or an update
+	 * @param {Array} cells - Row cells
+	 * @param {Object} columns - Column index per field
+	 * @param {Map} categories - Category ID per lower-cased ID, name and slug
+	 * @param {Map} existingBySku - Existing products by SKU
+	 * @param {Set} seen - SKUs met in earlier rows
+	 * @returns {Object} Row outcome ({ sku, name, action, productId, data, errors })
+	 * @private
+	 */
+	_buildRow(cells, columns, categories, existingBySku, seen) {
+		const data = {};
+		const errors = {};
+
+		Object.entries(columns).forEach(([field, index]) => {
+			const column = COLUMNS.find(c => c.field === field);
+
+			try {
+				const value = this._parseCell(cells[index], column);
+				if (value !== undefined) {
+					data[field] = value;
+				}
+			} catch (error) {
+				errors[field] = error.message;
+			}
+		});
+
+		const sku = data.sku;
+		if (!sku) {
+			errors.sku = 'SKU is required to match the product';
+		} else if (seen.has(sku)) {
+			errors.sku = `SKU ${sku} appears more than once in the file`;
+		} else {
+			seen.add(sku);
+		}
+
+		if (data.category !== undefined) {
+			const categoryId = categories.get(data.category.toLowerCase());
+			if (categoryId) {
+				data.categoryId = categoryId;
+			} else {
+				errors.categoryId = `Category "${data.category}" not found`;
+			}
+			delete data.category;
+		}
+
+		const existing = sku ? existingBySku.get(sku) : null;
+		const action = existing ? 'update' : 'create';
+
+		// The validator knows stock as `stock`
+		const validation = existing
+			? productValidator.validateUpdate({ ...data, stock: data.stockQuantity })
+			: productValidator.validateCreate({ ...data, stock: data.stockQuantity });
+
+		Object.entries(validation.errors).forEach(([field, message]) => {
+			const key = field === 'stock' ? 'stockQuantity' : field;
+			if (!errors[key]) {
+				errors[key] = message;
+			}
+		});
+
+		return {
+			sku,
+			name: data.name,
+			action,
+			productId: existing ? existing._id : null,
+			data,
+			errors: Object.keys(errors).length ? errors : undefined
+		};
+	}
+
+	/**
+	 * Create or update the product of each valid row, one row at a time
+	 * @param {Array<Object>} rows - Built rows
+	 * @param {string} userId - ID of the user importing
+	 * @returns {Promise<Array<Object>>} Rows with their result (created, updated, failed or skipped)
+	 * @private
+	 */
+	async _applyRows(rows, userId) {
+		const results = [];
+
+		for (const { data, productId, ...row } of rows) {
+			if (row.errors) {
+				results.push({ ...row, result: 'skipped' });
+				continue;
+			}
+
+			try {
+				const product = row.action === 'update'
+					? await this.productService.updateProduct(productId, { ...data, updatedBy: userId })
+					: await this.productService.createProduct({ ...data, createdBy: userId });
+
+				results.push({
+					...row,
+					productId: product._id || product.id,
+					result: row.action === 'update' ? 'updated' : 'created'
+				});
+			} catch (error) {
+				results.push({ ...row, result: 'failed', errors: { row: error.message } });
+			}
+		}
+
+		return results;
+	}
+
+	/**
+	 * Work out which column holds each field, from the mapping given or by matching header names
+	 * @param {Array<string>} headers - Header row
+	 * @param {Object|string} mapping - Field to header mapping (JSON when sent as a form field)
+	 * @returns {Object} Column index per field
+	 * @throws {ValidationError} Invalid mapping or no SKU column
+	 * @private
+	 */
+	_resolveMapping(headers, mapping) {
+		let requested = mapping || {};
+
+		if (typeof requested === 'string') {
+			try {
+				requested = JSON.parse(requested);
+			} catch (error) {
+				throw new ValidationError('Column mapping must be valid JSON');
+			}
+		}
+
+		const normalise = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+		const normalisedHeaders = headers.map(normalise);
+		const columns = {};
+
+		for (const column of COLUMNS) {
+			if (requested[column.field] !== undefined) {
+				const index = normalisedHeaders.indexOf(normalise(requested[column.field]));
+				if (index === -1) {
+					throw new ValidationError(`Column "${requested[column.field]}" mapped to ${column.field} is not in the file`);
+				}
+				columns[column.field] = index;
+				continue;
+			}
+
+			const index = normalisedHeaders.findIndex(header =>
+				header === normalise(column.field) || header === normalise(column.header)
+			);
+			if (index !== -1) {
+				columns[column.field] = index;
+			}
+		}
+
+		const unknown = Object.keys(requested).filter(field => !COLUMNS.some(column => column.field === field));
+		if (unknown.length) {
+			throw new ValidationError(`Unknown fields in column mapping: ${unknown.join(', ')}`);
+		}
+
+		if (columns.sku === undefined) {
+			throw new ValidationError('The file needs a SKU column to match products');
+		}
+
+		return columns;
+	}
+
+	/**
+	 * Convert a cell to the field's type
+	 * @param {*} value - Cell value
+	 * @param {Object} column - Column definition
+	 * @returns {*} Field value, or undefined for an empty cell
+	 * @throws {Error} Value of the wrong type
+	 * @private
+	 */
+	_parseCell(value, column) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
+
+		if (typeof value === 'number' && column.type === 'number') {
+			return value;
+		}
+
+		const text = String(value).trim();
+		if (text === '') {
+			return undefined;
+		}
+
+		switch (column.type) {
+			case 'number': {
+				// Allow thousands separators ("1,250.50") but not decimal commas, which are ambiguous
+				const number = Number(/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text);
+				if (isNaN(number)) {
+					throw new Error(`${column.header} must be a number`);
+				}
+				return number;
+			}
+			case 'boolean': {
+				if (['true', 'yes', 'y', '1'].includes(text.toLowerCase())) return true;
+				if (['false', 'no', 'n', '0'].includes(text.toLowerCase())) return false;
+				throw new Error(`${column.header} must be yes or no`);
+			}
+			case 'unit': {
+				if (!unitConverter.isSupportedUnit(text)) {
+					throw new Error(`${column.header} "${text}" is not a supported unit`);
+				}
+				return text;
+			}
+			case 'list':
+				return text.split(/[,;|]/).map(item => item.trim()).filter(Boolean);
+			default:
+				return text;
+		}
+	}
+
+	/**
+	 * Build a product's export row
+	 * @param {Object} product - Product with its category populated
+	 * @returns {Array} Cells in column order
+	 * @private
+	 */
+	_toExportRow(product) {
+		return COLUMNS.map(column => {
+			switch (column.field) {
+				case 'category':
+					return product.categoryId?.name || '';
+				case 'isAvailable':
+					return product.isAvailable === false ? 'no' : 'yes';
+				case 'tags':
+					return (product.tags || []).join(', ');
+				default:
+					return product[column.field] ?? '';
+			}
+		});
+	}
+
+	/**
+	 * Index categories by ID, lower-cased name and slug
+	 * @returns {Promise<Map>} Category ID per key
+	 * @private
+	 */
+	async _loadCategories() {
+		const categories = await this.categoryRepository.find({}, { select: '_id name slug' });
+		const lookup = new Map();
+
+		categories.forEach(category => {
+			lookup.set(category._id.toString().toLowerCase(), category._id);
+			if (category.slug) lookup.set(category.slug.toLowerCase(), category._id);
+			if (category.name) lookup.set(category.name.trim().toLowerCase(), category._id);
+		});
+
+		return lookup;
+	}
+
+	/**
+	 * Work out the file format from its extension or MIME type
+	 * @param {Object} file - Uploaded file
+	 * @returns {string} csv or xlsx
+	 * @throws {ValidationError} Unsupported file
+	 * @private
+	 */
+	_detectFormat(file) {
+		const extension = path.extname(file.originalname || '').toLowerCase();
+
+		if (extension === '.xlsx' || file.mimetype === FORMATS.xlsx.contentType) {
+			return 'xlsx';
+		}
+
+		if (extension === '.csv' || /csv/.test(file.mimetype || '')) {
+			return 'csv';
+		}
+
+		throw new ValidationError('Only CSV and XLSX files can be imported');
+	}
+
+	/**
+	 * Read a file's rows of cells
+	 * @param {Buffer} buffer - File contents
+	 * @param {string} format - csv or xlsx
+	 * @param {string} sheet - Worksheet name (XLSX only, the first sheet by default)
+	 * @returns {Promise<Array<Array>>} Rows, the header first
+	 * @throws {ValidationError} Unreadable file or missing worksheet
+	 * @private
+	 */
+	async _readRows(buffer, format, sheet) {
+		if (format === 'csv') {
+			return csv.parse(buffer.toString('utf8'));
+		}
+
+		const workbook = new (this._loadExcel().Workbook)();
+
+		try {
+			await workbook.xlsx.load(buffer);
+		} catch (error) {
+			throw new ValidationError(`Could not read the XLSX file: ${error.message}`);
+		}
+
+		const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+		if (!worksheet) {
+			throw new ValidationError(sheet ? `Worksheet "${sheet}" not found` : 'The XLSX file has no worksheets');
+		}
+
+		const rows = [];
+		worksheet.eachRow({ includeEmpty: false }, row => {
+			// Row values are 1-based
+			const cells = [];
+			for (let i = 1; i < row.values.length; i++) {
+				cells.push(this._cellValue(row.values[i]));
+			}
+			rows.push(cells);
+		});
+
+		return rows;
+	}
+
+	/**
+	 * Get the plain value of an XLSX cell (formula results, rich text and hyperlinks included)
+	 * @param {*} value - Cell value
+	 * @returns {*} Plain value
+	 * @private
+	 */
+	_cellValue(value) {
+		if (value instanceof Date) {
+			return value.toISOString();
+		}
+
+		if (value && typeof value === 'object') {
+			if (value.result !== undefined) return value.result;
+			if (value.richText) return value.richText.map(part => part.text).join('');
+			if (value.text !== undefined) return value.text;
+		}
+
+		return value;
+	}
+
+	/**
+	 * Write rows to an XLSX workbook
+	 * @param {Array<Array>} rows - Rows, the header first
+	 * @returns {Promise<Buffer>} Workbook contents
+	 * @private
+	 */
+	async _writeWorkbook(rows) {
+		const workbook = new (this._loadExcel().Workbook)();
+		const worksheet = workbook.addWorksheet('Products');
+
+		rows.forEach(row => worksheet.addRow(row));
+		worksheet.getRow(1).font = { bold: true };
+		worksheet.columns.forEach(column => {
+			column.width = 18;
+		});
+
+		return Buffer.from(await workbook.xlsx.writeBuffer());
+	}
+
+	/**
+	 * Load the XLSX library on first use; CSV imports and exports never need it
+	 * @returns {Object} exceljs module
+	 * @private
+	 */
+	_loadExcel() {
+		return require('exceljs');
+	}
+}
+
+module.exports = ProductImportService;
@@ -0,0 +1,200 @@
+// src/services/product-recommendation.service.js
+
+const { NotFoundError } = require('../utils/error-handler');
+
+const CO_PURCHASE_CACHE_KEY = 'recommendations:co-purchases';
+const RELATED_CACHE_PREFIX = 'recommendations:related:';
+
+// Product fields returned with each recommendation
+const PRODUCT_SUMMARY_FIELDS = 'name description sku price pricingUnit images categoryId tags isAvailable isFeatured salesCount';
+
+/**
+ * @class ProductRecommendationService
+ * @description Service layer for related products: those often bought in the same orders,
+ * topped up with similar products from the same category or with the same tags
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ProductRecommendationService {
+	/**
+	 * Create a new ProductRecommendationService instance
+	 * @param {Object} productRepository - Product repository instance
+	 * @param {Object} orderRepository - Order repository, for what was bought together
+	 * @param {Object} cacheManager - Cache for the co-purchase counts and related products
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Recommendation settings (lookbackDays, maxCoPurchases, cacheTtlMinutes)
+	 */
+	constructor(productRepository, orderRepository, cacheManager, logger, settings = {}) {
+		this.productRepository = productRepository;
+		this.orderRepository = orderRepository;
+		this.cacheManager = cacheManager;
+		this.logger = logger;
+		this.settings = {
+			lookbackDays: 180,
+			maxCoPurchases: 20,
+			cacheTtlMinutes: 120,
+			...settings
+		};
+		this._refreshing = null;
+	}
+
+	/**
+	 * Get the products related to a product: frequently bought together first, then similar ones
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Options (limit)
+	 * @returns {Promise<Array<Object>>} Related products with why each was picked (reason, orderCount)
+	 * @throws {NotFoundError} Product not found
+	 */
+	async getRelatedProducts(productId, { limit = 8 } = {}) {
+		const size = Math.min(Math.max(parseInt(limit, 10) || 8, 1), 50);
+
+		const product = await this.productRepository.findById(productId, { select: 'categoryId tags' });
+		if (!product) {
+			throw new NotFoundError(`Product with ID ${productId} not found`);
+		}
+
+		return this.cacheManager.getOrSet(
+			`${RELATED_CACHE_PREFIX}${productId}:${size}`,
+			() => this._findRelatedProducts(product, size),
+			this.settings.cacheTtlMinutes * 60
+		);
+	}
+
+	/**
+	 * Recount which products are bought together and drop cached related products
+	 * @returns {Promise<Object>} Number of products with co-purchase data
+	 */
+	async refreshCoPurchases() {
+		// Requests arriving while a recount runs wait for it instead of starting their own
+		if (!this._refreshing) {
+			this._refreshing = this._countCoPurchases().finally(() => {
+				this._refreshing = null;
+			});
+		}
+
+		const coPurchases = await this._refreshing;
+		return { products: Object.keys(coPurchases).length };
+	}
+
+	/**
+	 * Count co-purchases over the lookback window and cache them
+	 * @returns {Promise<Object>} Co-purchased products per product ID, most often bought together first
+	 * @private
+	 */
+	async _countCoPurchases() {
+		const since = new Date(Date.now() - this.settings.lookbackDays * 24 * 60 * 60 * 1000);
+		const pairs = await this.orderRepository.getCoPurchaseCounts({ since });
+
+		const coPurchases = {};
+		pairs.forEach(pair => {
+			const key = String(pair.productId);
+			(coPurchases[key] = coPurchases[key] || []).push({
+				productId: String(pair.relatedProductId),
+				orderCount: pair.orderCount
+			});
+		});
+
+		Object.keys(coPurchases).forEach(key => {
+			coPurchases[key] = coPurchases[key]
+				.sort((a, b) => b.orderCount - a.orderCount)
+				.slice(0, this.settings.maxCoPurchases);
+		});
+
+		this.cacheManager.set(CO_PURCHASE_CACHE_KEY, coPurchases, this.settings.cacheTtlMinutes * 60);
+		this.cacheManager.mdelete(this.cacheManager.getKeys().filter(key => key.startsWith(RELATED_CACHE_PREFIX)));
+
+		this.logger.info(`Co-purchase counts refreshed from ${pairs.length} product pairs`);
+
+		return coPurchases;
+	}
+
+	/**
+	 * Get the cached co-purchase counts, counting them first if the cache is empty
+	 * @returns {Promise<Object>} Co-purchased products per product ID
+	 * @private
+	 */
+	async _getCoPurchases() {
+		const cached = this.cacheManager.get(CO_PURCHASE_CACHE_KEY);
+		if (cached) {
+			return cached;
+		}
+
+		await this.refreshCoPurchases();
+		return this.cacheManager.get(CO_PURCHASE_CACHE_KEY) || {};
+	}
+
+	/**
+	 * Work out the related products for a product
+	 * @param {Object} product - Product (categoryId, tags)
+	 * @param {number} limit - Number of products wanted
+	 * @returns {Promise<Array<Object>>} Related products
+	 * @private
+	 */
+	async _findRelatedProducts(product, limit) {
+		const productId = String(product._id);
+		const coPurchased = ((await this._getCoPurchases())[productId] || []);
+
+		const related = [];
+
+		if (coPurchased.length) {
+			const products = await this.productRepository.find(
+				{ _id: { $in: coPurchased.map(entry => entry.productId) }, isAvailable: true },
+				{ select: PRODUCT_SUMMARY_FIELDS }
+			);
+			const productsById = new Map(products.map(p => [String(p._id), p]));
+
+			coPurchased.forEach(entry => {
+				const relatedProduct = productsById.get(entry.productId);
+				if (relatedProduct && related.length < limit) {
+					related.push({ ...relatedProduct, reason: 'frequently_bought_together', orderCount: entry.orderCount });
+				}
+			});
+		}
+
+		if (related.length < limit) {
+			const similar = await this._findSimilarProducts(product, [productId, ...related.map(p => String(p._id))], limit - related.length);
+			related.push(...similar.map(p => ({ ...p, reason: 'similar', orderCount: 0 })));
+		}
+
+		return related;
+	}
+
+	/**
+	 * Find products in the same category or sharing tags, most tags in common first
+	 * @param {Object} product - Product (categoryId, tags)
+	 * @param {Array<string>} excludeIds - Products already picked
+	 * @param {number} limit - Number of products wanted
+	 * @returns {Promise<Array<Object>>} Similar products
+	 * @private
+	 */
+	async _findSimilarProducts(product, excludeIds, limit) {
+		const tags = product.tags || [];
+		const similarity = [];
+
+		if (product.categoryId) {
+			similarity.push({ categoryId: product.categoryId });
+		}
+		if (tags.length) {
+			similarity.push({ tags: { $in: tags } });
+		}
+		if (!similarity.length) {
+			return [];
+		}
+
+		const candidates = await this.productRepository.find(
+			{ _id: { $nin: excludeIds }, isAvailable: true, $or: similarity },
+			{ select: PRODUCT_SUMMARY_FIELDS, sort: { salesCount: -1 }, limit: limit * 5 }
+		);
+
+		const score = candidate => (candidate.tags || []).filter(tag => tags.includes(tag)).length +
+			(product.categoryId && String(candidate.categoryId) === String(product.categoryId) ? 1 : 0);
+
+		return candidates
+			.map(candidate => ({ candidate, score: score(candidate) }))
+			.sort((a, b) => b.score - a.score || (b.candidate.salesCount || 0) - (a.candidate.salesCount || 0))
+			.slice(0, limit)
+			.map(entry => entry.candidate);
+	}
+}
+
+module.exports = ProductRecommendationService;
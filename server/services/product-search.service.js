@@ -0,0 +1,463 @@
+// src/services/product-search.service.js
+
+const mongoose = require('mongoose');
+const { tokenize, escapeRegex, expandTerm } = require('../utils/fuzzy-match');
+
+const VOCABULARY_CACHE_KEY = 'search:vocabulary';
+
+// Known terms a searched word may expand to; more only slows the query without helping
+const MAX_TERM_MATCHES = 10;
+
+const SORT_OPTIONS = {
+	relevance: { relevance: -1, salesCount: -1 },
+	price_asc: { price: 1 },
+	price_desc: { price: -1 },
+	popularity: { salesCount: -1 },
+	newest: { createdAt: -1 }
+};
+
+// Product fields returned with each search result
+const RESULT_FIELDS = {
+	name: 1,
+	description: 1,
+	sku: 1,
+	price: 1,
+	pricingUnit: 1,
+	images: 1,
+	categoryId: 1,
+	tags: 1,
+	attributes: 1,
+	isAvailable: 1,
+	isFeatured: 1,
+	salesCount: 1,
+	createdAt: 1,
+	availability: 1,
+	relevance: 1
+};
+
+/**
+ * @class ProductSearchService
+ * @description Service layer for product search: typo-tolerant matching on names and tags,
+ * with counts per category, price range, tag, availability and attribute next to the results
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ProductSearchService {
+	/**
+	 * Create a new ProductSearchService instance
+	 * @param {Object} productRepository - Product repository instance
+	 * @param {Object} cacheManager - Cache for the search vocabulary
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Search settings (priceRanges, maxTagFacets, vocabularyTtlMinutes)
+	 */
+	constructor(productRepository, cacheManager, logger, settings = {}) {
+		this.productRepository = productRepository;
+		this.cacheManager = cacheManager;
+		this.logger = logger;
+		this.settings = {
+			priceRanges: [0, 1000, 2500, 5000, 10000, 25000, 50000],
+			maxTagFacets: 30,
+			vocabularyTtlMinutes: 10,
+			...settings
+		};
+	}
+
+	/**
+	 * Search products and count the matches per facet
+	 * @param {Object} params - Search parameters (q, categoryId, minPrice, maxPrice, tags, availability,
+	 * attr.<name>, sort, page, limit); list parameters take comma-separated values
+	 * @returns {Promise<Object>} Results with pagination, facets and the terms each searched word matched
+	 */
+	async searchProducts(params = {}) {
+		try {
+			const page = Math.max(parseInt(params.page, 10) || 1, 1);
+			const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), 100);
+
+			const terms = await this._expandQuery(params.q);
+			const filters = this._buildFilters(params);
+			const sortKey = params.sort || (terms.length ? 'relevance' : 'newest');
+
+			const pipeline = [];
+			if (terms.length) {
+				pipeline.push({ $match: { $and: terms.map(term => this._termMatch(term)) } });
+			}
+			pipeline.push(
+				{
+					$addFields: {
+						availability: this._availabilityExpression(),
+						relevance: terms.length ? this._relevanceExpression(terms) : 0
+					}
+				},
+				{ $facet: this._buildFacets(filters, { ...SORT_OPTIONS[sortKey], _id: 1 }, (page - 1) * limit, limit) }
+			);
+
+			const [result] = await this.productRepository.aggregate(pipeline);
+			const total = result.total[0]?.count || 0;
+			const pages = Math.ceil(total / limit);
+
+			return {
+				data: result.results,
+				pagination: {
+					total,
+					page,
+					limit,
+					pages,
+					hasNext: page < pages,
+					hasPrev: page > 1
+				},
+				facets: this._formatFacets(result, filters),
+				terms: terms.map(term => ({
+					term: term.word,
+					matches: term.matches.map(match => match.term)
+				})),
+				sort: sortKey
+			};
+		} catch (error) {
+			this.logger.error(`Error searching products: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the words used in product names and tags, from cache when possible
+	 * @returns {Promise<Array<string>>} Known search terms
+	 * @private
+	 */
+	async _getVocabulary() {
+		return this.cacheManager.getOrSet(
+			VOCABULARY_CACHE_KEY,
+			async () => {
+				const { names, tags } = await this.productRepository.getSearchTerms();
+				const vocabulary = new Set();
+
+				[...names, ...tags].forEach(text => tokenize(text).forEach(word => vocabulary.add(word)));
+
+				return [...vocabulary];
+			},
+			this.settings.vocabularyTtlMinutes * 60
+		);
+	}
+
+	/**
+	 * Split the search text into words and find the known terms each could mean
+	 * @param {string} q - Search text
+	 * @returns {Promise<Array<Object>>} Words with their matching terms ({ word, matches })
+	 * @private
+	 */
+	async _expandQuery(q) {
+		const words = [...new Set(tokenize(q))];
+		if (!words.length) {
+			return [];
+		}
+
+		const vocabulary = await this._getVocabulary();
+
+		return words.map(word => ({
+			word,
+			matches: expandTerm(word, vocabulary).slice(0, MAX_TERM_MATCHES)
+		}));
+	}
+
+	/**
+	 * Pattern matching a searched word, or any term it expanded to, at the start of a word
+	 * @param {Object} term - Expanded search word ({ word, matches })
+	 * @param {boolean} exactOnly - Match only the searched word itself
+	 * @returns {string} Regular expression source
+	 * @private
+	 */
+	_termPattern(term, exactOnly = false) {
+		const alternatives = exactOnly
+			? [term.word]
+			: [term.word, ...term.matches.map(match => match.term)];
+
+		return `(?:^|\\W)(?:${[...new Set(alternatives)].map(escapeRegex).join('|')})`;
+	}
+
+	/**
+	 * Match products whose name or tags contain a searched word
+	 * @param {Object} term - Expanded search word
+	 * @returns {Object} Match condition
+	 * @private
+	 */
+	_termMatch(term) {
+		const pattern = new RegExp(this._termPattern(term), 'i');
+		return { $or: [{ name: pattern }, { tags: pattern }] };
+	}
+
+	/**
+	 * Score how well a product matches the search: the exact word in the name counts most,
+	 * then a close term in the name, then a close term in the tags
+	 * @param {Array<Object>} terms - Expanded search words
+	 * @returns {Object} Aggregation expression
+	 * @private
+	 */
+	_relevanceExpression(terms) {
+		const nameMatches = regex => ({ $regexMatch: { input: { $ifNull: ['$name', ''] }, regex, options: 'i' } });
+		const tagMatches = regex => ({
+			$anyElementTrue: [{
+				$map: {
+					input: { $ifNull: ['$tags', []] },
+					as: 'tag',
+					in: { $regexMatch: { input: '$$tag', regex, options: 'i' } }
+				}
+			}]
+		});
+
+		return {
+			$add: terms.map(term => ({
+				$switch: {
+					branches: [
+						{ case: nameMatches(this._termPattern(term, true)), then: 3 },
+						{ case: nameMatches(this._termPattern(term)), then: 2 },
+						{ case: tagMatches(this._termPattern(term)), then: 1 }
+					],
+					default: 0
+				}
+			}))
+		};
+	}
+
+	/**
+	 * Work out whether a product can be bought now: available, with unreserved stock
+	 * on the product or one of its variants
+	 * @returns {Object} Aggregation expression giving 'in_stock', 'out_of_stock' or 'unavailable'
+	 * @private
+	 */
+	_availabilityExpression() {
+		const freeStock = path => ({ $subtract: [{ $ifNull: [`${path}stockQuantity`, 0] }, { $ifNull: [`${path}reservedQuantity`, 0] }] });
+
+		return {
+			$cond: [
+				{ $ne: ['$isAvailable', true] },
+				'unavailable',
+				{
+					$cond: [
+						{
+							$or: [
+								{ $gt: [freeStock('$'), 0] },
+								{
+									$anyElementTrue: [{
+										$map: {
+											input: { $ifNull: ['$variants', []] },
+											as: 'variant',
+											in: { $and: [{ $ne: ['$$variant.isAvailable', false] }, { $gt: [freeStock('$$variant.'), 0] }] }
+										}
+									}]
+								}
+							]
+						},
+						'in_stock',
+						'out_of_stock'
+					]
+				}
+			]
+		};
+	}
+
+	/**
+	 * Turn the facet selections into match conditions, one per facet
+	 * @param {Object} params - Search parameters
+	 * @returns {Object} Conditions by facet (category, price, tags, availability, attributes)
+	 * @private
+	 */
+	_buildFilters(params) {
+		const list = value => (Array.isArray(value) ? value : String(value ?? '').split(','))
+			.map(item => String(item).trim())
+			.filter(Boolean);
+
+		const filters = { attributes: {} };
+
+		const categoryIds = list(params.categoryId);
+		if (categoryIds.length) {
+			filters.category = { categoryId: { $in: categoryIds.map(id => new mongoose.Types.ObjectId(id)) } };
+		}
+
+		const minPrice = parseFloat(params.minPrice);
+		const maxPrice = parseFloat(params.maxPrice);
+		if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+			filters.price = { price: {} };
+			if (!isNaN(minPrice)) filters.price.price.$gte = minPrice;
+			if (!isNaN(maxPrice)) filters.price.price.$lte = maxPrice;
+		}
+
+		const tags = list(params.tags);
+		if (tags.length) {
+			filters.tags = { tags: { $in: tags } };
+		}
+
+		const availability = list(params.availability);
+		if (availability.length) {
+			filters.availability = { availability: { $in: availability } };
+		}
+
+		Object.keys(params)
+			.filter(key => key.startsWith('attr.'))
+			.forEach(key => {
+				const values = list(params[key]);
+				if (values.length) {
+					filters.attributes[key.slice('attr.'.length)] = { [`attributes.${key.slice('attr.'.length)}`]: { $in: values } };
+				}
+			});
+
+		return filters;
+	}
+
+	/**
+	 * Combine the facet conditions, leaving out the given facet
+	 * @param {Object} filters - Conditions by facet
+	 * @param {string} [exceptFacet] - Facet to leave out ('attributes.<name>' for one attribute)
+	 * @returns {Object} Match stage
+	 * @private
+	 */
+	_matchStage(filters, exceptFacet) {
+		const conditions = [];
+
+		['category', 'price', 'tags', 'availability'].forEach(facet => {
+			if (filters[facet] && facet !== exceptFacet) {
+				conditions.push(filters[facet]);
+			}
+		});
+
+		Object.keys(filters.attributes).forEach(name => {
+			if (`attributes.${name}` !== exceptFacet) {
+				conditions.push(filters.attributes[name]);
+			}
+		});
+
+		return { $match: conditions.length ? { $and: conditions } : {} };
+	}
+
+	/**
+	 * Build the facet stage: the page of results, the total, and a count per facet value.
+	 * Each facet ignores its own selection so shoppers can see and pick the alternatives
+	 * @param {Object} filters - Conditions by facet
+	 * @param {Object} sort - Sort order
+	 * @param {number} skip - Results to skip
+	 * @param {number} limit - Results per page
+	 * @returns {Object} Facet stage pipelines
+	 * @private
+	 */
+	_buildFacets(filters, sort, skip, limit) {
+		const facets = {
+			results: [
+				this._matchStage(filters),
+				{ $sort: sort },
+				{ $skip: skip },
+				{ $limit: limit },
+				{ $project: RESULT_FIELDS },
+				{
+					$lookup: {
+						from: 'categories',
+						localField: 'categoryId',
+						foreignField: '_id',
+						as: 'categoryId',
+						pipeline: [{ $project: { name: 1, slug: 1 } }]
+					}
+				},
+				{ $unwind: { path: '$categoryId', preserveNullAndEmptyArrays: true } }
+			],
+			total: [
+				this._matchStage(filters),
+				{ $count: 'count' }
+			],
+			categories: [
+				this._matchStage(filters, 'category'),
+				{ $group: { _id: '$categoryId', count: { $sum: 1 } } },
+				{
+					$lookup: {
+						from: 'categories',
+						localField: '_id',
+						foreignField: '_id',
+						as: 'category',
+						pipeline: [{ $project: { name: 1, slug: 1 } }]
+					}
+				},
+				{ $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+				{ $sort: { count: -1, 'category.name': 1 } }
+			],
+			priceRanges: [
+				this._matchStage(filters, 'price'),
+				{
+					$bucket: {
+						groupBy: '$price',
+						boundaries: this.settings.priceRanges,
+						default: 'above',
+						output: { count: { $sum: 1 } }
+					}
+				}
+			],
+			tags: [
+				this._matchStage(filters, 'tags'),
+				{ $unwind: '$tags' },
+				{ $group: { _id: '$tags', count: { $sum: 1 } } },
+				{ $sort: { count: -1, _id: 1 } },
+				{ $limit: this.settings.maxTagFacets }
+			],
+			availability: [
+				this._matchStage(filters, 'availability'),
+				{ $group: { _id: '$availability', count: { $sum: 1 } } },
+				{ $sort: { count: -1 } }
+			],
+			attributes: [
+				this._matchStage(filters),
+				{ $project: { attribute: { $objectToArray: { $ifNull: ['$attributes', {}] } } } },
+				{ $unwind: '$attribute' },
+				{ $group: { _id: { name: '$attribute.k', value: '$attribute.v' }, count: { $sum: 1 } } },
+				{ $sort: { count: -1, '_id.value': 1 } },
+				{ $group: { _id: '$_id.name', values: { $push: { value: '$_id.value', count: '$count' } } } },
+				{ $sort: { _id: 1 } }
+			]
+		};
+
+		// A selected attribute's values are counted without its own selection
+		Object.keys(filters.attributes).forEach((name, index) => {
+			facets[`selectedAttribute${index}`] = [
+				this._matchStage(filters, `attributes.${name}`),
+				{ $match: { [`attributes.${name}`]: { $exists: true } } },
+				{ $group: { _id: `$attributes.${name}`, count: { $sum: 1 } } },
+				{ $sort: { count: -1, _id: 1 } }
+			];
+		});
+
+		return facets;
+	}
+
+	/**
+	 * Shape the facet counts for the response
+	 * @param {Object} result - Facet stage output
+	 * @param {Object} filters - Conditions by facet
+	 * @returns {Object} Facets (categories, priceRanges, tags, availability, attributes)
+	 * @private
+	 */
+	_formatFacets(result, filters) {
+		const boundaries = this.settings.priceRanges;
+
+		const attributes = {};
+		result.attributes.forEach(attribute => {
+			attributes[attribute._id] = attribute.values;
+		});
+		Object.keys(filters.attributes).forEach((name, index) => {
+			attributes[name] = result[`selectedAttribute${index}`].map(entry => ({ value: entry._id, count: entry.count }));
+		});
+
+		return {
+			categories: result.categories.map(entry => ({
+				categoryId: entry._id,
+				name: entry.category?.name || null,
+				slug: entry.category?.slug || null,
+				count: entry.count
+			})),
+			priceRanges: result.priceRanges.map(entry => {
+				if (entry._id === 'above') {
+					return { min: boundaries[boundaries.length - 1], max: null, count: entry.count };
+				}
+				return { min: entry._id, max: boundaries[boundaries.indexOf(entry._id) + 1], count: entry.count };
+			}),
+			tags: result.tags.map(entry => ({ tag: entry._id, count: entry.count })),
+			availability: result.availability.map(entry => ({ availability: entry._id, count: entry.count })),
+			attributes
+		};
+	}
+}
+
+module.exports = ProductSearchService;
@@ -1,5 +1,8 @@
 // src/services/product.service.js
 
+const unitConverter = require('../utils/unit-converter');
+const EventTypes = require('../domain/events/event-types');
+
 /**
  * @class ProductService
  * @description Service layer for product operations with fixed search functionality
@@ -14,11 +17,23 @@ class ProductService {
 	 * @param {Object} eventDispatcher - Event dispatcher for domain events
 	 * @param {Object} logger - Logger instance
 	 * @param orderRepository
+	 * @param {Object} stockMovementRepository - Stock movement ledger repository
+	 * @param {Object} stockBatchRepository - Stock batch repository for expiry tracking
+	 * @param {Object} stockLevelRepository - Stock level repository for stock held at each location
+	 * @param {Object} locationRepository - Location repository
+	 * @param {Object} productImageService - Product image service for removing image files
+	 * @param {Object} priceChangeService - Price change service for the price history
 	 */
-	constructor(productRepository, categoryRepository, eventDispatcher, logger, orderRepository) {
+	constructor(productRepository, categoryRepository, eventDispatcher, logger, orderRepository, stockMovementRepository, stockBatchRepository, stockLevelRepository, locationRepository, productImageService, priceChangeService) {
 		this.productRepository = productRepository;
 		this.categoryRepository = categoryRepository;
 		this.orderRepository = orderRepository;
+		this.stockMovementRepository = stockMovementRepository;
+		this.stockBatchRepository = stockBatchRepository;
+		this.stockLevelRepository = stockLevelRepository;
+		this.locationRepository = locationRepository;
+		this.productImageService = productImageService;
+		this.priceChangeService = priceChangeService;
 		this.eventDispatcher = eventDispatcher;
 		this.logger = logger;
 	}
@@ -42,12 +57,40 @@ class ProductService {
 				productData.id = `prod_${Date.now()}`;
 			}
 
+			// Bundles take their stock from their components
+			if (productData.productType === 'bundle') {
+				await this._prepareBundle(productData);
+			}
+
 			// Create product domain model
 			const Product = require('../domain/models/product.model');
 			const product = new Product(productData);
 
-			// Save to database
-			const savedProduct = await this.productRepository.create(product.toJSON());
+			// Save to database, opening the ledger with the initial stock
+			const savedProduct = await this.productRepository.withTransaction(async (session) => {
+				const createdProduct = await this.productRepository.create(product.toJSON(), { session });
+
+				await this.productRepository.recordStockMovement(createdProduct, createdProduct.stockQuantity, {
+					session,
+					reason: 'restock',
+					userId: productData.createdBy,
+					note: 'Opening stock'
+				});
+
+				for (const variant of createdProduct.variants || []) {
+					await this.productRepository.recordStockMovement(createdProduct, variant.stockQuantity, {
+						session,
+						variantId: variant._id,
+						reason: 'restock',
+						userId: productData.createdBy,
+						note: 'Opening stock'
+					});
+				}
+
+				await this._recordPriceChanges(null, createdProduct, { session, userId: productData.createdBy });
+
+				return createdProduct;
+			});
 
 			// Dispatch event
 			this.eventDispatcher.dispatch('product:created', {
@@ -79,6 +122,10 @@ class ProductService {
 				throw new Error(`Product with ID ${productId} not found`);
 			}
 
+			if (product.productType === 'bundle') {
+				return await this._attachBundleDetails(product);
+			}
+
 			return product;
 		} catch (error) {
 			this.logger.error(`Error fetching product ${productId}: ${error.message}`);
@@ -86,6 +133,124 @@ class ProductService {
 		}
 	}
 
+	/**
+	 * Get how many of a bundle can be sold from its components' stock
+	 * @param {string} productId - Bundle product ID
+	 * @returns {Promise<Object>} Bundles available and per-component stock
+	 * @throws {Error} Not found, not a bundle or database error
+	 */
+	async getBundleAvailability(productId) {
+		try {
+			const product = await this.productRepository.findById(productId);
+
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			if (product.productType !== 'bundle') {
+				throw new Error(`Invalid bundle: product "${product.name}" is not a bundle`);
+			}
+
+			const Product = require('../domain/models/product.model');
+			const productModel = new Product(product);
+			const componentProducts = await this._loadBundleComponents(productModel.bundle.components);
+
+			return {
+				productId,
+				price: productModel.getBundlePrice(componentProducts),
+				...productModel.getBundleAvailability(componentProducts)
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching bundle availability for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Check bundle components and set the bundle's price and stock fields
+	 * @param {Object} productData - Product data with a bundle definition (modified in place)
+	 * @param {string} productId - ID of the bundle itself, when updating (optional)
+	 * @throws {Error} Invalid bundle
+	 * @private
+	 */
+	async _prepareBundle(productData, productId = null) {
+		const components = productData.bundle?.components || [];
+
+		if (!components.length) {
+			throw new Error('Invalid bundle: a bundle needs at least one component');
+		}
+
+		const componentProducts = await this._loadBundleComponents(components);
+
+		for (const component of components) {
+			const product = componentProducts.get(component.productId.toString());
+
+			if (!product) {
+				throw new Error(`Invalid bundle: component product ${component.productId} does not exist`);
+			}
+
+			if (product.productType === 'bundle' || (productId && product._id.toString() === productId.toString())) {
+				throw new Error(`Invalid bundle: "${product.name}" is a bundle and cannot be a component`);
+			}
+
+			if (component.variantId && !(product.variants || []).some(v => v._id.toString() === component.variantId.toString())) {
+				throw new Error(`Invalid bundle: variant ${component.variantId} does not exist for "${product.name}"`);
+			}
+
+			// Fails early if the component cannot be turned into stock units
+			if (!component.variantId) {
+				unitConverter.toStockUnits(product, component.quantity, component.unit);
+			}
+		}
+
+		const Product = require('../domain/models/product.model');
+		const bundleModel = new Product({ ...productData, productType: 'bundle' });
+
+		productData.bundle = bundleModel.bundle;
+		productData.price = bundleModel.getBundlePrice(componentProducts);
+
+		// The bundle holds no stock of its own
+		productData.stockQuantity = 0;
+		productData.reservedQuantity = 0;
+	}
+
+	/**
+	 * Attach current price and component stock to a bundle
+	 * @param {Object} product - Bundle product
+	 * @returns {Promise<Object>} Bundle with availability details
+	 * @private
+	 */
+	async _attachBundleDetails(product) {
+		const Product = require('../domain/models/product.model');
+		const productModel = new Product(product);
+		const componentProducts = await this._loadBundleComponents(productModel.bundle.components);
+		const availability = productModel.getBundleAvailability(componentProducts);
+
+		// A component that has since been deleted leaves the stored price in place
+		const componentsResolved = availability.components.every(component => component.name !== null);
+
+		return {
+			...product,
+			price: componentsResolved ? productModel.getBundlePrice(componentProducts) : product.price,
+			availableQuantity: availability.availableQuantity,
+			inStock: availability.isAvailable,
+			bundleAvailability: availability
+		};
+	}
+
+	/**
+	 * Load the products a bundle is made of
+	 * @param {Array<Object>} components - Bundle components
+	 * @returns {Promise<Map<string, Object>>} Component products keyed by ID
+	 * @private
+	 */
+	async _loadBundleComponents(components) {
+		const ids = [...new Set(components.map(component => component.productId.toString()))];
+		const products = await this.productRepository.find({ _id: { $in: ids } });
+
+		return new Map(products.map(product => [product._id.toString(), product]));
+	}
+
 	/**
 	 * Get all products with filtering and pagination - FIXED SEARCH
 	 * @param {Object} filters - Filter criteria
@@ -379,6 +544,24 @@ class ProductService {
 			updatedAt: new Date()
 		};
 
+		// Variants are managed through their own endpoints so their stock and reservations stay intact
+		delete updatePayload.variants;
+
+		// Reservations only move with orders, and stock may not drop below what they hold
+		delete updatePayload.reservedQuantity;
+		if (updatePayload.stockQuantity !== undefined && Number(updatePayload.stockQuantity) < (existingProduct.reservedQuantity || 0)) {
+			throw new Error(`Insufficient stock available: ${existingProduct.reservedQuantity} reserved by open orders`);
+		}
+
+		// Re-check bundle components (and re-price discount bundles) whenever the bundle changes
+		const productType = updatePayload.productType || existingProduct.productType;
+		if (productType === 'bundle' && (updatePayload.bundle || updatePayload.productType === 'bundle')) {
+			updatePayload.bundle = { ...(existingProduct.bundle || {}), ...(updatePayload.bundle || {}) };
+			updatePayload.name = updatePayload.name || existingProduct.name;
+			await this._prepareBundle(updatePayload, productId);
+			delete updatePayload.stockQuantity;
+		}
+
 		// Remove undefined values to prevent overwriting with null
 		Object.keys(updatePayload).forEach(key => {
 			if (updatePayload[key] === undefined) {
@@ -397,6 +580,24 @@ class ProductService {
 
 		this.logger.info(`Product updated successfully: ${productId}`);
 
+		// Step 4b: Keep the ledger in step with stock edited directly on the product
+		const stockDelta = (updatedProduct.stockQuantity || 0) - (existingProduct.stockQuantity || 0);
+		if (updatePayload.stockQuantity !== undefined && stockDelta) {
+			await this.productRepository.recordStockMovement(updatedProduct, stockDelta, {
+				reason: 'adjustment',
+				userId: updateData.updatedBy,
+				note: 'Stock edited on product update'
+			});
+		}
+
+		// Step 4c: Keep the price history
+		await this._recordPriceChanges(existingProduct, updatedProduct, { userId: updateData.updatedBy });
+
+		// Step 4d: Delete the files of images dropped from the product
+		if (updatePayload.images !== undefined) {
+			await this._releaseImageFiles(existingProduct.images, updatedProduct.images);
+		}
+
 		// Step 5: Dispatch event (non-blocking)
 		try {
 			this.eventDispatcher.dispatch('product:updated', {
@@ -435,6 +636,8 @@ class ProductService {
 					productId: productId,
 					timestamp: new Date()
 				});
+
+				await this._releaseImageFiles(product.images, []);
 			}
 
 			return result;
@@ -444,15 +647,50 @@ class ProductService {
 		}
 	}
 
+	/**
+	 * Record changes to the product's and its variants' prices in the price history
+	 * @param {Object|null} before - Product before the change (null for a new product)
+	 * @param {Object} after - Product after the change
+	 * @param {Object} details - Change details (userId, session)
+	 * @private
+	 */
+	async _recordPriceChanges(before, after, details = {}) {
+		if (this.priceChangeService && after) {
+			await this.priceChangeService.recordProductChanges(before, after, details);
+		}
+	}
+
+	/**
+	 * Delete the files of images a product no longer has; a failure here never fails the product change
+	 * @param {Array<Object>} before - Images before the change
+	 * @param {Array<Object>} after - Images after the change
+	 * @private
+	 */
+	async _releaseImageFiles(before = [], after = []) {
+		if (!this.productImageService) {
+			return;
+		}
+
+		try {
+			await this.productImageService.releaseRemovedImages(before || [], after || []);
+		} catch (error) {
+			this.logger.warn(`Failed to delete product image files: ${error.message}`);
+		}
+	}
+
 	/**
 	 * Update product stock quantity
 	 * @param {string} productId - Product ID
 	 * @param {number} quantity - Quantity change (positive to reduce, negative to add)
+	 * @param {Object} movement - Ledger details (variantId, locationId, reason, userId, note) and the quantity's unit (defaults to the stock unit)
 	 * @returns {Promise<Object>} Updated product
-	 * @throws {Error} Insufficient stock or database error
+	 * @throws {Error} Insufficient stock, invalid movement or database error
 	 */
-	async adjustStock(productId, quantity) {
+	async adjustStock(productId, quantity, movement = {}) {
 		try {
+			const reason = movement.reason || 'adjustment';
+			this._validateStockMovement(reason, -quantity);
+
 			return await this.productRepository.withTransaction(async (session) => {
 				// Get product with lock for update
 				const product = await this.productRepository.findOne(
@@ -468,8 +706,18 @@ class ProductService {
 				const Product = require('../domain/models/product.model');
 				const productModel = new Product(product);
 
+				// Variants keep their own stock, counted in whole variants
+				if (movement.variantId) {
+					return this._adjustVariantStock(productModel, productId, quantity, { ...movement, reason }, session);
+				}
+
+				// Bring the quantity into the unit stock is counted in
+				const stockQuantity = movement.unit
+					? productModel.toStockUnits(quantity, movement.unit)
+					: quantity;
+
 				// Adjust stock (throws error if insufficient)
-				const event = productModel.adjustStock(quantity);
+				const event = productModel.adjustStock(stockQuantity);
 
 				// Update in database
 				const updatedProduct = await this.productRepository.update(
@@ -481,6 +729,24 @@ class ProductService {
 					{ session }
 				);
 
+				// Stock leaving is taken from batches, first expiry first out
+				const batchNote = stockQuantity > 0
+					? await this._consumeBatches(productId, stockQuantity, { batchId: movement.batchId, session })
+					: null;
+
+				// Record the change in the ledger
+				const unitNote = movement.unit && movement.unit !== product.stockUnit
+					? `Entered as ${Math.abs(quantity)} ${movement.unit}`
+					: null;
+
+				await this.productRepository.recordStockMovement(updatedProduct, -stockQuantity, {
+					session,
+					reason,
+					locationId: movement.locationId,
+					userId: movement.userId,
+					note: [movement.note, unitNote, batchNote].filter(Boolean).join(' - ') || undefined
+				});
+
 				// Dispatch event if stock is low
 				if (event) {
 					this.eventDispatcher.dispatch('product:low-stock', event);
@@ -494,6 +760,507 @@ class ProductService {
 		}
 	}
 
+	/**
+	 * Adjust the stock of a single variant inside an open transaction
+	 * @param {Product} productModel - Product domain model
+	 * @param {string} productId - Product ID
+	 * @param {number} quantity - Quantity change (positive to reduce, negative to add)
+	 * @param {Object} movement - Ledger details (variantId, locationId, reason, userId, note)
+	 * @param {Object} session - Transaction session
+	 * @returns {Promise<Object>} Updated product
+	 * @throws {Error} Variant not found or insufficient stock
+	 * @private
+	 */
+	async _adjustVariantStock(productModel, productId, quantity, movement, session) {
+		const variant = productModel.getVariant(movement.variantId);
+
+		if (!variant) {
+			throw new Error(`Variant "${movement.variantId}" not found for product ${productId}`);
+		}
+
+		const newQuantity = (variant.stockQuantity || 0) - quantity;
+		if (newQuantity < (variant.reservedQuantity || 0)) {
+			throw new Error(`Insufficient stock available for variant "${variant.key}": ${variant.reservedQuantity || 0} reserved by open orders`);
+		}
+
+		const batchNote = quantity > 0
+			? await this._consumeBatches(productId, quantity, { variantId: variant._id, batchId: movement.batchId, session })
+			: null;
+
+		const updatedProduct = await this.productRepository.updateStock(productId, -quantity, {
+			session,
+			variantId: variant._id,
+			locationId: movement.locationId,
+			reason: movement.reason,
+			userId: movement.userId,
+			note: [movement.note, batchNote].filter(Boolean).join(' - ') || undefined
+		});
+
+		const remainingStock = newQuantity - (variant.reservedQuantity || 0);
+		if (remainingStock <= 10) {
+			this.eventDispatcher.dispatch('product:low-stock', {
+				event: 'LOW_STOCK',
+				productId,
+				variantId: variant._id,
+				variantKey: variant.key,
+				remainingStock
+			});
+		}
+
+		return updatedProduct;
+	}
+
+	/**
+	 * Take stock leaving the shelf out of its batches
+	 * @param {string} productId - Product ID
+	 * @param {number} quantity - Quantity leaving, in stock units
+	 * @param {Object} options - Options (variantId, batchId, session)
+	 * @returns {Promise<string|null>} Ledger note naming the batches used, or null if none are tracked
+	 * @private
+	 */
+	async _consumeBatches(productId, quantity, options = {}) {
+		if (!this.stockBatchRepository) {
+			return null;
+		}
+
+		const allocations = await this.stockBatchRepository.allocate(productId, quantity, options);
+		if (!allocations.length) {
+			return null;
+		}
+
+		return `Batches: ${allocations.map(a => `${a.batchNumber} x ${a.quantity}`).join(', ')}`;
+	}
+
+	/**
+	 * Receive stock in a batch with an expiry date
+	 * @param {string} productId - Product ID
+	 * @param {Object} batchData - Batch details (batchNumber, quantity, unit, expiryDate, supplierReference, costPrice, variantId, locationId, notes)
+	 * @param {string} userId - User receiving the stock (optional)
+	 * @returns {Promise<Object>} Created batch and updated product
+	 * @throws {Error} Not found, invalid batch or database error
+	 */
+	async receiveBatch(productId, batchData, userId = null) {
+		try {
+			const product = await this.productRepository.findById(productId);
+
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			if (product.productType === 'bundle') {
+				throw new Error(`Invalid batch: bundle "${product.name}" holds no stock of its own`);
+			}
+
+			if (batchData.variantId && !(product.variants || []).some(v => v._id.toString() === batchData.variantId.toString())) {
+				throw new Error(`Variant "${batchData.variantId}" not found for product ${productId}`);
+			}
+
+			if (!(Number(batchData.quantity) > 0)) {
+				throw new Error('Invalid batch: quantity must be greater than zero');
+			}
+
+			const expiryDate = batchData.expiryDate ? new Date(batchData.expiryDate) : null;
+			if (expiryDate && (isNaN(expiryDate.getTime()) || expiryDate <= new Date())) {
+				throw new Error('Invalid batch: expiry date must be a future date');
+			}
+
+			// Variants count whole units; products convert into their stock unit
+			const quantity = batchData.variantId || !batchData.unit
+				? Number(batchData.quantity)
+				: unitConverter.toStockUnits(product, Number(batchData.quantity), batchData.unit);
+
+			const batchNumber = batchData.batchNumber || `B${Date.now()}`;
+
+			const result = await this.productRepository.withTransaction(async (session) => {
+				const batch = await this.stockBatchRepository.create({
+					productId,
+					variantId: batchData.variantId || null,
+					batchNumber,
+					quantityReceived: quantity,
+					quantityRemaining: quantity,
+					expiryDate,
+					supplierReference: batchData.supplierReference,
+					costPrice: batchData.costPrice,
+					receivedBy: userId,
+					notes: batchData.notes
+				}, { session });
+
+				const updatedProduct = await this.productRepository.updateStock(productId, quantity, {
+					session,
+					variantId: batchData.variantId,
+					locationId: batchData.locationId,
+					reason: 'restock',
+					userId,
+					note: `Batch ${batchNumber} received${batchData.supplierReference ? ` (supplier ref ${batchData.supplierReference})` : ''}`
+				});
+
+				return { batch, product: updatedProduct };
+			});
+
+			this.eventDispatcher.dispatch('product:batch-received', {
+				productId,
+				batchId: result.batch._id,
+				quantity,
+				expiryDate,
+				timestamp: new Date()
+			});
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error receiving batch for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the batches of a product
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Filters (status, variantId)
+	 * @returns {Promise<Array<Object>>} Batches, earliest expiry first
+	 * @throws {Error} Not found or database error
+	 */
+	async getProductBatches(productId, options = {}) {
+		try {
+			const product = await this.productRepository.findById(productId);
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			const filter = { productId };
+			if (options.status) {
+				filter.status = options.status;
+			}
+			if (options.variantId) {
+				filter.variantId = options.variantId;
+			}
+
+			return await this.stockBatchRepository.find(filter, { sort: { expiryDate: 1, receivedAt: 1 } });
+		} catch (error) {
+			this.logger.error(`Error fetching batches for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get batches that expire soon, grouped with their value at risk
+	 * @param {number} days - Days ahead to look
+	 * @returns {Promise<Object>} Expiring batches and totals
+	 * @throws {Error} Database error
+	 */
+	async getExpiringSoonReport(days) {
+		try {
+			const batches = await this.stockBatchRepository.getExpiringBatches(days);
+
+			return {
+				days,
+				batches,
+				totalBatches: batches.length,
+				productCount: new Set(batches.map(batch => batch.productId.toString())).size,
+				totalValueAtRisk: Math.round(batches.reduce((sum, batch) => sum + (batch.valueAtRisk || 0), 0) * 100) / 100
+			};
+		} catch (error) {
+			this.logger.error(`Error building expiring stock report: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Warn about batches entering the expiry window; each batch is only warned about once
+	 * @param {number} days - Days ahead to look
+	 * @returns {Promise<number>} Number of batches warned about
+	 * @throws {Error} Database error
+	 */
+	async notifyExpiringBatches(days) {
+		try {
+			const batches = await this.stockBatchRepository.getExpiringBatches(days, { onlyUnnotified: true });
+
+			batches.forEach(batch => {
+				this.eventDispatcher.dispatch(EventTypes.PRODUCT_EXPIRING, {
+					productId: batch.productId,
+					name: batch.productName,
+					batchId: batch._id,
+					batchNumber: batch.batchNumber,
+					expiryDate: batch.expiryDate,
+					daysUntilExpiry: batch.daysUntilExpiry,
+					quantityRemaining: batch.quantityRemaining,
+					timestamp: new Date()
+				});
+			});
+
+			if (batches.length) {
+				await this.stockBatchRepository.markExpiryNotified(batches.map(batch => batch._id));
+			}
+
+			return batches.length;
+		} catch (error) {
+			this.logger.error(`Error sending expiry warnings: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Write off the remaining stock of every expired batch as spoilage
+	 * @returns {Promise<Object>} Batches and quantity written off, and batches that could not be written off
+	 * @throws {Error} Database error
+	 */
+	async writeOffExpiredBatches() {
+		try {
+			const batches = await this.stockBatchRepository.getExpiredBatches();
+			const writtenOff = [];
+			const failed = [];
+
+			for (const batch of batches) {
+				try {
+					writtenOff.push(await this._writeOffExpiredBatch(batch));
+				} catch (error) {
+					failed.push({ batchId: batch._id, productId: batch.productId, batchNumber: batch.batchNumber, error: error.message });
+					this.logger.error(`Error writing off expired batch ${batch.batchNumber}: ${error.message}`);
+				}
+			}
+
+			if (writtenOff.length || failed.length) {
+				this.logger.info(`Expired batches: ${writtenOff.length} written off, ${failed.length} failed`);
+			}
+
+			return {
+				batchesWrittenOff: writtenOff.length,
+				quantityWrittenOff: writtenOff.reduce((sum, batch) => sum + batch.quantity, 0),
+				batches: writtenOff,
+				failed
+			};
+		} catch (error) {
+			this.logger.error(`Error writing off expired batches: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Write off the remaining stock of one expired batch, flagging open orders it leaves short
+	 * @param {Object} batch - Expired batch
+	 * @returns {Promise<Object>} Batch written off ({ batchId, productId, batchNumber, quantity, reservedShortfall })
+	 * @private
+	 */
+	async _writeOffExpiredBatch(batch) {
+		const { quantity, reservedShortfall } = await this.productRepository.withTransaction(async (session) => {
+			const product = await this.productRepository.findById(batch.productId, { session });
+			if (!product) {
+				await this.stockBatchRepository.markExpired(batch._id, 0, { session });
+				return { quantity: 0, reservedShortfall: 0 };
+			}
+
+			// Never take stock below zero if it was already adjusted down by hand
+			const stockItem = batch.variantId
+				? (product.variants || []).find(v => v._id.toString() === batch.variantId.toString())
+				: product;
+			const stockQuantity = stockItem ? stockItem.stockQuantity || 0 : 0;
+			const quantity = Math.min(batch.quantityRemaining, stockQuantity);
+
+			// Expired stock is unsellable even if orders hold it, so those orders have to be re-planned
+			const reservedQuantity = stockItem ? stockItem.reservedQuantity || 0 : 0;
+			const reservedShortfall = Math.max(0, Math.round((reservedQuantity - (stockQuantity - quantity)) * 1e6) / 1e6);
+
+			if (quantity > 0) {
+				await this.productRepository.updateStock(batch.productId, -quantity, {
+					session,
+					variantId: batch.variantId,
+					reason: 'spoilage',
+					note: `Batch ${batch.batchNumber} expired on ${new Date(batch.expiryDate).toISOString().slice(0, 10)}`
+				});
+			}
+
+			await this.stockBatchRepository.markExpired(batch._id, quantity, { session });
+			return { quantity, reservedShortfall };
+		});
+
+		this.eventDispatcher.dispatch(EventTypes.PRODUCT_BATCH_EXPIRED, {
+			productId: batch.productId,
+			batchId: batch._id,
+			batchNumber: batch.batchNumber,
+			expiryDate: batch.expiryDate,
+			quantityWrittenOff: quantity,
+			timestamp: new Date()
+		});
+
+		if (reservedShortfall > 0) {
+			this.logger.warn(`Writing off batch ${batch.batchNumber} leaves product ${batch.productId} ${reservedShortfall} short of what open orders have reserved`);
+
+			this.eventDispatcher.dispatch(EventTypes.PRODUCT_RESERVED_STOCK_SHORT, {
+				productId: batch.productId,
+				variantId: batch.variantId || null,
+				batchId: batch._id,
+				batchNumber: batch.batchNumber,
+				shortfall: reservedShortfall,
+				timestamp: new Date()
+			});
+		}
+
+		return { batchId: batch._id, productId: batch.productId, batchNumber: batch.batchNumber, quantity, reservedShortfall };
+	}
+
+	/**
+	 * Run the scheduled expiry checks: write off expired batches, then warn about expiring ones
+	 * @param {number} warningDays - Days ahead to warn about
+	 * @returns {Promise<Object>} Write-off summary and number of warnings sent
+	 */
+	async runExpiryChecks(warningDays) {
+		const writeOff = await this.writeOffExpiredBatches();
+		const warningsSent = await this.notifyExpiringBatches(warningDays);
+
+		return { ...writeOff, warningsSent };
+	}
+
+	/**
+	 * Check that a manual stock movement points the right way for its reason
+	 * @param {string} reason - Movement reason
+	 * @param {number} delta - Signed change to stock on hand
+	 * @throws {Error} Invalid stock movement
+	 * @private
+	 */
+	_validateStockMovement(reason, delta) {
+		const directions = {
+			sale: -1,
+			spoilage: -1,
+			restock: 1,
+			return: 1
+		};
+
+		if (!['sale', 'restock', 'spoilage', 'adjustment', 'return'].includes(reason)) {
+			throw new Error(`Invalid stock movement reason "${reason}"`);
+		}
+
+		if (!delta || (directions[reason] && Math.sign(delta) !== directions[reason])) {
+			throw new Error(`Invalid stock movement: a ${reason} cannot change stock by ${delta}`);
+		}
+	}
+
+	/**
+	 * Get a product's stock at each location
+	 * @param {string} productId - Product ID
+	 * @returns {Promise<Object>} Total stock, levels per location and any stock not yet at a location
+	 * @throws {Error} Not found or database error
+	 */
+	async getStockByLocation(productId) {
+		try {
+			const product = await this.productRepository.findById(productId);
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			const levels = await this.stockLevelRepository.getProductLevels(productId);
+			const located = levels
+				.filter(level => !level.variantId)
+				.reduce((sum, level) => sum + level.quantity, 0);
+
+			return {
+				productId,
+				stockQuantity: product.stockQuantity,
+				reservedQuantity: product.reservedQuantity || 0,
+				// Placed at the default location on the product's next stock movement
+				unlocatedQuantity: Math.round(((product.stockQuantity || 0) - located) * 1e6) / 1e6,
+				levels
+			};
+		} catch (error) {
+			this.logger.error(`Error fetching stock by location for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the stock movement history of a product
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Filters and pagination (variantId, locationId, reason, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated movements
+	 * @throws {Error} Not found or database error
+	 */
+	async getStockMovements(productId, options = {}) {
+		try {
+			const product = await this.productRepository.findById(productId);
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			return await this.stockMovementRepository.getProductMovements(productId, options);
+		} catch (error) {
+			this.logger.error(`Error fetching stock movements for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Recompute stock on hand from the movement ledger, for the product itself or one of its variants
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Options (variantId to rebuild a variant's stock, dryRun to only report the difference)
+	 * @returns {Promise<Object>} Previous and rebuilt stock with the difference
+	 * @throws {Error} Product or variant not found, empty or incomplete ledger, or database error
+	 */
+	async rebuildStockFromLedger(productId, options = {}) {
+		try {
+			const { dryRun = false, variantId = null } = options;
+
+			const product = await this.productRepository.findById(productId);
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			// Variants keep their own stock and their own movements in the ledger
+			const stockItem = variantId
+				? (product.variants || []).find(v => v._id.toString() === variantId.toString())
+				: product;
+			if (!stockItem) {
+				throw new Error(`Variant "${variantId}" not found for product ${productId}`);
+			}
+
+			const ledger = await this.stockMovementRepository.getLedgerBalance(productId, variantId);
+
+			// Products created before the ledger existed have nothing to rebuild from
+			if (!ledger.movementCount) {
+				throw new Error(`No stock movements recorded for product ${productId}`);
+			}
+
+			// A ledger started after the product already held stock only accounts for part of it
+			if (ledger.openingStock !== 0) {
+				throw new Error(`Stock movements for product ${productId} start from ${ledger.openingStock} units already on hand, so the ledger has no opening movement to rebuild from`);
+			}
+
+			const result = {
+				productId,
+				variantId,
+				previousStock: stockItem.stockQuantity || 0,
+				ledgerStock: ledger.balance,
+				difference: ledger.balance - (stockItem.stockQuantity || 0),
+				movementCount: ledger.movementCount,
+				lastMovementAt: ledger.lastMovementAt,
+				applied: false
+			};
+
+			if (!dryRun && result.difference !== 0) {
+				if (ledger.balance < (stockItem.reservedQuantity || 0)) {
+					throw new Error(`Insufficient stock available: ledger balance ${ledger.balance} is below ${stockItem.reservedQuantity} reserved by open orders`);
+				}
+
+				if (variantId) {
+					await this.productRepository.update(productId, {
+						'variants.$[variant].stockQuantity': ledger.balance,
+						updatedAt: new Date()
+					}, { arrayFilters: [{ 'variant._id': stockItem._id }] });
+				} else {
+					await this.productRepository.update(productId, {
+						stockQuantity: ledger.balance,
+						updatedAt: new Date()
+					});
+				}
+				result.applied = true;
+
+				this.logger.info(`Rebuilt stock for product ${productId}${variantId ? ` variant ${variantId}` : ''} from ledger: ${result.previousStock} -> ${result.ledgerStock}`);
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error rebuilding stock for product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
 	/**
 	 * Toggle product availability
 	 * @param {string} productId - Product ID
@@ -539,12 +1306,12 @@ class ProductService {
 	/**
 	 * Add product variant
 	 * @param {string} productId - Product ID
-	 * @param {string} variantKey - Variant key/name
-	 * @param {number} price - Variant price
+	 * @param {Object} variantData - Variant data (key, name, type, size, sku, price, costPrice, stockQuantity, images)
+	 * @param {string} userId - User adding the variant (optional)
 	 * @returns {Promise<Object>} Updated product
-	 * @throws {Error} Not found or database error
+	 * @throws {Error} Not found, duplicate key or SKU, or database error
 	 */
-	async addVariant(productId, variantKey, price) {
+	async addVariant(productId, variantData, userId = null) {
 		try {
 			const product = await this.productRepository.findById(productId);
 
@@ -552,17 +1319,39 @@ class ProductService {
 				throw new Error(`Product with ID ${productId} not found`);
 			}
 
+			if (variantData.sku && await this.productRepository.isSkuTaken(variantData.sku)) {
+				throw new Error(`SKU "${variantData.sku}" is already in use`);
+			}
+
 			// Create domain model
 			const Product = require('../domain/models/product.model');
 			const productModel = new Product(product);
 
-			// Add variant
-			productModel.addVariant(variantKey, price);
+			// Add variant (throws if the key is taken); reservations only come from orders
+			const variant = productModel.addVariant({ ...variantData, reservedQuantity: 0 });
 
-			// Save changes
-			const updatedProduct = await this.productRepository.update(productId, {
-				variants: productModel.variants,
-				updatedAt: productModel.updatedAt
+			// Save changes, opening the variant's ledger with its initial stock
+			const updatedProduct = await this.productRepository.withTransaction(async (session) => {
+				const saved = await this.productRepository.addVariant(productId, variant, { session });
+				const savedVariant = saved.variants.find(v => v.key === variant.key);
+
+				await this.productRepository.recordStockMovement(saved, savedVariant.stockQuantity, {
+					session,
+					variantId: savedVariant._id,
+					reason: 'restock',
+					userId,
+					note: 'Opening stock'
+				});
+
+				await this._recordPriceChanges(product, saved, { session, userId });
+
+				return saved;
+			});
+
+			this.eventDispatcher.dispatch('product:variant-added', {
+				productId,
+				variantKey: variant.key,
+				timestamp: new Date()
 			});
 
 			return updatedProduct;
@@ -572,12 +1361,59 @@ class ProductService {
 		}
 	}
 
+	/**
+	 * Update product variant details
+	 * @param {string} productId - Product ID
+	 * @param {string} variantKey - Variant key or ID
+	 * @param {Object} updateData - Fields to update
+	 * @param {string} userId - User updating the variant (optional)
+	 * @returns {Promise<Object>} Updated product
+	 * @throws {Error} Not found, duplicate key or SKU, or database error
+	 */
+	async updateVariant(productId, variantKey, updateData, userId = null) {
+		try {
+			const product = await this.productRepository.findById(productId);
+
+			if (!product) {
+				throw new Error(`Product with ID ${productId} not found`);
+			}
+
+			// Stock only changes through adjustments so the ledger stays complete
+			const { stockQuantity, reservedQuantity, _id, createdAt, updatedAt, ...changes } = updateData;
+
+			// Create domain model
+			const Product = require('../domain/models/product.model');
+			const productModel = new Product(product);
+
+			const variant = productModel.getVariant(variantKey);
+			if (!variant) {
+				throw new Error(`Variant "${variantKey}" not found for product ${productId}`);
+			}
+
+			if (changes.sku && changes.sku !== variant.sku && await this.productRepository.isSkuTaken(changes.sku, variant._id)) {
+				throw new Error(`SKU "${changes.sku}" is already in use`);
+			}
+
+			// Apply changes (throws if the new key is taken)
+			productModel.updateVariant(variantKey, changes);
+
+			// Save changes
+			const updatedProduct = await this.productRepository.updateVariant(productId, variant._id, changes);
+			await this._recordPriceChanges(product, updatedProduct, { userId });
+
+			return updatedProduct;
+		} catch (error) {
+			this.logger.error(`Error updating variant ${variantKey} of product ${productId}: ${error.message}`);
+			throw error;
+		}
+	}
+
 	/**
 	 * Remove product variant
 	 * @param {string} productId - Product ID
-	 * @param {string} variantKey - Variant key/name
+	 * @param {string} variantKey - Variant key or ID
 	 * @returns {Promise<Object>} Updated product
-	 * @throws {Error} Not found or database error
+	 * @throws {Error} Not found, reserved stock or database error
 	 */
 	async removeVariant(productId, variantKey) {
 		try {
@@ -591,16 +1427,21 @@ class ProductService {
 			const Product = require('../domain/models/product.model');
 			const productModel = new Product(product);
 
+			const variant = productModel.getVariant(variantKey);
+			if (!variant) {
+				throw new Error(`Variant "${variantKey}" not found for product ${productId}`);
+			}
+
+			// Open orders still point at the variant
+			if (variant.reservedQuantity > 0) {
+				throw new Error(`Cannot remove variant "${variant.key}": ${variant.reservedQuantity} reserved by open orders`);
+			}
+
 			// Remove variant
 			productModel.removeVariant(variantKey);
 
 			// Save changes
-			const updatedProduct = await this.productRepository.update(productId, {
-				variants: productModel.variants,
-				updatedAt: productModel.updatedAt
-			});
-
-			return updatedProduct;
+			return await this.productRepository.removeVariant(productId, variant._id);
 		} catch (error) {
 			this.logger.error(`Error removing variant from product ${productId}: ${error.message}`);
 			throw error;
@@ -608,13 +1449,18 @@ class ProductService {
 	}
 
 	/**
-	 * Get products that are low in stock
-	 * @param {number} threshold - Stock threshold
-	 * @returns {Promise<Array<Object>>} Low stock products
+	 * Get products that are low in stock, in total or at one location
+	 * @param {number} threshold - Stock threshold (locations may set their own per product)
+	 * @param {string} locationId - Location ID (optional)
+	 * @returns {Promise<Array<Object>>} Low stock products, or low stock levels at the location
 	 * @throws {Error} Database error
 	 */
-	async getLowStockProducts(threshold = 10) {
+	async getLowStockProducts(threshold = 10, locationId = null) {
 		try {
+			if (locationId) {
+				return await this.stockLevelRepository.getLowStockLevels(threshold, { locationId });
+			}
+
 			return await this.productRepository.find(
 				{
 					stockQuantity: { $lte: threshold },
@@ -633,8 +1479,8 @@ class ProductService {
 
 	/**
 	 * Get product statistics for dashboard
-	 * @param {Object} filters - Optional filter criteria
-	 * @returns {Promise<Object>} Product statistics
+	 * @param {Object} filters - Optional filter criteria (categoryId, isAvailable, locationId)
+	 * @returns {Promise<Object>} Product statistics, or the statistics of one location
 	 * @throws {Error} Database error
 	 */
 	async getStats(filters = {}) {
@@ -650,25 +1496,45 @@ class ProductService {
 				filterQuery.isAvailable = filters.isAvailable;
 			}
 
+			if (filters.locationId) {
+				const [locationStats] = await this._getLocationStats(filterQuery, filters.locationId);
+
+				if (!locationStats) {
+					throw new Error(`Location with ID ${filters.locationId} not found`);
+				}
+
+				return locationStats;
+			}
+
+			// Stock that is not held by open orders
+			const availableStockExpr = {
+				$subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }]
+			};
+
 			// Get basic counts
 			const [
 				totalProducts,
 				availableProducts,
 				unavailableProducts,
 				lowStockProducts,
-				outOfStockProducts
+				outOfStockProducts,
+				productsWithReservations
 			] = await Promise.all([
 				this.productRepository.count(filterQuery),
 				this.productRepository.count({ ...filterQuery, isAvailable: true }),
 				this.productRepository.count({ ...filterQuery, isAvailable: false }),
 				this.productRepository.count({
 					...filterQuery,
-					stockQuantity: { $lte: 10 },
+					$expr: { $lte: [availableStockExpr, 10] },
 					isAvailable: true
 				}),
 				this.productRepository.count({
 					...filterQuery,
-					stockQuantity: { $lte: 0 }
+					$expr: { $lte: [availableStockExpr, 0] }
+				}),
+				this.productRepository.count({
+					...filterQuery,
+					reservedQuantity: { $gt: 0 }
 				})
 			]);
 
@@ -677,8 +1543,9 @@ class ProductService {
 				{ $match: filterQuery },
 				{ $group: {
 						_id: null,
-						totalInventoryValue: { $sum: { $multiply: ['$price', '$stockQuantity'] } },
 						totalStockQuantity: { $sum: '$stockQuantity' },
+						totalReservedQuantity: { $sum: { $ifNull: ['$reservedQuantity', 0] } },
+						totalAvailableQuantity: { $sum: availableStockExpr },
 						avgPrice: { $avg: '$price' },
 						minPrice: { $min: '$price' },
 						maxPrice: { $max: '$price' },
@@ -699,14 +1566,18 @@ class ProductService {
 				{ $group: {
 						_id: '$category.name',
 						count: { $sum: 1 },
-						totalValue: { $sum: { $multiply: ['$price', '$stockQuantity'] } }
+						categoryIds: { $addToSet: '$categoryId' }
 					}},
 				{ $sort: { count: -1 } }
 			]);
 
+			// Stock values need unit conversion, which the aggregation cannot do
+			const stockValues = await this._calculateStockValues(filterQuery);
+
 			const stats = inventoryStats[0] || {
-				totalInventoryValue: 0,
 				totalStockQuantity: 0,
+				totalReservedQuantity: 0,
+				totalAvailableQuantity: 0,
 				avgPrice: 0,
 				minPrice: 0,
 				maxPrice: 0,
@@ -719,11 +1590,19 @@ class ProductService {
 				unavailableProducts,
 				lowStockProducts,
 				outOfStockProducts,
+				productsWithReservations,
 				...stats,
+				totalInventoryValue: stockValues.totalInventoryValue,
+				reservedStockValue: stockValues.reservedStockValue,
+				unconvertibleProducts: stockValues.unconvertibleProducts,
+				locationBreakdown: await this._getLocationStats(filterQuery),
 				categoryBreakdown: categoryBreakdown.reduce((acc, curr) => {
 					acc[curr._id || 'Uncategorized'] = {
 						count: curr.count,
-						totalValue: curr.totalValue
+						totalValue: curr.categoryIds.reduce(
+							(sum, categoryId) => sum + (stockValues.byCategory[String(categoryId)] || 0),
+							0
+						)
 					};
 					return acc;
 				}, {})
@@ -734,6 +1613,140 @@ class ProductService {
 		}
 	}
 
+	/**
+	 * Value stock on hand and reserved stock at the product price, converting stock units into pricing units
+	 * @param {Object} filterQuery - Product filter
+	 * @returns {Promise<Object>} Inventory value, reserved value and value per category ID
+	 * @private
+	 */
+	async _calculateStockValues(filterQuery) {
+		const products = await this.productRepository.find(filterQuery, {
+			select: 'price pricingUnit stockUnit unitConversions stockQuantity reservedQuantity categoryId'
+		});
+
+		const values = {
+			totalInventoryValue: 0,
+			reservedStockValue: 0,
+			unconvertibleProducts: 0,
+			byCategory: {}
+		};
+
+		products.forEach(product => {
+			const { unitValue, convertible } = this._getStockUnitValue(product);
+
+			if (!convertible) {
+				values.unconvertibleProducts++;
+			}
+
+			const stockValue = unitValue * (product.stockQuantity || 0);
+			const categoryKey = String(product.categoryId);
+
+			values.totalInventoryValue += stockValue;
+			values.reservedStockValue += unitValue * (product.reservedQuantity || 0);
+			values.byCategory[categoryKey] = (values.byCategory[categoryKey] || 0) + stockValue;
+		});
+
+		return values;
+	}
+
+	/**
+	 * Value of one stock unit of a product at its price
+	 * @param {Object} product - Product (price, pricingUnit, stockUnit, unitConversions)
+	 * @returns {Object} Unit value and whether the stock unit converts to the pricing unit
+	 * @private
+	 */
+	_getStockUnitValue(product) {
+		const pricingFactor = unitConverter.getConversionFactor(
+			product.stockUnit || 'each',
+			product.pricingUnit || 'each',
+			product.unitConversions
+		);
+
+		// Without a configured factor, value the stock as if both units matched
+		return {
+			unitValue: (product.price || 0) * (pricingFactor === null ? 1 : pricingFactor),
+			convertible: pricingFactor !== null
+		};
+	}
+
+	/**
+	 * Stock statistics per location, from the stock levels of the filtered products
+	 * @param {Object} filterQuery - Product filter
+	 * @param {string} locationId - Only this location (default: every active location)
+	 * @param {number} threshold - Low stock threshold for levels without their own
+	 * @returns {Promise<Array<Object>>} Statistics per location (empty when no locations are set up)
+	 * @private
+	 */
+	async _getLocationStats(filterQuery, locationId = null, threshold = 10) {
+		if (!this.stockLevelRepository || !this.locationRepository) {
+			return [];
+		}
+
+		const locations = locationId
+			? [await this.locationRepository.findById(locationId)].filter(Boolean)
+			: await this.locationRepository.getActiveLocations();
+
+		if (!locations.length) {
+			return [];
+		}
+
+		const products = await this.productRepository.find(filterQuery, {
+			select: 'price pricingUnit stockUnit unitConversions isAvailable variants._id variants.price'
+		});
+		const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+		const levels = await this.stockLevelRepository.find({
+			locationId: { $in: locations.map(location => location._id) },
+			productId: { $in: products.map(product => product._id) }
+		});
+
+		return locations.map(location => {
+			const stats = {
+				locationId: location._id,
+				name: location.name,
+				code: location.code,
+				type: location.type,
+				productsInStock: 0,
+				lowStockLevels: 0,
+				outOfStockLevels: 0,
+				totalStockQuantity: 0,
+				totalInventoryValue: 0
+			};
+			const stocked = new Set();
+
+			levels
+				.filter(level => level.locationId.toString() === location._id.toString())
+				.forEach(level => {
+					const product = productsById.get(level.productId.toString());
+					const variant = level.variantId
+						? (product.variants || []).find(v => v._id.toString() === level.variantId.toString())
+						: null;
+
+					// Variants are priced per piece; products per pricing unit
+					const unitValue = level.variantId
+						? (variant && variant.price) || 0
+						: this._getStockUnitValue(product).unitValue;
+
+					if (level.quantity > 0) {
+						stocked.add(level.productId.toString());
+					} else {
+						stats.outOfStockLevels++;
+					}
+
+					if (product.isAvailable && level.quantity <= (level.lowStockThreshold ?? threshold)) {
+						stats.lowStockLevels++;
+					}
+
+					stats.totalStockQuantity += level.quantity;
+					stats.totalInventoryValue += unitValue * level.quantity;
+				});
+
+			stats.productsInStock = stocked.size;
+
+			return stats;
+		});
+	}
+
 	/**
 	 * Get top selling products
 	 * @param {number} limit - Number of products to return
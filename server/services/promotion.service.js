@@ -0,0 +1,392 @@
+// src/services/promotion.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const Promotion = require('../domain/models/promotion.model');
+
+/**
+ * @class PromotionService
+ * @description Service layer for promotions and coupon codes: works out the discounts an order gets
+ * and tracks redemptions against usage limits
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PromotionService {
+	/**
+	 * Create a new PromotionService instance
+	 * @param {Object} promotionRepository - Promotion repository instance
+	 * @param {Object} promotionRedemptionRepository - Promotion redemption repository
+	 * @param {Object} productRepository - Product repository, for the categories of ordered products
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(promotionRepository, promotionRedemptionRepository, productRepository, eventDispatcher, logger) {
+		this.promotionRepository = promotionRepository;
+		this.promotionRedemptionRepository = promotionRedemptionRepository;
+		this.productRepository = productRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Create a promotion
+	 * @param {Object} promotionData - Promotion data
+	 * @param {string} userId - ID of the user creating the promotion
+	 * @returns {Promise<Object>} Created promotion
+	 * @throws {ValidationError} Coupon code already in use
+	 */
+	async createPromotion(promotionData, userId = null) {
+		try {
+			const { code, usageCount, ...data } = promotionData;
+
+			if (code) {
+				await this._checkCodeAvailable(code);
+				data.code = code;
+			}
+
+			const promotion = await this.promotionRepository.create({ ...data, createdBy: userId || undefined });
+
+			this.eventDispatcher.dispatch(eventTypes.PROMOTION_CREATED, {
+				promotionId: promotion._id,
+				name: promotion.name,
+				code: promotion.code,
+				timestamp: new Date()
+			});
+
+			return promotion;
+		} catch (error) {
+			this.logger.error(`Error creating promotion: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get promotions with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, type, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated promotions
+	 */
+	async getPromotions(options = {}) {
+		return this.promotionRepository.getPromotions(options);
+	}
+
+	/**
+	 * Get promotion by ID
+	 * @param {string} promotionId - Promotion ID
+	 * @returns {Promise<Object>} Promotion
+	 * @throws {NotFoundError} Promotion not found
+	 */
+	async getPromotionById(promotionId) {
+		const promotion = await this.promotionRepository.findById(promotionId);
+
+		if (!promotion) {
+			throw new NotFoundError(`Promotion with ID ${promotionId} not found`);
+		}
+
+		return promotion;
+	}
+
+	/**
+	 * Update a promotion; an empty code turns a coupon into an automatic promotion
+	 * @param {string} promotionId - Promotion ID
+	 * @param {Object} updateData - Fields to update
+	 * @returns {Promise<Object>} Updated promotion
+	 * @throws {NotFoundError|ValidationError} Not found or coupon code already in use
+	 */
+	async updatePromotion(promotionId, updateData) {
+		try {
+			const promotion = await this.getPromotionById(promotionId);
+			const { code, usageCount, ...changes } = updateData;
+
+			if (code !== undefined) {
+				if (!code) {
+					changes.$unset = { code: 1 };
+				} else if (code.trim().toUpperCase() !== promotion.code) {
+					await this._checkCodeAvailable(code);
+					changes.code = code;
+				}
+			}
+
+			const updatedPromotion = await this.promotionRepository.update(promotionId, changes);
+
+			this.eventDispatcher.dispatch(eventTypes.PROMOTION_UPDATED, {
+				promotionId,
+				updatedFields: Object.keys(updateData),
+				timestamp: new Date()
+			});
+
+			return updatedPromotion;
+		} catch (error) {
+			this.logger.error(`Error updating promotion ${promotionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a promotion that has never been redeemed
+	 * @param {string} promotionId - Promotion ID
+	 * @returns {Promise<boolean>} Whether the promotion was deleted
+	 * @throws {NotFoundError|ValidationError} Not found or already redeemed
+	 */
+	async deletePromotion(promotionId) {
+		try {
+			const promotion = await this.getPromotionById(promotionId);
+
+			if (await this.promotionRedemptionRepository.exists({ promotionId })) {
+				throw new ValidationError(`Cannot delete promotion "${promotion.name}" after it has been redeemed; deactivate it instead`);
+			}
+
+			const result = await this.promotionRepository.delete(promotionId);
+
+			if (result) {
+				this.eventDispatcher.dispatch(eventTypes.PROMOTION_DELETED, {
+					promotionId,
+					name: promotion.name,
+					timestamp: new Date()
+				});
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error deleting promotion ${promotionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Work out the promotions an order gets: every automatic promotion it qualifies for plus its coupon
+	 * @param {Object} orderDetails - Order details ({ clientId, items, couponCode, date, includeAutomatic })
+	 * @returns {Promise<Object>} Total discount, whether delivery is free and the promotions applied
+	 * @throws {ValidationError} Unknown coupon code or one the order does not qualify for
+	 */
+	async evaluateOrder({ clientId, items = [], couponCode = null, date = new Date(), includeAutomatic = true }) {
+		const lines = await this._getOrderLines(items);
+		const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+
+		const candidates = includeAutomatic ? await this.promotionRepository.findAutomatic(date) : [];
+
+		let coupon = null;
+		if (couponCode) {
+			coupon = await this.promotionRepository.findByCode(couponCode);
+			if (!coupon) {
+				throw new ValidationError(`Coupon code "${couponCode}" is not valid`);
+			}
+			candidates.push(coupon);
+		}
+
+		const appliedPromotions = [];
+
+		for (const promotionData of candidates) {
+			const promotion = new Promotion(promotionData);
+			const isCoupon = promotionData === coupon;
+
+			const clientRedemptions = promotion.usageLimitPerClient !== null && clientId
+				? await this.promotionRedemptionRepository.countForClient(promotion.id, clientId)
+				: 0;
+
+			let reason = promotion.getIneligibilityReason({ items: lines, subtotal, date, clientRedemptions });
+
+			const { discountAmount, freeDelivery } = reason ? {} : promotion.calculateDiscount(lines);
+			if (!reason && !discountAmount && !freeDelivery) {
+				reason = `The order does not qualify for promotion "${promotion.name}"`;
+			}
+
+			if (reason) {
+				// Automatic promotions simply do not apply; a coupon the client entered should say why
+				if (isCoupon) {
+					throw new ValidationError(reason);
+				}
+				continue;
+			}
+
+			appliedPromotions.push({
+				promotionId: promotion.id,
+				name: promotion.name,
+				code: promotion.code || null,
+				type: promotion.type,
+				discountAmount,
+				freeDelivery
+			});
+		}
+
+		return this._summarise(appliedPromotions, subtotal);
+	}
+
+	/**
+	 * Re-work the discounts of promotions already on an order after its items changed (e.g. once weighed)
+	 * @param {Array<Object>} appliedPromotions - Promotions applied to the order
+	 * @param {Array<Object>} items - Order items as they are now
+	 * @returns {Promise<Object>} Total discount, whether delivery is free and the promotions applied
+	 */
+	async recalculateDiscounts(appliedPromotions = [], items = []) {
+		const lines = await this._getOrderLines(items);
+		const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+		const recalculated = [];
+
+		for (const applied of appliedPromotions) {
+			const promotionData = await this.promotionRepository.findById(applied.promotionId);
+
+			// A promotion deleted since keeps the discount it gave
+			const { discountAmount } = promotionData
+				? new Promotion(promotionData).calculateDiscount(lines)
+				: applied;
+
+			recalculated.push({ ...applied, discountAmount });
+		}
+
+		return this._summarise(recalculated, subtotal);
+	}
+
+	/**
+	 * Record the redemptions of an order's promotions and count them against the usage limits
+	 * @param {Object} order - Saved order with its applied promotions
+	 * @param {Object} options - Options (session)
+	 * @returns {Promise<Array<Object>>} Redemptions recorded
+	 * @throws {ValidationError} A promotion was fully redeemed in the meantime
+	 */
+	async redeemPromotions(order, options = {}) {
+		const redemptions = [];
+
+		for (const applied of order.appliedPromotions || []) {
+			const promotion = await this.promotionRepository.incrementUsage(applied.promotionId, { session: options.session });
+			if (!promotion) {
+				throw new ValidationError(`Promotion "${applied.name}" has been fully redeemed`);
+			}
+
+			redemptions.push(await this.promotionRedemptionRepository.create({
+				promotionId: applied.promotionId,
+				code: applied.code || undefined,
+				orderId: order._id,
+				clientId: order.clientId,
+				discountAmount: applied.discountAmount,
+				orderSubtotal: order.subtotal,
+				freeDelivery: applied.freeDelivery
+			}, { session: options.session }));
+		}
+
+		if (redemptions.length) {
+			this.eventDispatcher.dispatch(eventTypes.PROMOTION_REDEEMED, {
+				orderId: order._id,
+				clientId: order.clientId,
+				promotions: redemptions.map(redemption => ({
+					promotionId: redemption.promotionId,
+					discountAmount: redemption.discountAmount
+				})),
+				timestamp: new Date()
+			});
+		}
+
+		return redemptions;
+	}
+
+	/**
+	 * Reverse the redemptions of an order that was cancelled or deleted, freeing up their usage
+	 * @param {string} orderId - Order ID
+	 * @param {Object} options - Options (session)
+	 * @returns {Promise<number>} Number of redemptions reversed
+	 */
+	async reverseRedemptions(orderId, options = {}) {
+		const redemptions = await this.promotionRedemptionRepository.findForOrder(orderId, { session: options.session });
+
+		for (const redemption of redemptions) {
+			await this.promotionRedemptionRepository.update(
+				redemption._id,
+				{ status: 'reversed', reversedAt: new Date() },
+				{ session: options.session }
+			);
+			await this.promotionRepository.decrementUsage(redemption.promotionId, { session: options.session });
+		}
+
+		return redemptions.length;
+	}
+
+	/**
+	 * Get redemptions with filtering and pagination
+	 * @param {Object} options - Filters and pagination (promotionId, clientId, status, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated redemptions
+	 */
+	async getRedemptions(options = {}) {
+		return this.promotionRedemptionRepository.getRedemptions(options);
+	}
+
+	/**
+	 * Get redemption figures per promotion for reporting
+	 * @param {Object} options - Filters (promotionId, fromDate, toDate)
+	 * @returns {Promise<Object>} Per-promotion figures and overall totals
+	 */
+	async getRedemptionReport(options = {}) {
+		const promotions = await this.promotionRedemptionRepository.getSummary(options);
+
+		return {
+			fromDate: options.fromDate || null,
+			toDate: options.toDate || null,
+			totals: {
+				redemptions: promotions.reduce((sum, promotion) => sum + promotion.redemptions, 0),
+				totalDiscount: Math.round(promotions.reduce((sum, promotion) => sum + promotion.totalDiscount, 0) * 100) / 100
+			},
+			promotions
+		};
+	}
+
+	/**
+	 * Add each ordered product's category to the order items, for category-scoped promotions
+	 * @param {Array<Object>} items - Order items ({ productId, quantity, fulfilledQuantity, price, totalPrice })
+	 * @returns {Promise<Array<Object>>} Lines ({ productId, categoryId, quantity, price, totalPrice })
+	 * @private
+	 */
+	async _getOrderLines(items) {
+		const productIds = [...new Set(items.map(item => String(item.productId)))];
+		const products = await this.productRepository.find({ _id: { $in: productIds } }, { select: 'categoryId' });
+		const categories = new Map(products.map(product => [String(product._id), product.categoryId]));
+
+		return items.map(item => {
+			const quantity = typeof item.fulfilledQuantity === 'number' ? item.fulfilledQuantity : Number(item.quantity) || 0;
+			const price = Number(item.price) || 0;
+
+			return {
+				productId: item.productId,
+				categoryId: categories.get(String(item.productId)) || null,
+				quantity,
+				price,
+				totalPrice: item.totalPrice !== undefined && item.totalPrice !== null
+					? Number(item.totalPrice)
+					: Math.round(price * quantity * 100) / 100
+			};
+		});
+	}
+
+	/**
+	 * Total up applied promotions, keeping the discount within the value of the items
+	 * @param {Array<Object>} appliedPromotions - Promotions with their discounts
+	 * @param {number} subtotal - Value of the order's items
+	 * @returns {Object} Total discount, whether delivery is free and the promotions applied
+	 * @private
+	 */
+	_summarise(appliedPromotions, subtotal) {
+		let remaining = subtotal;
+
+		appliedPromotions.forEach(applied => {
+			applied.discountAmount = Math.round(Math.min(applied.discountAmount, remaining) * 100) / 100;
+			remaining -= applied.discountAmount;
+		});
+
+		return {
+			discountAmount: Math.round(appliedPromotions.reduce((sum, applied) => sum + applied.discountAmount, 0) * 100) / 100,
+			freeDelivery: appliedPromotions.some(applied => applied.freeDelivery),
+			appliedPromotions
+		};
+	}
+
+	/**
+	 * Check that a coupon code is not used by another promotion
+	 * @param {string} code - Coupon code
+	 * @throws {ValidationError} Code already in use
+	 * @private
+	 */
+	async _checkCodeAvailable(code) {
+		if (await this.promotionRepository.findByCode(code)) {
+			throw new ValidationError(`Coupon code ${code.trim().toUpperCase()} is already in use`);
+		}
+	}
+}
+
+module.exports = PromotionService;
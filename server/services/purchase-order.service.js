@@ -0,0 +1,639 @@
+// src/services/purchase-order.service.js
+
+const PDFService = require('./pdf.service');
+const EmailService = require('./email.service');
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const unitConverter = require('../utils/unit-converter');
+
+/**
+ * @class PurchaseOrderService
+ * @description Service for the purchase order workflow: draft, sent, partially received, received, closed
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class PurchaseOrderService {
+	/**
+	 * Create a new PurchaseOrderService instance
+	 * @param {Object} purchaseOrderRepository - Purchase order repository instance
+	 * @param {Object} supplierService - Supplier service for suppliers and their prices
+	 * @param {Object} productRepository - Product repository for stock and cost updates
+	 * @param {Object} stockBatchRepository - Stock batch repository for dated deliveries
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(purchaseOrderRepository, supplierService, productRepository, stockBatchRepository, eventDispatcher, logger) {
+		this.purchaseOrderRepository = purchaseOrderRepository;
+		this.supplierService = supplierService;
+		this.productRepository = productRepository;
+		this.stockBatchRepository = stockBatchRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Create a draft purchase order
+	 * @param {Object} purchaseOrderData - Purchase order data (supplierId, items, tax, shippingCost, expectedDeliveryDate, notes)
+	 * @param {string} userId - User raising the order
+	 * @returns {Promise<Object>} Created purchase order
+	 * @throws {NotFoundError|ValidationError} Supplier or product not found, or invalid items
+	 */
+	async createPurchaseOrder(purchaseOrderData, userId = null) {
+		try {
+			const supplier = await this.supplierService.getSupplierById(purchaseOrderData.supplierId);
+
+			if (!supplier.isActive) {
+				throw new ValidationError(`Supplier "${supplier.name}" is inactive`);
+			}
+
+			const { items, leadTimeDays } = await this._prepareItems(supplier, purchaseOrderData.items);
+
+			const expectedDeliveryDate = purchaseOrderData.expectedDeliveryDate
+				? new Date(purchaseOrderData.expectedDeliveryDate)
+				: new Date(Date.now() + leadTimeDays * 24 * 60 * 60 * 1000);
+
+			const purchaseOrder = await this.purchaseOrderRepository.create({
+				poNumber: await this.purchaseOrderRepository.generatePoNumber(),
+				supplierId: supplier._id,
+				status: 'draft',
+				items,
+				currency: supplier.currency,
+				tax: parseFloat(purchaseOrderData.tax) || 0,
+				shippingCost: parseFloat(purchaseOrderData.shippingCost) || 0,
+				expectedDeliveryDate,
+				notes: purchaseOrderData.notes,
+				createdBy: userId
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.PURCHASE_ORDER_CREATED, {
+				purchaseOrderId: purchaseOrder._id,
+				poNumber: purchaseOrder.poNumber,
+				supplierId: supplier._id,
+				totalAmount: purchaseOrder.totalAmount,
+				timestamp: new Date()
+			});
+
+			return purchaseOrder;
+		} catch (error) {
+			this.logger.error(`Error creating purchase order: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get purchase orders with filtering and pagination
+	 * @param {Object} options - Filters and pagination (supplierId, status, productId, search, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated purchase orders
+	 */
+	async getPurchaseOrders(options = {}) {
+		return this.purchaseOrderRepository.getPurchaseOrders(options);
+	}
+
+	/**
+	 * Get purchase order by ID
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @returns {Promise<Object>} Purchase order
+	 * @throws {NotFoundError} Purchase order not found
+	 */
+	async getPurchaseOrderById(purchaseOrderId) {
+		const purchaseOrder = await this.purchaseOrderRepository.findById(purchaseOrderId);
+
+		if (!purchaseOrder) {
+			throw new NotFoundError(`Purchase order with ID ${purchaseOrderId} not found`);
+		}
+
+		return purchaseOrder;
+	}
+
+	/**
+	 * Update a draft purchase order
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @param {Object} updateData - Fields to update (items, tax, shippingCost, expectedDeliveryDate, notes)
+	 * @returns {Promise<Object>} Updated purchase order
+	 * @throws {NotFoundError|ValidationError} Not found, not a draft, or invalid items
+	 */
+	async updatePurchaseOrder(purchaseOrderId, updateData) {
+		try {
+			const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+			this._assertStatus(purchaseOrder, ['draft'], 'edit');
+
+			const changes = {};
+
+			['expectedDeliveryDate', 'notes'].forEach(field => {
+				if (updateData[field] !== undefined) {
+					changes[field] = updateData[field];
+				}
+			});
+
+			['tax', 'shippingCost'].forEach(field => {
+				if (updateData[field] !== undefined) {
+					changes[field] = parseFloat(updateData[field]) || 0;
+				}
+			});
+
+			const items = updateData.items
+				? (await this._prepareItems(await this.supplierService.getSupplierById(purchaseOrder.supplierId), updateData.items)).items
+				: purchaseOrder.items;
+
+			if (updateData.items) {
+				changes.items = items;
+			}
+
+			// Updates skip the save hook, so keep the totals in step here
+			Object.assign(changes, this._calculateTotals(
+				items,
+				changes.tax ?? purchaseOrder.tax,
+				changes.shippingCost ?? purchaseOrder.shippingCost
+			));
+
+			return await this.purchaseOrderRepository.update(purchaseOrderId, changes);
+		} catch (error) {
+			this.logger.error(`Error updating purchase order ${purchaseOrderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Email the purchase order PDF to the supplier and mark a draft as sent
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @param {Object} options - Email options (recipientEmail, subject, message)
+	 * @param {string} userId - User sending the order
+	 * @returns {Promise<Object>} Updated purchase order
+	 * @throws {NotFoundError|ValidationError} Not found, wrong status, or no supplier email
+	 */
+	async sendPurchaseOrder(purchaseOrderId, options = {}, userId = null) {
+		try {
+			const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+			this._assertStatus(purchaseOrder, ['draft', 'sent'], 'send');
+
+			const supplier = await this.supplierService.getSupplierById(purchaseOrder.supplierId);
+			const contact = (supplier.contacts || []).find(c => c.isPrimary) || (supplier.contacts || [])[0];
+			const recipientEmail = options.recipientEmail || (contact && contact.email) || supplier.email;
+
+			if (!recipientEmail) {
+				throw new ValidationError(`Supplier "${supplier.name}" has no email address`);
+			}
+
+			const sentAt = purchaseOrder.sentAt || new Date();
+			const pdfBuffer = await PDFService.generatePurchaseOrder({ ...purchaseOrder, sentAt, supplier });
+
+			await EmailService.sendEmail({
+				to: recipientEmail,
+				subject: options.subject || `Purchase Order ${purchaseOrder.poNumber}`,
+				html: options.message || this._generateEmailTemplate(purchaseOrder, supplier, contact),
+				attachments: [{
+					filename: `PurchaseOrder-${purchaseOrder.poNumber}.pdf`,
+					content: pdfBuffer
+				}]
+			});
+
+			// Re-sending a sent order only emails it again
+			if (purchaseOrder.status === 'sent') {
+				return purchaseOrder;
+			}
+
+			const updatedPurchaseOrder = await this.purchaseOrderRepository.update(purchaseOrderId, {
+				$set: { status: 'sent', sentAt },
+				$push: { statusHistory: { status: 'sent', timestamp: sentAt, note: `Sent to ${recipientEmail}`, updatedBy: userId } }
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.PURCHASE_ORDER_SENT, {
+				purchaseOrderId,
+				poNumber: purchaseOrder.poNumber,
+				supplierId: supplier._id,
+				recipientEmail,
+				timestamp: sentAt
+			});
+
+			return updatedPurchaseOrder;
+		} catch (error) {
+			this.logger.error(`Error sending purchase order ${purchaseOrderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Book a delivery against the purchase order: stock goes up and cost prices follow the latest cost
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @param {Object} receiptData - Delivery ({ items: [{ itemId or productId/variantId, quantity, unitCost, batchNumber, expiryDate }], locationId, note })
+	 * @param {string} userId - User receiving the goods
+	 * @returns {Promise<Object>} Updated purchase order
+	 * @throws {NotFoundError|ValidationError} Not found, wrong status, or invalid quantities
+	 */
+	async receivePurchaseOrder(purchaseOrderId, receiptData = {}, userId = null) {
+		try {
+			const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+			this._assertStatus(purchaseOrder, ['sent', 'partially_received'], 'receive');
+
+			const lines = this._matchReceiptLines(purchaseOrder, receiptData.items);
+			const products = new Map(
+				(await this.productRepository.findByIds([...new Set(lines.map(line => line.item.productId.toString()))]))
+					.map(product => [product._id.toString(), product])
+			);
+
+			const updatedPurchaseOrder = await this.purchaseOrderRepository.withTransaction(async (session) => {
+				const receiptItems = [];
+				const note = `Received on ${purchaseOrder.poNumber}`;
+
+				for (const { item, quantity, unitCost, batchNumber, expiryDate } of lines) {
+					const product = products.get(item.productId.toString());
+					if (!product) {
+						throw new NotFoundError(`Product with ID ${item.productId} not found`);
+					}
+
+					// Variants are stocked by the unit; products convert from the supplier's unit
+					const stockQuantity = item.variantId
+						? quantity
+						: unitConverter.toStockUnits(product, quantity, item.unit);
+
+					let batch = null;
+					if (batchNumber || expiryDate) {
+						batch = await this.stockBatchRepository.create({
+							productId: item.productId,
+							variantId: item.variantId || null,
+							batchNumber: batchNumber || `${purchaseOrder.poNumber}-${Date.now()}`,
+							quantityReceived: stockQuantity,
+							quantityRemaining: stockQuantity,
+							expiryDate: expiryDate || null,
+							supplierReference: purchaseOrder.poNumber,
+							costPrice: unitCost * quantity / stockQuantity,
+							receivedBy: userId
+						}, { session });
+					}
+
+					await this.productRepository.updateStock(item.productId, stockQuantity, {
+						session,
+						variantId: item.variantId,
+						locationId: receiptData.locationId,
+						reason: 'restock',
+						userId,
+						note: batch ? `${note} (batch ${batch.batchNumber})` : note
+					});
+
+					await this._updateCostPrice(product, item, unitCost, session);
+
+					receiptItems.push({
+						itemId: item._id,
+						productId: item.productId,
+						variantId: item.variantId || null,
+						quantity,
+						unitCost,
+						batchId: batch ? batch._id : null
+					});
+				}
+
+				const received = new Map(receiptItems.map(entry => [entry.itemId.toString(), entry.quantity]));
+				const items = purchaseOrder.items.map(item => ({
+					...item,
+					quantityReceived: item.quantityReceived + (received.get(item._id.toString()) || 0)
+				}));
+
+				const isComplete = items.every(item => item.quantityReceived >= item.quantityOrdered);
+				const status = isComplete ? 'received' : 'partially_received';
+				const now = new Date();
+
+				const setData = { items, status };
+				if (isComplete) {
+					setData.receivedAt = now;
+				}
+
+				return this.purchaseOrderRepository.update(purchaseOrderId, {
+					$set: setData,
+					$push: {
+						receipts: { receivedAt: now, receivedBy: userId, locationId: receiptData.locationId || null, items: receiptItems, note: receiptData.note },
+						statusHistory: { status, timestamp: now, note: receiptData.note || 'Goods received', updatedBy: userId }
+					}
+				}, { session });
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.PURCHASE_ORDER_RECEIVED, {
+				purchaseOrderId,
+				poNumber: purchaseOrder.poNumber,
+				supplierId: purchaseOrder.supplierId,
+				status: updatedPurchaseOrder.status,
+				items: lines.map(line => ({ productId: line.item.productId, variantId: line.item.variantId, quantity: line.quantity })),
+				timestamp: new Date()
+			});
+
+			return updatedPurchaseOrder;
+		} catch (error) {
+			this.logger.error(`Error receiving purchase order ${purchaseOrderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Close a purchase order; anything not yet received is no longer expected
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @param {string} note - Reason for closing
+	 * @param {string} userId - User closing the order
+	 * @returns {Promise<Object>} Updated purchase order
+	 * @throws {NotFoundError|ValidationError} Not found or wrong status
+	 */
+	async closePurchaseOrder(purchaseOrderId, note = null, userId = null) {
+		try {
+			const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+			this._assertStatus(purchaseOrder, ['sent', 'partially_received', 'received'], 'close');
+
+			const now = new Date();
+			const updatedPurchaseOrder = await this.purchaseOrderRepository.update(purchaseOrderId, {
+				$set: { status: 'closed', closedAt: now },
+				$push: { statusHistory: { status: 'closed', timestamp: now, note: note || 'Purchase order closed', updatedBy: userId } }
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.PURCHASE_ORDER_CLOSED, {
+				purchaseOrderId,
+				poNumber: purchaseOrder.poNumber,
+				shortShipped: purchaseOrder.status !== 'received',
+				timestamp: now
+			});
+
+			return updatedPurchaseOrder;
+		} catch (error) {
+			this.logger.error(`Error closing purchase order ${purchaseOrderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Cancel a purchase order nothing has been received against
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @param {string} reason - Cancellation reason
+	 * @param {string} userId - User cancelling the order
+	 * @returns {Promise<Object>} Updated purchase order
+	 * @throws {NotFoundError|ValidationError} Not found or wrong status
+	 */
+	async cancelPurchaseOrder(purchaseOrderId, reason = null, userId = null) {
+		try {
+			const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+			this._assertStatus(purchaseOrder, ['draft', 'sent'], 'cancel');
+
+			const now = new Date();
+			const updatedPurchaseOrder = await this.purchaseOrderRepository.update(purchaseOrderId, {
+				$set: { status: 'cancelled', closedAt: now },
+				$push: { statusHistory: { status: 'cancelled', timestamp: now, note: reason || 'Purchase order cancelled', updatedBy: userId } }
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.PURCHASE_ORDER_CANCELLED, {
+				purchaseOrderId,
+				poNumber: purchaseOrder.poNumber,
+				reason,
+				timestamp: now
+			});
+
+			return updatedPurchaseOrder;
+		} catch (error) {
+			this.logger.error(`Error cancelling purchase order ${purchaseOrderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Render the purchase order as a PDF
+	 * @param {string} purchaseOrderId - Purchase order ID
+	 * @returns {Promise<Object>} PDF buffer, filename and content type
+	 * @throws {NotFoundError} Purchase order not found
+	 */
+	async generatePurchaseOrderPDF(purchaseOrderId) {
+		const purchaseOrder = await this.getPurchaseOrderById(purchaseOrderId);
+		const supplier = await this.supplierService.getSupplierById(purchaseOrder.supplierId);
+
+		const buffer = await PDFService.generatePurchaseOrder({ ...purchaseOrder, supplier });
+
+		return {
+			buffer,
+			filename: `PurchaseOrder-${purchaseOrder.poNumber}.pdf`,
+			contentType: 'application/pdf',
+			size: buffer.length
+		};
+	}
+
+	/**
+	 * Resolve order lines against their products and the supplier's price list
+	 * @param {Object} supplier - Supplier the order is for
+	 * @param {Array<Object>} rawItems - Requested lines ({ productId, variantId, quantity, unit, unitCost })
+	 * @returns {Promise<Object>} Prepared items and the longest lead time among them
+	 * @throws {NotFoundError|ValidationError} Product not found or missing cost
+	 * @private
+	 */
+	async _prepareItems(supplier, rawItems = []) {
+		if (!Array.isArray(rawItems) || rawItems.length === 0) {
+			throw new ValidationError('Purchase order must have at least one item');
+		}
+
+		const products = new Map(
+			(await this.productRepository.findByIds([...new Set(rawItems.map(item => item.productId.toString()))]))
+				.map(product => [product._id.toString(), product])
+		);
+
+		let leadTimeDays = supplier.leadTimeDays || 0;
+
+		const items = rawItems.map(rawItem => {
+			const product = products.get(rawItem.productId.toString());
+			if (!product) {
+				throw new NotFoundError(`Product with ID ${rawItem.productId} not found`);
+			}
+
+			if (product.productType === 'bundle') {
+				throw new ValidationError(`Bundle "${product.name}" cannot be bought from a supplier; order its components instead`);
+			}
+
+			const variant = rawItem.variantId
+				? (product.variants || []).find(v => v._id.toString() === rawItem.variantId.toString())
+				: null;
+
+			if (rawItem.variantId && !variant) {
+				throw new NotFoundError(`Variant "${rawItem.variantId}" not found for product ${rawItem.productId}`);
+			}
+
+			const quantityOrdered = parseFloat(rawItem.quantityOrdered ?? rawItem.quantity);
+			if (!(quantityOrdered > 0)) {
+				throw new ValidationError(`Quantity for "${product.name}" must be greater than zero`);
+			}
+
+			const price = this.supplierService.findPrice(supplier, product._id, variant ? variant._id : null);
+			const unit = variant ? 'each' : (rawItem.unit || (price && price.unit) || product.pricingUnit || 'each');
+
+			if (!variant && !unitConverter.canConvert(unit, product.stockUnit || 'each', product.unitConversions)) {
+				throw new ValidationError(`Cannot convert ${unit} to ${product.stockUnit} for product "${product.name}"`);
+			}
+
+			// A manual cost wins; otherwise use the price list, converted if the line is in another unit
+			let unitCost = rawItem.unitCost !== undefined && rawItem.unitCost !== '' ? parseFloat(rawItem.unitCost) : null;
+			if (unitCost === null && price) {
+				unitCost = price.unit && price.unit !== unit
+					? Math.round((price.unitCost / unitConverter.convert(1, price.unit, unit, product.unitConversions)) * 100) / 100
+					: price.unitCost;
+			}
+
+			if (unitCost === null || isNaN(unitCost) || unitCost < 0) {
+				throw new ValidationError(`No unit cost for "${product.name}": supplier "${supplier.name}" has no price for it`);
+			}
+
+			if (price && price.leadTimeDays > leadTimeDays) {
+				leadTimeDays = price.leadTimeDays;
+			}
+
+			return {
+				productId: product._id,
+				variantId: variant ? variant._id : null,
+				name: variant ? `${product.name} (${variant.name || variant.key})` : product.name,
+				supplierSku: rawItem.supplierSku || (price && price.supplierSku),
+				unit,
+				quantityOrdered,
+				quantityReceived: 0,
+				unitCost,
+				totalCost: quantityOrdered * unitCost
+			};
+		});
+
+		return { items, leadTimeDays };
+	}
+
+	/**
+	 * Match delivered lines to the order's items
+	 * @param {Object} purchaseOrder - Purchase order being received
+	 * @param {Array<Object>} receiptItems - Delivered lines (itemId or productId/variantId, quantity, unitCost, batchNumber, expiryDate)
+	 * @returns {Array<Object>} Lines ({ item, quantity, unitCost, batchNumber, expiryDate })
+	 * @throws {ValidationError} Unknown item or quantity beyond what is outstanding
+	 * @private
+	 */
+	_matchReceiptLines(purchaseOrder, receiptItems) {
+		// With no lines given, receive everything still outstanding
+		const requested = Array.isArray(receiptItems) && receiptItems.length
+			? receiptItems
+			: purchaseOrder.items
+				.filter(item => item.quantityOrdered > item.quantityReceived)
+				.map(item => ({ itemId: item._id, quantity: item.quantityOrdered - item.quantityReceived }));
+
+		const pending = new Map();
+
+		const lines = requested.map(line => {
+			const item = purchaseOrder.items.find(candidate => line.itemId
+				? candidate._id.toString() === line.itemId.toString()
+				: candidate.productId.toString() === String(line.productId) &&
+					(candidate.variantId ? candidate.variantId.toString() : null) === (line.variantId ? String(line.variantId) : null));
+
+			if (!item) {
+				throw new ValidationError(`Item ${line.itemId || line.productId} is not on purchase order ${purchaseOrder.poNumber}`);
+			}
+
+			const quantity = parseFloat(line.quantity);
+			if (!(quantity > 0)) {
+				throw new ValidationError(`Received quantity for "${item.name}" must be greater than zero`);
+			}
+
+			const key = item._id.toString();
+			const total = (pending.get(key) || 0) + quantity;
+			if (item.quantityReceived + total > item.quantityOrdered) {
+				throw new ValidationError(
+					`Cannot receive ${total} ${item.unit} of "${item.name}": only ${item.quantityOrdered - item.quantityReceived} outstanding`
+				);
+			}
+			pending.set(key, total);
+
+			const expiryDate = line.expiryDate ? new Date(line.expiryDate) : null;
+			if (expiryDate && (isNaN(expiryDate.getTime()) || expiryDate <= new Date())) {
+				throw new ValidationError(`Expiry date for "${item.name}" must be a future date`);
+			}
+
+			return {
+				item,
+				quantity,
+				unitCost: line.unitCost !== undefined ? parseFloat(line.unitCost) : item.unitCost,
+				batchNumber: line.batchNumber,
+				expiryDate
+			};
+		});
+
+		if (lines.length === 0) {
+			throw new ValidationError(`Nothing outstanding on purchase order ${purchaseOrder.poNumber}`);
+		}
+
+		return lines;
+	}
+
+	/**
+	 * Set the product's (or variant's) cost price to the latest cost paid
+	 * @param {Object} product - Product received
+	 * @param {Object} item - Purchase order item
+	 * @param {number} unitCost - Cost paid per purchase unit
+	 * @param {Object} session - Transaction session
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _updateCostPrice(product, item, unitCost, session) {
+		if (item.variantId) {
+			await this.productRepository.updateVariant(product._id, item.variantId, { costPrice: unitCost }, { session });
+			return;
+		}
+
+		// Cost prices are kept per pricing unit, like the selling price
+		const pricingQuantity = unitConverter.toPricingUnits(product, 1, item.unit);
+		const costPrice = Math.round((unitCost / pricingQuantity) * 100) / 100;
+
+		await this.productRepository.update(product._id, { costPrice }, { session });
+	}
+
+	/**
+	 * Recalculate line and order totals
+	 * @param {Array<Object>} items - Purchase order items
+	 * @param {number} tax - Tax amount
+	 * @param {number} shippingCost - Shipping cost
+	 * @returns {Object} Items with line totals, subtotal and total amount
+	 * @private
+	 */
+	_calculateTotals(items, tax = 0, shippingCost = 0) {
+		const pricedItems = items.map(item => ({ ...item, totalCost: item.quantityOrdered * item.unitCost }));
+		const subtotal = pricedItems.reduce((sum, item) => sum + item.totalCost, 0);
+
+		return {
+			items: pricedItems,
+			subtotal,
+			totalAmount: subtotal + (tax || 0) + (shippingCost || 0)
+		};
+	}
+
+	/**
+	 * Check the purchase order is in a status that allows the action
+	 * @param {Object} purchaseOrder - Purchase order
+	 * @param {Array<string>} allowedStatuses - Statuses the action is allowed from
+	 * @param {string} action - Action being attempted
+	 * @throws {ValidationError} If the status does not allow the action
+	 * @private
+	 */
+	_assertStatus(purchaseOrder, allowedStatuses, action) {
+		if (!allowedStatuses.includes(purchaseOrder.status)) {
+			throw new ValidationError(
+				`Cannot ${action} a purchase order that is ${purchaseOrder.status.replace('_', ' ')}`
+			);
+		}
+	}
+
+	/**
+	 * Build the email sent to the supplier with the purchase order attached
+	 * @param {Object} purchaseOrder - Purchase order
+	 * @param {Object} supplier - Supplier
+	 * @param {Object} contact - Contact the order is addressed to
+	 * @returns {string} Email HTML
+	 * @private
+	 */
+	_generateEmailTemplate(purchaseOrder, supplier, contact) {
+		const expected = purchaseOrder.expectedDeliveryDate
+			? new Date(purchaseOrder.expectedDeliveryDate).toDateString()
+			: null;
+
+		return `
+			<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+				<h2 style="color: #28a745;">Purchase Order ${purchaseOrder.poNumber}</h2>
+				<p>Dear ${contact ? contact.name : supplier.name},</p>
+				<p>Please find attached our purchase order ${purchaseOrder.poNumber} for ${purchaseOrder.items.length} item(s).</p>
+				${expected ? `<p>We expect delivery by <strong>${expected}</strong>. Please let us know as soon as possible if this is not achievable.</p>` : ''}
+				<p>Kindly quote the PO number on your delivery note and invoice.</p>
+				<p>Thank you,<br>She Cares Foodies</p>
+			</div>
+		`;
+	}
+}
+
+module.exports = PurchaseOrderService;
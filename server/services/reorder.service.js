@@ -0,0 +1,192 @@
+// src/services/reorder.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+
+/**
+ * @class ReorderService
+ * @description Service layer for reordering: a past order is turned into a new one at today's prices
+ * and availability, keeping its delivery details. The new order is previewed first, and once placed
+ * it waits as pending until staff confirm it
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReorderService {
+	/**
+	 * Create a new ReorderService instance
+	 * @param {Object} orderRepository - Order repository instance
+	 * @param {Object} orderService - Order service, which prices and places the new order
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(orderRepository, orderService, eventDispatcher, logger) {
+		this.orderRepository = orderRepository;
+		this.orderService = orderService;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Build a new order from a past one; without `confirm` it is only previewed
+	 * @param {string} orderId - ID of the order to reorder
+	 * @param {Object} reorderData - Reorder ({ items: [{ itemId, quantity }], deliveryDate, deliveryTimeSlot, notes, confirm });
+	 * without items, every line of the past order is reordered at its original quantity
+	 * @param {string} userId - ID of the user reordering
+	 * @returns {Promise<Object>} Reorder ({ confirmed, sourceOrder, order, unavailable }), where order is
+	 * the preview or the order placed and unavailable lists the lines that cannot be supplied now
+	 * @throws {NotFoundError|ValidationError} Order not found, unknown items, or nothing left to order
+	 */
+	async reorder(orderId, reorderData = {}, userId = null) {
+		try {
+			const sourceOrder = await this.orderRepository.findById(orderId);
+			if (!sourceOrder) {
+				throw new NotFoundError(`Order with ID ${orderId} not found`);
+			}
+
+			const clientId = sourceOrder.clientId?._id || sourceOrder.clientId;
+			const { lines, unavailable } = await this._checkLines(sourceOrder, clientId, reorderData.items);
+			const orderData = this._buildOrderData(sourceOrder, clientId, lines, reorderData);
+
+			const source = {
+				_id: sourceOrder._id,
+				orderNumber: sourceOrder.orderNumber,
+				createdAt: sourceOrder.createdAt
+			};
+
+			if (!reorderData.confirm) {
+				return {
+					confirmed: false,
+					sourceOrder: source,
+					order: {
+						...orderData,
+						items: lines,
+						// Tax, discounts and the delivery fee are worked out when the order is placed
+						subtotal: Math.round(lines.reduce((sum, line) => sum + line.totalPrice, 0) * 100) / 100
+					},
+					unavailable
+				};
+			}
+
+			if (!lines.length) {
+				throw new ValidationError(`None of the items of order ${sourceOrder.orderNumber} can be supplied now`);
+			}
+
+			const order = await this.orderService.createOrder(orderData);
+
+			this.eventDispatcher.dispatch(eventTypes.ORDER_REORDERED, {
+				orderId: order._id,
+				orderNumber: order.orderNumber,
+				sourceOrderId: sourceOrder._id,
+				sourceOrderNumber: sourceOrder.orderNumber,
+				clientId,
+				unavailableItems: unavailable.length,
+				reorderedBy: userId,
+				timestamp: new Date()
+			});
+
+			return { confirmed: true, sourceOrder: source, order, unavailable };
+		} catch (error) {
+			this.logger.error(`Error reordering order ${orderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Price each line to reorder for the client, setting aside the ones that cannot be supplied
+	 * @param {Object} order - Past order
+	 * @param {string} clientId - Client ID
+	 * @param {Array} [requestedItems] - Lines asked for ({ itemId, quantity }); every line when omitted
+	 * @returns {Promise<Object>} Priced lines and lines that cannot be supplied ({ lines, unavailable })
+	 * @throws {ValidationError} A requested item is not part of the order
+	 * @private
+	 */
+	async _checkLines(order, clientId, requestedItems) {
+		const requested = requestedItems && requestedItems.length
+			? requestedItems.map(line => {
+				const item = order.items.find(orderItem => String(orderItem._id) === String(line.itemId));
+				if (!item) {
+					throw new ValidationError(`Item ${line.itemId} is not part of order ${order.orderNumber}`);
+				}
+
+				return { item, quantity: Number(line.quantity) };
+			})
+			: order.items.map(item => ({ item, quantity: item.quantity }));
+
+		const lines = [];
+		const unavailable = [];
+
+		for (const { item, quantity } of requested) {
+			// Bundle itemisation is left to the product here, as it is when the order is placed
+			const line = {
+				productId: item.productId?._id || item.productId,
+				variantId: item.variantId || undefined,
+				name: item.name,
+				quantity,
+				unit: item.unit
+			};
+
+			try {
+				// Order items hold at least one of the unit they are sold in
+				if (!(quantity >= 1)) {
+					throw new ValidationError(`Quantity of "${item.name}" must be at least 1`);
+				}
+
+				// Checked one line at a time so one missing product does not hold up the rest
+				await this.orderService.validateOrderItems([line], clientId);
+			} catch (error) {
+				unavailable.push({
+					itemId: item._id,
+					productId: line.productId,
+					name: item.name,
+					quantity,
+					unit: item.unit,
+					reason: error.message
+				});
+				continue;
+			}
+
+			lines.push({
+				...line,
+				itemId: item._id,
+				previousPrice: item.price,
+				priceChange: Math.round((line.price - item.price) * 100) / 100
+			});
+		}
+
+		return { lines, unavailable };
+	}
+
+	/**
+	 * Build the new order from the past one, keeping its delivery details
+	 * @param {Object} order - Past order
+	 * @param {string} clientId - Client ID
+	 * @param {Array} lines - Priced lines to order
+	 * @param {Object} reorderData - Reorder ({ deliveryDate, deliveryTimeSlot, notes })
+	 * @returns {Object} Order data for OrderService.createOrder
+	 * @private
+	 */
+	_buildOrderData(order, clientId, lines, reorderData) {
+		return {
+			clientId,
+			// Priced again when the order is placed
+			items: lines.map(line => ({
+				productId: line.productId,
+				variantId: line.variantId,
+				name: line.name,
+				quantity: line.quantity,
+				unit: line.unit
+			})),
+			shippingMethod: order.shippingMethod,
+			shippingAddress: order.shippingMethod === 'delivery' ? order.shippingAddress : undefined,
+			contactInfo: order.contactInfo,
+			paymentMethod: order.paymentMethod,
+			deliveryNotes: order.deliveryNotes,
+			deliveryDate: reorderData.deliveryDate ? new Date(reorderData.deliveryDate) : undefined,
+			deliveryTimeSlot: reorderData.deliveryTimeSlot || order.deliveryTimeSlot,
+			notes: reorderData.notes || `Reorder of ${order.orderNumber}`,
+			sourceOrderId: order._id
+		};
+	}
+}
+
+module.exports = ReorderService;
@@ -0,0 +1,433 @@
+// src/services/replenishment.service.js
+
+const { ValidationError } = require('../utils/error-handler');
+const unitConverter = require('../utils/unit-converter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @class ReplenishmentService
+ * @description Suggests what to reorder and when, from sales velocity, supplier lead times and open purchase orders
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReplenishmentService {
+	/**
+	 * Create a new ReplenishmentService instance
+	 * @param {Object} productRepository - Product repository instance
+	 * @param {Object} stockMovementRepository - Stock movement ledger for sales history
+	 * @param {Object} purchaseOrderRepository - Purchase order repository for stock already on order
+	 * @param {Object} supplierService - Supplier service for prices, lead times and minimum order quantities
+	 * @param {Object} purchaseOrderService - Purchase order service for raising drafts
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Defaults (salesWindowDays, safetyStockDays, coverDays, defaultLeadTimeDays)
+	 */
+	constructor(productRepository, stockMovementRepository, purchaseOrderRepository, supplierService, purchaseOrderService, logger, settings = {}) {
+		this.productRepository = productRepository;
+		this.stockMovementRepository = stockMovementRepository;
+		this.purchaseOrderRepository = purchaseOrderRepository;
+		this.supplierService = supplierService;
+		this.purchaseOrderService = purchaseOrderService;
+		this.logger = logger;
+		this.settings = {
+			salesWindowDays: 28,
+			safetyStockDays: 3,
+			coverDays: 14,
+			defaultLeadTimeDays: 2,
+			...settings
+		};
+	}
+
+	/**
+	 * Build the replenishment report
+	 * @param {Object} options - Report options (salesWindowDays, safetyStockDays, coverDays, horizonDays, categoryId, supplierId, includeAll)
+	 * @returns {Promise<Object>} Suggestions, earliest reorder date first, with a summary
+	 * @throws {ValidationError} Invalid options
+	 */
+	async getReorderSuggestions(options = {}) {
+		try {
+			const settings = this._resolveSettings(options);
+			const now = new Date();
+
+			const filter = { productType: { $ne: 'bundle' } };
+			if (options.categoryId) {
+				filter.categoryId = options.categoryId;
+			}
+
+			const [products, sales, outstanding, suppliers] = await Promise.all([
+				this.productRepository.find(filter),
+				this.stockMovementRepository.getSalesSince(new Date(now.getTime() - settings.salesWindowDays * DAY_MS)),
+				this.purchaseOrderRepository.getOutstandingQuantities(),
+				this.supplierService.getActiveSuppliers()
+			]);
+
+			const salesByLine = new Map(sales.map(sale => [this._lineKey(sale.productId, sale.variantId), sale]));
+			const suppliersById = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+			const suggestions = [];
+
+			products.forEach(product => {
+				const onOrder = this._getOnOrder(product, outstanding);
+				const lines = [{ product, variant: null }, ...(product.variants || []).map(variant => ({ product, variant }))];
+
+				lines.forEach(({ variant }) => {
+					const key = this._lineKey(product._id, variant ? variant._id : null);
+					const suggestion = this._buildSuggestion({
+						product,
+						variant,
+						sale: salesByLine.get(key),
+						onOrder: onOrder.get(key),
+						supplier: this._chooseSupplier(product, variant, suppliers, suppliersById),
+						settings,
+						now
+					});
+
+					if (!suggestion) return;
+					if (options.supplierId && (!suggestion.supplier || suggestion.supplier.supplierId.toString() !== options.supplierId)) return;
+					if (!settings.includeAll && suggestion.daysUntilReorder > settings.horizonDays) return;
+
+					suggestions.push(suggestion);
+				});
+			});
+
+			suggestions.sort((a, b) => a.reorderDate - b.reorderDate || a.daysOfStock - b.daysOfStock);
+
+			return {
+				generatedAt: now,
+				parameters: settings,
+				summary: {
+					totalSuggestions: suggestions.length,
+					outOfStock: suggestions.filter(s => s.urgency === 'out_of_stock').length,
+					reorderNow: suggestions.filter(s => s.urgency === 'reorder_now').length,
+					upcoming: suggestions.filter(s => s.urgency === 'upcoming').length,
+					withoutSupplier: suggestions.filter(s => !s.supplier).length,
+					estimatedCost: suggestions.reduce((sum, s) => sum + (s.estimatedCost || 0), 0)
+				},
+				suggestions
+			};
+		} catch (error) {
+			this.logger.error(`Error building reorder suggestions: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Turn reorder suggestions into draft purchase orders, one per supplier
+	 * @param {Object} request - Which suggestions to order ({ items: [{ productId, variantId, quantity, supplierId }], supplierId }); all current suggestions when no items are given
+	 * @param {string} userId - User raising the orders
+	 * @returns {Promise<Object>} Created purchase orders and the lines that could not be ordered
+	 * @throws {ValidationError} Nothing to order
+	 */
+	async createPurchaseOrdersFromSuggestions(request = {}, userId = null) {
+		try {
+			const requestedItems = Array.isArray(request.items) ? request.items : [];
+			const report = await this.getReorderSuggestions({ ...request, supplierId: undefined, includeAll: requestedItems.length > 0 });
+
+			const skipped = [];
+			const lines = [];
+
+			if (requestedItems.length) {
+				requestedItems.forEach(item => {
+					const key = this._lineKey(item.productId, item.variantId);
+					const suggestion = report.suggestions.find(s => this._lineKey(s.productId, s.variantId) === key);
+
+					if (!suggestion) {
+						skipped.push({ productId: item.productId, variantId: item.variantId || null, reason: 'No reorder suggestion for this product' });
+						return;
+					}
+
+					lines.push({
+						suggestion,
+						quantity: item.quantity !== undefined ? parseFloat(item.quantity) : suggestion.suggestedQuantity,
+						supplierId: item.supplierId || request.supplierId || (suggestion.supplier && suggestion.supplier.supplierId)
+					});
+				});
+			} else {
+				report.suggestions.forEach(suggestion => {
+					lines.push({
+						suggestion,
+						quantity: suggestion.suggestedQuantity,
+						supplierId: request.supplierId || (suggestion.supplier && suggestion.supplier.supplierId)
+					});
+				});
+			}
+
+			// Group by supplier; lines with no supplier cannot be ordered
+			const bySupplier = new Map();
+			lines.forEach(line => {
+				if (!line.supplierId) {
+					skipped.push({ productId: line.suggestion.productId, variantId: line.suggestion.variantId, name: line.suggestion.name, reason: 'No supplier for this product' });
+					return;
+				}
+
+				if (!(line.quantity > 0)) {
+					skipped.push({ productId: line.suggestion.productId, variantId: line.suggestion.variantId, name: line.suggestion.name, reason: 'Quantity must be greater than zero' });
+					return;
+				}
+
+				const supplierKey = line.supplierId.toString();
+				if (!bySupplier.has(supplierKey)) {
+					bySupplier.set(supplierKey, []);
+				}
+				bySupplier.get(supplierKey).push(line);
+			});
+
+			if (bySupplier.size === 0) {
+				throw new ValidationError('Nothing to order: no reorder suggestion has a supplier');
+			}
+
+			const purchaseOrders = [];
+
+			for (const [supplierId, supplierLines] of bySupplier) {
+				try {
+					const purchaseOrder = await this.purchaseOrderService.createPurchaseOrder({
+						supplierId,
+						items: supplierLines.map(({ suggestion, quantity }) => ({
+							productId: suggestion.productId,
+							variantId: suggestion.variantId,
+							quantity,
+							unit: suggestion.purchaseUnit
+						})),
+						notes: 'Raised from reorder suggestions'
+					}, userId);
+
+					purchaseOrders.push(purchaseOrder);
+				} catch (error) {
+					// One supplier's problem (inactive, missing price) should not block the others
+					supplierLines.forEach(({ suggestion }) => {
+						skipped.push({ productId: suggestion.productId, variantId: suggestion.variantId, name: suggestion.name, supplierId, reason: error.message });
+					});
+				}
+			}
+
+			return { purchaseOrders, skipped };
+		} catch (error) {
+			this.logger.error(`Error raising purchase orders from reorder suggestions: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Work out the suggestion for one product or variant
+	 * @param {Object} context - Product, variant, sales, stock on order, supplier choice, settings and current time
+	 * @returns {Object|null} Suggestion, or null when the line has no recent sales
+	 * @private
+	 */
+	_buildSuggestion({ product, variant, sale, onOrder, supplier, settings, now }) {
+		const unitsSold = sale ? sale.unitsSold : 0;
+		const dailyVelocity = unitsSold / settings.salesWindowDays;
+
+		// Nothing selling means nothing to base a reorder on
+		if (!(dailyVelocity > 0)) {
+			return null;
+		}
+
+		const holder = variant || product;
+		const stockUnit = variant ? 'each' : (product.stockUnit || 'each');
+		const available = Math.max(0, (holder.stockQuantity || 0) - (holder.reservedQuantity || 0));
+		const onOrderQuantity = onOrder ? onOrder.quantity : 0;
+		const projected = available + onOrderQuantity;
+
+		const price = supplier ? supplier.price : null;
+		const leadTimeDays = price && price.leadTimeDays !== undefined && price.leadTimeDays !== null
+			? price.leadTimeDays
+			: (supplier ? supplier.leadTimeDays : settings.defaultLeadTimeDays);
+
+		const safetyStock = dailyVelocity * settings.safetyStockDays;
+		const reorderPoint = dailyVelocity * leadTimeDays + safetyStock;
+		const targetStock = reorderPoint + dailyVelocity * settings.coverDays;
+		const daysUntilReorder = Math.max(0, (projected - reorderPoint) / dailyVelocity);
+
+		// By the reorder date stock will have fallen to the reorder point
+		const neededStockUnits = targetStock - Math.min(projected, reorderPoint);
+
+		const purchaseUnit = variant ? 'each' : ((price && price.unit) || product.pricingUnit || 'each');
+		const toPurchaseUnits = quantity => variant
+			? quantity
+			: unitConverter.convert(quantity, stockUnit, purchaseUnit, product.unitConversions);
+
+		const minimumOrderQuantity = this._getMinimumOrderQuantity(product, variant, price, purchaseUnit);
+		const suggestedQuantity = Math.max(Math.ceil(toPurchaseUnits(neededStockUnits)), minimumOrderQuantity);
+
+		const reorderDate = new Date(now.getTime() + daysUntilReorder * DAY_MS);
+		const round = value => Math.round(value * 100) / 100;
+
+		return {
+			productId: product._id,
+			variantId: variant ? variant._id : null,
+			name: variant ? `${product.name} (${variant.name || variant.key})` : product.name,
+			sku: variant ? variant.sku : product.sku,
+			stockUnit,
+			available: round(available),
+			onOrder: round(onOrderQuantity),
+			openPurchaseOrders: onOrder ? onOrder.purchaseOrders : [],
+			unitsSold: round(unitsSold),
+			dailyVelocity: round(dailyVelocity),
+			daysOfStock: round(available / dailyVelocity),
+			stockoutDate: new Date(now.getTime() + (available / dailyVelocity) * DAY_MS),
+			leadTimeDays,
+			safetyStock: round(safetyStock),
+			reorderPoint: round(reorderPoint),
+			daysUntilReorder: round(daysUntilReorder),
+			reorderDate,
+			expectedArrival: new Date(reorderDate.getTime() + leadTimeDays * DAY_MS),
+			urgency: available <= 0 ? 'out_of_stock' : (daysUntilReorder === 0 ? 'reorder_now' : 'upcoming'),
+			suggestedQuantity,
+			purchaseUnit,
+			minimumOrderQuantity,
+			supplier: supplier
+				? {
+					supplierId: supplier.supplierId,
+					name: supplier.name,
+					unitCost: price ? price.unitCost : null,
+					supplierSku: price ? price.supplierSku : null
+				}
+				: null,
+			estimatedCost: price ? round(suggestedQuantity * price.unitCost) : null
+		};
+	}
+
+	/**
+	 * Pick the supplier to reorder from: the preferred supplier, else the cheapest one listing the product
+	 * @param {Object} product - Product
+	 * @param {Object} variant - Variant (null for the product itself)
+	 * @param {Array<Object>} suppliers - Active suppliers
+	 * @param {Map} suppliersById - Active suppliers by ID
+	 * @returns {Object|null} Supplier choice ({ supplierId, name, leadTimeDays, price })
+	 * @private
+	 */
+	_chooseSupplier(product, variant, suppliers, suppliersById) {
+		const variantId = variant ? variant._id : null;
+		const preferred = product.preferredSupplierId ? suppliersById.get(product.preferredSupplierId.toString()) : null;
+
+		const preferredPrice = preferred ? this.supplierService.findPrice(preferred, product._id, variantId) : null;
+		if (preferredPrice) {
+			return { supplierId: preferred._id, name: preferred.name, leadTimeDays: preferred.leadTimeDays, price: preferredPrice };
+		}
+
+		let cheapest = null;
+		suppliers.forEach(supplier => {
+			const price = this.supplierService.findPrice(supplier, product._id, variantId);
+			if (price && (!cheapest || this._costPerStockUnit(product, variant, price) < this._costPerStockUnit(product, variant, cheapest.price))) {
+				cheapest = { supplierId: supplier._id, name: supplier.name, leadTimeDays: supplier.leadTimeDays, price };
+			}
+		});
+
+		if (cheapest) {
+			return cheapest;
+		}
+
+		// A preferred supplier without a price can still be ordered from with a manual cost
+		return preferred
+			? { supplierId: preferred._id, name: preferred.name, leadTimeDays: preferred.leadTimeDays, price: null }
+			: null;
+	}
+
+	/**
+	 * Compare supplier prices quoted in different units
+	 * @param {Object} product - Product
+	 * @param {Object} variant - Variant (null for the product itself)
+	 * @param {Object} price - Price list entry
+	 * @returns {number} Cost of one stock unit
+	 * @private
+	 */
+	_costPerStockUnit(product, variant, price) {
+		if (variant || !price.unit) {
+			return price.unitCost;
+		}
+
+		return price.unitCost / unitConverter.toStockUnits(product, 1, price.unit);
+	}
+
+	/**
+	 * Minimum order quantity in the purchase unit, from the price list or the legacy supplier details
+	 * @param {Object} product - Product
+	 * @param {Object} variant - Variant (null for the product itself)
+	 * @param {Object} price - Price list entry, if any
+	 * @param {string} purchaseUnit - Unit the order is placed in
+	 * @returns {number} Minimum order quantity
+	 * @private
+	 */
+	_getMinimumOrderQuantity(product, variant, price, purchaseUnit) {
+		if (price && price.minimumOrderQuantity) {
+			return price.minimumOrderQuantity;
+		}
+
+		const legacyMinimum = product.supplierInfo && product.supplierInfo.minimumOrderQuantity;
+		if (!legacyMinimum) {
+			return 0;
+		}
+
+		// Legacy minimums are in the product's pricing unit
+		return variant
+			? legacyMinimum
+			: Math.ceil(unitConverter.convert(legacyMinimum, product.pricingUnit || 'each', purchaseUnit, product.unitConversions));
+	}
+
+	/**
+	 * Sum what is still to arrive for a product and its variants, in stock units
+	 * @param {Object} product - Product
+	 * @param {Array<Object>} outstanding - Outstanding purchase order lines
+	 * @returns {Map} Stock on order by line key ({ quantity, purchaseOrders })
+	 * @private
+	 */
+	_getOnOrder(product, outstanding) {
+		const onOrder = new Map();
+
+		outstanding
+			.filter(line => line.productId.toString() === product._id.toString())
+			.forEach(line => {
+				const key = this._lineKey(line.productId, line.variantId);
+				const quantity = line.variantId
+					? line.quantity
+					: unitConverter.toStockUnits(product, line.quantity, line.unit);
+
+				const entry = onOrder.get(key) || { quantity: 0, purchaseOrders: [] };
+				entry.quantity += quantity;
+				entry.purchaseOrders = [...new Set([...entry.purchaseOrders, ...line.purchaseOrders])];
+				onOrder.set(key, entry);
+			});
+
+		return onOrder;
+	}
+
+	/**
+	 * Merge request options over the configured defaults
+	 * @param {Object} options - Request options
+	 * @returns {Object} Settings for this report
+	 * @throws {ValidationError} Invalid option
+	 * @private
+	 */
+	_resolveSettings(options) {
+		const settings = {
+			...this.settings,
+			horizonDays: 7,
+			includeAll: options.includeAll === true || options.includeAll === 'true'
+		};
+
+		['salesWindowDays', 'safetyStockDays', 'coverDays', 'horizonDays'].forEach(field => {
+			if (options[field] === undefined || options[field] === '') return;
+
+			const value = parseInt(options[field], 10);
+			if (isNaN(value) || value < 0 || (field === 'salesWindowDays' && value === 0)) {
+				throw new ValidationError(`${field} must be a ${field === 'salesWindowDays' ? 'positive' : 'non-negative'} number of days`);
+			}
+			settings[field] = value;
+		});
+
+		return settings;
+	}
+
+	/**
+	 * Key a product or variant line
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (null for the product itself)
+	 * @returns {string} Line key
+	 * @private
+	 */
+	_lineKey(productId, variantId) {
+		return `${productId}:${variantId || ''}`;
+	}
+}
+
+module.exports = ReplenishmentService;
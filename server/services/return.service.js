@@ -0,0 +1,601 @@
+// src/services/return.service.js
+
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+
+// Upload field a return item's photos arrive in, e.g. items[0][photos]
+const PHOTO_FIELD_PATTERN = /^items\[(\d+)\]\[photos\]/;
+
+/**
+ * @class ReturnService
+ * @description Service layer for returns (RMAs): clients ask to return delivered order lines, staff
+ * approve or reject them, and an approval restocks or writes off the goods, issues a credit note
+ * against the invoice and gives back what the client overpaid as a refund or store credit
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReturnService {
+	/**
+	 * Create a new ReturnService instance
+	 * @param {Object} returnRequestRepository - Return request repository instance
+	 * @param {Object} creditNoteRepository - Credit note repository instance
+	 * @param {Object} orderRepository - Order repository instance
+	 * @param {Object} clientRepository - Client repository, for store credit and client totals
+	 * @param {Object} orderService - Order service, for restocking and order status changes
+	 * @param {Object} invoiceService - Invoice service, to credit the order's invoice
+	 * @param {Object} fileStorage - File storage for return photos
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Return settings (returnWindowDays)
+	 */
+	constructor(
+		returnRequestRepository,
+		creditNoteRepository,
+		orderRepository,
+		clientRepository,
+		orderService,
+		invoiceService,
+		fileStorage,
+		eventDispatcher,
+		logger,
+		settings = {}
+	) {
+		this.returnRequestRepository = returnRequestRepository;
+		this.creditNoteRepository = creditNoteRepository;
+		this.orderRepository = orderRepository;
+		this.clientRepository = clientRepository;
+		this.orderService = orderService;
+		this.invoiceService = invoiceService;
+		this.fileStorage = fileStorage;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+		this.settings = {
+			returnWindowDays: 14,
+			...settings
+		};
+	}
+
+	/**
+	 * Ask to return lines of a delivered order; the request waits for staff to approve or reject it
+	 * @param {Object} returnData - Return data ({ orderId, items: [{ itemId, quantity, reason, details }], notes })
+	 * @param {Array} files - Uploaded photos, in fields named items[<index>][photos]
+	 * @param {string} userId - ID of the user making the request
+	 * @returns {Promise<Object>} Created return request
+	 * @throws {NotFoundError|ValidationError} Order not found, not returnable, or quantities not available
+	 */
+	async createReturnRequest(returnData, files = [], userId = null) {
+		try {
+			const { orderId, notes } = returnData;
+
+			const order = await this.orderRepository.findById(orderId);
+			if (!order) {
+				throw new NotFoundError(`Order with ID ${orderId} not found`);
+			}
+
+			this._checkReturnable(order);
+
+			const pending = this._getPendingQuantities(await this.returnRequestRepository.findOpenForOrder(orderId));
+
+			const items = returnData.items.map(requested => {
+				const item = (order.items || []).find(orderItem => String(orderItem._id) === String(requested.itemId));
+				if (!item) {
+					throw new ValidationError(`Item ${requested.itemId} is not part of order ${order.orderNumber}`);
+				}
+
+				const quantity = Number(requested.quantity);
+				const available = this._getReturnableQuantity(item) - (pending[String(item._id)] || 0);
+				if (quantity > available) {
+					throw new ValidationError(`Only ${Math.max(available, 0)}${item.unit || ''} of "${item.name}" can be returned`);
+				}
+
+				return {
+					orderItemId: item._id,
+					productId: item.productId,
+					variantId: item.variantId || undefined,
+					name: item.name,
+					unit: item.unit,
+					quantity,
+					amount: this._getItemValue(order, item, quantity),
+					reason: requested.reason,
+					details: requested.details,
+					photos: []
+				};
+			});
+
+			await this._attachPhotos(items, files);
+
+			const returnRequest = await this.returnRequestRepository.create({
+				returnNumber: await this.returnRequestRepository.generateReturnNumber(),
+				orderId: order._id,
+				clientId: order.clientId?._id || order.clientId,
+				items,
+				notes,
+				createdBy: userId || undefined
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.RETURN_REQUESTED, {
+				returnRequestId: returnRequest._id,
+				returnNumber: returnRequest.returnNumber,
+				orderId: order._id,
+				orderNumber: order.orderNumber,
+				clientId: returnRequest.clientId,
+				amount: this._round(items.reduce((sum, item) => sum + item.amount, 0)),
+				timestamp: new Date()
+			});
+
+			return returnRequest;
+		} catch (error) {
+			this.logger.error(`Error creating return request: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get return requests with filtering and pagination
+	 * @param {Object} options - Filters and pagination (orderId, clientId, status, page, limit)
+	 * @returns {Promise<Object>} Paginated return requests
+	 */
+	async getReturnRequests(options = {}) {
+		return this.returnRequestRepository.getReturnRequests(options);
+	}
+
+	/**
+	 * Get return request by ID
+	 * @param {string} returnRequestId - Return request ID
+	 * @returns {Promise<Object>} Return request
+	 * @throws {NotFoundError} Return request not found
+	 */
+	async getReturnRequestById(returnRequestId) {
+		const returnRequest = await this.returnRequestRepository.findById(returnRequestId);
+
+		if (!returnRequest) {
+			throw new NotFoundError(`Return request with ID ${returnRequestId} not found`);
+		}
+
+		return returnRequest;
+	}
+
+	/**
+	 * Approve a return request: restock or write off the goods, issue a credit note against the
+	 * invoice, give back what the client overpaid and bring the order and client totals up to date
+	 * @param {string} returnRequestId - Return request ID
+	 * @param {Object} approval - Approval ({ resolution, disposition, items: [{ itemId, approvedQuantity, disposition }], refundMethod, refundReference, notes })
+	 * @param {string} userId - ID of the staff member approving
+	 * @returns {Promise<Object>} Approved return request with its credit note ({ returnRequest, creditNote })
+	 * @throws {NotFoundError|ValidationError} Return request not found, already decided, or nothing approved
+	 */
+	async approveReturn(returnRequestId, approval, userId = null) {
+		try {
+			const returnRequest = await this.getReturnRequestById(returnRequestId);
+
+			if (returnRequest.status !== 'requested') {
+				throw new ValidationError(`Return request ${returnRequest.returnNumber} has already been ${returnRequest.status}`);
+			}
+
+			const order = await this.orderRepository.findById(returnRequest.orderId);
+			if (!order) {
+				throw new NotFoundError(`Order with ID ${returnRequest.orderId} not found`);
+			}
+
+			const items = this._applyApprovalDecisions(returnRequest, order, approval);
+			const creditAmount = this._round(items.reduce((sum, item) => sum + item.creditAmount, 0));
+
+			if (!items.some(item => item.approvedQuantity > 0)) {
+				throw new ValidationError('No items were approved; reject the return request instead');
+			}
+
+			const invoice = order.invoiceId ? await this.invoiceService.getInvoiceById(order.invoiceId) : null;
+			const refundAmount = this._getRefundAmount(order, invoice, creditAmount);
+			const clientId = returnRequest.clientId?._id || returnRequest.clientId;
+
+			const { approvedRequest, creditNote } = await this.returnRequestRepository.withTransaction(async (session) => {
+				const restockLines = items
+					.filter(item => item.disposition === 'restock' && item.approvedQuantity > 0)
+					.map(item => ({ item: item.orderItem, quantity: item.approvedQuantity }));
+
+				if (restockLines.length) {
+					await this.orderService.restockReturnedItems(order, restockLines, {
+						session,
+						userId,
+						note: `Returned from order ${order.orderNumber} (${returnRequest.returnNumber})`
+					});
+				}
+
+				// Written-off goods already left stock with the order; nothing goes back on hand
+
+				// Guarded so a concurrent return of the same items cannot take them past what was billed
+				const recorded = await this.orderRepository.recordReturn(order._id, {
+					items: items.filter(item => item.approvedQuantity > 0).map(item => ({
+						itemId: item.orderItem._id,
+						quantity: item.approvedQuantity,
+						maxReturnedBefore: Math.round((this._getBilledQuantity(item.orderItem) - item.approvedQuantity) * 1e6) / 1e6
+					})),
+					creditedAmount: creditAmount,
+					refundedAmount: refundAmount
+				}, { session });
+
+				if (!recorded) {
+					throw new ConflictError(`Items of order ${order.orderNumber} were returned while return request ${returnRequest.returnNumber} was being approved; review it again`);
+				}
+
+				const creditNote = await this.creditNoteRepository.create({
+					creditNoteNumber: await this.creditNoteRepository.generateCreditNoteNumber(),
+					invoiceId: order.invoiceId || undefined,
+					orderId: order._id,
+					clientId,
+					returnRequestId: returnRequest._id,
+					items: items.filter(item => item.approvedQuantity > 0).map(item => ({
+						productId: item.productId,
+						variantId: item.variantId,
+						name: item.name,
+						quantity: item.approvedQuantity,
+						unit: item.unit,
+						amount: item.creditAmount
+					})),
+					totalAmount: creditAmount,
+					refundAmount,
+					resolution: approval.resolution,
+					reason: `Return ${returnRequest.returnNumber}`,
+					createdBy: userId || undefined
+				}, { session });
+
+				if (approval.resolution === 'store_credit' && refundAmount > 0) {
+					await this.clientRepository.addStoreCredit(clientId, refundAmount, { session });
+				}
+
+				// Only one decision can win; a concurrent approval or rejection rolls this one back
+				const approvedRequest = await this.returnRequestRepository.decide(returnRequest._id, {
+					status: 'approved',
+					items: items.map(item => ({
+						...item.returnItem,
+						approvedQuantity: item.approvedQuantity,
+						disposition: item.disposition
+					})),
+					resolution: approval.resolution,
+					creditAmount,
+					refundAmount,
+					refundMethod: approval.resolution === 'refund' ? approval.refundMethod : undefined,
+					refundReference: approval.resolution === 'refund' ? approval.refundReference : undefined,
+					creditNoteId: creditNote._id,
+					notes: approval.notes !== undefined ? approval.notes : returnRequest.notes,
+					reviewedBy: userId || undefined,
+					reviewedAt: new Date()
+				}, { session });
+
+				if (!approvedRequest) {
+					throw new ConflictError(`Return request ${returnRequest.returnNumber} was decided by someone else in the meantime`);
+				}
+
+				return { approvedRequest, creditNote };
+			});
+
+			await this._creditInvoice(order, creditNote);
+			await this._refreshClientSpend(clientId);
+			await this._settleOrder(order._id, refundAmount, returnRequest.returnNumber, userId);
+
+			this.eventDispatcher.dispatch(eventTypes.CREDIT_NOTE_ISSUED, {
+				creditNoteId: creditNote._id,
+				creditNoteNumber: creditNote.creditNoteNumber,
+				invoiceId: order.invoiceId,
+				orderId: order._id,
+				clientId,
+				totalAmount: creditAmount,
+				refundAmount,
+				timestamp: new Date()
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.RETURN_APPROVED, {
+				returnRequestId: returnRequest._id,
+				returnNumber: returnRequest.returnNumber,
+				orderId: order._id,
+				clientId,
+				resolution: approval.resolution,
+				creditAmount,
+				refundAmount,
+				approvedBy: userId,
+				timestamp: new Date()
+			});
+
+			return { returnRequest: approvedRequest, creditNote };
+		} catch (error) {
+			this.logger.error(`Error approving return request ${returnRequestId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Reject a return request
+	 * @param {string} returnRequestId - Return request ID
+	 * @param {Object} rejection - Rejection ({ reason })
+	 * @param {string} userId - ID of the staff member rejecting
+	 * @returns {Promise<Object>} Rejected return request
+	 * @throws {NotFoundError|ValidationError} Return request not found or already decided
+	 */
+	async rejectReturn(returnRequestId, { reason }, userId = null) {
+		try {
+			const returnRequest = await this.getReturnRequestById(returnRequestId);
+
+			if (returnRequest.status !== 'requested') {
+				throw new ValidationError(`Return request ${returnRequest.returnNumber} has already been ${returnRequest.status}`);
+			}
+
+			const rejectedRequest = await this.returnRequestRepository.decide(returnRequestId, {
+				status: 'rejected',
+				rejectionReason: reason,
+				reviewedBy: userId || undefined,
+				reviewedAt: new Date()
+			});
+
+			if (!rejectedRequest) {
+				throw new ConflictError(`Return request ${returnRequest.returnNumber} was decided by someone else in the meantime`);
+			}
+
+			this.eventDispatcher.dispatch(eventTypes.RETURN_REJECTED, {
+				returnRequestId,
+				returnNumber: returnRequest.returnNumber,
+				orderId: returnRequest.orderId,
+				clientId: returnRequest.clientId,
+				reason,
+				rejectedBy: userId,
+				timestamp: new Date()
+			});
+
+			return rejectedRequest;
+		} catch (error) {
+			this.logger.error(`Error rejecting return request ${returnRequestId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Check an order can still be returned: delivered, and within the return window
+	 * @param {Object} order - Order
+	 * @throws {ValidationError} Order not returnable
+	 * @private
+	 */
+	_checkReturnable(order) {
+		if (order.status !== 'delivered') {
+			throw new ValidationError('Only delivered orders can be returned');
+		}
+
+		const delivery = [...(order.statusHistory || [])].reverse().find(entry => entry.status === 'delivered');
+		const deliveredAt = new Date(delivery?.timestamp || order.updatedAt);
+		const windowEnds = new Date(deliveredAt.getTime() + this.settings.returnWindowDays * 24 * 60 * 60 * 1000);
+
+		if (new Date() > windowEnds) {
+			throw new ValidationError(`Returns must be requested within ${this.settings.returnWindowDays} days of delivery`);
+		}
+	}
+
+	/**
+	 * Quantity of an order item the client was billed for and has not returned yet
+	 * @param {Object} item - Order item
+	 * @returns {number} Returnable quantity, in the item's unit
+	 * @private
+	 */
+	_getReturnableQuantity(item) {
+		return Math.round((this._getBilledQuantity(item) - (item.returnedQuantity || 0)) * 1e6) / 1e6;
+	}
+
+	/**
+	 * Quantity of an order item the client was billed for (the packed quantity once weighed)
+	 * @param {Object} item - Order item
+	 * @returns {number} Billed quantity
+	 * @private
+	 */
+	_getBilledQuantity(item) {
+		return typeof item.fulfilledQuantity === 'number' ? item.fulfilledQuantity : item.quantity;
+	}
+
+	/**
+	 * Sum the quantities already asked for in open return requests, per order item
+	 * @param {Array} returnRequests - Open return requests of an order
+	 * @returns {Object<string, number>} Pending quantity by order item ID
+	 * @private
+	 */
+	_getPendingQuantities(returnRequests) {
+		const pending = {};
+
+		returnRequests.forEach(returnRequest => {
+			returnRequest.items.forEach(item => {
+				const key = String(item.orderItemId);
+				pending[key] = (pending[key] || 0) + item.quantity;
+			});
+		});
+
+		return pending;
+	}
+
+	/**
+	 * Value of part of an order line as the client paid for it: its price less its share of the
+	 * order discount, plus its tax when tax was added on top
+	 * @param {Object} order - Order
+	 * @param {Object} item - Order item
+	 * @param {number} quantity - Quantity being valued, in the item's unit
+	 * @returns {number} Value of the quantity
+	 * @private
+	 */
+	_getItemValue(order, item, quantity) {
+		const billed = this._getBilledQuantity(item);
+		if (!billed) {
+			return 0;
+		}
+
+		const discountShare = order.subtotal ? (order.discountAmount || 0) * (item.totalPrice / order.subtotal) : 0;
+		const tax = order.pricesIncludeTax ? 0 : (item.taxAmount || 0);
+		const lineValue = item.totalPrice - discountShare + tax;
+
+		return this._round(Math.max(lineValue, 0) * (quantity / billed));
+	}
+
+	/**
+	 * Work out what is approved on each return item and what it is worth
+	 * @param {Object} returnRequest - Return request
+	 * @param {Object} order - Order the items are returned from
+	 * @param {Object} approval - Approval ({ disposition, items })
+	 * @returns {Array<Object>} Decisions ({ returnItem, orderItem, approvedQuantity, disposition, creditAmount, ... })
+	 * @throws {ValidationError} Unknown item, or more approved than requested or still returnable
+	 * @private
+	 */
+	_applyApprovalDecisions(returnRequest, order, approval) {
+		const decisions = approval.items || [];
+
+		decisions.forEach(decision => {
+			if (!returnRequest.items.some(item => String(item._id) === String(decision.itemId))) {
+				throw new ValidationError(`Item ${decision.itemId} is not part of return request ${returnRequest.returnNumber}`);
+			}
+		});
+
+		return returnRequest.items.map(item => {
+			const decision = decisions.find(d => String(d.itemId) === String(item._id)) || {};
+			const approvedQuantity = decision.approvedQuantity !== undefined ? Number(decision.approvedQuantity) : item.quantity;
+
+			if (approvedQuantity > item.quantity) {
+				throw new ValidationError(`Cannot approve more of "${item.name}" than the ${item.quantity}${item.unit || ''} requested`);
+			}
+
+			const orderItem = (order.items || []).find(orderItem => String(orderItem._id) === String(item.orderItemId));
+			if (!orderItem) {
+				throw new ValidationError(`"${item.name}" is no longer part of order ${order.orderNumber}`);
+			}
+
+			if (approvedQuantity > this._getReturnableQuantity(orderItem)) {
+				throw new ValidationError(`Only ${this._getReturnableQuantity(orderItem)}${item.unit || ''} of "${item.name}" can still be returned`);
+			}
+
+			return {
+				returnItem: item,
+				productId: item.productId,
+				variantId: item.variantId,
+				name: item.name,
+				unit: item.unit,
+				approvedQuantity,
+				disposition: decision.disposition || approval.disposition,
+				// Value as requested, so the credit matches what the client was shown
+				creditAmount: item.quantity ? this._round(item.amount * (approvedQuantity / item.quantity)) : 0,
+				orderItem
+			};
+		});
+	}
+
+	/**
+	 * Work out how much of a credit is owed back to the client: whatever they have paid beyond
+	 * what the order is worth once the credit is taken off
+	 * @param {Object} order - Order
+	 * @param {Object|null} invoice - Order's invoice
+	 * @param {number} creditAmount - Credit being issued
+	 * @returns {number} Amount to refund or give as store credit
+	 * @private
+	 */
+	_getRefundAmount(order, invoice, creditAmount) {
+		let total;
+		let netPaid;
+
+		if (invoice) {
+			total = invoice.totalAmount || 0;
+			netPaid = (invoice.paidAmount || 0) - (invoice.refundedAmount || 0);
+		} else {
+			// Without an invoice, only an order marked paid is known to have been paid in full
+			total = typeof order.totalAmount === 'number' ? order.totalAmount : 0;
+			netPaid = order.paymentStatus === 'paid' ? total - (order.refundedAmount || 0) : 0;
+		}
+
+		const owed = Math.max(total - (order.creditedAmount || 0) - creditAmount, 0);
+
+		return this._round(Math.min(Math.max(netPaid - owed, 0), creditAmount));
+	}
+
+	/**
+	 * Save uploaded photos against the return items they were sent with
+	 * @param {Array} items - Return items, in request order
+	 * @param {Array} files - Uploaded files
+	 * @private
+	 */
+	async _attachPhotos(items, files) {
+		for (const file of files || []) {
+			const match = PHOTO_FIELD_PATTERN.exec(file.fieldname);
+			const item = match ? items[parseInt(match[1], 10)] : null;
+
+			if (!item) {
+				throw new ValidationError(`Photo field "${file.fieldname}" does not match a returned item`);
+			}
+
+			const stored = await this.fileStorage.saveFile(file.buffer, file.originalname, 'returns');
+			item.photos.push({ url: stored.url, name: file.originalname });
+		}
+	}
+
+	/**
+	 * Take a credit note off the order's invoice
+	 * @param {Object} order - Order
+	 * @param {Object} creditNote - Issued credit note
+	 * @private
+	 */
+	async _creditInvoice(order, creditNote) {
+		if (!order.invoiceId) {
+			return;
+		}
+
+		try {
+			await this.invoiceService.applyCreditNote(order.invoiceId, creditNote);
+		} catch (error) {
+			// The credit note stands; the invoice can be corrected by hand
+			this.logger.error(`Error applying credit note ${creditNote.creditNoteNumber} to invoice ${order.invoiceId}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Recount what a client has spent now a return has been credited
+	 * @param {string} clientId - Client ID
+	 * @private
+	 */
+	async _refreshClientSpend(clientId) {
+		try {
+			const spend = await this.orderRepository.getClientSpend(clientId);
+			await this.clientRepository.setOrderStats(clientId, spend);
+		} catch (error) {
+			this.logger.error(`Error refreshing spend of client ${clientId}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Mark an order returned once all of it has come back, and refunded once nothing paid is left on it
+	 * @param {string} orderId - Order ID
+	 * @param {number} refundAmount - Amount just given back
+	 * @param {string} returnNumber - Return number, for the status note
+	 * @param {string} userId - ID of the staff member approving
+	 * @private
+	 */
+	async _settleOrder(orderId, refundAmount, returnNumber, userId) {
+		const order = await this.orderRepository.findById(orderId);
+		const updateData = {};
+
+		if (order.items.every(item => this._getReturnableQuantity(item) <= 0)) {
+			updateData.status = 'returned';
+			updateData.statusNote = `All items returned (${returnNumber})`;
+		}
+
+		// Nothing paid is left on an order whose whole value has been credited back
+		const total = typeof order.totalAmount === 'number' ? order.totalAmount : 0;
+		if (refundAmount > 0 && ['paid', 'partially_paid'].includes(order.paymentStatus) &&
+			(order.creditedAmount || 0) >= total) {
+			updateData.paymentStatus = 'refunded';
+		}
+
+		if (Object.keys(updateData).length) {
+			await this.orderService.updateOrder(orderId, { ...updateData, updatedBy: userId || undefined });
+		}
+	}
+
+	/**
+	 * Round an amount to two decimal places
+	 * @param {number} amount - Amount
+	 * @returns {number} Rounded amount
+	 * @private
+	 */
+	_round(amount) {
+		return Math.round(amount * 100) / 100;
+	}
+}
+
+module.exports = ReturnService;
@@ -0,0 +1,253 @@
+// src/services/review.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+
+/**
+ * @class ReviewService
+ * @description Service layer for product reviews: reviews are verified against a delivered order
+ * of the reviewing client, moderated by admins, and summed up as a rating on the product
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ReviewService {
+	/**
+	 * Create a new ReviewService instance
+	 * @param {Object} reviewRepository - Review repository instance
+	 * @param {Object} orderRepository - Order repository, to verify the reviewed purchase
+	 * @param {Object} productRepository - Product repository, for the product rating
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Review settings (lowRatingThreshold)
+	 */
+	constructor(reviewRepository, orderRepository, productRepository, eventDispatcher, logger, settings = {}) {
+		this.reviewRepository = reviewRepository;
+		this.orderRepository = orderRepository;
+		this.productRepository = productRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+		this.settings = {
+			lowRatingThreshold: 2,
+			...settings
+		};
+	}
+
+	/**
+	 * Record a client's review of a product from one of their delivered orders; it waits for moderation
+	 * @param {Object} reviewData - Review data (productId, clientId, orderId, rating, title, comment)
+	 * @param {string} userId - ID of the user recording the review
+	 * @returns {Promise<Object>} Created review
+	 * @throws {NotFoundError|ValidationError} Product or order not found, purchase not verified, or already reviewed
+	 */
+	async createReview(reviewData, userId = null) {
+		try {
+			const { productId, clientId, orderId, rating, title, comment } = reviewData;
+
+			const product = await this.productRepository.findById(productId, { select: 'name' });
+			if (!product) {
+				throw new NotFoundError(`Product with ID ${productId} not found`);
+			}
+
+			await this._verifyPurchase(productId, clientId, orderId);
+
+			if (await this.reviewRepository.findForOrderProduct(orderId, productId)) {
+				throw new ValidationError(`"${product.name}" has already been reviewed for this order`);
+			}
+
+			const review = await this.reviewRepository.create({
+				productId,
+				clientId,
+				orderId,
+				rating: parseInt(rating, 10),
+				title,
+				comment,
+				createdBy: userId || undefined
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.REVIEW_CREATED, {
+				reviewId: review._id,
+				productId,
+				clientId,
+				rating: review.rating,
+				timestamp: new Date()
+			});
+
+			if (review.rating <= this.settings.lowRatingThreshold) {
+				// Staff follow up with the client, whether or not the review is published
+				this.eventDispatcher.dispatch(eventTypes.REVIEW_LOW_RATING, {
+					reviewId: review._id,
+					productId,
+					productName: product.name,
+					clientId,
+					orderId,
+					rating: review.rating,
+					title: review.title,
+					comment: review.comment,
+					timestamp: new Date()
+				});
+			}
+
+			return review;
+		} catch (error) {
+			this.logger.error(`Error creating review: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get reviews with filtering and pagination, for moderation
+	 * @param {Object} options - Filters and pagination (productId, clientId, orderId, status, minRating, maxRating, page, limit)
+	 * @returns {Promise<Object>} Paginated reviews
+	 */
+	async getReviews(options = {}) {
+		return this.reviewRepository.getReviews(options);
+	}
+
+	/**
+	 * Get review by ID
+	 * @param {string} reviewId - Review ID
+	 * @returns {Promise<Object>} Review
+	 * @throws {NotFoundError} Review not found
+	 */
+	async getReviewById(reviewId) {
+		const review = await this.reviewRepository.findById(reviewId);
+
+		if (!review) {
+			throw new NotFoundError(`Review with ID ${reviewId} not found`);
+		}
+
+		return review;
+	}
+
+	/**
+	 * Get the published reviews of a product with its rating summary
+	 * @param {string} productId - Product ID
+	 * @param {Object} options - Filters and pagination (minRating, maxRating, page, limit)
+	 * @returns {Promise<Object>} Paginated approved reviews and rating summary ({ data, pagination, rating })
+	 * @throws {NotFoundError} Product not found
+	 */
+	async getProductReviews(productId, options = {}) {
+		const product = await this.productRepository.findById(productId, { select: '_id' });
+		if (!product) {
+			throw new NotFoundError(`Product with ID ${productId} not found`);
+		}
+
+		const { page, limit, minRating, maxRating } = options;
+		const [reviews, rating] = await Promise.all([
+			this.reviewRepository.getReviews({ productId, status: 'approved', page, limit, minRating, maxRating }),
+			this.reviewRepository.getRatingSummary(productId)
+		]);
+
+		return { ...reviews, rating };
+	}
+
+	/**
+	 * Approve or reject a review, updating the product rating when what is published changes
+	 * @param {string} reviewId - Review ID
+	 * @param {Object} moderation - Decision ({ status, note })
+	 * @param {string} userId - ID of the admin moderating
+	 * @returns {Promise<Object>} Moderated review
+	 * @throws {NotFoundError} Review not found
+	 */
+	async moderateReview(reviewId, { status, note }, userId = null) {
+		try {
+			const review = await this.getReviewById(reviewId);
+
+			const moderatedReview = await this.reviewRepository.update(reviewId, {
+				status,
+				moderationNote: note,
+				moderatedBy: userId || undefined,
+				moderatedAt: new Date()
+			});
+
+			if (review.status !== status && (review.status === 'approved' || status === 'approved')) {
+				await this._refreshProductRating(review.productId);
+			}
+
+			this.eventDispatcher.dispatch(eventTypes.REVIEW_MODERATED, {
+				reviewId,
+				productId: review.productId,
+				previousStatus: review.status,
+				status,
+				moderatedBy: userId,
+				timestamp: new Date()
+			});
+
+			return moderatedReview;
+		} catch (error) {
+			this.logger.error(`Error moderating review ${reviewId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a review, taking it out of the product rating
+	 * @param {string} reviewId - Review ID
+	 * @returns {Promise<boolean>} Whether the review was deleted
+	 * @throws {NotFoundError} Review not found
+	 */
+	async deleteReview(reviewId) {
+		try {
+			const review = await this.getReviewById(reviewId);
+
+			const result = await this.reviewRepository.delete(reviewId);
+
+			if (result) {
+				if (review.status === 'approved') {
+					await this._refreshProductRating(review.productId);
+				}
+
+				this.eventDispatcher.dispatch(eventTypes.REVIEW_DELETED, {
+					reviewId,
+					productId: review.productId,
+					timestamp: new Date()
+				});
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error deleting review ${reviewId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Check the client received the product in the order
+	 * @param {string} productId - Product ID
+	 * @param {string} clientId - Client ID
+	 * @param {string} orderId - Order ID
+	 * @throws {NotFoundError|ValidationError} Order not found, or not a delivered order of the client containing the product
+	 * @private
+	 */
+	async _verifyPurchase(productId, clientId, orderId) {
+		const order = await this.orderRepository.findById(orderId, { select: 'clientId status items.productId' });
+		if (!order) {
+			throw new NotFoundError(`Order with ID ${orderId} not found`);
+		}
+
+		if (String(order.clientId?._id || order.clientId) !== String(clientId)) {
+			throw new ValidationError('Reviews can only be left for the client\'s own orders');
+		}
+
+		if (order.status !== 'delivered') {
+			throw new ValidationError('Reviews can only be left once the order has been delivered');
+		}
+
+		const hasProduct = (order.items || []).some(item => String(item.productId?._id || item.productId) === String(productId));
+		if (!hasProduct) {
+			throw new ValidationError('The product was not part of this order');
+		}
+	}
+
+	/**
+	 * Recalculate a product's average rating and review count from its approved reviews
+	 * @param {string} productId - Product ID
+	 * @private
+	 */
+	async _refreshProductRating(productId) {
+		const { average, count } = await this.reviewRepository.getRatingSummary(productId);
+		await this.productRepository.update(productId, { rating: { average, count } });
+	}
+}
+
+module.exports = ReviewService;
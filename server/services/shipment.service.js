@@ -0,0 +1,379 @@
+// src/services/shipment.service.js
+
+const PDFService = require('./pdf.service');
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const { getStatusTransitionError } = require('../domain/models/order-workflow');
+
+// Order statuses that can still send goods out
+const SHIPPABLE_STATUSES = ['processing', 'partially_shipped'];
+
+/**
+ * @class ShipmentService
+ * @description Service layer for split shipments: an order's items can go out over several
+ * shipments, each with its own delivery, tracking number and delivery note, and the order is
+ * partially shipped until the last of them leaves
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class ShipmentService {
+	/**
+	 * Create a new ShipmentService instance
+	 * @param {Object} orderRepository - Order repository instance
+	 * @param {Object} deliveryRepository - Delivery repository, one delivery per shipment
+	 * @param {Object} clientRepository - Client repository, for the recipient when the order has no contact
+	 * @param {Object} orderService - Order service, for stock and order status changes
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(orderRepository, deliveryRepository, clientRepository, orderService, eventDispatcher, logger) {
+		this.orderRepository = orderRepository;
+		this.deliveryRepository = deliveryRepository;
+		this.clientRepository = clientRepository;
+		this.orderService = orderService;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Send out some or all of an order's outstanding items in a new shipment
+	 * @param {string} orderId - Order ID
+	 * @param {Object} shipmentData - Shipment ({ items: [{ itemId, quantity }], trackingNumber, scheduledDate, notes });
+	 * without items, everything still outstanding is shipped
+	 * @param {string} userId - ID of the user recording the shipment
+	 * @returns {Promise<Object>} Shipment delivery and updated order ({ shipment, order })
+	 * @throws {NotFoundError|ValidationError} Order not found, not shippable, or quantities not outstanding
+	 */
+	async createShipment(orderId, shipmentData = {}, userId = null) {
+		try {
+			const order = await this.orderRepository.findById(orderId);
+			if (!order) {
+				throw new NotFoundError(`Order with ID ${orderId} not found`);
+			}
+
+			if (!SHIPPABLE_STATUSES.includes(order.status)) {
+				throw new ValidationError(`Cannot ship a ${order.status} order; it must be processing or partially shipped`);
+			}
+
+			const lines = this._getShipmentLines(order, shipmentData.items);
+
+			// The order as it will be once the shipment has left
+			const shippedItems = order.items.map(item => {
+				const line = lines.find(l => String(l.item._id) === String(item._id));
+				return line ? { ...item, shippedQuantity: (item.shippedQuantity || 0) + line.quantity } : item;
+			});
+			const status = shippedItems.every(item => this._getOutstandingQuantity(item) <= 0) ? 'shipped' : 'partially_shipped';
+
+			if (status !== order.status) {
+				const reason = getStatusTransitionError({ ...order, items: shippedItems }, status, order.status);
+				if (reason) {
+					throw new ValidationError(reason);
+				}
+			}
+
+			const recipient = await this._getRecipient(order);
+			const existingShipments = await this.deliveryRepository.findByOrderId(order._id);
+			const shipmentNumber = `${order.orderNumber}-S${existingShipments.length + 1}`;
+
+			const { shipment, updatedOrder } = await this.orderRepository.withTransaction(async (session) => {
+				// Orders holding reserved stock take each shipment's goods off stock as they leave
+				if (order.stockStatus === 'reserved') {
+					await this.orderService.commitShippedItems(order, lines, { session, userId });
+				}
+
+				const update = { $inc: {} };
+				const arrayFilters = [];
+				lines.forEach((line, index) => {
+					update.$inc[`items.$[item${index}].shippedQuantity`] = line.quantity;
+					arrayFilters.push({ [`item${index}._id`]: line.item._id });
+				});
+
+				// The status moves with the shipped quantities, so stock is never committed on an order left processing
+				if (status !== order.status) {
+					Object.assign(update, this._getStatusUpdate(order, status, shipmentNumber, userId));
+				}
+
+				const updatedOrder = await this.orderRepository.update(order._id, update, { session, arrayFilters });
+
+				const shipment = await this.deliveryRepository.create({
+					orderId: order._id,
+					clientId: order.clientId?._id || order.clientId,
+					deliveryMethod: 'delivery',
+					status: 'in_transit',
+					shipmentNumber,
+					trackingNumber: shipmentData.trackingNumber || undefined,
+					scheduledDate: shipmentData.scheduledDate || undefined,
+					deliveryLocation: this._getDeliveryLocation(order.shippingAddress),
+					deliveryNotes: shipmentData.notes || order.deliveryNotes || undefined,
+					recipientName: recipient.name,
+					recipientPhone: recipient.phone,
+					items: lines.map(line => ({
+						orderItemId: line.item._id,
+						productId: line.item.productId,
+						variantId: line.item.variantId || undefined,
+						name: line.item.name,
+						unit: line.item.unit,
+						orderedQuantity: line.item.quantity,
+						quantity: line.quantity
+					}))
+				}, { session });
+
+				return { shipment, updatedOrder };
+			});
+
+			if (status !== order.status) {
+				await this.orderService.afterStatusChange(order, updatedOrder, userId);
+			}
+
+			this.eventDispatcher.dispatch(eventTypes.DELIVERY_CREATED, { delivery: shipment, orderId: order._id });
+
+			this.eventDispatcher.dispatch(eventTypes.ORDER_SHIPMENT_CREATED, {
+				orderId: order._id,
+				orderNumber: order.orderNumber,
+				clientId: order.clientId,
+				deliveryId: shipment._id,
+				shipmentNumber,
+				trackingNumber: shipment.trackingNumber,
+				items: shipment.items,
+				status,
+				shippedBy: userId,
+				timestamp: new Date()
+			});
+
+			return { shipment, order: updatedOrder };
+		} catch (error) {
+			this.logger.error(`Error creating shipment for order ${orderId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Build the order update for the status a shipment moves the order to, with its history entry
+	 * @param {Object} order - Order before the shipment
+	 * @param {string} status - Status after the shipment (partially_shipped or shipped)
+	 * @param {string} shipmentNumber - Shipment number, for the history note
+	 * @param {string} userId - ID of the user recording the shipment
+	 * @returns {Object} Order update
+	 * @private
+	 */
+	_getStatusUpdate(order, status, shipmentNumber, userId) {
+		const update = {
+			status,
+			updatedAt: new Date(),
+			$push: {
+				statusHistory: {
+					status,
+					timestamp: new Date(),
+					note: `Shipment ${shipmentNumber} sent`,
+					updatedBy: userId || undefined
+				}
+			}
+		};
+
+		// Once the last shipment leaves, every item has come off stock through its shipments
+		if (status === 'shipped' && order.stockStatus === 'reserved') {
+			update.stockStatus = 'committed';
+		}
+
+		return update;
+	}
+
+	/**
+	 * Get an order's shipments with how much of each item has gone out
+	 * @param {string} orderId - Order ID
+	 * @returns {Promise<Object>} Fulfilment ({ orderId, orderNumber, status, items, shipments })
+	 * @throws {NotFoundError} Order not found
+	 */
+	async getOrderShipments(orderId) {
+		const order = await this.orderRepository.findById(orderId);
+		if (!order) {
+			throw new NotFoundError(`Order with ID ${orderId} not found`);
+		}
+
+		const shipments = await this.deliveryRepository.findByOrderId(order._id);
+
+		return {
+			orderId: order._id,
+			orderNumber: order.orderNumber,
+			status: order.status,
+			items: order.items.map(item => ({
+				itemId: item._id,
+				productId: item.productId,
+				name: item.name,
+				unit: item.unit,
+				quantity: this._getBilledQuantity(item),
+				shippedQuantity: item.shippedQuantity || 0,
+				outstandingQuantity: Math.max(this._getOutstandingQuantity(item), 0)
+			})),
+			shipments
+		};
+	}
+
+	/**
+	 * Render a shipment's delivery note as a PDF
+	 * @param {string} orderId - Order ID
+	 * @param {string} deliveryId - Shipment delivery ID
+	 * @returns {Promise<Object>} PDF buffer, filename and content type
+	 * @throws {NotFoundError} Order or shipment not found
+	 */
+	async generateDeliveryNotePDF(orderId, deliveryId) {
+		const order = await this.orderRepository.findById(orderId);
+		if (!order) {
+			throw new NotFoundError(`Order with ID ${orderId} not found`);
+		}
+
+		const shipment = await this.deliveryRepository.findById(deliveryId);
+		if (!shipment || String(shipment.orderId) !== String(order._id)) {
+			throw new NotFoundError(`Shipment with ID ${deliveryId} not found for order ${order.orderNumber}`);
+		}
+
+		// Deliveries made before shipments were split carry the whole order
+		const items = shipment.items && shipment.items.length
+			? shipment.items.map(item => ({
+				name: item.name,
+				quantity: `${item.orderedQuantity} ${item.unit || ''}`.trim(),
+				deliveredQuantity: `${item.quantity} ${item.unit || ''}`.trim()
+			}))
+			: order.items.map(item => ({
+				name: item.name,
+				quantity: `${item.quantity} ${item.unit || ''}`.trim()
+			}));
+
+		const number = shipment.shipmentNumber || shipment.trackingNumber;
+		const buffer = await PDFService.generateDeliveryNote({
+			invoiceNumber: number,
+			orderId: order.orderNumber,
+			issueDate: shipment.createdAt,
+			status: shipment.status,
+			clientInfo: {
+				name: shipment.recipientName,
+				phone: shipment.recipientPhone,
+				email: order.contactInfo?.email || '',
+				address: shipment.deliveryLocation || order.shippingAddress
+			},
+			items,
+			notes: [shipment.trackingNumber && `Tracking number: ${shipment.trackingNumber}`, shipment.deliveryNotes]
+				.filter(Boolean)
+				.join('\n')
+		});
+
+		return {
+			buffer,
+			filename: `DeliveryNote-${number}.pdf`,
+			contentType: 'application/pdf',
+			size: buffer.length
+		};
+	}
+
+	/**
+	 * Work out what goes in a shipment, checking each line is still outstanding
+	 * @param {Object} order - Order
+	 * @param {Array} [requestedItems] - Lines asked for ({ itemId, quantity }); all outstanding items when omitted
+	 * @returns {Array<Object>} Shipment lines ({ item, quantity })
+	 * @throws {ValidationError} Unknown or repeated item, unweighed catch-weight item, or more than is outstanding
+	 * @private
+	 */
+	_getShipmentLines(order, requestedItems) {
+		const requested = requestedItems && requestedItems.length
+			? requestedItems
+			: order.items
+				.filter(item => this._getOutstandingQuantity(item) > 0)
+				.map(item => ({ itemId: item._id, quantity: this._getOutstandingQuantity(item) }));
+
+		if (!requested.length) {
+			throw new ValidationError(`Every item of order ${order.orderNumber} has already been shipped`);
+		}
+
+		// Each line is checked against what is outstanding, so an item may only appear once
+		const seen = new Set();
+
+		return requested.map(line => {
+			const item = order.items.find(orderItem => String(orderItem._id) === String(line.itemId));
+			if (!item) {
+				throw new ValidationError(`Item ${line.itemId} is not part of order ${order.orderNumber}`);
+			}
+
+			if (seen.has(String(item._id))) {
+				throw new ValidationError(`"${item.name}" is listed more than once; ship its whole quantity on one line`);
+			}
+			seen.add(String(item._id));
+
+			if (item.isCatchWeight && !item.weighedAt) {
+				throw new ValidationError(`"${item.name}" must be weighed before it is shipped`);
+			}
+
+			const quantity = Number(line.quantity);
+			const outstanding = this._getOutstandingQuantity(item);
+			if (quantity > outstanding) {
+				throw new ValidationError(`Only ${Math.max(outstanding, 0)}${item.unit || ''} of "${item.name}" is left to ship`);
+			}
+
+			return { item, quantity };
+		});
+	}
+
+	/**
+	 * Quantity of an order item the client is billed for (the weighed amount once known)
+	 * @param {Object} item - Order item
+	 * @returns {number} Billed quantity, in the item's unit
+	 * @private
+	 */
+	_getBilledQuantity(item) {
+		return typeof item.fulfilledQuantity === 'number' ? item.fulfilledQuantity : item.quantity;
+	}
+
+	/**
+	 * Quantity of an order item not shipped yet
+	 * @param {Object} item - Order item
+	 * @returns {number} Outstanding quantity, in the item's unit
+	 * @private
+	 */
+	_getOutstandingQuantity(item) {
+		return Math.round((this._getBilledQuantity(item) - (item.shippedQuantity || 0)) * 1e6) / 1e6;
+	}
+
+	/**
+	 * Work out who receives a shipment: the order's contact, or else the client
+	 * @param {Object} order - Order
+	 * @returns {Promise<Object>} Recipient ({ name, phone })
+	 * @throws {ValidationError} No recipient name or phone
+	 * @private
+	 */
+	async _getRecipient(order) {
+		let { name, phone } = order.contactInfo || {};
+
+		if (!name || !phone) {
+			const client = await this.clientRepository.findById(order.clientId?._id || order.clientId);
+			name = name || client?.name;
+			phone = phone || client?.phone;
+		}
+
+		if (!name || !phone) {
+			throw new ValidationError('A recipient name and phone number are needed to ship the order');
+		}
+
+		return { name, phone };
+	}
+
+	/**
+	 * Copy the order's shipping address onto the shipment when it is complete enough to deliver to
+	 * @param {Object} address - Order shipping address
+	 * @returns {Object|undefined} Delivery location
+	 * @private
+	 */
+	_getDeliveryLocation(address) {
+		if (!address || !address.street || !address.city || !address.state) {
+			return undefined;
+		}
+
+		return {
+			street: address.street,
+			city: address.city,
+			state: address.state,
+			country: address.country,
+			postalCode: address.postalCode
+		};
+	}
+}
+
+module.exports = ShipmentService;
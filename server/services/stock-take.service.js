@@ -0,0 +1,612 @@
+// src/services/stock-take.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const unitConverter = require('../utils/unit-converter');
+
+/**
+ * @class StockTakeService
+ * @description Service for stock-take sessions: open a count, record counts, review variance and post adjustments
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class StockTakeService {
+	/**
+	 * Create a new StockTakeService instance
+	 * @param {Object} stockTakeRepository - Stock take repository instance
+	 * @param {Object} productRepository - Product repository for the products being counted
+	 * @param {Object} stockLevelRepository - Stock level repository for counts of one location
+	 * @param {Object} locationRepository - Location repository
+	 * @param {Object} productService - Product service whose stock adjustment posts the results
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(stockTakeRepository, productRepository, stockLevelRepository, locationRepository, productService, eventDispatcher, logger) {
+		this.stockTakeRepository = stockTakeRepository;
+		this.productRepository = productRepository;
+		this.stockLevelRepository = stockLevelRepository;
+		this.locationRepository = locationRepository;
+		this.productService = productService;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Open a count for a category, a list of products or the whole catalogue, at one location or in total
+	 * @param {Object} stockTakeData - Scope and notes (categoryId, productIds, locationId, notes)
+	 * @param {string} userId - User opening the count
+	 * @returns {Promise<Object>} Created stock take with one line per product and variant
+	 * @throws {ValidationError} Nothing to count, or products already in an unfinished count
+	 */
+	async openStockTake(stockTakeData, userId = null) {
+		try {
+			const locationId = stockTakeData.locationId || null;
+			if (locationId) {
+				const location = await this.locationRepository.findById(locationId);
+				if (!location || !location.isActive) {
+					throw new NotFoundError(`Location with ID ${locationId} not found or inactive`);
+				}
+			}
+
+			const filter = { productType: { $ne: 'bundle' } };
+
+			if (stockTakeData.categoryId) {
+				filter.categoryId = stockTakeData.categoryId;
+			}
+
+			if (Array.isArray(stockTakeData.productIds) && stockTakeData.productIds.length) {
+				filter._id = { $in: stockTakeData.productIds };
+			}
+
+			const products = await this.productRepository.find(filter, { sort: { name: 1 } });
+
+			if (products.length === 0) {
+				throw new ValidationError('No products to count in this scope');
+			}
+
+			// Two open counts over the same product would post its variance twice
+			const overlapping = await this.stockTakeRepository.findActiveForProducts(products.map(p => p._id), locationId);
+			if (overlapping.length) {
+				throw new ValidationError(
+					`Products in this scope are already being counted in ${overlapping.map(s => s.reference).join(', ')}`
+				);
+			}
+
+			const quantities = await this._getSystemQuantities(products, locationId);
+
+			const lines = [];
+			products.forEach(product => {
+				lines.push(this._buildLine(product, null, quantities));
+				(product.variants || []).forEach(variant => lines.push(this._buildLine(product, variant, quantities)));
+			});
+
+			const stockTake = await this.stockTakeRepository.create({
+				reference: await this.stockTakeRepository.generateReference(),
+				status: 'open',
+				scope: {
+					categoryId: stockTakeData.categoryId || null,
+					locationId
+				},
+				lines,
+				notes: stockTakeData.notes,
+				openedBy: userId
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.STOCK_TAKE_OPENED, {
+				stockTakeId: stockTake._id,
+				reference: stockTake.reference,
+				lineCount: lines.length,
+				timestamp: new Date()
+			});
+
+			return stockTake;
+		} catch (error) {
+			this.logger.error(`Error opening stock take: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get stock takes with filtering and pagination
+	 * @param {Object} options - Filters and pagination (status, categoryId, locationId, fromDate, toDate, page, limit)
+	 * @returns {Promise<Object>} Paginated stock takes
+	 */
+	async getStockTakes(options = {}) {
+		return this.stockTakeRepository.getStockTakes(options);
+	}
+
+	/**
+	 * Get stock take by ID
+	 * @param {string} stockTakeId - Stock take ID
+	 * @returns {Promise<Object>} Stock take
+	 * @throws {NotFoundError} Stock take not found
+	 */
+	async getStockTakeById(stockTakeId) {
+		const stockTake = await this.stockTakeRepository.findById(stockTakeId);
+
+		if (!stockTake) {
+			throw new NotFoundError(`Stock take with ID ${stockTakeId} not found`);
+		}
+
+		return stockTake;
+	}
+
+	/**
+	 * Record counted quantities; counts for the same line add up unless replace is set
+	 * @param {string} stockTakeId - Stock take ID
+	 * @param {Array<Object>} counts - Counts ({ productId, variantId, quantity, unit, note, replace })
+	 * @param {string} userId - User who counted
+	 * @returns {Promise<Object>} Updated stock take
+	 * @throws {NotFoundError|ValidationError} Not found, not open, or product not in the count
+	 */
+	async recordCounts(stockTakeId, counts, userId = null) {
+		try {
+			const stockTake = await this.getStockTakeById(stockTakeId);
+			this._assertStatus(stockTake, ['open'], 'record counts on');
+
+			if (!Array.isArray(counts) || counts.length === 0) {
+				throw new ValidationError('At least one count is required');
+			}
+
+			const products = new Map(
+				(await this.productRepository.findByIds([...new Set(counts.map(count => String(count.productId)))]))
+					.map(product => [product._id.toString(), product])
+			);
+
+			const lines = stockTake.lines.map(line => ({ ...line, counts: [...(line.counts || [])] }));
+			const quantities = await this._getSystemQuantities([...products.values()], stockTake.scope.locationId);
+
+			counts.forEach(count => {
+				const line = lines.find(candidate =>
+					candidate.productId.toString() === String(count.productId) &&
+					(candidate.variantId ? candidate.variantId.toString() : null) === (count.variantId ? String(count.variantId) : null)
+				);
+
+				if (!line) {
+					throw new ValidationError(`Product ${count.productId} is not part of stock take ${stockTake.reference}`);
+				}
+
+				const quantity = parseFloat(count.quantity);
+				if (isNaN(quantity) || quantity < 0) {
+					throw new ValidationError(`Counted quantity for "${line.name}" must be a non-negative number`);
+				}
+
+				// Staff may count in any unit the product converts from; variants are whole units
+				const product = products.get(line.productId.toString());
+				const stockQuantity = count.unit && !line.variantId && count.unit !== line.unit
+					? unitConverter.toStockUnits(product, quantity, count.unit)
+					: quantity;
+
+				if (count.replace) {
+					line.counts = [];
+				}
+
+				line.counts.push({
+					quantity: stockQuantity,
+					countedBy: userId,
+					countedAt: new Date(),
+					note: count.unit && count.unit !== line.unit ? [count.note, `Counted as ${quantity} ${count.unit}`].filter(Boolean).join(' - ') : count.note
+				});
+
+				line.countedQuantity = line.counts.reduce((sum, entry) => sum + entry.quantity, 0);
+				line.systemQuantityAtCount = quantities.get(this._lineKey(line.productId, line.variantId)) || 0;
+			});
+
+			return await this.stockTakeRepository.update(stockTakeId, { lines });
+		} catch (error) {
+			this.logger.error(`Error recording counts for stock take ${stockTakeId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Close counting and work out the variance against system stock at the time of counting
+	 * @param {string} stockTakeId - Stock take ID
+	 * @returns {Promise<Object>} Variance report
+	 * @throws {NotFoundError|ValidationError} Not found, not open, or nothing counted
+	 */
+	async submitForReview(stockTakeId) {
+		try {
+			const stockTake = await this.getStockTakeById(stockTakeId);
+			this._assertStatus(stockTake, ['open'], 'review');
+
+			if (!stockTake.lines.some(line => this._isCounted(line))) {
+				throw new ValidationError('Nothing has been counted yet');
+			}
+
+			const lines = await this._refreshVariance(stockTake.lines, stockTake.scope.locationId);
+
+			const updated = await this.stockTakeRepository.update(stockTakeId, {
+				status: 'review',
+				reviewedAt: new Date(),
+				lines
+			});
+
+			return this.buildVarianceReport(updated);
+		} catch (error) {
+			this.logger.error(`Error submitting stock take ${stockTakeId} for review: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Send a stock take in review back for more counting
+	 * @param {string} stockTakeId - Stock take ID
+	 * @returns {Promise<Object>} Updated stock take
+	 * @throws {NotFoundError|ValidationError} Not found or not in review
+	 */
+	async reopenStockTake(stockTakeId) {
+		const stockTake = await this.getStockTakeById(stockTakeId);
+		this._assertStatus(stockTake, ['review'], 'reopen');
+
+		if (stockTake.lines.some(line => line.postedAt)) {
+			throw new ValidationError('Cannot reopen a stock take that has been partly posted');
+		}
+
+		return this.stockTakeRepository.update(stockTakeId, { status: 'open', reviewedAt: null });
+	}
+
+	/**
+	 * Get the variance report of a stock take
+	 * @param {string} stockTakeId - Stock take ID
+	 * @returns {Promise<Object>} Variance report
+	 * @throws {NotFoundError} Stock take not found
+	 */
+	async getVarianceReport(stockTakeId) {
+		const stockTake = await this.getStockTakeById(stockTakeId);
+
+		// An open count has no stored variance yet, so preview it against current stock
+		if (stockTake.status === 'open') {
+			return this.buildVarianceReport({ ...stockTake, lines: await this._refreshVariance(stockTake.lines, stockTake.scope.locationId) });
+		}
+
+		return this.buildVarianceReport(stockTake);
+	}
+
+	/**
+	 * Post each line's variance as a stock adjustment, through the product stock update path
+	 * @param {string} stockTakeId - Stock take ID
+	 * @param {Object} postData - Posting details (reason)
+	 * @param {string} userId - User posting the count
+	 * @returns {Promise<Object>} Variance report, with any lines that failed to post
+	 * @throws {NotFoundError|ValidationError} Not found or not in review
+	 */
+	async postStockTake(stockTakeId, postData = {}, userId = null) {
+		try {
+			const stockTake = await this.getStockTakeById(stockTakeId);
+			this._assertStatus(stockTake, ['review'], 'post');
+
+			const reason = postData.reason || stockTake.reason;
+			const note = `Stock take ${stockTake.reference}${reason ? `: ${reason}` : ''}`;
+			const lines = stockTake.lines.map(line => ({ ...line }));
+			const locationId = stockTake.scope.locationId || null;
+			const failures = [];
+
+			// Lines post one by one, so a failed line can be retried without re-posting the rest
+			for (const line of lines) {
+				if (!this._isCounted(line) || line.postedAt) continue;
+
+				try {
+					// Post the variance found at count time, so sales and deliveries since then still stand
+					const product = await this.productRepository.findById(line.productId);
+					if (!product) {
+						throw new Error(`Product with ID ${line.productId} not found`);
+					}
+
+					const holder = line.variantId
+						? (product.variants || []).find(v => v._id.toString() === line.variantId.toString())
+						: product;
+					if (!holder) {
+						throw new Error(`Variant "${line.variantId}" not found for product ${line.productId}`);
+					}
+
+					const adjustment = this._round(line.countedQuantity - await this._getCountBaseline(line, product, locationId));
+
+					if (adjustment !== 0) {
+						// adjustStock takes positive quantities as stock leaving
+						await this.productService.adjustStock(line.productId, -adjustment, {
+							reason: 'adjustment',
+							variantId: line.variantId || undefined,
+							locationId: locationId || undefined,
+							userId,
+							note
+						});
+					}
+
+					line.adjustment = adjustment;
+					line.postedAt = new Date();
+					line.postError = undefined;
+				} catch (error) {
+					line.postError = error.message;
+					failures.push({ productId: line.productId, variantId: line.variantId, name: line.name, error: error.message });
+				}
+			}
+
+			const complete = failures.length === 0;
+			const update = { lines, reason };
+
+			if (complete) {
+				Object.assign(update, { status: 'posted', postedAt: new Date(), postedBy: userId });
+			}
+
+			const updated = await this.stockTakeRepository.update(stockTakeId, update);
+
+			if (complete) {
+				this.eventDispatcher.dispatch(eventTypes.STOCK_TAKE_POSTED, {
+					stockTakeId,
+					reference: stockTake.reference,
+					adjustedLines: lines.filter(line => line.adjustment).length,
+					timestamp: new Date()
+				});
+			}
+
+			return { ...this.buildVarianceReport(updated), failures };
+		} catch (error) {
+			this.logger.error(`Error posting stock take ${stockTakeId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Cancel a stock take that has not posted anything
+	 * @param {string} stockTakeId - Stock take ID
+	 * @returns {Promise<Object>} Updated stock take
+	 * @throws {NotFoundError|ValidationError} Not found, finished, or partly posted
+	 */
+	async cancelStockTake(stockTakeId) {
+		const stockTake = await this.getStockTakeById(stockTakeId);
+		this._assertStatus(stockTake, ['open', 'review'], 'cancel');
+
+		if (stockTake.lines.some(line => line.postedAt)) {
+			throw new ValidationError('Cannot cancel a stock take that has been partly posted; post the remaining lines instead');
+		}
+
+		const cancelled = await this.stockTakeRepository.update(stockTakeId, { status: 'cancelled', cancelledAt: new Date() });
+
+		this.eventDispatcher.dispatch(eventTypes.STOCK_TAKE_CANCELLED, {
+			stockTakeId,
+			reference: stockTake.reference,
+			timestamp: new Date()
+		});
+
+		return cancelled;
+	}
+
+	/**
+	 * Summarise the variance of a stock take
+	 * @param {Object} stockTake - Stock take with variance worked out
+	 * @returns {Object} Report ({ reference, status, summary, lines, uncounted })
+	 */
+	buildVarianceReport(stockTake) {
+		const counted = stockTake.lines.filter(line => this._isCounted(line));
+		const withVariance = counted.filter(line => line.variance);
+
+		const lines = counted
+			.map(line => ({
+				productId: line.productId,
+				variantId: line.variantId,
+				name: line.name,
+				sku: line.sku,
+				unit: line.unit,
+				systemQuantity: line.systemQuantity,
+				systemQuantityAtCount: line.systemQuantityAtCount,
+				countedQuantity: line.countedQuantity,
+				variance: line.variance,
+				varianceValue: line.varianceValue,
+				countCount: (line.counts || []).length,
+				adjustment: line.adjustment,
+				postedAt: line.postedAt,
+				postError: line.postError
+			}))
+			// Biggest losses by value first
+			.sort((a, b) => (a.varianceValue || 0) - (b.varianceValue || 0));
+
+		return {
+			stockTakeId: stockTake._id,
+			reference: stockTake.reference,
+			status: stockTake.status,
+			scope: stockTake.scope,
+			summary: {
+				totalLines: stockTake.lines.length,
+				countedLines: counted.length,
+				uncountedLines: stockTake.lines.length - counted.length,
+				linesWithVariance: withVariance.length,
+				accuracyPercent: counted.length ? this._round(((counted.length - withVariance.length) / counted.length) * 100) : null,
+				shrinkageValue: this._round(withVariance.filter(l => l.varianceValue < 0).reduce((sum, l) => sum + l.varianceValue, 0)),
+				surplusValue: this._round(withVariance.filter(l => l.varianceValue > 0).reduce((sum, l) => sum + l.varianceValue, 0)),
+				netVarianceValue: this._round(withVariance.reduce((sum, l) => sum + (l.varianceValue || 0), 0))
+			},
+			lines,
+			uncounted: stockTake.lines
+				.filter(line => !this._isCounted(line))
+				.map(line => ({ productId: line.productId, variantId: line.variantId, name: line.name, systemQuantity: line.systemQuantity }))
+		};
+	}
+
+	/**
+	 * Build a line for a product or one of its variants
+	 * @param {Object} product - Product
+	 * @param {Object} variant - Variant (null for the product itself)
+	 * @param {Map} quantities - System quantity per product and variant
+	 * @returns {Object} Stock take line
+	 * @private
+	 */
+	_buildLine(product, variant, quantities) {
+		const holder = variant || product;
+
+		return {
+			productId: product._id,
+			variantId: variant ? variant._id : null,
+			name: variant ? `${product.name} (${variant.name || variant.key})` : product.name,
+			sku: holder.sku,
+			unit: variant ? 'each' : (product.stockUnit || 'each'),
+			systemQuantity: quantities.get(this._lineKey(product._id, variant ? variant._id : null)) || 0,
+			costPrice: this._getStockUnitCost(product, variant),
+			counts: [],
+			countedQuantity: null
+		};
+	}
+
+	/**
+	 * Take current system stock and cost for each line and work out its variance against the stock held when it was counted
+	 * @param {Array<Object>} lines - Stock take lines
+	 * @param {string} locationId - Location counted (null for total stock)
+	 * @returns {Promise<Array<Object>>} Lines with systemQuantity, variance and varianceValue set
+	 * @private
+	 */
+	async _refreshVariance(lines, locationId = null) {
+		const found = await this.productRepository.findByIds([...new Set(lines.map(line => line.productId.toString()))]);
+		const products = new Map(found.map(product => [product._id.toString(), product]));
+		const quantities = await this._getSystemQuantities(found, locationId);
+
+		return lines.map(line => {
+			const product = products.get(line.productId.toString());
+			const variant = product && line.variantId
+				? (product.variants || []).find(v => v._id.toString() === line.variantId.toString())
+				: null;
+			const holder = variant || (line.variantId ? null : product);
+
+			const systemQuantity = holder
+				? quantities.get(this._lineKey(line.productId, line.variantId)) || 0
+				: line.systemQuantity;
+			const costPrice = product ? this._getStockUnitCost(product, variant) : line.costPrice;
+			const baseline = this._hasCountBaseline(line) ? line.systemQuantityAtCount : systemQuantity;
+			const variance = this._isCounted(line) ? this._round(line.countedQuantity - baseline) : null;
+
+			return {
+				...line,
+				systemQuantity,
+				costPrice,
+				variance,
+				varianceValue: variance === null ? null : this._round(variance * costPrice)
+			};
+		});
+	}
+
+	/**
+	 * Stock the system holds for each product and variant, in total or at one location
+	 * @param {Array<Object>} products - Products with their variants
+	 * @param {string} locationId - Location (null for total stock)
+	 * @returns {Promise<Map>} Quantity per line key
+	 * @private
+	 */
+	async _getSystemQuantities(products, locationId = null) {
+		const quantities = new Map();
+
+		if (!locationId) {
+			products.forEach(product => {
+				quantities.set(this._lineKey(product._id, null), product.stockQuantity || 0);
+				(product.variants || []).forEach(variant => quantities.set(this._lineKey(product._id, variant._id), variant.stockQuantity || 0));
+			});
+
+			return quantities;
+		}
+
+		const levels = await this.stockLevelRepository.find({
+			locationId,
+			productId: { $in: products.map(product => product._id) }
+		});
+		levels.forEach(level => quantities.set(this._lineKey(level.productId, level.variantId), level.quantity));
+
+		return quantities;
+	}
+
+	/**
+	 * Stock a counted line's variance is measured against: what the system held when it was counted
+	 * @param {Object} line - Counted stock take line
+	 * @param {Object} product - Product the line is for
+	 * @param {string} locationId - Location counted (null for total stock)
+	 * @returns {Promise<number>} Baseline system quantity
+	 * @private
+	 */
+	async _getCountBaseline(line, product, locationId = null) {
+		if (this._hasCountBaseline(line)) {
+			return line.systemQuantityAtCount;
+		}
+
+		// Lines counted before the figure was recorded fall back to current stock
+		const quantities = await this._getSystemQuantities([product], locationId);
+		return quantities.get(this._lineKey(line.productId, line.variantId)) || 0;
+	}
+
+	/**
+	 * Check whether a line recorded the system stock when it was counted
+	 * @param {Object} line - Stock take line
+	 * @returns {boolean} True once the baseline is recorded
+	 * @private
+	 */
+	_hasCountBaseline(line) {
+		return line.systemQuantityAtCount !== null && line.systemQuantityAtCount !== undefined;
+	}
+
+	/**
+	 * Key a line by product and variant
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (null for the product itself)
+	 * @returns {string} Line key
+	 * @private
+	 */
+	_lineKey(productId, variantId) {
+		return `${productId}:${variantId || ''}`;
+	}
+
+	/**
+	 * Cost of one stock unit, for valuing variance
+	 * @param {Object} product - Product
+	 * @param {Object} variant - Variant (null for the product itself)
+	 * @returns {number} Cost per stock unit (0 when unknown)
+	 * @private
+	 */
+	_getStockUnitCost(product, variant) {
+		if (variant) {
+			return variant.costPrice || 0;
+		}
+
+		if (!product.costPrice) {
+			return 0;
+		}
+
+		// Cost prices are kept per pricing unit
+		try {
+			return product.costPrice * unitConverter.toPricingUnits(product, 1, product.stockUnit || 'each');
+		} catch (error) {
+			return 0;
+		}
+	}
+
+	/**
+	 * Check whether a line has been counted
+	 * @param {Object} line - Stock take line
+	 * @returns {boolean} True once a count is recorded
+	 * @private
+	 */
+	_isCounted(line) {
+		return line.countedQuantity !== null && line.countedQuantity !== undefined;
+	}
+
+	/**
+	 * Check the stock take is in a status that allows the action
+	 * @param {Object} stockTake - Stock take
+	 * @param {Array<string>} allowedStatuses - Statuses the action is allowed from
+	 * @param {string} action - Action being attempted
+	 * @throws {ValidationError} If the status does not allow the action
+	 * @private
+	 */
+	_assertStatus(stockTake, allowedStatuses, action) {
+		if (!allowedStatuses.includes(stockTake.status)) {
+			throw new ValidationError(`Cannot ${action} a stock take that is ${stockTake.status}`);
+		}
+	}
+
+	/**
+	 * Round away floating point noise
+	 * @param {number} value - Value to round
+	 * @returns {number} Value rounded to 3 decimal places
+	 * @private
+	 */
+	_round(value) {
+		return Math.round(value * 1000) / 1000;
+	}
+}
+
+module.exports = StockTakeService;
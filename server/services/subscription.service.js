@@ -0,0 +1,999 @@
+// src/services/subscription.service.js
+
+const EmailService = require('./email.service');
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const { formatDate, formatCurrency } = require('../utils/string-formatter');
+const {
+	MAX_MONTHLY_DAY,
+	startOfDay,
+	addDays,
+	isSameDay,
+	getFirstDeliveryDate,
+	getFollowingDeliveryDate,
+	getDeliveryDateFrom,
+	listDeliveryDates
+} = require('../domain/models/subscription-schedule');
+
+// Subscription fields copied onto every order placed for it
+const TEMPLATE_FIELDS = ['name', 'shippingMethod', 'shippingAddress', 'contactInfo', 'paymentMethod', 'notes', 'deliveryNotes'];
+
+/**
+ * @class SubscriptionService
+ * @description Service layer for recurring subscription orders: a client's template order is placed
+ * again ahead of every delivery date in its schedule, with deliveries that can be paused or skipped
+ * and price increases held for the client to accept when the subscription caps them
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SubscriptionService {
+	/**
+	 * Create a new SubscriptionService instance
+	 * @param {Object} subscriptionRepository - Subscription repository instance
+	 * @param {Object} clientRepository - Client repository, for the subscribing client
+	 * @param {Object} productRepository - Product repository, for the names of template items
+	 * @param {Object} orderService - Order service, which prices and places the orders
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Subscription settings (leadDays)
+	 */
+	constructor(subscriptionRepository, clientRepository, productRepository, orderService, eventDispatcher, logger, settings = {}) {
+		this.subscriptionRepository = subscriptionRepository;
+		this.clientRepository = clientRepository;
+		this.productRepository = productRepository;
+		this.orderService = orderService;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+		this.settings = {
+			leadDays: 2,
+			...settings
+		};
+	}
+
+	/**
+	 * Subscribe a client to a recurring order
+	 * @param {Object} subscriptionData - Subscription data (clientId, name, items, schedule, startDate,
+	 * priceRefresh, shippingMethod, shippingAddress, contactInfo, paymentMethod, notes, deliveryNotes)
+	 * @param {string} userId - ID of the user creating the subscription
+	 * @returns {Promise<Object>} Created subscription
+	 * @throws {NotFoundError|ValidationError} Client or product not found, or items that cannot be ordered
+	 */
+	async createSubscription(subscriptionData, userId = null) {
+		try {
+			const client = await this.clientRepository.findById(subscriptionData.clientId);
+			if (!client) {
+				throw new NotFoundError(`Client with ID ${subscriptionData.clientId} not found`);
+			}
+
+			const items = await this._prepareItems(subscriptionData.items);
+			const referenceTotal = await this._getItemsTotal(items, client._id);
+			const schedule = this._buildSchedule(subscriptionData.schedule);
+			const startDate = subscriptionData.startDate ? new Date(subscriptionData.startDate) : new Date();
+
+			const subscription = await this.subscriptionRepository.create({
+				...this._pickTemplateFields(subscriptionData),
+				subscriptionNumber: await this.subscriptionRepository.generateSubscriptionNumber(),
+				clientId: client._id,
+				items,
+				schedule,
+				startDate,
+				nextDeliveryDate: getFirstDeliveryDate(schedule, startDate > new Date() ? startDate : new Date()),
+				priceRefresh: this._buildPriceRefresh(subscriptionData.priceRefresh),
+				referenceTotal,
+				subscribedTotal: referenceTotal,
+				createdBy: userId || undefined
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_CREATED, {
+				subscriptionId: subscription._id,
+				subscriptionNumber: subscription.subscriptionNumber,
+				clientId: client._id,
+				frequency: schedule.frequency,
+				nextDeliveryDate: subscription.nextDeliveryDate,
+				createdBy: userId,
+				timestamp: new Date()
+			});
+
+			return subscription;
+		} catch (error) {
+			this.logger.error(`Error creating subscription: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get subscriptions with filtering and pagination
+	 * @param {Object} options - Filters and pagination (clientId, status, frequency, page, limit)
+	 * @returns {Promise<Object>} Paginated subscriptions
+	 */
+	async getSubscriptions(options = {}) {
+		return this.subscriptionRepository.getSubscriptions(options);
+	}
+
+	/**
+	 * Get subscription by ID
+	 * @param {string} subscriptionId - Subscription ID
+	 * @returns {Promise<Object>} Subscription with its delivery history
+	 * @throws {NotFoundError} Subscription not found
+	 */
+	async getSubscriptionById(subscriptionId) {
+		const subscription = await this.subscriptionRepository.findById(subscriptionId);
+
+		if (!subscription) {
+			throw new NotFoundError(`Subscription with ID ${subscriptionId} not found`);
+		}
+
+		return subscription;
+	}
+
+	/**
+	 * Change a subscription's template order, schedule or price refresh rule; new items become the
+	 * prices the client has accepted, and a new schedule starts from the next delivery not yet placed
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Object} updateData - Fields to change
+	 * @param {string} userId - ID of the user changing the subscription
+	 * @returns {Promise<Object>} Updated subscription
+	 * @throws {NotFoundError|ValidationError} Not found, cancelled, or items that cannot be ordered
+	 */
+	async updateSubscription(subscriptionId, updateData, userId = null) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+			this._assertNotCancelled(subscription);
+
+			const update = this._pickTemplateFields(updateData);
+
+			if (updateData.items) {
+				update.items = await this._prepareItems(updateData.items);
+				update.referenceTotal = await this._getItemsTotal(update.items, subscription.clientId);
+				update.subscribedTotal = update.referenceTotal;
+			}
+
+			if (updateData.schedule) {
+				update.schedule = this._buildSchedule({ ...subscription.schedule, ...updateData.schedule });
+				update.nextDeliveryDate = getFirstDeliveryDate(update.schedule, this._getEarliestDeliveryDate(subscription));
+			}
+
+			if (updateData.priceRefresh) {
+				update.priceRefresh = this._buildPriceRefresh({ ...subscription.priceRefresh, ...updateData.priceRefresh });
+			}
+
+			const updatedSubscription = await this.subscriptionRepository.update(subscriptionId, update);
+
+			this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_UPDATED, {
+				subscriptionId,
+				changes: Object.keys(update),
+				nextDeliveryDate: updatedSubscription.nextDeliveryDate,
+				updatedBy: userId,
+				timestamp: new Date()
+			});
+
+			return updatedSubscription;
+		} catch (error) {
+			this.logger.error(`Error updating subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Pause a subscription's deliveries, indefinitely or until a date
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Object} pauseData - Pause ({ until }); deliveries restart on the first delivery date from `until`
+	 * @param {string} userId - ID of the user pausing the subscription
+	 * @returns {Promise<Object>} Paused subscription
+	 * @throws {NotFoundError|ValidationError} Not found, not active, or restart date not in the future
+	 */
+	async pauseSubscription(subscriptionId, { until } = {}, userId = null) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+
+			if (subscription.status !== 'active') {
+				throw new ValidationError(`Cannot pause a ${subscription.status} subscription`);
+			}
+
+			const pausedUntil = until ? startOfDay(until) : null;
+			if (pausedUntil && pausedUntil <= startOfDay(new Date())) {
+				throw new ValidationError('Deliveries can only be paused until a future date');
+			}
+
+			const updatedSubscription = await this.subscriptionRepository.update(subscriptionId, {
+				status: 'paused',
+				pausedUntil
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_PAUSED, {
+				subscriptionId,
+				clientId: subscription.clientId,
+				pausedUntil,
+				pausedBy: userId,
+				timestamp: new Date()
+			});
+
+			return updatedSubscription;
+		} catch (error) {
+			this.logger.error(`Error pausing subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Resume a paused subscription from its next delivery date
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {string} userId - ID of the user resuming the subscription
+	 * @returns {Promise<Object>} Resumed subscription
+	 * @throws {NotFoundError|ValidationError} Not found or not paused
+	 */
+	async resumeSubscription(subscriptionId, userId = null) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+
+			if (subscription.status !== 'paused') {
+				throw new ValidationError(`Cannot resume a ${subscription.status} subscription`);
+			}
+
+			return await this._resume(subscription, this._getEarliestDeliveryDate(subscription), userId);
+		} catch (error) {
+			this.logger.error(`Error resuming subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Skip a delivery the client does not want; no order is placed for it
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Object} skipData - Skip ({ deliveryDate })
+	 * @param {string} userId - ID of the user skipping the delivery
+	 * @returns {Promise<Object>} Updated subscription
+	 * @throws {NotFoundError|ValidationError} Not found, cancelled, or not an upcoming delivery date
+	 */
+	async skipDelivery(subscriptionId, { deliveryDate } = {}, userId = null) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+			const date = this._getUpcomingDeliveryDate(subscription, deliveryDate);
+
+			const updatedSubscription = await this.subscriptionRepository.update(subscriptionId, {
+				$addToSet: { skippedDates: date }
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_DELIVERY_SKIPPED, {
+				subscriptionId,
+				clientId: subscription.clientId,
+				deliveryDate: date,
+				skippedBy: userId,
+				timestamp: new Date()
+			});
+
+			return updatedSubscription;
+		} catch (error) {
+			this.logger.error(`Error skipping delivery of subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Restore a skipped delivery that has not come round yet
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Object} skipData - Skip to undo ({ deliveryDate })
+	 * @returns {Promise<Object>} Updated subscription
+	 * @throws {NotFoundError|ValidationError} Not found, cancelled, or not an upcoming skipped delivery
+	 */
+	async unskipDelivery(subscriptionId, { deliveryDate } = {}) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+			const date = this._getUpcomingDeliveryDate(subscription, deliveryDate);
+
+			if (!(subscription.skippedDates || []).some(skipped => isSameDay(skipped, date))) {
+				throw new ValidationError(`The delivery on ${formatDate(date)} is not skipped`);
+			}
+
+			return await this.subscriptionRepository.update(subscriptionId, {
+				$pull: { skippedDates: date }
+			});
+		} catch (error) {
+			this.logger.error(`Error restoring delivery of subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Cancel a subscription; orders already placed are not affected
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Object} cancelData - Cancellation ({ reason })
+	 * @param {string} userId - ID of the user cancelling the subscription
+	 * @returns {Promise<Object>} Cancelled subscription
+	 * @throws {NotFoundError|ValidationError} Not found or already cancelled
+	 */
+	async cancelSubscription(subscriptionId, { reason } = {}, userId = null) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+			this._assertNotCancelled(subscription);
+
+			const updatedSubscription = await this.subscriptionRepository.update(subscriptionId, {
+				status: 'cancelled',
+				cancelledAt: new Date(),
+				cancellationReason: reason
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_CANCELLED, {
+				subscriptionId,
+				clientId: subscription.clientId,
+				reason,
+				cancelledBy: userId,
+				timestamp: new Date()
+			});
+
+			return updatedSubscription;
+		} catch (error) {
+			this.logger.error(`Error cancelling subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Accept or decline the price increase a delivery was held for; accepting places the order at the
+	 * prices of the day, declining skips the delivery
+	 * @param {string} subscriptionId - Subscription ID
+	 * @param {Object} review - Decision ({ deliveryDate, decision: 'accept' | 'decline' })
+	 * @param {string} userId - ID of the user deciding
+	 * @returns {Promise<Object>} Updated subscription and the order placed, if any ({ subscription, order })
+	 * @throws {NotFoundError|ValidationError} Not found, cancelled, or no delivery held on the date
+	 */
+	async reviewHeldDelivery(subscriptionId, { deliveryDate, decision } = {}, userId = null) {
+		try {
+			const subscription = await this.getSubscriptionById(subscriptionId);
+			this._assertNotCancelled(subscription);
+
+			const held = (subscription.history || []).find(entry =>
+				entry.status === 'held' && isSameDay(entry.deliveryDate, deliveryDate)
+			);
+			if (!held) {
+				throw new ValidationError(`No delivery is waiting for a price review on ${formatDate(new Date(deliveryDate))}`);
+			}
+
+			if (decision === 'decline') {
+				const declined = await this.subscriptionRepository.updateDelivery(subscriptionId, held.deliveryDate, 'held', {
+					status: 'skipped',
+					reason: 'Price increase declined'
+				});
+				if (!declined) {
+					throw new ValidationError('The delivery has already been reviewed');
+				}
+
+				return { subscription: declined, order: null };
+			}
+
+			// Claimed before the order is placed so it cannot be placed twice
+			const claimed = await this.subscriptionRepository.updateDelivery(subscriptionId, held.deliveryDate, 'held', {
+				status: 'ordered',
+				reason: null
+			});
+			if (!claimed) {
+				throw new ValidationError('The delivery has already been reviewed');
+			}
+
+			const { order, currentTotal } = await this._placeDeliveryOrder(claimed, held.deliveryDate, 'ordered', userId);
+
+			const updatedSubscription = await this.subscriptionRepository.updateDelivery(subscriptionId, held.deliveryDate, 'ordered', {
+				orderId: order._id,
+				currentTotal
+			}, { referenceTotal: currentTotal, subscribedTotal: currentTotal });
+
+			return { subscription: updatedSubscription, order };
+		} catch (error) {
+			this.logger.error(`Error reviewing held delivery of subscription ${subscriptionId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * List the subscription deliveries coming up, with the orders already placed for them and when
+	 * the others will be placed
+	 * @param {Object} options - Window and filters ({ days, clientId })
+	 * @param {Date} now - Current time
+	 * @returns {Promise<Object>} Upcoming deliveries, earliest first ({ from, until, leadDays, deliveries })
+	 */
+	async getUpcomingOrders(options = {}, now = new Date()) {
+		try {
+			const days = parseInt(options.days, 10) || 14;
+			const from = startOfDay(now);
+			const until = addDays(from, days);
+
+			const subscriptions = await this.subscriptionRepository.findScheduled(
+				options.clientId ? { clientId: options.clientId } : {}
+			);
+
+			const deliveries = [];
+
+			subscriptions.forEach(subscription => {
+				// Deliveries already placed, held or missed
+				(subscription.history || [])
+					.filter(entry => entry.deliveryDate >= from && entry.deliveryDate <= until)
+					.forEach(entry => deliveries.push(this._toUpcomingDelivery(subscription, entry.deliveryDate, entry.status, entry)));
+
+				// Deliveries whose orders are still to be placed
+				const first = getDeliveryDateFrom(subscription.schedule, subscription.nextDeliveryDate, from);
+				listDeliveryDates(subscription.schedule, first, until).forEach(date => {
+					let status = 'scheduled';
+					if (subscription.status === 'paused' && (!subscription.pausedUntil || date < startOfDay(subscription.pausedUntil))) {
+						status = 'paused';
+					} else if ((subscription.skippedDates || []).some(skipped => isSameDay(skipped, date))) {
+						status = 'skipped';
+					}
+
+					deliveries.push(this._toUpcomingDelivery(subscription, date, status));
+				});
+			});
+
+			deliveries.sort((a, b) => a.deliveryDate - b.deliveryDate);
+
+			return { from, until, leadDays: this.settings.leadDays, deliveries };
+		} catch (error) {
+			this.logger.error(`Error getting upcoming subscription orders: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Place the orders of every subscription delivery due within the lead time, resuming paused
+	 * subscriptions whose deliveries start again; run by the scheduler
+	 * @param {Date} now - Current time
+	 * @returns {Promise<Object>} Counts of deliveries handled ({ resumed, ordered, skipped, held, failed })
+	 */
+	async generateDueOrders(now = new Date()) {
+		try {
+			const until = addDays(startOfDay(now), this.settings.leadDays);
+			const counts = { resumed: 0, ordered: 0, skipped: 0, held: 0, failed: 0 };
+
+			for (const subscription of await this.subscriptionRepository.findResumable(until)) {
+				try {
+					const earliest = this._getEarliestDeliveryDate(subscription, now);
+					const restart = startOfDay(subscription.pausedUntil);
+					await this._resume(subscription, restart > earliest ? restart : earliest);
+					counts.resumed++;
+				} catch (error) {
+					this.logger.error(`Error resuming subscription ${subscription._id}: ${error.message}`);
+				}
+			}
+
+			for (const subscription of await this.subscriptionRepository.findDue(until)) {
+				let current = subscription;
+
+				// Several deliveries can be due at once, e.g. after the job has not run for a while
+				while (current && current.status === 'active' && current.nextDeliveryDate <= until) {
+					try {
+						const result = await this._processDelivery(current, now);
+						if (!result) {
+							break;
+						}
+
+						counts[result.status]++;
+						current = result.subscription;
+					} catch (error) {
+						counts.failed++;
+						this.logger.error(`Error placing order for subscription ${current._id}: ${error.message}`);
+						break;
+					}
+				}
+			}
+
+			if (Object.values(counts).some(count => count > 0)) {
+				this.logger.info(`Subscription orders: ${counts.ordered} placed, ${counts.held} held, ${counts.skipped} skipped, ${counts.failed} failed, ${counts.resumed} subscriptions resumed`);
+			}
+
+			return counts;
+		} catch (error) {
+			this.logger.error(`Error generating subscription orders: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Handle a subscription's next delivery: skip it, hold it for a price review or place its order
+	 * @param {Object} subscription - Active subscription
+	 * @param {Date} now - Current time
+	 * @returns {Promise<Object|null>} What happened ({ status, subscription }), or null if another run took the delivery
+	 * @private
+	 */
+	async _processDelivery(subscription, now) {
+		const deliveryDate = subscription.nextDeliveryDate;
+
+		const claimed = await this.subscriptionRepository.claimDelivery(
+			subscription._id,
+			deliveryDate,
+			getFollowingDeliveryDate(subscription.schedule, deliveryDate)
+		);
+		if (!claimed) {
+			return null;
+		}
+
+		const isSkipped = (claimed.skippedDates || []).some(skipped => isSameDay(skipped, deliveryDate));
+		if (isSkipped) {
+			return this._recordDelivery(claimed, { deliveryDate, status: 'skipped', reason: 'Skipped by request' });
+		}
+
+		if (deliveryDate < startOfDay(now)) {
+			return this._failDelivery(claimed, deliveryDate, 'The delivery date passed before the order was placed');
+		}
+
+		let currentTotal;
+		try {
+			currentTotal = await this._getItemsTotal(claimed.items, claimed.clientId);
+		} catch (error) {
+			return this._failDelivery(claimed, deliveryDate, error.message);
+		}
+
+		// Measured from the subscribed prices, not the last order, so rises under the cap cannot compound
+		const subscribedTotal = claimed.subscribedTotal ?? claimed.referenceTotal;
+		const increasePercent = subscribedTotal > 0
+			? Math.round(((currentTotal - subscribedTotal) / subscribedTotal) * 10000) / 100
+			: 0;
+
+		if (claimed.priceRefresh?.policy === 'capped' && increasePercent > claimed.priceRefresh.maxIncreasePercent) {
+			const result = await this._recordDelivery(claimed, {
+				deliveryDate,
+				status: 'held',
+				referenceTotal: subscribedTotal,
+				currentTotal,
+				reason: `Prices rose ${increasePercent}%, above the ${claimed.priceRefresh.maxIncreasePercent}% the client accepts`
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_PRICE_REVIEW, {
+				subscriptionId: claimed._id,
+				clientId: claimed.clientId,
+				deliveryDate,
+				referenceTotal: subscribedTotal,
+				currentTotal,
+				increasePercent,
+				timestamp: new Date()
+			});
+
+			await this._notifyClient(
+				claimed,
+				`Price change on your ${this._describe(claimed)}`,
+				this._generatePriceReviewEmailTemplate(claimed, deliveryDate, subscribedTotal, currentTotal, increasePercent)
+			);
+
+			return result;
+		}
+
+		let placed;
+		try {
+			placed = await this._placeDeliveryOrder(claimed, deliveryDate, null);
+		} catch (error) {
+			return this._failDelivery(claimed, deliveryDate, error.message);
+		}
+
+		return this._recordDelivery(claimed, {
+			deliveryDate,
+			status: 'ordered',
+			orderId: placed.order._id,
+			referenceTotal: claimed.referenceTotal,
+			currentTotal: placed.currentTotal
+		}, { referenceTotal: placed.currentTotal });
+	}
+
+	/**
+	 * Place the order for a subscription delivery and let the client know
+	 * @param {Object} subscription - Subscription
+	 * @param {Date} deliveryDate - Delivery date
+	 * @param {string|null} historyStatus - Status the delivery is already recorded under (for failures), or null if not recorded yet
+	 * @param {string} userId - ID of the user placing the order, if not the scheduler
+	 * @returns {Promise<Object>} Placed order and its items total ({ order, currentTotal })
+	 * @throws {Error} Order could not be placed
+	 * @private
+	 */
+	async _placeDeliveryOrder(subscription, deliveryDate, historyStatus, userId = null) {
+		let order;
+		try {
+			order = await this.orderService.createOrder({
+				...this._pickTemplateFields(subscription),
+				clientId: subscription.clientId,
+				items: subscription.items.map(item => ({
+					productId: item.productId,
+					variantId: item.variantId || undefined,
+					name: item.name,
+					quantity: item.quantity,
+					unit: item.unit
+				})),
+				shippingAddress: subscription.shippingMethod === 'delivery' ? subscription.shippingAddress : undefined,
+				deliveryDate,
+				deliveryTimeSlot: subscription.schedule.timeSlot,
+				subscriptionId: subscription._id,
+				notes: [`Subscription ${subscription.subscriptionNumber}`, subscription.notes].filter(Boolean).join(' - ')
+			});
+		} catch (error) {
+			if (historyStatus) {
+				await this.subscriptionRepository.updateDelivery(subscription._id, deliveryDate, historyStatus, {
+					status: 'failed',
+					reason: error.message
+				});
+				this._dispatchFailure(subscription, deliveryDate, error.message);
+			}
+			throw error;
+		}
+
+		const currentTotal = Math.round(order.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0) * 100) / 100;
+
+		this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_ORDER_CREATED, {
+			subscriptionId: subscription._id,
+			clientId: subscription.clientId,
+			orderId: order._id,
+			orderNumber: order.orderNumber,
+			deliveryDate,
+			createdBy: userId,
+			timestamp: new Date()
+		});
+
+		await this._notifyClient(
+			subscription,
+			`Your ${this._describe(subscription)} order ${order.orderNumber}`,
+			this._generateOrderEmailTemplate(subscription, order, deliveryDate, subscription.referenceTotal, currentTotal)
+		);
+
+		return { order, currentTotal };
+	}
+
+	/**
+	 * Record what happened to a delivery in the subscription's history
+	 * @param {Object} subscription - Subscription
+	 * @param {Object} entry - History entry ({ deliveryDate, status, orderId, referenceTotal, currentTotal, reason })
+	 * @param {Object} update - Other subscription fields to set
+	 * @returns {Promise<Object>} What happened ({ status, subscription })
+	 * @private
+	 */
+	async _recordDelivery(subscription, entry, update = {}) {
+		const changes = { $push: { history: entry } };
+
+		if (Object.keys(update).length) {
+			changes.$set = update;
+		}
+
+		// Skips that have come round are kept in the history rather than the list of skipped dates
+		if (entry.status === 'skipped') {
+			changes.$pull = { skippedDates: entry.deliveryDate };
+		}
+
+		const updatedSubscription = await this.subscriptionRepository.update(subscription._id, changes);
+
+		return { status: entry.status, subscription: updatedSubscription };
+	}
+
+	/**
+	 * Record a delivery whose order could not be placed
+	 * @param {Object} subscription - Subscription
+	 * @param {Date} deliveryDate - Delivery date
+	 * @param {string} reason - Why the order was not placed
+	 * @returns {Promise<Object>} What happened ({ status, subscription })
+	 * @private
+	 */
+	async _failDelivery(subscription, deliveryDate, reason) {
+		const result = await this._recordDelivery(subscription, { deliveryDate, status: 'failed', reason });
+		this._dispatchFailure(subscription, deliveryDate, reason);
+		return result;
+	}
+
+	/**
+	 * Let staff know a subscription order could not be placed
+	 * @param {Object} subscription - Subscription
+	 * @param {Date} deliveryDate - Delivery date
+	 * @param {string} reason - Why the order was not placed
+	 * @private
+	 */
+	_dispatchFailure(subscription, deliveryDate, reason) {
+		this.logger.warn(`Subscription ${subscription.subscriptionNumber} order for ${formatDate(deliveryDate)} failed: ${reason}`);
+
+		this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_ORDER_FAILED, {
+			subscriptionId: subscription._id,
+			subscriptionNumber: subscription.subscriptionNumber,
+			clientId: subscription.clientId,
+			deliveryDate,
+			reason,
+			timestamp: new Date()
+		});
+	}
+
+	/**
+	 * Make a paused subscription active again, delivering from a date
+	 * @param {Object} subscription - Paused subscription
+	 * @param {Date} from - Earliest delivery date
+	 * @param {string} userId - ID of the user resuming the subscription, if not the scheduler
+	 * @returns {Promise<Object>} Resumed subscription
+	 * @private
+	 */
+	async _resume(subscription, from, userId = null) {
+		const nextDeliveryDate = getDeliveryDateFrom(subscription.schedule, subscription.nextDeliveryDate, from);
+
+		const updatedSubscription = await this.subscriptionRepository.update(subscription._id, {
+			$set: { status: 'active', nextDeliveryDate },
+			$unset: { pausedUntil: 1 }
+		});
+
+		this.eventDispatcher.dispatch(eventTypes.SUBSCRIPTION_RESUMED, {
+			subscriptionId: subscription._id,
+			clientId: subscription.clientId,
+			nextDeliveryDate,
+			resumedBy: userId,
+			timestamp: new Date()
+		});
+
+		return updatedSubscription;
+	}
+
+	/**
+	 * Earliest date a new delivery can fall on: today, or the day after the last delivery handled
+	 * @param {Object} subscription - Subscription
+	 * @param {Date} now - Current time
+	 * @returns {Date} Earliest delivery date
+	 * @private
+	 */
+	_getEarliestDeliveryDate(subscription, now = new Date()) {
+		const today = startOfDay(now);
+		const last = (subscription.history || []).reduce((latest, entry) =>
+			(!latest || entry.deliveryDate > latest ? entry.deliveryDate : latest), null);
+
+		return last && addDays(last, 1) > today ? startOfDay(addDays(last, 1)) : today;
+	}
+
+	/**
+	 * Check a date is a delivery of the subscription whose order has not been placed yet
+	 * @param {Object} subscription - Subscription
+	 * @param {Date|string} deliveryDate - Date to check
+	 * @returns {Date} Delivery date
+	 * @throws {ValidationError} Cancelled subscription, or not an upcoming delivery date
+	 * @private
+	 */
+	_getUpcomingDeliveryDate(subscription, deliveryDate) {
+		this._assertNotCancelled(subscription);
+
+		const date = startOfDay(deliveryDate);
+
+		if (date < startOfDay(subscription.nextDeliveryDate)) {
+			throw new ValidationError(`The delivery on ${formatDate(date)} has already been handled; change its order instead`);
+		}
+
+		if (!isSameDay(getDeliveryDateFrom(subscription.schedule, subscription.nextDeliveryDate, date), date)) {
+			throw new ValidationError(`${formatDate(date)} is not a delivery date of this subscription`);
+		}
+
+		return date;
+	}
+
+	/**
+	 * Check a subscription can still be changed
+	 * @param {Object} subscription - Subscription
+	 * @throws {ValidationError} Subscription cancelled
+	 * @private
+	 */
+	_assertNotCancelled(subscription) {
+		if (subscription.status === 'cancelled') {
+			throw new ValidationError(`Subscription ${subscription.subscriptionNumber} has been cancelled`);
+		}
+	}
+
+	/**
+	 * Build template items, naming them after their products
+	 * @param {Array} items - Requested items ({ productId, variantId, quantity, unit })
+	 * @returns {Promise<Array<Object>>} Template items
+	 * @throws {NotFoundError} Product not found
+	 * @private
+	 */
+	async _prepareItems(items) {
+		return Promise.all(items.map(async item => {
+			const product = await this.productRepository.findById(item.productId, { select: 'name' });
+			if (!product) {
+				throw new NotFoundError(`Product with ID ${item.productId} not found`);
+			}
+
+			return {
+				productId: product._id,
+				variantId: item.variantId || null,
+				name: product.name,
+				quantity: Number(item.quantity),
+				unit: item.unit || undefined
+			};
+		}));
+	}
+
+	/**
+	 * Price template items for the client as an order would be
+	 * @param {Array} items - Template items
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<number>} Items total
+	 * @throws {ValidationError} An item cannot be ordered (unavailable or out of stock)
+	 * @private
+	 */
+	async _getItemsTotal(items, clientId) {
+		const pricedItems = items.map(item => ({
+			productId: item.productId,
+			variantId: item.variantId || undefined,
+			quantity: item.quantity,
+			unit: item.unit
+		}));
+
+		try {
+			await this.orderService.validateOrderItems(pricedItems, clientId?._id || clientId);
+		} catch (error) {
+			throw new ValidationError(error.message);
+		}
+
+		return Math.round(pricedItems.reduce((sum, item) => sum + item.totalPrice, 0) * 100) / 100;
+	}
+
+	/**
+	 * Build a schedule from request data
+	 * @param {Object} schedule - Schedule ({ frequency, deliveryDay, timeSlot })
+	 * @returns {Object} Schedule
+	 * @throws {ValidationError} Delivery day does not fit the frequency
+	 * @private
+	 */
+	_buildSchedule(schedule) {
+		const deliveryDay = parseInt(schedule.deliveryDay, 10);
+
+		if (schedule.frequency === 'monthly' ? deliveryDay < 1 || deliveryDay > MAX_MONTHLY_DAY : deliveryDay < 0 || deliveryDay > 6) {
+			throw new ValidationError(schedule.frequency === 'monthly'
+				? `Monthly deliveries need a day of the month from 1 to ${MAX_MONTHLY_DAY}`
+				: 'Delivery day must be a day of the week from 0 (Sunday) to 6 (Saturday)');
+		}
+
+		return {
+			frequency: schedule.frequency,
+			deliveryDay,
+			timeSlot: schedule.timeSlot || undefined
+		};
+	}
+
+	/**
+	 * Build a price refresh rule from request data
+	 * @param {Object} priceRefresh - Rule ({ policy, maxIncreasePercent })
+	 * @returns {Object|undefined} Rule, or undefined for the default
+	 * @private
+	 */
+	_buildPriceRefresh(priceRefresh) {
+		if (!priceRefresh) {
+			return undefined;
+		}
+
+		return {
+			policy: priceRefresh.policy || 'current',
+			maxIncreasePercent: priceRefresh.maxIncreasePercent !== undefined ? Number(priceRefresh.maxIncreasePercent) : 10
+		};
+	}
+
+	/**
+	 * Pick the template order fields present in data
+	 * @param {Object} data - Subscription or request data
+	 * @returns {Object} Template fields
+	 * @private
+	 */
+	_pickTemplateFields(data) {
+		const fields = {};
+
+		TEMPLATE_FIELDS.forEach(field => {
+			if (data[field] !== undefined) {
+				fields[field] = data[field];
+			}
+		});
+
+		return fields;
+	}
+
+	/**
+	 * Shape a delivery for the upcoming orders view
+	 * @param {Object} subscription - Subscription, with its client
+	 * @param {Date} deliveryDate - Delivery date
+	 * @param {string} status - scheduled, paused or skipped, or the status recorded in the history
+	 * @param {Object} [entry] - History entry for deliveries already handled
+	 * @returns {Object} Upcoming delivery
+	 * @private
+	 */
+	_toUpcomingDelivery(subscription, deliveryDate, status, entry = null) {
+		return {
+			subscriptionId: subscription._id,
+			subscriptionNumber: subscription.subscriptionNumber,
+			name: subscription.name,
+			client: subscription.clientId,
+			deliveryDate,
+			timeSlot: subscription.schedule.timeSlot,
+			shippingMethod: subscription.shippingMethod,
+			status,
+			// When the order is (or was due to be) placed
+			orderDate: addDays(deliveryDate, -this.settings.leadDays),
+			orderId: entry?.orderId || null,
+			reason: entry?.reason || null,
+			itemCount: subscription.items.length,
+			estimatedTotal: entry?.currentTotal ?? subscription.referenceTotal
+		};
+	}
+
+	/**
+	 * Email the client about their subscription; failures are logged, not thrown
+	 * @param {Object} subscription - Subscription
+	 * @param {string} subject - Email subject
+	 * @param {string} html - Email body
+	 * @private
+	 */
+	async _notifyClient(subscription, subject, html) {
+		try {
+			let email = subscription.contactInfo?.email;
+
+			if (!email) {
+				const client = await this.clientRepository.findById(subscription.clientId?._id || subscription.clientId);
+				email = client?.email;
+			}
+
+			if (!email) {
+				return;
+			}
+
+			await EmailService.sendEmail({ to: email, subject, html });
+		} catch (error) {
+			this.logger.error(`Error emailing client about subscription ${subscription.subscriptionNumber}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Short description of a subscription for emails (e.g. "weekly basket")
+	 * @param {Object} subscription - Subscription
+	 * @returns {string} Description
+	 * @private
+	 */
+	_describe(subscription) {
+		if (subscription.name) {
+			return subscription.name;
+		}
+
+		const frequency = { weekly: 'weekly', biweekly: 'fortnightly', monthly: 'monthly' }[subscription.schedule.frequency];
+		return `${frequency} basket`;
+	}
+
+	/**
+	 * Generate the email telling the client their subscription order has been placed
+	 * @param {Object} subscription - Subscription
+	 * @param {Object} order - Placed order
+	 * @param {Date} deliveryDate - Delivery date
+	 * @param {number} referenceTotal - Items total at the prices last accepted
+	 * @param {number} currentTotal - Items total of the order
+	 * @returns {string} HTML email template
+	 * @private
+	 */
+	_generateOrderEmailTemplate(subscription, order, deliveryDate, referenceTotal, currentTotal) {
+		const priceChange = referenceTotal && currentTotal !== referenceTotal
+			? `<p>Prices have changed since your last order: your items come to <strong>${formatCurrency(currentTotal)}</strong> (previously ${formatCurrency(referenceTotal)}).</p>`
+			: '';
+
+		return `
+			<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+				<h2 style="color: #28a745;">Your ${this._describe(subscription)} is on its way</h2>
+				<p>We have placed order <strong>${order.orderNumber}</strong> from your subscription ${subscription.subscriptionNumber}
+				for delivery on <strong>${formatDate(deliveryDate)}</strong>${subscription.schedule.timeSlot ? ` (${subscription.schedule.timeSlot})` : ''}.</p>
+				${priceChange}
+				<p>You will receive your invoice separately. To skip a delivery or pause your subscription, please contact us before the order is placed.</p>
+				<p>Thank you,<br>She Cares Foodies</p>
+			</div>
+		`;
+	}
+
+	/**
+	 * Generate the email asking the client to accept a price increase on their subscription
+	 * @param {Object} subscription - Subscription
+	 * @param {Date} deliveryDate - Held delivery date
+	 * @param {number} subscribedTotal - Items total at the prices subscribed at
+	 * @param {number} currentTotal - Items total at the prices of the day
+	 * @param {number} increasePercent - Increase in percent
+	 * @returns {string} HTML email template
+	 * @private
+	 */
+	_generatePriceReviewEmailTemplate(subscription, deliveryDate, subscribedTotal, currentTotal, increasePercent) {
+		return `
+			<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+				<h2 style="color: #28a745;">Prices have gone up on your ${this._describe(subscription)}</h2>
+				<p>Your items now come to <strong>${formatCurrency(currentTotal)}</strong>, up ${increasePercent}% from ${formatCurrency(subscribedTotal)}.
+				As this is more than the ${subscription.priceRefresh.maxIncreasePercent}% you agreed to, we have not placed your order
+				for <strong>${formatDate(deliveryDate)}</strong> yet.</p>
+				<p>Please let us know whether to go ahead at the new prices or skip this delivery.</p>
+				<p>Thank you,<br>She Cares Foodies</p>
+			</div>
+		`;
+	}
+}
+
+module.exports = SubscriptionService;
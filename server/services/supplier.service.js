@@ -0,0 +1,312 @@
+// src/services/supplier.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const unitConverter = require('../utils/unit-converter');
+
+/**
+ * @class SupplierService
+ * @description Service layer for suppliers, their contacts and price lists
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class SupplierService {
+	/**
+	 * Create a new SupplierService instance
+	 * @param {Object} supplierRepository - Supplier repository instance
+	 * @param {Object} productRepository - Product repository for price list products
+	 * @param {Object} purchaseOrderRepository - Purchase order repository
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 */
+	constructor(supplierRepository, productRepository, purchaseOrderRepository, eventDispatcher, logger) {
+		this.supplierRepository = supplierRepository;
+		this.productRepository = productRepository;
+		this.purchaseOrderRepository = purchaseOrderRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+	}
+
+	/**
+	 * Create a supplier
+	 * @param {Object} supplierData - Supplier data (name, code, email, phone, address, contacts, leadTimeDays, priceList, ...)
+	 * @returns {Promise<Object>} Created supplier
+	 * @throws {ValidationError} Duplicate code or invalid price list
+	 */
+	async createSupplier(supplierData) {
+		try {
+			if (supplierData.code && await this.supplierRepository.findByCode(supplierData.code)) {
+				throw new ValidationError(`Supplier with code ${supplierData.code.toUpperCase()} already exists`);
+			}
+
+			const priceList = [];
+			for (const entry of supplierData.priceList || []) {
+				priceList.push(await this._preparePriceEntry(entry));
+			}
+
+			const supplier = await this.supplierRepository.create({
+				...supplierData,
+				contacts: this._normaliseContacts(supplierData.contacts),
+				priceList
+			});
+
+			this.eventDispatcher.dispatch(eventTypes.SUPPLIER_CREATED, {
+				supplierId: supplier._id,
+				name: supplier.name,
+				timestamp: new Date()
+			});
+
+			return supplier;
+		} catch (error) {
+			this.logger.error(`Error creating supplier: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get suppliers with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, isActive, productId, page, limit)
+	 * @returns {Promise<Object>} Paginated suppliers
+	 */
+	async getSuppliers(options = {}) {
+		return this.supplierRepository.getSuppliers(options);
+	}
+
+	/**
+	 * Get every active supplier with its price list
+	 * @returns {Promise<Array<Object>>} Active suppliers
+	 */
+	async getActiveSuppliers() {
+		return this.supplierRepository.find({ isActive: true });
+	}
+
+	/**
+	 * Get supplier by ID
+	 * @param {string} supplierId - Supplier ID
+	 * @returns {Promise<Object>} Supplier
+	 * @throws {NotFoundError} Supplier not found
+	 */
+	async getSupplierById(supplierId) {
+		const supplier = await this.supplierRepository.findById(supplierId);
+
+		if (!supplier) {
+			throw new NotFoundError(`Supplier with ID ${supplierId} not found`);
+		}
+
+		return supplier;
+	}
+
+	/**
+	 * Update a supplier's details (the price list has its own endpoints)
+	 * @param {string} supplierId - Supplier ID
+	 * @param {Object} updateData - Fields to update
+	 * @returns {Promise<Object>} Updated supplier
+	 * @throws {NotFoundError|ValidationError} Supplier not found or duplicate code
+	 */
+	async updateSupplier(supplierId, updateData) {
+		try {
+			const supplier = await this.getSupplierById(supplierId);
+			const { priceList, ...changes } = updateData;
+
+			if (changes.code && changes.code.toUpperCase() !== supplier.code) {
+				const existing = await this.supplierRepository.findByCode(changes.code);
+				if (existing && existing._id.toString() !== supplierId.toString()) {
+					throw new ValidationError(`Supplier with code ${changes.code.toUpperCase()} already exists`);
+				}
+			}
+
+			if (changes.contacts) {
+				changes.contacts = this._normaliseContacts(changes.contacts);
+			}
+
+			const updatedSupplier = await this.supplierRepository.update(supplierId, changes);
+
+			this.eventDispatcher.dispatch(eventTypes.SUPPLIER_UPDATED, {
+				supplierId,
+				updatedFields: Object.keys(changes),
+				timestamp: new Date()
+			});
+
+			return updatedSupplier;
+		} catch (error) {
+			this.logger.error(`Error updating supplier ${supplierId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a supplier that has never been sent a purchase order
+	 * @param {string} supplierId - Supplier ID
+	 * @returns {Promise<boolean>} Whether the supplier was deleted
+	 * @throws {NotFoundError|ValidationError} Supplier not found or has purchase orders
+	 */
+	async deleteSupplier(supplierId) {
+		try {
+			const supplier = await this.getSupplierById(supplierId);
+
+			const hasPurchaseOrders = await this.purchaseOrderRepository.exists({ supplierId });
+			if (hasPurchaseOrders) {
+				throw new ValidationError('Cannot delete supplier with purchase orders; deactivate it instead');
+			}
+
+			const result = await this.supplierRepository.delete(supplierId);
+
+			if (result) {
+				this.eventDispatcher.dispatch(eventTypes.SUPPLIER_DELETED, {
+					supplierId,
+					name: supplier.name,
+					timestamp: new Date()
+				});
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error deleting supplier ${supplierId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Add or replace the supplier's price for a product
+	 * @param {string} supplierId - Supplier ID
+	 * @param {Object} priceData - Price list entry (productId, variantId, supplierSku, unitCost, unit, minimumOrderQuantity, leadTimeDays, validFrom, validTo)
+	 * @returns {Promise<Object>} Updated supplier
+	 * @throws {NotFoundError|ValidationError} Supplier or product not found, or invalid entry
+	 */
+	async setPrice(supplierId, priceData) {
+		try {
+			await this.getSupplierById(supplierId);
+
+			const entry = await this._preparePriceEntry(priceData);
+			return await this.supplierRepository.upsertPrice(supplierId, entry);
+		} catch (error) {
+			this.logger.error(`Error setting price for supplier ${supplierId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Remove a price list entry
+	 * @param {string} supplierId - Supplier ID
+	 * @param {string} priceId - Price list entry ID
+	 * @returns {Promise<Object>} Updated supplier
+	 * @throws {NotFoundError} Supplier or entry not found
+	 */
+	async removePrice(supplierId, priceId) {
+		const supplier = await this.getSupplierById(supplierId);
+
+		if (!(supplier.priceList || []).some(entry => entry._id.toString() === priceId.toString())) {
+			throw new NotFoundError(`Price list entry ${priceId} not found`);
+		}
+
+		return this.supplierRepository.removePrice(supplierId, priceId);
+	}
+
+	/**
+	 * Get every active supplier of a product with its current price, cheapest first
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (omit for the product itself)
+	 * @returns {Promise<Array<Object>>} Suppliers ({ supplierId, name, leadTimeDays, price })
+	 */
+	async getProductSuppliers(productId, variantId = null) {
+		const suppliers = await this.supplierRepository.findSuppliersForProduct(productId);
+
+		return suppliers
+			.map(supplier => {
+				const price = this.findPrice(supplier, productId, variantId);
+				return price
+					? {
+						supplierId: supplier._id,
+						name: supplier.name,
+						code: supplier.code,
+						leadTimeDays: price.leadTimeDays ?? supplier.leadTimeDays,
+						price
+					}
+					: null;
+			})
+			.filter(Boolean)
+			.sort((a, b) => a.price.unitCost - b.price.unitCost);
+	}
+
+	/**
+	 * Find the supplier's price list entry for a product that is valid on a date
+	 * @param {Object} supplier - Supplier with its price list
+	 * @param {string} productId - Product ID
+	 * @param {string} variantId - Variant ID (omit for the product itself)
+	 * @param {Date} asOf - Date the price must be valid on
+	 * @returns {Object|null} Price list entry or null if the supplier does not list the product
+	 */
+	findPrice(supplier, productId, variantId = null, asOf = new Date()) {
+		return (supplier.priceList || []).find(entry =>
+			entry.productId.toString() === productId.toString() &&
+			(entry.variantId ? entry.variantId.toString() : null) === (variantId ? variantId.toString() : null) &&
+			(!entry.validFrom || new Date(entry.validFrom) <= asOf) &&
+			(!entry.validTo || new Date(entry.validTo) >= asOf)
+		) || null;
+	}
+
+	/**
+	 * Check a price list entry against its product and fill in the unit
+	 * @param {Object} entry - Price list entry
+	 * @returns {Promise<Object>} Entry ready to store
+	 * @throws {NotFoundError|ValidationError} Product not found or invalid entry
+	 * @private
+	 */
+	async _preparePriceEntry(entry) {
+		if (!entry.productId) {
+			throw new ValidationError('Price list entry needs a product');
+		}
+
+		if (!(parseFloat(entry.unitCost) >= 0)) {
+			throw new ValidationError('Price list unit cost must be a non-negative number');
+		}
+
+		const product = await this.productRepository.findById(entry.productId);
+		if (!product) {
+			throw new NotFoundError(`Product with ID ${entry.productId} not found`);
+		}
+
+		if (product.productType === 'bundle') {
+			throw new ValidationError(`Bundle "${product.name}" cannot be bought from a supplier; list its components instead`);
+		}
+
+		if (entry.variantId && !(product.variants || []).some(v => v._id.toString() === entry.variantId.toString())) {
+			throw new NotFoundError(`Variant "${entry.variantId}" not found for product ${entry.productId}`);
+		}
+
+		// Variants are bought by the unit; products in any unit that converts to their pricing unit
+		const unit = entry.variantId ? 'each' : (entry.unit || product.pricingUnit || 'each');
+		if (!entry.variantId && !unitConverter.canConvert(unit, product.pricingUnit || 'each', product.unitConversions)) {
+			throw new ValidationError(`Cannot convert ${unit} to ${product.pricingUnit} for product "${product.name}"`);
+		}
+
+		if (entry.validFrom && entry.validTo && new Date(entry.validFrom) > new Date(entry.validTo)) {
+			throw new ValidationError('Price list entry cannot end before it starts');
+		}
+
+		return {
+			...entry,
+			variantId: entry.variantId || null,
+			unitCost: parseFloat(entry.unitCost),
+			unit
+		};
+	}
+
+	/**
+	 * Make sure exactly one contact is marked primary
+	 * @param {Array<Object>} contacts - Supplier contacts
+	 * @returns {Array<Object>} Contacts
+	 * @private
+	 */
+	_normaliseContacts(contacts = []) {
+		if (!contacts.length) {
+			return contacts;
+		}
+
+		const primaryIndex = Math.max(0, contacts.findIndex(contact => contact.isPrimary));
+
+		return contacts.map((contact, index) => ({ ...contact, isPrimary: index === primaryIndex }));
+	}
+}
+
+module.exports = SupplierService;
@@ -0,0 +1,261 @@
+// src/services/tax.service.js
+
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+const eventTypes = require('../domain/events/event-types');
+const TaxRate = require('../domain/models/tax-rate.model');
+
+/**
+ * @class TaxService
+ * @description Service layer for tax rates: works out the tax on each order or invoice line
+ * and the breakdown per rate
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+class TaxService {
+	/**
+	 * Create a new TaxService instance
+	 * @param {Object} taxRateRepository - Tax rate repository instance
+	 * @param {Object} productRepository - Product repository, for the categories of sold products
+	 * @param {Object} eventDispatcher - Event dispatcher for domain events
+	 * @param {Object} logger - Logger instance
+	 * @param {Object} settings - Tax settings (pricesIncludeTax)
+	 */
+	constructor(taxRateRepository, productRepository, eventDispatcher, logger, settings = {}) {
+		this.taxRateRepository = taxRateRepository;
+		this.productRepository = productRepository;
+		this.eventDispatcher = eventDispatcher;
+		this.logger = logger;
+		this.settings = {
+			pricesIncludeTax: false,
+			...settings
+		};
+	}
+
+	/**
+	 * Create a tax rate
+	 * @param {Object} taxRateData - Tax rate data (name, code, rate, exemptProductIds, exemptCategoryIds, validFrom, validTo)
+	 * @param {string} userId - ID of the user creating the rate
+	 * @returns {Promise<Object>} Created tax rate
+	 * @throws {ValidationError} Tax code already in use
+	 */
+	async createTaxRate(taxRateData, userId = null) {
+		try {
+			await this._checkCodeAvailable(taxRateData.code);
+
+			const taxRate = await this.taxRateRepository.create({ ...taxRateData, createdBy: userId || undefined });
+
+			this.eventDispatcher.dispatch(eventTypes.TAX_RATE_CREATED, {
+				taxRateId: taxRate._id,
+				code: taxRate.code,
+				rate: taxRate.rate,
+				timestamp: new Date()
+			});
+
+			return taxRate;
+		} catch (error) {
+			this.logger.error(`Error creating tax rate: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get tax rates with filtering and pagination
+	 * @param {Object} options - Filters and pagination (search, productId, categoryId, isActive, page, limit)
+	 * @returns {Promise<Object>} Paginated tax rates
+	 */
+	async getTaxRates(options = {}) {
+		return this.taxRateRepository.getTaxRates(options);
+	}
+
+	/**
+	 * Get tax rate by ID
+	 * @param {string} taxRateId - Tax rate ID
+	 * @returns {Promise<Object>} Tax rate
+	 * @throws {NotFoundError} Tax rate not found
+	 */
+	async getTaxRateById(taxRateId) {
+		const taxRate = await this.taxRateRepository.findById(taxRateId, {
+			populate: [
+				{ path: 'exemptProductIds', select: 'name sku' },
+				{ path: 'exemptCategoryIds', select: 'name' }
+			]
+		});
+
+		if (!taxRate) {
+			throw new NotFoundError(`Tax rate with ID ${taxRateId} not found`);
+		}
+
+		return taxRate;
+	}
+
+	/**
+	 * Update a tax rate; orders and invoices keep the tax they were charged
+	 * @param {string} taxRateId - Tax rate ID
+	 * @param {Object} updateData - Fields to update
+	 * @returns {Promise<Object>} Updated tax rate
+	 * @throws {NotFoundError|ValidationError} Not found or tax code already in use
+	 */
+	async updateTaxRate(taxRateId, updateData) {
+		try {
+			const existing = await this.taxRateRepository.findById(taxRateId);
+			if (!existing) {
+				throw new NotFoundError(`Tax rate with ID ${taxRateId} not found`);
+			}
+
+			if (updateData.code && updateData.code.trim().toUpperCase() !== existing.code) {
+				await this._checkCodeAvailable(updateData.code);
+			}
+
+			const taxRate = await this.taxRateRepository.update(taxRateId, updateData);
+
+			this.eventDispatcher.dispatch(eventTypes.TAX_RATE_UPDATED, {
+				taxRateId,
+				updatedFields: Object.keys(updateData),
+				timestamp: new Date()
+			});
+
+			return taxRate;
+		} catch (error) {
+			this.logger.error(`Error updating tax rate ${taxRateId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a tax rate
+	 * @param {string} taxRateId - Tax rate ID
+	 * @returns {Promise<boolean>} Whether the tax rate was deleted
+	 * @throws {NotFoundError} Tax rate not found
+	 */
+	async deleteTaxRate(taxRateId) {
+		try {
+			const taxRate = await this.taxRateRepository.findById(taxRateId);
+			if (!taxRate) {
+				throw new NotFoundError(`Tax rate with ID ${taxRateId} not found`);
+			}
+
+			const result = await this.taxRateRepository.delete(taxRateId);
+
+			if (result) {
+				this.eventDispatcher.dispatch(eventTypes.TAX_RATE_DELETED, {
+					taxRateId,
+					code: taxRate.code,
+					timestamp: new Date()
+				});
+			}
+
+			return result;
+		} catch (error) {
+			this.logger.error(`Error deleting tax rate ${taxRateId}: ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Work out the tax on some lines. The discount is spread over the lines by value so tax is
+	 * charged on what the client actually pays. With tax-inclusive pricing the tax is taken out
+	 * of the line amounts; otherwise it is added on top.
+	 * @param {Array<Object>} items - Lines ({ productId, categoryId, quantity, price, totalPrice })
+	 * @param {Object} options - Options ({ discountAmount, date })
+	 * @returns {Promise<Object>} Tax per line (same order as items), tax added, tax included and the breakdown per rate
+	 */
+	async calculateTax(items = [], { discountAmount = 0, date = new Date() } = {}) {
+		const taxRates = (await this.taxRateRepository.findActive(date))
+			.map(taxRate => new TaxRate(taxRate))
+			.filter(taxRate => taxRate.isValidAt(date));
+		const pricesIncludeTax = Boolean(this.settings.pricesIncludeTax);
+
+		const lines = await this._getTaxLines(items);
+		const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+		const discount = Math.min(Number(discountAmount) || 0, subtotal);
+
+		const breakdown = new Map(taxRates.map(taxRate => [
+			String(taxRate.id),
+			{ ...taxRate.toSummary(), taxableAmount: 0, taxAmount: 0 }
+		]));
+
+		const lineTaxes = lines.map(line => {
+			const charged = taxRates.filter(taxRate => !taxRate.exempts(line));
+			const combinedRate = charged.reduce((sum, taxRate) => sum + taxRate.rate, 0);
+
+			const amount = subtotal > 0 ? line.totalPrice - discount * line.totalPrice / subtotal : 0;
+			const netAmount = pricesIncludeTax ? amount / (1 + combinedRate / 100) : amount;
+
+			let taxAmount = 0;
+			charged.forEach(taxRate => {
+				const tax = taxRate.calculate(netAmount);
+				const entry = breakdown.get(String(taxRate.id));
+				entry.taxableAmount += netAmount;
+				entry.taxAmount += tax;
+				taxAmount += tax;
+			});
+
+			return {
+				taxRate: combinedRate,
+				taxAmount: Math.round(taxAmount * 100) / 100,
+				taxExempt: taxRates.length > 0 && charged.length === 0
+			};
+		});
+
+		const totalTax = Math.round(lineTaxes.reduce((sum, line) => sum + line.taxAmount, 0) * 100) / 100;
+
+		return {
+			items: lineTaxes,
+			pricesIncludeTax,
+			taxAmount: pricesIncludeTax ? 0 : totalTax,
+			includedTaxAmount: pricesIncludeTax ? totalTax : 0,
+			taxBreakdown: [...breakdown.values()]
+				.filter(entry => entry.taxableAmount > 0)
+				.map(entry => ({
+					...entry,
+					taxableAmount: Math.round(entry.taxableAmount * 100) / 100,
+					taxAmount: Math.round(entry.taxAmount * 100) / 100
+				}))
+		};
+	}
+
+	/**
+	 * Get the amount and category of each line
+	 * @param {Array<Object>} items - Order or invoice items
+	 * @returns {Promise<Array<Object>>} Lines ({ productId, categoryId, totalPrice })
+	 * @private
+	 */
+	async _getTaxLines(items) {
+		const productIdOf = item => item.productId?._id || item.productId;
+		const productIds = [...new Set(items.filter(item => productIdOf(item)).map(item => String(productIdOf(item))))];
+		const products = productIds.length
+			? await this.productRepository.find({ _id: { $in: productIds } }, { select: 'categoryId' })
+			: [];
+		const categories = new Map(products.map(product => [String(product._id), product.categoryId]));
+
+		return items.map(item => {
+			const quantity = typeof item.fulfilledQuantity === 'number' ? item.fulfilledQuantity : Number(item.quantity) || 0;
+			const price = Number(item.price ?? item.unitPrice) || 0;
+
+			return {
+				productId: productIdOf(item) || null,
+				// A product line is taxed by its product's category; only free-text invoice lines carry their own
+				categoryId: productIdOf(item)
+					? categories.get(String(productIdOf(item))) || null
+					: item.categoryId || null,
+				totalPrice: item.totalPrice !== undefined && item.totalPrice !== null
+					? Number(item.totalPrice)
+					: Math.round(price * quantity * 100) / 100
+			};
+		});
+	}
+
+	/**
+	 * Make sure no other tax rate uses a code
+	 * @param {string} code - Tax code
+	 * @throws {ValidationError} Tax code already in use
+	 * @private
+	 */
+	async _checkCodeAvailable(code) {
+		if (await this.taxRateRepository.findByCode(code)) {
+			throw new ValidationError(`Tax code ${code.trim().toUpperCase()} is already in use`);
+		}
+	}
+}
+
+module.exports = TaxService;
@@ -0,0 +1,104 @@
+// src/utils/csv.js
+
+/**
+ * CSV parsing and writing helpers (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @param {Object} options - Parse options (delimiter, detected from the header line if not given)
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+function parse(text, options = {}) {
+	// Spreadsheet apps often save with a byte order mark
+	const input = String(text).replace(/^\uFEFF/, '');
+	const delimiter = options.delimiter || detectDelimiter(input);
+
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let inQuotes = false;
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+
+		if (inQuotes) {
+			if (char === '"' && input[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			row.push(cell);
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && input[i + 1] === '\n') {
+				i++;
+			}
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== '' || row.length) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Write rows of cells as CSV text
+ * @param {Array<Array<*>>} rows - Rows, the header first
+ * @returns {string} CSV text with CRLF line endings
+ */
+function stringify(rows) {
+	return rows.map(cells => cells.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Pick the delimiter used in the first line (comma, semicolon or tab)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ * @private
+ */
+function detectDelimiter(text) {
+	const firstLine = text.split(/\r?\n/, 1)[0];
+	const candidates = [',', ';', '\t'];
+	const counts = candidates.map(delimiter => firstLine.split(delimiter).length);
+
+	return candidates[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Quote a cell when it holds a delimiter, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ * @private
+ */
+function escapeCell(value) {
+	if (value === undefined || value === null) {
+		return '';
+	}
+
+	const text = value instanceof Date ? value.toISOString() : String(value);
+	return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+	parse,
+	stringify
+};
@@ -0,0 +1,117 @@
+// src/utils/fuzzy-match.js
+
+/**
+ * @module FuzzyMatch
+ * @description Helpers for typo-tolerant search: splitting text into terms and finding known
+ * terms a searched word could be a prefix or misspelling of
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms, without punctuation
+ */
+const tokenize = (text) => {
+	if (!text) return [];
+
+	return String(text)
+		.toLowerCase()
+		.split(/[^\p{L}\p{M}\p{N}]+/u)
+		.filter(Boolean);
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Number of typos tolerated in a word: none for short words, where one typo makes another word
+ * @param {string} word - Searched word
+ * @returns {number} Edits allowed
+ */
+const allowedEdits = (word) => {
+	if (word.length < 4) return 0;
+	if (word.length < 8) return 1;
+	return 2;
+};
+
+/**
+ * Edit distance between two words (insertions, deletions, substitutions and swapped neighbours)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Stop early once the distance is known to exceed this
+ * @returns {number} Distance, or max + 1 when it exceeds max
+ */
+const editDistance = (a, b, max = Infinity) => {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+
+	let previousRow = null;
+	let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+	for (let i = 1; i <= a.length; i++) {
+		const nextRow = [i];
+		let rowMin = i;
+
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+			if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				value = Math.min(value, previousRow[j - 2] + 1);
+			}
+
+			nextRow.push(value);
+			rowMin = Math.min(rowMin, value);
+		}
+
+		if (rowMin > max) return max + 1;
+
+		previousRow = row;
+		row = nextRow;
+	}
+
+	return row[b.length];
+};
+
+/**
+ * Find the known terms a searched word matches: itself, terms it starts, and close misspellings
+ * @param {string} word - Searched word
+ * @param {Iterable<string>} vocabulary - Known terms
+ * @returns {Array<Object>} Matches ({ term, exact, distance }), closest first
+ */
+const expandTerm = (word, vocabulary) => {
+	const maxEdits = allowedEdits(word);
+	const matches = [];
+
+	for (const term of vocabulary) {
+		if (term === word) {
+			matches.push({ term, exact: true, distance: 0 });
+		} else if (term.startsWith(word)) {
+			matches.push({ term, exact: false, distance: 0 });
+		} else if (maxEdits > 0) {
+			// Compare against the start of longer terms too, so a misspelt prefix still matches
+			const distance = Math.min(
+				editDistance(word, term, maxEdits),
+				term.length > word.length ? editDistance(word, term.slice(0, word.length), maxEdits) : maxEdits + 1
+			);
+			if (distance <= maxEdits) {
+				matches.push({ term, exact: false, distance });
+			}
+		}
+	}
+
+	return matches.sort((a, b) => Number(b.exact) - Number(a.exact) || a.distance - b.distance || a.term.length - b.term.length);
+};
+
+module.exports = {
+	tokenize,
+	escapeRegex,
+	allowedEdits,
+	editDistance,
+	expandTerm
+};
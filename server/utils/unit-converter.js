@@ -0,0 +1,211 @@
+// src/utils/unit-converter.js
+
+const { ValidationError } = require('./error-handler');
+
+/**
+ * @module UnitConverter
+ * @description Conversion registry between the units products are priced and stocked in
+ * @since v1.0.0 (2023)
+ * @author SheCares Development Team
+ */
+
+/**
+ * Built-in units keyed by name, with their dimension and size in the dimension's base unit
+ * (grams for mass, millilitres for volume, single items for count)
+ */
+const unitRegistry = new Map([
+	['g', { dimension: 'mass', toBase: 1 }],
+	['kg', { dimension: 'mass', toBase: 1000 }],
+	['lb', { dimension: 'mass', toBase: 453.59237 }],
+	['oz', { dimension: 'mass', toBase: 28.349523125 }],
+	['ml', { dimension: 'volume', toBase: 1 }],
+	['l', { dimension: 'volume', toBase: 1000 }],
+	['each', { dimension: 'count', toBase: 1 }],
+	['piece', { dimension: 'count', toBase: 1 }],
+	// Discrete units only convert through a per-product factor (e.g. 1 basket = 3.5 kg)
+	['basket', { dimension: null, toBase: null }],
+	['portion', { dimension: null, toBase: null }],
+	['bunch', { dimension: null, toBase: null }],
+	['pack', { dimension: null, toBase: null }],
+	['paint', { dimension: null, toBase: null }]
+]);
+
+/**
+ * Round away floating point noise from chained conversions
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Register a unit, or redefine an existing one
+ * @param {string} unit - Unit name
+ * @param {string|null} dimension - Dimension the unit measures (null for discrete units)
+ * @param {number|null} toBase - Size of one unit in the dimension's base unit
+ */
+const registerUnit = (unit, dimension = null, toBase = null) => {
+	if (dimension && !(toBase > 0)) {
+		throw new Error(`Unit "${unit}" needs a positive size in its base unit`);
+	}
+
+	unitRegistry.set(unit, { dimension, toBase: dimension ? toBase : null });
+};
+
+/**
+ * List every registered unit
+ * @returns {Array<string>} Unit names
+ */
+const getSupportedUnits = () => Array.from(unitRegistry.keys());
+
+/**
+ * Check whether a unit is registered
+ * @param {string} unit - Unit name
+ * @returns {boolean} True if the unit is known
+ */
+const isSupportedUnit = (unit) => unitRegistry.has(unit);
+
+/**
+ * Check whether a unit needs a per-product factor to convert
+ * @param {string} unit - Unit name
+ * @returns {boolean} True for discrete units such as basket or bunch
+ */
+const isDiscreteUnit = (unit) => unitRegistry.has(unit) && !unitRegistry.get(unit).dimension;
+
+/**
+ * List the units reachable from a unit in one step, with the multiplier to reach each
+ * @param {string} unit - Unit to start from
+ * @param {Array<Object>} conversions - Per-product factors ({ unit, factor, toUnit }: 1 unit = factor toUnit)
+ * @returns {Array<Object>} Neighbouring units ({ unit, multiplier })
+ * @private
+ */
+const getNeighbours = (unit, conversions) => {
+	const neighbours = [];
+	const definition = unitRegistry.get(unit);
+
+	// Every unit in the same dimension is one step away
+	if (definition && definition.dimension) {
+		unitRegistry.forEach((other, otherUnit) => {
+			if (otherUnit !== unit && other.dimension === definition.dimension) {
+				neighbours.push({ unit: otherUnit, multiplier: definition.toBase / other.toBase });
+			}
+		});
+	}
+
+	// Product factors work in both directions
+	conversions.forEach(conversion => {
+		if (!conversion || !(conversion.factor > 0)) return;
+
+		if (conversion.unit === unit) {
+			neighbours.push({ unit: conversion.toUnit, multiplier: conversion.factor });
+		} else if (conversion.toUnit === unit) {
+			neighbours.push({ unit: conversion.unit, multiplier: 1 / conversion.factor });
+		}
+	});
+
+	return neighbours;
+};
+
+/**
+ * Work out how many target units one source unit is worth
+ * @param {string} fromUnit - Unit to convert from
+ * @param {string} toUnit - Unit to convert to
+ * @param {Array<Object>} conversions - Per-product factors
+ * @returns {number|null} Multiplier, or null if no conversion path exists
+ */
+const getConversionFactor = (fromUnit, toUnit, conversions = []) => {
+	if (fromUnit === toUnit) {
+		return 1;
+	}
+
+	// Breadth-first search so the shortest chain of conversions wins
+	const visited = new Set([fromUnit]);
+	const queue = [{ unit: fromUnit, multiplier: 1 }];
+
+	while (queue.length) {
+		const current = queue.shift();
+
+		for (const neighbour of getNeighbours(current.unit, conversions || [])) {
+			if (visited.has(neighbour.unit)) continue;
+
+			const multiplier = current.multiplier * neighbour.multiplier;
+			if (neighbour.unit === toUnit) {
+				return multiplier;
+			}
+
+			visited.add(neighbour.unit);
+			queue.push({ unit: neighbour.unit, multiplier });
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Check whether a quantity can be converted between two units
+ * @param {string} fromUnit - Unit to convert from
+ * @param {string} toUnit - Unit to convert to
+ * @param {Array<Object>} conversions - Per-product factors
+ * @returns {boolean} True if a conversion path exists
+ */
+const canConvert = (fromUnit, toUnit, conversions = []) => getConversionFactor(fromUnit, toUnit, conversions) !== null;
+
+/**
+ * Convert a quantity between two units
+ * @param {number} quantity - Quantity to convert
+ * @param {string} fromUnit - Unit to convert from
+ * @param {string} toUnit - Unit to convert to
+ * @param {Array<Object>} conversions - Per-product factors
+ * @returns {number} Converted quantity
+ * @throws {ValidationError} If the units cannot be converted
+ */
+const convert = (quantity, fromUnit, toUnit, conversions = []) => {
+	const factor = getConversionFactor(fromUnit, toUnit, conversions);
+
+	if (factor === null) {
+		throw new ValidationError(`Cannot convert ${fromUnit} to ${toUnit}: no conversion configured`);
+	}
+
+	return roundQuantity(quantity * factor);
+};
+
+/**
+ * Convert a quantity into the product's stock unit
+ * @param {Object} product - Product with stockUnit, pricingUnit and unitConversions
+ * @param {number} quantity - Quantity to convert
+ * @param {string} unit - Unit of the quantity (defaults to the pricing unit)
+ * @returns {number} Quantity in stock units
+ * @throws {ValidationError} If the units cannot be converted
+ */
+const toStockUnits = (product, quantity, unit) => {
+	const fromUnit = unit || product.pricingUnit || 'each';
+	const toUnit = product.stockUnit || fromUnit;
+
+	return convert(quantity, fromUnit, toUnit, product.unitConversions);
+};
+
+/**
+ * Convert a quantity into the product's pricing unit
+ * @param {Object} product - Product with stockUnit, pricingUnit and unitConversions
+ * @param {number} quantity - Quantity to convert
+ * @param {string} unit - Unit of the quantity (defaults to the stock unit)
+ * @returns {number} Quantity in pricing units
+ * @throws {ValidationError} If the units cannot be converted
+ */
+const toPricingUnits = (product, quantity, unit) => {
+	const fromUnit = unit || product.stockUnit || 'each';
+	const toUnit = product.pricingUnit || fromUnit;
+
+	return convert(quantity, fromUnit, toUnit, product.unitConversions);
+};
+
+module.exports = {
+	registerUnit,
+	getSupportedUnits,
+	isSupportedUnit,
+	isDiscreteUnit,
+	getConversionFactor,
+	canConvert,
+	convert,
+	toStockUnits,
+	toPricingUnits
+};